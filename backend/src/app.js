@@ -12,14 +12,22 @@ const GalileoskyParser = require('./services/parser');
 const deviceManager = require('./services/deviceManager');
 const packetProcessor = require('./services/packetProcessor');
 const packetQueue = require('./services/packetQueue');
+const confirmationManager = require('./services/confirmationManager');
+const commandManager = require('./services/commandManager');
+const sessionManager = require('./services/sessionManager');
 const dataAggregator = require('./services/dataAggregator');
 const alertManager = require('./services/alertManager');
+const systemMonitor = require('./services/systemMonitor');
+const backupManager = require('./services/backupManager');
+const retentionManager = require('./services/retentionManager');
+const exportManager = require('./services/exportManager');
 const logger = require('./utils/logger');
 const Type33Handler = require('./services/type33Handler');
 const WebSocket = require('ws');
 const net = require('net');
 const PacketTypeHandler = require('./services/packetTypeHandler');
 const recordsRouter = require('./routes/records');
+const { requireAuth, requireRole, rejectViewerChanges } = require('./middleware/auth');
 
 const server = http.createServer(app);
 
@@ -34,6 +42,17 @@ global.lastIMEI = null;
 app.use(cors(config.http.cors)); // Apply CORS middleware
 app.use(express.json());
 
+// Phones serve their own pages; they log in and call the API like the web app
+if (config.env === 'mobile') {
+    const repositoryPath = path.join(__dirname, '..', '..');
+    app.get('/', (req, res) => res.sendFile(path.join(repositoryPath, 'simple-frontend.html')));
+    app.get(['/unified', '/unified-mobile-interface.html'], (req, res) => {
+        res.sendFile(path.join(repositoryPath, 'unified-mobile-interface.html'));
+    });
+    // Offline map tiles, if placed next to the pages
+    app.use('/tiles', express.static(path.join(repositoryPath, 'tiles')));
+}
+
 // Serve static files if frontend build exists
 const frontendBuildPath = path.join(__dirname, '..', '..', 'frontend', 'build');
 if (fs.existsSync(frontendBuildPath)) {
@@ -42,6 +61,10 @@ if (fs.existsSync(frontendBuildPath)) {
 
 // Initialize WebSocket
 websocketHandler.initialize(server);
+dataAggregator.startDashboardUpdates();
+backupManager.startSchedule();
+retentionManager.startSchedule();
+exportManager.startSchedule();
 
 // Monitor packet queue performance
 packetQueue.on('queued', (item) => {
@@ -61,13 +84,16 @@ packetQueue.on('processed', (item, processingTime) => {
 });
 
 packetQueue.on('failed', (item, error) => {
-    logger.error('Packet processing failed permanently', {
+    logger.error('Packet processing failed permanently, moved to dead letters', {
         packetId: item.id,
         error: error.message,
         retries: item.retries
     });
 });
 
+// Confirm packets held back in durable mode once the queue has stored them
+confirmationManager.attach(packetQueue);
+
 // Log queue statistics periodically
 setInterval(() => {
     const stats = packetQueue.getStats();
@@ -77,25 +103,44 @@ setInterval(() => {
 }, 60000); // Log every minute
 
 // Mount routes directly
+app.use('/api/auth', require('./routes/auth'));
+
+// Everything else under /api needs a logged-in user; viewers may only read
+app.use('/api', requireAuth, rejectViewerChanges);
 app.use('/api/devices', require('./routes/devices'));
 app.use('/api/data', require('./routes/data'));
 app.use('/api/alerts', require('./routes/alerts'));
-app.use('/api/settings', require('./routes/settings'));
+app.use('/api/geofences', require('./routes/geofences'));
 app.use('/api/mapping', require('./routes/mapping'));
 app.use('/api/records', recordsRouter);
-app.use('/api/peer', require('./routes/peer'));
+if (config.env === 'mobile') {
+    app.use('/api/mobile', require('./routes/mobile'));
+}
+
+// Server-wide administration
+app.use('/api/queue', requireRole('admin'), require('./routes/queue'));
+app.use('/api/connections', requireRole('admin'), require('./routes/connections'));
+// Pairing and syncing with other phones; the phones themselves talk to the peer server
+app.use('/api/peer', requireRole('admin'), require('./routes/peer'));
+app.use('/api/notifications', requireRole('admin'), require('./routes/notifications'));
+app.use('/api/settings/backups', requireRole('admin'), require('./routes/backups'));
+app.use('/api/settings/retention', requireRole('admin'), require('./routes/retention'));
+app.use('/api/settings', requireRole('admin'), require('./routes/settings'));
+app.use('/api/users', requireRole('admin'), require('./routes/users'));
+app.use('/api/device-groups', requireRole('admin'), require('./routes/deviceGroups'));
 
 // TCP Server for device connections
 const tcpServer = net.createServer((socket) => {
     const clientAddress = `${socket.remoteAddress}:${socket.remotePort}`;
     logger.info('New device connected:', { address: clientAddress });
+    const session = sessionManager.create(socket);
 
     let buffer = Buffer.alloc(0);
     let unsentData = Buffer.alloc(0);
 
     // Set socket options to prevent hanging connections
     socket.setKeepAlive(true, 60000); // 60 seconds
-    socket.setTimeout(30000); // 30 seconds timeout
+    socket.setTimeout(config.tcp.timeout); // Changeable in the settings
 
     socket.on('data', async (data) => {
         try {
@@ -137,14 +182,14 @@ const tcpServer = net.createServer((socket) => {
                 buffer = buffer.slice(totalLength + 2);
 
                 // Determine packet type
-                const isIgnorablePacket = packetType === 0x15;
-                const isExtensionPacket = packetType !== 0x01 && !isIgnorablePacket;
+                const isIgnorablePacket = PacketTypeHandler.isIgnorablePacket(packetType);
+                const isExtensionPacket = PacketTypeHandler.isExtensionPacket(packetType);
 
                 // Log packet details
                 logger.info('Packet details:', {
                     address: socket.remoteAddress + ':' + socket.remotePort,
                     type: `0x${packetType.toString(16).padStart(2, '0')}`,
-                    packetType: isIgnorablePacket ? 'Ignored' : (isExtensionPacket ? 'Extension' : 'Main Packet'),
+                    packetType: isIgnorablePacket ? 'Ignored' : PacketTypeHandler.determinePacketType(packetType),
                     length: actualLength,
                     totalLength,
                     bufferLength: buffer.length,
@@ -152,32 +197,44 @@ const tcpServer = net.createServer((socket) => {
                     timestamp: new Date().toISOString()
                 });
 
+                // A corrupted packet is never confirmed, so the device resends it
+                if (config.parser.validateChecksum && !confirmationManager.hasValidChecksum(packet, parser)) {
+                    logger.warn('Checksum mismatch, withholding confirmation:', {
+                        address: socket.remoteAddress + ':' + socket.remotePort,
+                        type: `0x${packetType.toString(16).padStart(2, '0')}`,
+                        hex: packet.toString('hex').toUpperCase(),
+                        timestamp: new Date().toISOString()
+                    });
+                    continue;
+                }
+
+                // Later packets of the session omit the IMEI, remember it from the head packet
+                if (sessionManager.recordPacket(session, packet)) {
+                    commandManager.bindSocket(session.imei, socket, session.deviceNumber);
+                }
+
                 // Handle different packet types
                 if (isIgnorablePacket) {
                     logger.info('Ignoring packet type 0x15');
                     // Send confirmation immediately for ignorable packets
-                    const packetChecksum = packet.readUInt16LE(packet.length - 2);
-                    const confirmation = Buffer.from([0x02, packetChecksum & 0xFF, (packetChecksum >> 8) & 0xFF]);
-                    socket.write(confirmation);
-                    logger.info('Confirmation sent for ignorable packet:', {
-                        address: socket.remoteAddress + ':' + socket.remotePort,
-                        hex: confirmation.toString('hex').toUpperCase(),
-                        checksum: `0x${confirmation.slice(1).toString('hex').toUpperCase()}`,
-                        timestamp: new Date().toISOString()
-                    });
+                    confirmationManager.send(socket, packet, 'Confirmation sent for ignorable packet:');
                     continue;
                 }
 
                 if (isExtensionPacket) {
                     // Handle extension packet immediately
-                    const packetChecksum = packet.readUInt16LE(packet.length - 2);
-                    const confirmation = Buffer.from([0x02, packetChecksum & 0xFF, (packetChecksum >> 8) & 0xFF]);
-                    socket.write(confirmation);
-                    logger.info('Confirmation sent for extension packet:', {
-                        address: socket.remoteAddress + ':' + socket.remotePort,
-                        hex: confirmation.toString('hex').toUpperCase(),
-                        checksum: `0x${confirmation.slice(1).toString('hex').toUpperCase()}`,
-                        timestamp: new Date().toISOString()
+                    confirmationManager.send(socket, packet, 'Confirmation sent for extension packet:');
+                    continue;
+                }
+
+                // Replies to server commands carry no records, store them with their command
+                if (commandManager.isCommandReply(packet)) {
+                    confirmationManager.send(socket, packet, 'Confirmation sent for command reply:');
+                    commandManager.handleReply(packet, socket).catch((error) => {
+                        logger.error('Error handling command reply:', {
+                            address: socket.remoteAddress + ':' + socket.remotePort,
+                            error: error.message
+                        });
                     });
                     continue;
                 }
@@ -195,26 +252,44 @@ const tcpServer = net.createServer((socket) => {
             for (const packetInfo of packets) {
                 const metadata = {
                     address: socket.remoteAddress + ':' + socket.remotePort,
+                    sessionId: session.id,
+                    imei: session.imei,
                     packetType: `0x${packetInfo.packetType.toString(16).padStart(2, '0')}`,
                     length: packetInfo.actualLength,
                     timestamp: new Date().toISOString()
                 };
 
-                // Send confirmation immediately (don't wait for processing)
-                const packetChecksum = packetInfo.packet.readUInt16LE(packetInfo.packet.length - 2);
-                const confirmation = Buffer.from([0x02, packetChecksum & 0xFF, (packetChecksum >> 8) & 0xFF]);
-                socket.write(confirmation);
-                
-                logger.info('Confirmation sent:', {
-                    address: socket.remoteAddress + ':' + socket.remotePort,
-                    hex: confirmation.toString('hex').toUpperCase(),
-                    checksum: `0x${confirmation.slice(1).toString('hex').toUpperCase()}`,
-                    packetLength: packetInfo.actualLength,
-                    timestamp: new Date().toISOString()
-                });
+                if (confirmationManager.isDurable()) {
+                    // Hold the confirmation until the queue reports the records as committed
+                    metadata.confirmationKey = confirmationManager.track(socket, packetInfo.packet, metadata);
+                } else {
+                    // Send confirmation immediately (don't wait for processing)
+                    confirmationManager.send(socket, packetInfo.packet);
+                }
+
+                // Stop reading from the device while the queue is full
+                const paused = packetQueue.isFull();
+                if (paused) {
+                    logger.warn('Packet queue full, pausing device socket:', {
+                        address: metadata.address,
+                        queueSize: packetQueue.queue.length
+                    });
+                    socket.pause();
+                }
 
                 // Queue packet for processing
-                await packetQueue.enqueue(packetInfo.packet, socket, metadata);
+                try {
+                    await packetQueue.enqueue(packetInfo.packet, socket, metadata);
+                } catch (error) {
+                    if (metadata.confirmationKey) {
+                        confirmationManager.resolve(metadata.confirmationKey, false, error.message);
+                    }
+                    throw error;
+                } finally {
+                    if (paused && !socket.destroyed) {
+                        socket.resume();
+                    }
+                }
             }
 
         } catch (error) {
@@ -253,6 +328,10 @@ const tcpServer = net.createServer((socket) => {
         // Clear buffer on disconnect
         buffer = Buffer.alloc(0);
         unsentData = Buffer.alloc(0);
+        // Nothing can be confirmed on a closed socket; the device resends on reconnect
+        confirmationManager.releaseSocket(socket);
+        commandManager.releaseSocket(socket);
+        sessionManager.close(socket);
     });
 
     socket.on('end', () => {
@@ -264,6 +343,8 @@ const tcpServer = net.createServer((socket) => {
     });
 });
 
+systemMonitor.watchTcpServer(tcpServer);
+
 // Start TCP server
 const PORT = process.env.TCP_PORT || 3003;
 tcpServer.listen(PORT, '0.0.0.0', () => {
@@ -291,8 +372,8 @@ process.on('SIGINT', async () => {
         logger.info('TCP server stopped accepting new connections');
     });
     
-    // Clear packet queue
-    await packetQueue.clear();
+    // Finish in-flight packets; queued ones stay journaled for the next start
+    await packetQueue.close();
     
     // Close HTTP server
     server.close(() => {
@@ -309,8 +390,8 @@ process.on('SIGTERM', async () => {
         logger.info('TCP server stopped accepting new connections');
     });
     
-    // Clear packet queue
-    await packetQueue.clear();
+    // Finish in-flight packets; queued ones stay journaled for the next start
+    await packetQueue.close();
     
     // Close HTTP server
     server.close(() => {
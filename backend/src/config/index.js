@@ -1,20 +1,56 @@
 // backend/src/config/index.js
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
+// The placeholder JWT_SECRET of .env.example; anyone can sign tokens with it
+const EXAMPLE_JWT_SECRET = 'your-secret-key';
+
+/**
+ * JWT_SECRET, else a random secret created on first start and kept in
+ * data/jwt-secret, so no install signs tokens with a known key
+ */
+function jwtSecret(env) {
+    const secret = process.env.JWT_SECRET;
+    if (secret === EXAMPLE_JWT_SECRET) {
+        throw new Error('JWT_SECRET is set to the example value; set a secret of your own or leave it empty to generate one');
+    }
+    if (secret) {
+        return secret;
+    }
+    if (env === 'test') {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+    const file = path.join(__dirname, '..', '..', 'data', 'jwt-secret');
+    if (!fs.existsSync(file)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, crypto.randomBytes(32).toString('base64url'), { mode: 0o600 });
+    }
+    return fs.readFileSync(file, 'utf8').trim();
+}
+
 const config = {
     env: process.env.NODE_ENV || 'development',
     
     http: {
         port: parseInt(process.env.HTTP_PORT) || 3000,
         cors: {
-            origin: process.env.CORS_ORIGIN || '*'
+            // Comma-separated origins allowed to call the API with the login cookie,
+            // by default the frontend as ecosystem.config.js serves it. Pages on the
+            // API's own origin need no entry; any other origin, even on the same
+            // host, is refused.
+            origin: (process.env.CORS_ORIGIN || 'http://localhost:3002').split(',').map(origin => origin.trim()),
+            credentials: true
         }
     },
 
     tcp: {
         port: parseInt(process.env.TCP_PORT) || 3003,
-        timeout: parseInt(process.env.TCP_TIMEOUT) || 30000
+        timeout: parseInt(process.env.TCP_TIMEOUT) || 30000,
+        // 'immediate' confirms packets on receipt, 'durable' only after the records are committed
+        confirmationMode: process.env.TCP_CONFIRMATION_MODE || 'immediate',
+        confirmationTimeout: parseInt(process.env.TCP_CONFIRMATION_TIMEOUT) || 10000
     },
 
     parser: {
@@ -56,10 +92,81 @@ const config = {
         enableWorkerThreads: process.env.ENABLE_WORKER_THREADS === 'true' || false
     },
 
+    queue: {
+        maxSize: parseInt(process.env.QUEUE_MAX_SIZE) || 1000,
+        maxConcurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 4,
+        // Retries after the first attempt; 0 sends failed packets straight to the dead letters
+        maxRetries: process.env.QUEUE_MAX_RETRIES !== undefined ? parseInt(process.env.QUEUE_MAX_RETRIES) || 0 : 3,
+        retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY) || 1000, // Doubled on every retry
+        directory: process.env.QUEUE_DIRECTORY || path.join(__dirname, '..', '..', 'data', 'queue'),
+        journalSync: process.env.QUEUE_JOURNAL_SYNC === 'true' // fsync every journal write
+    },
+
+    backups: {
+        directory: process.env.BACKUP_DIRECTORY || path.join(__dirname, '..', '..', 'data', 'backups'),
+        // Milliseconds between scheduled database backups; 0 turns them off
+        interval: process.env.BACKUP_INTERVAL !== undefined ? parseInt(process.env.BACKUP_INTERVAL) || 0 : 24 * 60 * 60 * 1000,
+        // Scheduled backups kept, 0 for all; manual backups are never rotated
+        keep: process.env.BACKUP_KEEP !== undefined ? parseInt(process.env.BACKUP_KEEP) || 0 : 7
+    },
+
+    exports: {
+        directory: process.env.EXPORT_DIRECTORY || path.join(__dirname, '..', '..', 'data', 'exports'),
+        expiry: parseInt(process.env.EXPORT_EXPIRY) || 24 * 60 * 60 * 1000 // Milliseconds finished export files are kept
+    },
+
+    commands: {
+        replyTimeout: parseInt(process.env.COMMAND_REPLY_TIMEOUT) || 60000 // Mark sent commands as timed out after this
+    },
+
+    notifications: {
+        timeout: parseInt(process.env.NOTIFY_TIMEOUT) || 10000, // Per delivery attempt
+        maxRetries: parseInt(process.env.NOTIFY_MAX_RETRIES) || 3, // Webhook retries after the first attempt
+        retryDelay: parseInt(process.env.NOTIFY_RETRY_DELAY) || 1000 // Doubled on every retry
+    },
+
+    trips: {
+        minSpeed: parseFloat(process.env.TRIP_MIN_SPEED) || 5, // km/h; slower records count as stationary
+        stopDuration: parseInt(process.env.TRIP_STOP_DURATION) || 180, // Seconds stationary before a trip ends
+        maxGap: parseInt(process.env.TRIP_MAX_GAP) || 600, // Seconds without records before a trip ends
+        minDistance: parseInt(process.env.TRIP_MIN_DISTANCE) || 100, // Meters; shorter movements are GPS drift
+        // Input (0-3) wired to the ignition; unset to detect trips from speed alone
+        ignitionInput: /^[0-3]$/.test(process.env.TRIP_IGNITION_INPUT || '') ? parseInt(process.env.TRIP_IGNITION_INPUT) : null
+    },
+
+    retention: {
+        days: parseInt(process.env.DATA_RETENTION_DAYS) || 30, // Records older than this are removed by storage cleanup
+        // Milliseconds between runs of the retention policies; 0 turns them off
+        interval: process.env.RETENTION_INTERVAL !== undefined ? parseInt(process.env.RETENTION_INTERVAL) || 0 : 60 * 60 * 1000
+    },
+
+    devices: {
+        onlineTimeout: parseInt(process.env.DEVICE_ONLINE_TIMEOUT) || 300 // Seconds since last seen before a device counts as offline
+    },
+
+    dashboard: {
+        updateInterval: parseInt(process.env.DASHBOARD_UPDATE_INTERVAL) || 10000, // How often live statistics are pushed
+        topDevices: parseInt(process.env.DASHBOARD_TOP_DEVICES) || 5 // Vehicles listed by distance driven
+    },
+
     jwt: {
-        secret: process.env.JWT_SECRET || 'your-secret-key',
+        secret: jwtSecret(process.env.NODE_ENV || 'development'),
         expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    },
+
+    auth: {
+        cookieName: process.env.AUTH_COOKIE_NAME || 'token',
+        // First-run admin account, created when there are no users
+        adminUsername: process.env.ADMIN_USERNAME || 'admin',
+        adminPassword: process.env.ADMIN_PASSWORD // Generated and logged once when unset
     }
 };
 
+// Phones run the same services with the lighter settings of config/mobile.js
+if (config.env === 'mobile') {
+    Object.entries(require('./mobile')).forEach(([section, settings]) => {
+        config[section] = { ...config[section], ...settings };
+    });
+}
+
 module.exports = config;
@@ -1,75 +1,55 @@
 const path = require('path');
 
+// The lightweight profile phones run with (NODE_ENV=mobile, see src/mobile.js).
+// Each section is merged over the same section of config/index.js, so only
+// what differs on a phone is listed here.
 module.exports = {
-  env: 'mobile',
-  
-  // Optimize for mobile hardware
   http: {
-    port: parseInt(process.env.PORT) || 3001,
-    cors: {
-      origin: process.env.CORS_ORIGIN || '*'
-    }
+    port: parseInt(process.env.HTTP_PORT) || 3001 // Where the Termux backends served the phone UIs
   },
 
   tcp: {
-    port: parseInt(process.env.TCP_PORT) || 3003,
-    timeout: parseInt(process.env.TCP_TIMEOUT) || 15000, // Reduced timeout
-    maxConnections: 10 // Reduced for mobile
-  },
-
-  parser: {
-    maxPacketSize: parseInt(process.env.MAX_PACKET_SIZE) || 512, // Reduced for mobile
-    validateChecksum: true
+    timeout: parseInt(process.env.TCP_TIMEOUT) || 15000
   },
 
   database: {
-    dialect: 'sqlite',
-    storage: path.join(__dirname, '..', '..', 'data', 'mobile.sqlite'),
-    logging: false, // Disable logging for performance
-    pool: {
-      max: 5, // Reduced connection pool
-      min: 0,
-      acquire: 30000,
-      idle: 10000
+    mobile: {
+      dialect: 'sqlite',
+      storage: path.join(__dirname, '..', '..', 'data', 'mobile.sqlite'),
+      logging: false
     }
   },
 
-  logging: {
-    level: process.env.LOG_LEVEL || 'warn', // Reduced logging
-    directory: path.join(__dirname, '..', '..', 'logs'),
-    maxFiles: 3, // Keep only 3 log files
-    maxSize: '5m' // Max 5MB per log file
+  websocket: {
+    heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 60000
   },
 
-  websocket: {
-    heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 60000 // Increased interval
+  queue: {
+    maxSize: parseInt(process.env.QUEUE_MAX_SIZE) || 200,
+    maxConcurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 1
   },
 
-  // Mobile-specific optimizations
-  mobile: {
-    batteryOptimization: true,
-    storageManagement: true,
-    autoCleanup: true,
-    maxStorageMB: 100,
-    cleanupThreshold: 50, // MB
-    keepDays: 30 // Keep data for 30 days
+  backups: {
+    keep: process.env.BACKUP_KEEP !== undefined ? parseInt(process.env.BACKUP_KEEP) || 0 : 3
   },
 
-  // Security for mobile deployment
-  security: {
-    allowedNetworks: ['192.168.0.0/16', '10.0.0.0/8', '172.16.0.0/12'],
-    requireAuth: false, // Disable for local network
-    rateLimit: {
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 100 // limit each IP to 100 requests per windowMs
-    }
+  exports: {
+    expiry: parseInt(process.env.EXPORT_EXPIRY) || 60 * 60 * 1000
+  },
+
+  retention: {
+    days: parseInt(process.env.DATA_RETENTION_DAYS) || 14
   },
 
-  // Performance tuning
-  performance: {
-    enableCompression: true,
-    enableCaching: true,
-    cacheMaxAge: 300, // 5 minutes
-    enableGzip: true
+  dashboard: {
+    updateInterval: parseInt(process.env.DASHBOARD_UPDATE_INTERVAL) || 30000
+  },
+
+  mobile: {
+    peerSyncPort: parseInt(process.env.PEER_SYNC_PORT) || 3002, // Where other phones pair and sync
+    memoryRecords: parseInt(process.env.MOBILE_MEMORY_RECORDS) || 100000, // Latest records held for peer sync
+    saveInterval: parseInt(process.env.MOBILE_SAVE_INTERVAL) || 30000, // Milliseconds between saves of those records
+    // parsed_data.json, devices.json and the peer sync state, where the Termux backends kept them
+    dataDirectory: process.env.MOBILE_DATA_DIRECTORY || path.join(__dirname, '..', '..', '..', 'data')
   }
-}; 
\ No newline at end of file
+};
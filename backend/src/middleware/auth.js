@@ -0,0 +1,66 @@
+// backend/src/middleware/auth.js
+const config = require('../config');
+const authService = require('../services/authService');
+
+function readCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) {
+        return null;
+    }
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+// The token comes from an "Authorization: Bearer" header or the auth cookie set on login
+function readToken(req) {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return readCookie(req, config.auth.cookieName);
+}
+
+// The user a request is authenticated as, or null
+async function identify(req) {
+    const token = readToken(req);
+    return token ? authService.verifyToken(token) : null;
+}
+
+// Sets req.user for a valid token and rejects the request otherwise
+async function requireAuth(req, res, next) {
+    try {
+        const user = await identify(req);
+        if (!user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Only lets users with one of the given roles through; use after requireAuth
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Permission denied' });
+        }
+        next();
+    };
+}
+
+// Viewers may read everything they can see but change nothing
+function rejectViewerChanges(req, res, next) {
+    if (req.user.role === 'viewer' && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        return res.status(403).json({ message: 'Permission denied' });
+    }
+    next();
+}
+
+module.exports = { requireAuth, requireRole, rejectViewerChanges, identify, readToken };
@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('Commands', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      deviceImei: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        references: {
+          model: 'Devices',
+          key: 'imei'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      commandNumber: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      command: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sent', 'replied', 'timeout', 'failed'),
+        defaultValue: 'pending'
+      },
+      response: {
+        type: Sequelize.TEXT
+      },
+      responseData: {
+        type: Sequelize.TEXT
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      },
+      error: {
+        type: Sequelize.STRING
+      },
+      sentAt: {
+        type: Sequelize.DATE
+      },
+      repliedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('Commands', ['deviceImei', 'createdAt']);
+    await queryInterface.addIndex('Commands', ['deviceImei', 'commandNumber']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('Commands');
+  }
+};
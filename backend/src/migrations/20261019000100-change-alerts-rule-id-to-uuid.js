@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // AlertRules use UUID primary keys
+    await queryInterface.changeColumn('alerts', 'ruleId', {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'AlertRules',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('alerts', 'ruleId', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'AlertRules',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+  }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('AlertRules', 'clearCondition', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn('AlertRules', 'duration', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('AlertRules', 'durationUnit', {
+      type: Sequelize.ENUM('seconds', 'records'),
+      allowNull: false,
+      defaultValue: 'seconds'
+    });
+    await queryInterface.addColumn('AlertRules', 'cooldown', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('AlertRules', 'cooldown');
+    await queryInterface.removeColumn('AlertRules', 'durationUnit');
+    await queryInterface.removeColumn('AlertRules', 'duration');
+    await queryInterface.removeColumn('AlertRules', 'clearCondition');
+  }
+};
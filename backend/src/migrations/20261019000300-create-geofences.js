@@ -0,0 +1,138 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('Geofences', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM('circle', 'polygon'),
+        allowNull: false
+      },
+      latitude: {
+        type: Sequelize.DOUBLE
+      },
+      longitude: {
+        type: Sequelize.DOUBLE
+      },
+      radius: {
+        type: Sequelize.DOUBLE
+      },
+      points: {
+        type: Sequelize.JSON
+      },
+      notifyOnEnter: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      notifyOnExit: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      dwellTime: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      severity: {
+        type: Sequelize.ENUM('low', 'medium', 'high', 'critical'),
+        defaultValue: 'low'
+      },
+      color: {
+        type: Sequelize.STRING,
+        defaultValue: '#1976d2'
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('DeviceGeofences', {
+      deviceId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'Devices',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      geofenceId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'Geofences',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Geofence events are stored as alerts without a rule
+    await queryInterface.changeColumn('alerts', 'ruleId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'AlertRules',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    await queryInterface.addColumn('alerts', 'geofenceId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'Geofences',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    await queryInterface.addIndex('alerts', ['geofenceId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('alerts', ['geofenceId']);
+    await queryInterface.removeColumn('alerts', 'geofenceId');
+    await queryInterface.bulkDelete('alerts', { ruleId: null });
+    await queryInterface.changeColumn('alerts', 'ruleId', {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'AlertRules',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+    await queryInterface.dropTable('DeviceGeofences');
+    await queryInterface.dropTable('Geofences');
+  }
+};
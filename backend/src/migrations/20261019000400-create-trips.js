@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('Trips', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      deviceImei: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        references: {
+          model: 'Devices',
+          key: 'imei'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      startTime: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      endTime: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      startLatitude: {
+        type: Sequelize.DOUBLE
+      },
+      startLongitude: {
+        type: Sequelize.DOUBLE
+      },
+      endLatitude: {
+        type: Sequelize.DOUBLE
+      },
+      endLongitude: {
+        type: Sequelize.DOUBLE
+      },
+      distance: {
+        type: Sequelize.DOUBLE,
+        allowNull: false,
+        defaultValue: 0
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      idleTime: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxSpeed: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      avgSpeed: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      recordCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('Trips', ['deviceImei', 'startTime']);
+    await queryInterface.addIndex('Trips', ['deviceImei', 'endTime']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('Trips');
+  }
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('NotificationChannels', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM('webhook', 'email', 'mqtt'),
+        allowNull: false
+      },
+      config: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      subject: {
+        type: Sequelize.STRING
+      },
+      template: {
+        type: Sequelize.TEXT
+      },
+      notifyOnResolve: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('AlertRuleChannels', {
+      ruleId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'AlertRules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      channelId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'NotificationChannels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('NotificationLogs', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      channelId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'NotificationChannels',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      alertId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      event: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('sent', 'failed'),
+        allowNull: false
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      message: {
+        type: Sequelize.TEXT
+      },
+      response: {
+        type: Sequelize.TEXT
+      },
+      error: {
+        type: Sequelize.TEXT
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('NotificationLogs', ['channelId', 'createdAt']);
+    await queryInterface.addIndex('NotificationLogs', ['alertId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('NotificationLogs');
+    await queryInterface.dropTable('AlertRuleChannels');
+    await queryInterface.dropTable('NotificationChannels');
+  }
+};
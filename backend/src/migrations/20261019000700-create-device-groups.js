@@ -0,0 +1,106 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Users', 'role', {
+      type: Sequelize.ENUM('admin', 'operator', 'viewer'),
+      allowNull: false,
+      defaultValue: 'viewer'
+    });
+    // Accounts created before roles existed had full access
+    await queryInterface.bulkUpdate('Users', { role: 'admin' }, {});
+
+    await queryInterface.createTable('DeviceGroups', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        unique: true,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('DeviceGroupDevices', {
+      groupId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'DeviceGroups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      deviceId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'Devices',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('UserDeviceGroups', {
+      userId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      groupId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        references: {
+          model: 'DeviceGroups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('UserDeviceGroups');
+    await queryInterface.dropTable('DeviceGroupDevices');
+    await queryInterface.dropTable('DeviceGroups');
+    await queryInterface.removeColumn('Users', 'role');
+  }
+};
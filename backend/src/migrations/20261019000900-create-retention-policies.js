@@ -0,0 +1,70 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('RetentionPolicies', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      deviceId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'Devices',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      groupId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'DeviceGroups',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      rawDays: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      downsampleInterval: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      deleteDays: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Retention walks each device's records in time order
+    await queryInterface.addIndex('Records', ['deviceImei', 'datetime']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('Records', ['deviceImei', 'datetime']);
+    await queryInterface.dropTable('RetentionPolicies');
+  }
+};
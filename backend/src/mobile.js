@@ -0,0 +1,48 @@
+// backend/src/mobile.js
+
+// Entry point for phones (Termux): the server's parser, packet processing,
+// storage and API with the lighter settings of config/mobile.js, plus the
+// peer server other phones pair and sync with
+process.env.NODE_ENV = 'mobile';
+
+const path = require('path');
+const config = require('./config');
+const { sequelize } = require('./models');
+const authService = require('./services/authService');
+const logger = require('./utils/logger');
+
+async function startMobile() {
+    // A phone starts from an empty database; create the tables before the
+    // services load their settings, rules and geofences
+    await sequelize.sync();
+    await authService.bootstrapAdmin();
+
+    // Starts the HTTP and TCP servers
+    require('./app');
+    const packetProcessor = require('./services/packetProcessor');
+    const mobileStore = require('./services/mobileStore');
+    const { initializePeerSync } = require('./routes/peer');
+
+    // Keep the latest records in memory for peer sync
+    mobileStore.load();
+    packetProcessor.on('saved', records => mobileStore.add(records));
+    mobileStore.startAutoSave();
+    process.on('exit', () => mobileStore.stop());
+
+    // lastIMEI changes with every packet, so the peer server reads it when asked
+    const lastIMEI = () => global.lastIMEI;
+    const peerSync = initializePeerSync(global.parsedData, global.devices, lastIMEI, {
+        port: config.mobile.peerSyncPort,
+        stateFile: path.join(config.mobile.dataDirectory, 'peer-sync-state.json')
+    });
+    // Records from peers go into the database too, not only parsedData
+    peerSync.on('records', (records, replaced) => mobileStore.persist(records, replaced));
+    peerSync.startPeerServer(global.parsedData, global.devices, lastIMEI);
+
+    logger.info(`Mobile backend ready: web app on port ${config.http.port}, trackers on port ${config.tcp.port}, peers on port ${config.mobile.peerSyncPort}`);
+}
+
+startMobile().catch((error) => {
+    logger.error('Failed to start mobile backend:', error);
+    process.exit(1);
+});
@@ -13,14 +13,22 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             allowNull: false
         },
-        ruleId: {
-            type: DataTypes.INTEGER,
-            allowNull: false,
+        ruleId: { // Set for rule alerts
+            type: DataTypes.UUID,
+            allowNull: true,
             references: {
                 model: 'AlertRules',
                 key: 'id'
             }
         },
+        geofenceId: { // Set for geofence enter/exit/dwell alerts
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: {
+                model: 'Geofences',
+                key: 'id'
+            }
+        },
         message: {
             type: DataTypes.STRING,
             allowNull: false
@@ -20,6 +20,25 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             allowNull: false,
         },
+        clearCondition: { // Condition that resolves an active alert; defaults to the condition no longer holding
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+        duration: { // How long the condition must hold before an alert is raised
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        durationUnit: { // "seconds" of record time or consecutive "records"
+            type: DataTypes.ENUM('seconds', 'records'),
+            allowNull: false,
+            defaultValue: 'seconds',
+        },
+        cooldown: { // Seconds after an alert is resolved before the rule can fire again for the device
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
         enabled: {
             type: DataTypes.BOOLEAN,
             defaultValue: true,
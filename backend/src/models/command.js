@@ -0,0 +1,56 @@
+// backend/src/models/command.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Command = sequelize.define('Command', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        deviceImei: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        // Random 32-bit number sent in tag 0xE0; the device echoes it in its reply
+        commandNumber: {
+            type: DataTypes.BIGINT,
+            allowNull: false
+        },
+        command: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('pending', 'sent', 'replied', 'timeout', 'failed'),
+            defaultValue: 'pending'
+        },
+        response: {
+            type: DataTypes.TEXT
+        },
+        // Hex of the optional binary reply data (tag 0xEB)
+        responseData: {
+            type: DataTypes.TEXT
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        },
+        error: {
+            type: DataTypes.STRING
+        },
+        sentAt: {
+            type: DataTypes.DATE
+        },
+        repliedAt: {
+            type: DataTypes.DATE
+        }
+    }, {
+        indexes: [
+            { fields: ['deviceImei', 'createdAt'] },
+            { fields: ['deviceImei', 'commandNumber'] }
+        ]
+    });
+
+    return Command;
+};
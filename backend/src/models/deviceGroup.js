@@ -0,0 +1,24 @@
+// backend/src/models/deviceGroup.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const DeviceGroup = sequelize.define('DeviceGroup', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        name: {
+            type: DataTypes.STRING,
+            unique: true,
+            allowNull: false
+        },
+        description: {
+            type: DataTypes.TEXT
+        }
+    }, {
+        tableName: 'DeviceGroups'
+    });
+
+    return DeviceGroup;
+};
@@ -0,0 +1,61 @@
+// backend/src/models/geofence.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Geofence = sequelize.define('Geofence', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        type: {
+            type: DataTypes.ENUM('circle', 'polygon'),
+            allowNull: false
+        },
+        latitude: { // Circle centre
+            type: DataTypes.DOUBLE
+        },
+        longitude: {
+            type: DataTypes.DOUBLE
+        },
+        radius: { // Circle radius in meters
+            type: DataTypes.DOUBLE
+        },
+        points: { // Polygon vertices: [{ latitude, longitude }, ...]
+            type: DataTypes.JSON
+        },
+        notifyOnEnter: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        },
+        notifyOnExit: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        },
+        dwellTime: { // Seconds inside the zone before a dwell alert; 0 disables it
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        severity: {
+            type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+            defaultValue: 'low'
+        },
+        color: {
+            type: DataTypes.STRING,
+            defaultValue: '#1976d2'
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'Geofences'
+    });
+
+    return Geofence;
+};
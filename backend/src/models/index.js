@@ -10,6 +10,15 @@ const defineFieldMapping = require('./mapping');
 const defineAlertRule = require('./alertRule');
 const defineRecord = require('./record');
 const defineAlert = require('./alert');
+const defineCommand = require('./command');
+const defineGeofence = require('./geofence');
+const defineTrip = require('./trip');
+const defineNotificationChannel = require('./notificationChannel');
+const defineNotificationLog = require('./notificationLog');
+const defineUser = require('./user');
+const defineDeviceGroup = require('./deviceGroup');
+const defineSetting = require('./setting');
+const defineRetentionPolicy = require('./retentionPolicy');
 
 const env = process.env.NODE_ENV || 'development';
 const dbConfig = config.database[env];
@@ -31,6 +40,15 @@ const FieldMapping = defineFieldMapping(sequelize);
 const AlertRule = defineAlertRule(sequelize);
 const Record = defineRecord(sequelize);
 const Alert = defineAlert(sequelize);
+const Command = defineCommand(sequelize);
+const Geofence = defineGeofence(sequelize);
+const Trip = defineTrip(sequelize);
+const NotificationChannel = defineNotificationChannel(sequelize);
+const NotificationLog = defineNotificationLog(sequelize);
+const User = defineUser(sequelize);
+const DeviceGroup = defineDeviceGroup(sequelize);
+const Setting = defineSetting(sequelize);
+const RetentionPolicy = defineRetentionPolicy(sequelize);
 
 // Setup associations
 Device.hasMany(FieldMapping, {
@@ -38,13 +56,16 @@ Device.hasMany(FieldMapping, {
     as: 'mappings'
 });
 
+// Records reference their device by IMEI, not by the device's UUID
 Device.hasMany(Record, {
     foreignKey: 'deviceImei',
+    sourceKey: 'imei',
     as: 'records'
 });
 
 Record.belongsTo(Device, {
     foreignKey: 'deviceImei',
+    targetKey: 'imei',
     as: 'device'
 });
 
@@ -58,6 +79,121 @@ Alert.belongsTo(AlertRule, {
     as: 'rule'
 });
 
+Device.hasMany(Command, {
+    foreignKey: 'deviceImei',
+    sourceKey: 'imei',
+    as: 'commands'
+});
+
+Command.belongsTo(Device, {
+    foreignKey: 'deviceImei',
+    targetKey: 'imei',
+    as: 'device'
+});
+
+Device.hasMany(Trip, {
+    foreignKey: 'deviceImei',
+    sourceKey: 'imei',
+    as: 'trips'
+});
+
+Trip.belongsTo(Device, {
+    foreignKey: 'deviceImei',
+    targetKey: 'imei',
+    as: 'device'
+});
+
+// Devices are assigned to the geofences they are checked against
+Device.belongsToMany(Geofence, {
+    through: 'DeviceGeofences',
+    foreignKey: 'deviceId',
+    otherKey: 'geofenceId',
+    as: 'geofences'
+});
+
+Geofence.belongsToMany(Device, {
+    through: 'DeviceGeofences',
+    foreignKey: 'geofenceId',
+    otherKey: 'deviceId',
+    as: 'devices'
+});
+
+Geofence.hasMany(Alert, {
+    foreignKey: 'geofenceId',
+    as: 'alerts'
+});
+
+Alert.belongsTo(Geofence, {
+    foreignKey: 'geofenceId',
+    as: 'geofence'
+});
+
+// Alert rules notify through the channels assigned to them
+AlertRule.belongsToMany(NotificationChannel, {
+    through: 'AlertRuleChannels',
+    foreignKey: 'ruleId',
+    otherKey: 'channelId',
+    as: 'channels'
+});
+
+NotificationChannel.belongsToMany(AlertRule, {
+    through: 'AlertRuleChannels',
+    foreignKey: 'channelId',
+    otherKey: 'ruleId',
+    as: 'rules'
+});
+
+NotificationChannel.hasMany(NotificationLog, {
+    foreignKey: 'channelId',
+    as: 'logs'
+});
+
+NotificationLog.belongsTo(NotificationChannel, {
+    foreignKey: 'channelId',
+    as: 'channel'
+});
+
+// Users see the devices of the groups they belong to
+DeviceGroup.belongsToMany(Device, {
+    through: 'DeviceGroupDevices',
+    foreignKey: 'groupId',
+    otherKey: 'deviceId',
+    as: 'devices'
+});
+
+Device.belongsToMany(DeviceGroup, {
+    through: 'DeviceGroupDevices',
+    foreignKey: 'deviceId',
+    otherKey: 'groupId',
+    as: 'groups'
+});
+
+DeviceGroup.belongsToMany(User, {
+    through: 'UserDeviceGroups',
+    foreignKey: 'groupId',
+    otherKey: 'userId',
+    as: 'users'
+});
+
+User.belongsToMany(DeviceGroup, {
+    through: 'UserDeviceGroups',
+    foreignKey: 'userId',
+    otherKey: 'groupId',
+    as: 'groups'
+});
+
+RetentionPolicy.belongsTo(Device, {
+    foreignKey: 'deviceId',
+    as: 'device',
+    onDelete: 'CASCADE'
+});
+
+RetentionPolicy.belongsTo(DeviceGroup, {
+    foreignKey: 'groupId',
+    as: 'group',
+    onDelete: 'CASCADE'
+});
+
 // Export models and Sequelize instance
 module.exports = {
     sequelize,
@@ -65,5 +201,14 @@ module.exports = {
     FieldMapping,
     AlertRule,
     Record,
-    Alert
+    Alert,
+    Command,
+    Geofence,
+    Trip,
+    NotificationChannel,
+    NotificationLog,
+    User,
+    DeviceGroup,
+    Setting,
+    RetentionPolicy
 };
@@ -0,0 +1,43 @@
+// backend/src/models/notificationChannel.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const NotificationChannel = sequelize.define('NotificationChannel', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        type: {
+            type: DataTypes.ENUM('webhook', 'email', 'mqtt'),
+            allowNull: false
+        },
+        config: { // Connection settings for the type: url, headers / SMTP host, from, to / broker url, topic
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: {}
+        },
+        subject: { // Email subject template
+            type: DataTypes.STRING
+        },
+        template: { // Message template with {{placeholders}}; a default is used when empty
+            type: DataTypes.TEXT
+        },
+        notifyOnResolve: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: false
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'NotificationChannels'
+    });
+
+    return NotificationChannel;
+};
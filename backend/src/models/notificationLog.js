@@ -0,0 +1,50 @@
+// backend/src/models/notificationLog.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const NotificationLog = sequelize.define('NotificationLog', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        channelId: {
+            type: DataTypes.UUID,
+            allowNull: false
+        },
+        alertId: { // Empty for test sends
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        event: { // triggered, resolved or test
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('sent', 'failed'),
+            allowNull: false
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1
+        },
+        message: {
+            type: DataTypes.TEXT
+        },
+        response: {
+            type: DataTypes.TEXT
+        },
+        error: {
+            type: DataTypes.TEXT
+        }
+    }, {
+        tableName: 'NotificationLogs',
+        indexes: [
+            { fields: ['channelId', 'createdAt'] },
+            { fields: ['alertId'] }
+        ]
+    });
+
+    return NotificationLog;
+};
@@ -204,6 +204,9 @@ module.exports = (sequelize) => {
   }, {
     sequelize,
     modelName: 'Record',
+    indexes: [
+      { fields: ['deviceImei', 'datetime'] }
+    ]
   });
   return Record;
 }; 
\ No newline at end of file
@@ -0,0 +1,47 @@
+// backend/src/models/retentionPolicy.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const RetentionPolicy = sequelize.define('RetentionPolicy', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        // A policy covers one device, one device group, or (with neither)
+        // every device without a policy of its own
+        deviceId: {
+            type: DataTypes.UUID,
+            allowNull: true
+        },
+        groupId: {
+            type: DataTypes.UUID,
+            allowNull: true
+        },
+        rawDays: { // Days records are kept as received
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        downsampleInterval: { // Seconds per kept point after rawDays; null keeps every record
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        deleteDays: { // Days after which records are deleted; null keeps them
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        }
+    }, {
+        tableName: 'RetentionPolicies'
+    });
+
+    return RetentionPolicy;
+};
@@ -0,0 +1,19 @@
+// backend/src/models/setting.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Setting = sequelize.define('Setting', {
+        key: { // Setting name, see settingsManager.DEFINITIONS
+            type: DataTypes.STRING,
+            primaryKey: true
+        },
+        value: {
+            type: DataTypes.JSON,
+            allowNull: true
+        }
+    }, {
+        tableName: 'Settings'
+    });
+
+    return Setting;
+};
@@ -0,0 +1,74 @@
+// backend/src/models/trip.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const Trip = sequelize.define('Trip', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        deviceImei: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        startTime: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        endTime: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        startLatitude: {
+            type: DataTypes.DOUBLE
+        },
+        startLongitude: {
+            type: DataTypes.DOUBLE
+        },
+        endLatitude: {
+            type: DataTypes.DOUBLE
+        },
+        endLongitude: {
+            type: DataTypes.DOUBLE
+        },
+        distance: { // Meters
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 0
+        },
+        duration: { // Seconds
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        idleTime: { // Seconds stationary during the trip
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        maxSpeed: { // km/h
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0
+        },
+        avgSpeed: { // km/h over the time spent moving
+            type: DataTypes.FLOAT,
+            allowNull: false,
+            defaultValue: 0
+        },
+        recordCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        tableName: 'Trips',
+        indexes: [
+            { fields: ['deviceImei', 'startTime'] },
+            { fields: ['deviceImei', 'endTime'] }
+        ]
+    });
+
+    return Trip;
+};
@@ -0,0 +1,48 @@
+// backend/src/models/user.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const User = sequelize.define('User', {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true
+        },
+        username: {
+            type: DataTypes.STRING,
+            unique: true,
+            allowNull: false
+        },
+        passwordHash: { // scrypt$<salt>$<hash>, see authService.hashPassword
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        tokenVersion: { // Incremented on logout to revoke the user's issued tokens
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        role: { // admin: everything; operator: manages devices in their groups; viewer: read-only
+            type: DataTypes.ENUM('admin', 'operator', 'viewer'),
+            allowNull: false,
+            defaultValue: 'viewer'
+        },
+        enabled: {
+            type: DataTypes.BOOLEAN,
+            defaultValue: true
+        },
+        lastLoginAt: {
+            type: DataTypes.DATE
+        }
+    }, {
+        tableName: 'Users',
+        defaultScope: {
+            attributes: { exclude: ['passwordHash'] }
+        },
+        scopes: {
+            withPassword: {}
+        }
+    });
+
+    return User;
+};
@@ -2,19 +2,44 @@
 const express = require('express');
 const router = express.Router();
 const alertManager = require('../services/alertManager');
-const { Alert, AlertRule, sequelize } = require('../models'); // Import models and sequelize
+const accessControl = require('../services/accessControl');
+const { requireRole } = require('../middleware/auth');
+const { Alert, AlertRule, NotificationChannel, sequelize } = require('../models'); // Import models and sequelize
 const asyncHandler = require('../utils/asyncHandler'); // Import asyncHandler
 const { Op } = require('sequelize'); // Import Op for operators
 
+const channelInclude = { model: NotificationChannel, as: 'channels', attributes: ['id', 'name', 'type'], through: { attributes: [] } };
+
+// Notification channels for a rule ({ channelIds: [...] }); null if any does not exist
+async function findChannels(channelIds) {
+    if (!Array.isArray(channelIds)) {
+        return null;
+    }
+    const channels = await NotificationChannel.findAll({ where: { id: channelIds } });
+    return channels.length === new Set(channelIds).size ? channels : null;
+}
+
+// Alert by ID; null if it does not exist or is for a device the user may not see
+async function findAlert(req) {
+    const alert = await Alert.findByPk(req.params.id);
+    if (!alert || !(await accessControl.canAccessDevice(req.user, alert.deviceId))) {
+        return null;
+    }
+    return alert;
+}
+
 // Get all alerts
 router.get('/', asyncHandler(async (req, res) => {
-    const alerts = await Alert.findAll();
+    const alerts = await Alert.findAll({
+        where: await accessControl.deviceWhere(req.user, 'deviceId')
+    });
     res.json(alerts);
 }));
 
 // Get alert history
 router.get('/history', asyncHandler(async (req, res) => {
     const alerts = await Alert.findAll({
+        where: await accessControl.deviceWhere(req.user, 'deviceId'),
         order: [['createdAt', 'DESC']],
         limit: 100 // Limit to last 100 alerts
     });
@@ -23,9 +48,12 @@ router.get('/history', asyncHandler(async (req, res) => {
 
 // Get alert statistics
 router.get('/stats', asyncHandler(async (req, res) => {
+    const deviceWhere = await accessControl.deviceWhere(req.user, 'deviceId');
+
     // Get severity distribution
     const severityDistribution = await Alert.findAll({
         attributes: ['severity', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: deviceWhere,
         group: ['severity']
     });
 
@@ -38,6 +66,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
             [sequelize.fn('COUNT', sequelize.col('id')), 'count']
         ],
         where: {
+            ...deviceWhere,
             createdAt: {
                 [Op.gte]: sevenDaysAgo
             }
@@ -49,6 +78,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
     // Get top triggers
     const topTriggers = await Alert.findAll({
         attributes: ['ruleId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: deviceWhere,
         group: ['ruleId'],
         order: [[sequelize.fn('COUNT', sequelize.col('id')), 'DESC']],
         limit: 5
@@ -64,38 +94,48 @@ router.get('/stats', asyncHandler(async (req, res) => {
 // Export alerts
 router.get('/export', asyncHandler(async (req, res) => {
     const alerts = await Alert.findAll({
-        include: [AlertRule],
+        where: await accessControl.deviceWhere(req.user, 'deviceId'),
+        include: [{ model: AlertRule, as: 'rule' }],
         order: [['createdAt', 'DESC']]
     });
     res.json(alerts);
 }));
 
-// Get alert by ID
-router.get('/:id', asyncHandler(async (req, res) => {
-    const alert = await Alert.findByPk(req.params.id);
-    if (!alert) {
-        return res.status(404).json({ message: 'Alert not found' });
-    }
-    res.json(alert);
+// Check a rule without saving it
+router.post('/rules/validate', asyncHandler(async (req, res) => {
+    const errors = alertManager.validateRule(req.body, { partial: true });
+    res.json({ valid: errors.length === 0, errors });
 }));
 
 // Create a new alert rule
-router.post('/rules', asyncHandler(async (req, res) => {
-    const rule = await AlertRule.create(req.body);
+router.post('/rules', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { channelIds, ...attributes } = req.body;
+    const errors = alertManager.validateRule(attributes);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid alert rule', errors });
+    }
+
+    const channels = channelIds !== undefined ? await findChannels(channelIds) : [];
+    if (!channels) {
+        return res.status(400).json({ message: 'Unknown notification channel in channelIds' });
+    }
+
+    const rule = await AlertRule.create(attributes);
+    await rule.setChannels(channels);
     // After creating a rule, reload the rules in the AlertManager
-    await alertManager.loadRules(); // Assuming you have a loadRules method
+    await alertManager.loadRules();
     res.status(201).json(rule);
 }));
 
 // Get all alert rules
 router.get('/rules', asyncHandler(async (req, res) => {
-    const rules = await AlertRule.findAll();
+    const rules = await AlertRule.findAll({ include: [channelInclude] });
     res.json(rules);
 }));
 
 // Get alert rule by ID
 router.get('/rules/:id', asyncHandler(async (req, res) => {
-    const rule = await AlertRule.findByPk(req.params.id);
+    const rule = await AlertRule.findByPk(req.params.id, { include: [channelInclude] });
     if (!rule) {
         return res.status(404).json({ message: 'Alert rule not found' });
     }
@@ -103,23 +143,36 @@ router.get('/rules/:id', asyncHandler(async (req, res) => {
 }));
 
 // Update an alert rule
-router.put('/rules/:id', asyncHandler(async (req, res) => {
+router.put('/rules/:id', requireRole('admin'), asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const updates = req.body;
+    const { channelIds, ...updates } = req.body;
     const rule = await AlertRule.findByPk(id);
 
     if (!rule) {
         return res.status(404).json({ message: 'Alert rule not found' });
     }
 
+    const errors = alertManager.validateRule(updates, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid alert rule', errors });
+    }
+
+    const channels = channelIds !== undefined ? await findChannels(channelIds) : undefined;
+    if (channels === null) {
+        return res.status(400).json({ message: 'Unknown notification channel in channelIds' });
+    }
+
     await rule.update(updates);
+    if (channels) {
+        await rule.setChannels(channels);
+    }
     // Reload rules after updating
     await alertManager.loadRules();
     res.json({ message: 'Alert rule updated successfully' });
 }));
 
 // Delete an alert rule
-router.delete('/rules/:id', asyncHandler(async (req, res) => {
+router.delete('/rules/:id', requireRole('admin'), asyncHandler(async (req, res) => {
     const { id } = req.params;
     const rule = await AlertRule.findByPk(id);
 
@@ -133,4 +186,33 @@ router.delete('/rules/:id', asyncHandler(async (req, res) => {
     res.json({ message: 'Alert rule deleted successfully' });
 }));
 
+// Get alert by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+    const alert = await findAlert(req);
+    if (!alert) {
+        return res.status(404).json({ message: 'Alert not found' });
+    }
+    res.json(alert);
+}));
+
+// Acknowledge an alert; the rule stays silent for the device until it is resolved
+router.post('/:id/acknowledge', asyncHandler(async (req, res) => {
+    const alert = await findAlert(req);
+    if (!alert) {
+        return res.status(404).json({ message: 'Alert not found' });
+    }
+    await alertManager.updateAlertStatus(alert, 'acknowledged');
+    res.json(alert);
+}));
+
+// Resolve an alert so its rule can fire again for the device
+router.post('/:id/resolve', asyncHandler(async (req, res) => {
+    const alert = await findAlert(req);
+    if (!alert) {
+        return res.status(404).json({ message: 'Alert not found' });
+    }
+    await alertManager.updateAlertStatus(alert, 'resolved');
+    res.json(alert);
+}));
+
 module.exports = router;
@@ -0,0 +1,65 @@
+// backend/src/routes/auth.js
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const authService = require('../services/authService');
+const { requireAuth, identify } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+
+function setTokenCookie(req, res, token) {
+    const { exp } = jwt.decode(token);
+    res.cookie(config.auth.cookieName, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        expires: new Date(exp * 1000)
+    });
+}
+
+// Log in; the token is set as an HTTP-only cookie and returned for API clients
+router.post('/login', asyncHandler(async (req, res) => {
+    const { username, password } = req.body || {};
+    const user = await authService.authenticate(username, password);
+    if (!user) {
+        return res.status(401).json({ message: 'Invalid username or password' });
+    }
+
+    const token = authService.issueToken(user);
+    setTokenCookie(req, res, token);
+    res.json({ ...authService.toJSON(user), token });
+}));
+
+// Current user, or 401 when not logged in
+router.get('/check', requireAuth, (req, res) => {
+    res.json(authService.toJSON(req.user));
+});
+
+// Log out, revoking the user's tokens on every browser
+router.post('/logout', asyncHandler(async (req, res) => {
+    const user = await identify(req);
+    if (user) {
+        await authService.revokeTokens(user);
+    }
+    res.clearCookie(config.auth.cookieName);
+    res.json({ message: 'Logged out' });
+}));
+
+// Change the current user's password
+router.put('/password', requireAuth, asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!(await authService.authenticate(req.user.username, currentPassword))) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const error = authService.validatePassword(newPassword);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    const user = await authService.changePassword(req.user, newPassword);
+    setTokenCookie(req, res, authService.issueToken(user));
+    res.json({ message: 'Password changed successfully' });
+}));
+
+module.exports = router;
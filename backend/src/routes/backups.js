@@ -0,0 +1,87 @@
+// backend/src/routes/backups.js
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const backupManager = require('../services/backupManager');
+const { BackupError } = require('../services/backupManager');
+const logger = require('../utils/logger');
+const asyncHandler = require('../utils/asyncHandler');
+
+const MAX_NAME_LENGTH = 100;
+
+// Report conflicts and bad backup files with their own status
+function sendBackupError(res, error) {
+    if (error instanceof BackupError) {
+        res.status(error.status).json({ message: error.message });
+        return true;
+    }
+    return false;
+}
+
+// List database backups, newest first
+router.get('/', asyncHandler(async (req, res) => {
+    res.json(await backupManager.list());
+}));
+
+// Create a backup ({ name })
+router.post('/', asyncHandler(async (req, res) => {
+    const { name } = req.body;
+    if (name !== undefined && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+        return res.status(400).json({
+            message: 'Invalid backup',
+            errors: [{ field: 'name', message: `Name must be a string of at most ${MAX_NAME_LENGTH} characters` }]
+        });
+    }
+
+    try {
+        res.status(201).json(await backupManager.create(name && name.trim()));
+    } catch (error) {
+        if (!sendBackupError(res, error)) {
+            throw error;
+        }
+    }
+}));
+
+// Download a backup as a gzip-compressed SQLite file
+router.get('/:id/download', asyncHandler(async (req, res) => {
+    const backup = await backupManager.get(req.params.id);
+    if (!backup) {
+        return res.status(404).json({ message: 'Backup not found' });
+    }
+
+    res.attachment(`${backup.id}.sqlite.gz`);
+    res.type('application/gzip');
+    pipeline(fs.createReadStream(backupManager.filePath(backup.id)), zlib.createGzip(), res, (error) => {
+        if (error) {
+            logger.error(`Error sending backup ${backup.id}: ${error.message}`);
+        }
+    });
+}));
+
+// Restore the database from a backup
+router.post('/:id/restore', asyncHandler(async (req, res) => {
+    try {
+        const backup = await backupManager.restore(req.params.id);
+        if (!backup) {
+            return res.status(404).json({ message: 'Backup not found' });
+        }
+        res.json({ message: 'Database restored successfully', backup });
+    } catch (error) {
+        if (!sendBackupError(res, error)) {
+            throw error;
+        }
+    }
+}));
+
+// Delete a backup
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const backup = await backupManager.remove(req.params.id);
+    if (!backup) {
+        return res.status(404).json({ message: 'Backup not found' });
+    }
+    res.json({ message: 'Backup deleted successfully' });
+}));
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// backend/src/routes/connections.js
+const express = require('express');
+const router = express.Router();
+const sessionManager = require('../services/sessionManager');
+const asyncHandler = require('../utils/asyncHandler');
+
+// List live device TCP sessions
+router.get('/', asyncHandler(async (req, res) => {
+    const sessions = req.query.imei
+        ? sessionManager.findByImei(req.query.imei)
+        : sessionManager.list();
+    res.json(sessions);
+}));
+
+module.exports = router;
@@ -3,20 +3,52 @@ const express = require('express');
 const router = express.Router();
 const asyncHandler = require('../utils/asyncHandler'); // Import your async error handler
 const dataAggregator = require('../services/dataAggregator'); // Import your data service
-const { Record } = require('../models');
+const accessControl = require('../services/accessControl');
+const tripDetector = require('../services/tripDetector');
+const trackExport = require('../services/trackExport');
+const { FORMATS: TRACK_FORMATS } = require('../services/trackExport');
+const recordQuery = require('../services/recordQuery');
+const exportManager = require('../services/exportManager');
+const { FORMATS: EXPORT_FORMATS } = require('../services/exportManager');
+const { Record, Device } = require('../models');
 const { Op } = require('sequelize');
 
-// Get device data
+// Device, record and alert statistics over the devices the user may see
+router.get('/dashboard', asyncHandler(async (req, res) => {
+    const stats = await dataAggregator.getDashboardStats(await accessControl.getDeviceImeis(req.user));
+    res.json(stats);
+}));
+
+// Devices the user may not see are reported as not found
+router.param('deviceId', (req, res, next, deviceId) => {
+    accessControl.canAccessDevice(req.user, deviceId).then((allowed) => {
+        if (!allowed) {
+            return res.status(404).json({ message: 'Device not found' });
+        }
+        next();
+    }).catch(next);
+});
+
+// Get the latest records of a device (?limit=, at most 500)
 router.get('/:deviceId', asyncHandler(async (req, res) => {
     const { deviceId } = req.params;
-    const data = await dataAggregator.getDeviceData(deviceId); // Call your data service
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const data = await dataAggregator.getDeviceData(deviceId, limit);
     res.json(data);
 }));
 
-// Get tracking data for a device (using device datetime for filtering)
+// Get tracking data for a device (using device datetime for filtering), as
+// JSON or with ?format= as a GPX, KML or GeoJSON file with the stops between trips
 router.get('/:deviceId/tracking', asyncHandler(async (req, res) => {
     const { deviceId } = req.params;
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, format } = req.query;
+
+    if (format !== undefined && !Object.prototype.hasOwnProperty.call(TRACK_FORMATS, format)) {
+        return res.status(400).json({
+            message: 'Invalid track export',
+            errors: [{ field: 'format', message: `Must be one of: ${Object.keys(TRACK_FORMATS).join(', ')}` }]
+        });
+    }
     
     const where = {
         deviceImei: deviceId,
@@ -33,54 +65,71 @@ router.get('/:deviceId/tracking', asyncHandler(async (req, res) => {
     
     const trackingData = await Record.findAll({
         where,
-        attributes: ['timestamp', 'datetime', 'latitude', 'longitude', 'speed', 'direction', 'height', 'satellites'],
+        attributes: ['timestamp', 'datetime', 'latitude', 'longitude', 'speed', 'direction'],
         order: [['datetime', 'ASC']] // Order by device datetime instead of server timestamp
     });
-    
-    res.json(trackingData);
+
+    if (!format) {
+        return res.json(trackingData);
+    }
+
+    const device = await Device.findOne({ where: { imei: deviceId }, attributes: ['imei', 'name'] });
+    const { stops } = await tripDetector.getTrips(deviceId, {
+        startDate: startDate && endDate ? new Date(startDate) : null,
+        endDate: startDate && endDate ? new Date(endDate) : null
+    });
+    const name = (device && device.name) || deviceId;
+    const document = trackExport.render(format, {
+        name,
+        points: trackingData.map(record => record.get({ plain: true })),
+        stops: stops.filter(stop => stop.latitude !== null && stop.longitude !== null)
+    });
+
+    const { extension, contentType } = TRACK_FORMATS[format];
+    const filename = `${name.replace(/[^0-9A-Za-z_-]+/g, '_')}-track.${extension}`;
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(document);
 }));
 
-// Get export data for a device (using device datetime for filtering)
+// Columns of the device export
+const EXPORT_FIELDS = [
+    'timestamp', 'datetime', 'latitude', 'longitude', 'speed', 'direction',
+    'status', 'supplyVoltage', 'batteryVoltage',
+    'input0', 'input1', 'input2', 'input3',
+    'inputVoltage0', 'inputVoltage1', 'inputVoltage2', 'inputVoltage3',
+    'inputVoltage4', 'inputVoltage5', 'inputVoltage6',
+    'userData0', 'userData1', 'userData2', 'userData3',
+    'userData4', 'userData5', 'userData6', 'userData7',
+    'modbus0', 'modbus1', 'modbus2', 'modbus3', 'modbus4', 'modbus5',
+    'modbus6', 'modbus7', 'modbus8', 'modbus9', 'modbus10', 'modbus11',
+    'modbus12', 'modbus13', 'modbus14', 'modbus15'
+];
+
+// Export the records of a device in device time order, between startDate and
+// endDate of the device time; JSON, or with ?format= CSV, NDJSON or XLSX.
+// Streamed like /api/records/export.
 router.get('/:deviceId/export', asyncHandler(async (req, res) => {
     const { deviceId } = req.params;
-    const { startDate, endDate } = req.query;
-    
-    const where = {
-        deviceImei: deviceId
-    };
-    
-    if (startDate && endDate) {
-        // Use device datetime field for filtering instead of server timestamp
-        where.datetime = {
-            [Op.between]: [new Date(startDate), new Date(endDate)]
-        };
+    const { startDate, endDate, format = 'json' } = req.query;
+
+    const { errors, query } = await recordQuery.parse({
+        devices: deviceId,
+        fields: EXPORT_FIELDS.join(','),
+        timeField: 'datetime',
+        startDate,
+        endDate,
+        sort: 'datetime',
+        order: 'asc'
+    }, req.user);
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+        errors.push({ field: 'format', message: `Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid export', errors });
     }
-    
-    const exportData = await Record.findAll({
-        where,
-        attributes: [
-            'timestamp', 'datetime', 'latitude', 'longitude', 'speed', 'direction', 
-            'height', 'satellites', 'status', 'supplyVoltage', 'batteryVoltage',
-            'input0', 'input1', 'input2', 'input3',
-            'inputVoltage0', 'inputVoltage1', 'inputVoltage2', 'inputVoltage3',
-            'inputVoltage4', 'inputVoltage5', 'inputVoltage6',
-            'userData0', 'userData1', 'userData2', 'userData3',
-            'userData4', 'userData5', 'userData6', 'userData7',
-            'modbus0', 'modbus1', 'modbus2', 'modbus3', 'modbus4', 'modbus5',
-            'modbus6', 'modbus7', 'modbus8', 'modbus9', 'modbus10', 'modbus11',
-            'modbus12', 'modbus13', 'modbus14', 'modbus15'
-        ],
-        order: [['datetime', 'ASC']] // Order by device datetime instead of server timestamp
-    });
-    
-    res.json(exportData);
-}));
 
-// Get dashboard data
-router.get('/dashboard', asyncHandler(async (req, res) => {
-    const stats = await dataAggregator.getDashboardData();
-    const realtimeData = await dataAggregator.getRealtimeData(); // Example
-    res.json({ stats, realtimeData });
+    await exportManager.sendExport(query, format, res, `${deviceId}-export`);
 }));
 
 module.exports = router;
@@ -0,0 +1,126 @@
+// backend/src/routes/deviceGroups.js
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { DeviceGroup, Device, User } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+
+const memberIncludes = [
+    { model: Device, as: 'devices', attributes: ['id', 'imei', 'name'], through: { attributes: [] } },
+    { model: User, as: 'users', attributes: ['id', 'username', 'role'], through: { attributes: [] } }
+];
+
+// Find devices by UUID or IMEI; returns null if any of them does not exist
+async function findDevices(ids) {
+    if (!Array.isArray(ids)) {
+        return null;
+    }
+    const devices = await Device.findAll({
+        where: { [Op.or]: [{ id: ids }, { imei: ids }] }
+    });
+    return devices.length === new Set(ids).size ? devices : null;
+}
+
+async function findUsers(ids) {
+    if (!Array.isArray(ids)) {
+        return null;
+    }
+    const users = await User.findAll({ where: { id: ids } });
+    return users.length === new Set(ids).size ? users : null;
+}
+
+function validateGroup(attributes, { partial = false } = {}) {
+    const errors = [];
+    if (!partial || attributes.name !== undefined) {
+        if (typeof attributes.name !== 'string' || !attributes.name.trim()) {
+            errors.push({ field: 'name', message: 'Name is required' });
+        }
+    }
+    return errors;
+}
+
+// Get all device groups with their devices and users
+router.get('/', asyncHandler(async (req, res) => {
+    const groups = await DeviceGroup.findAll({
+        include: memberIncludes,
+        order: [['name', 'ASC']]
+    });
+    res.json(groups);
+}));
+
+// Get device group by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+    const group = await DeviceGroup.findByPk(req.params.id, { include: memberIncludes });
+    if (!group) {
+        return res.status(404).json({ message: 'Device group not found' });
+    }
+    res.json(group);
+}));
+
+// Create a device group ({ name, description, deviceIds, userIds })
+router.post('/', asyncHandler(async (req, res) => {
+    const { deviceIds, userIds, ...attributes } = req.body;
+    const errors = validateGroup(attributes);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid device group', errors });
+    }
+
+    const devices = deviceIds !== undefined ? await findDevices(deviceIds) : [];
+    if (!devices) {
+        return res.status(400).json({ message: 'Unknown device in deviceIds' });
+    }
+    const users = userIds !== undefined ? await findUsers(userIds) : [];
+    if (!users) {
+        return res.status(400).json({ message: 'Unknown user in userIds' });
+    }
+
+    const group = await DeviceGroup.create(attributes);
+    await group.setDevices(devices);
+    await group.setUsers(users);
+    res.status(201).json(await DeviceGroup.findByPk(group.id, { include: memberIncludes }));
+}));
+
+// Update a device group; deviceIds and userIds replace its members
+router.put('/:id', asyncHandler(async (req, res) => {
+    const group = await DeviceGroup.findByPk(req.params.id);
+    if (!group) {
+        return res.status(404).json({ message: 'Device group not found' });
+    }
+
+    const { deviceIds, userIds, ...updates } = req.body;
+    const errors = validateGroup(updates, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid device group', errors });
+    }
+
+    const devices = deviceIds !== undefined ? await findDevices(deviceIds) : undefined;
+    if (devices === null) {
+        return res.status(400).json({ message: 'Unknown device in deviceIds' });
+    }
+    const users = userIds !== undefined ? await findUsers(userIds) : undefined;
+    if (users === null) {
+        return res.status(400).json({ message: 'Unknown user in userIds' });
+    }
+
+    await group.update(updates);
+    if (devices) {
+        await group.setDevices(devices);
+    }
+    if (users) {
+        await group.setUsers(users);
+    }
+    res.json(await DeviceGroup.findByPk(group.id, { include: memberIncludes }));
+}));
+
+// Delete a device group
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const group = await DeviceGroup.findByPk(req.params.id);
+    if (!group) {
+        return res.status(404).json({ message: 'Device group not found' });
+    }
+
+    await group.destroy();
+    res.json({ message: 'Device group deleted successfully' });
+}));
+
+module.exports = router;
@@ -2,21 +2,34 @@
 const express = require('express');
 const router = express.Router();
 const deviceManager = require('../services/deviceManager');
+const commandManager = require('../services/commandManager');
+const tripDetector = require('../services/tripDetector');
+const accessControl = require('../services/accessControl');
+const { requireRole } = require('../middleware/auth');
 const asyncHandler = require('../utils/asyncHandler'); // Import the asyncHandler middleware
 const tagDefinitions = require('../services/tagDefinitions');
 const TagParser = require('../services/tagParser');
 const { Record } = require('../models');
 const { Op } = require('sequelize');
 
+// Device by UUID; null if it does not exist or the user may not see it
+async function findDevice(req) {
+    const device = await deviceManager.getDeviceById(req.params.id);
+    if (!device || !(await accessControl.canAccessDevice(req.user, device.imei))) {
+        return null;
+    }
+    return device;
+}
+
 // Get all devices
 router.get('/', asyncHandler(async (req, res) => {
-    const devices = await deviceManager.getAllDevices();
+    const devices = await deviceManager.getAllDevices(await accessControl.deviceWhere(req.user, 'imei'));
     res.json(devices);
 }));
 
 // Get all devices with current location
 router.get('/locations', asyncHandler(async (req, res) => {
-    const devices = await deviceManager.getAllDevices();
+    const devices = await deviceManager.getAllDevices(await accessControl.deviceWhere(req.user, 'imei'));
     
     // Get the latest location for each device
     const devicesWithLocations = await Promise.all(
@@ -49,31 +62,101 @@ router.get('/locations', asyncHandler(async (req, res) => {
 
 // Get device by ID
 router.get('/:id', asyncHandler(async (req, res) => {
-    const device = await deviceManager.getDeviceById(req.params.id);
+    const device = await findDevice(req);
     if (!device) {
         return res.status(404).json({ message: 'Device not found' });
     }
     res.json(device);
 }));
 
+// Device fields the API may change; the rest are kept up to date by the
+// tracker's own packets. The IMEI is fixed: records, commands, trips and
+// alerts refer to the device by it.
+const EDITABLE_FIELDS = ['name'];
+
 // Update device
 router.put('/:id', asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const updates = req.body;
-
-    const device = await deviceManager.getDeviceById(id);
+    const device = await findDevice(req);
     if (!device) {
         return res.status(404).json({ message: 'Device not found' });
     }
 
-    await device.update(updates);
+    if (req.body.imei !== undefined && req.body.imei !== device.imei) {
+        return res.status(400).json({ message: 'The IMEI of a device cannot be changed' });
+    }
+    await device.update(req.body, { fields: EDITABLE_FIELDS });
     res.json({ message: 'Device updated successfully' });
 }));
 
+// Get command history for a device
+router.get('/:id/commands', asyncHandler(async (req, res) => {
+    const device = await findDevice(req);
+    if (!device) {
+        return res.status(404).json({ message: 'Device not found' });
+    }
+
+    const commands = await commandManager.getHistory(device.imei, parseInt(req.query.limit) || 50);
+    res.json({
+        connected: commandManager.isConnected(device.imei),
+        commands
+    });
+}));
+
+// Queue a command for a device; sent now if connected, otherwise on next connect
+router.post('/:id/commands', asyncHandler(async (req, res) => {
+    const device = await findDevice(req);
+    if (!device) {
+        return res.status(404).json({ message: 'Device not found' });
+    }
+
+    const { command } = req.body;
+    if (typeof command !== 'string' || !command.trim()) {
+        return res.status(400).json({ message: 'Command text is required' });
+    }
+    // CP1251 is one byte per character and the length field is a single byte
+    if ([...command.trim()].length > 255) {
+        return res.status(400).json({ message: 'Command text must be at most 255 characters' });
+    }
+
+    const queued = await commandManager.queueCommand(device.imei, command.trim());
+    res.status(202).json(queued);
+}));
+
+// Get trips and stops of a device, optionally within ?startDate=&endDate=
+router.get('/:id/trips', asyncHandler(async (req, res) => {
+    const device = await findDevice(req);
+    if (!device) {
+        return res.status(404).json({ message: 'Device not found' });
+    }
+
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const result = await tripDetector.getTrips(device.imei, {
+        startDate,
+        endDate,
+        limit: Math.min(parseInt(req.query.limit) || 500, 5000)
+    });
+    res.json(result);
+}));
+
+// Segment a device's whole record history into trips again
+router.post('/:id/trips/rebuild', asyncHandler(async (req, res) => {
+    const device = await findDevice(req);
+    if (!device) {
+        return res.status(404).json({ message: 'Device not found' });
+    }
+
+    const { trips } = await tripDetector.rebuildDevice(device.imei);
+    res.json({ message: 'Trips rebuilt successfully', trips: trips.length });
+}));
+
 // Delete device
-router.delete('/:id', asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const device = await deviceManager.getDeviceById(id);
+router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const device = await findDevice(req);
     if (!device) {
         return res.status(404).json({ message: 'Device not found' });
     }
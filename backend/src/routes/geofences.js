@@ -0,0 +1,156 @@
+// backend/src/routes/geofences.js
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const geofenceManager = require('../services/geofenceManager');
+const { Geofence, Device, Alert } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+const accessControl = require('../services/accessControl');
+const { requireRole } = require('../middleware/auth');
+
+const deviceAttributes = ['id', 'imei', 'name'];
+
+// Find devices by UUID or IMEI; returns null if any of them does not exist
+async function findDevices(ids) {
+    if (!Array.isArray(ids)) {
+        return null;
+    }
+    const devices = await Device.findAll({
+        where: { [Op.or]: [{ id: ids }, { imei: ids }] }
+    });
+    return devices.length === new Set(ids).size ? devices : null;
+}
+
+/**
+ * A geofence as the user may see it: with only the devices they may see,
+ * or null when it covers none of them. imeis is from getDeviceImeis.
+ */
+function visibleGeofence(geofence, imeis) {
+    const json = geofence.toJSON();
+    if (!imeis) {
+        return json;
+    }
+    json.devices = json.devices.filter(device => imeis.has(device.imei));
+    return json.devices.length > 0 ? json : null;
+}
+
+// Get all geofences, optionally only those assigned to a device (?deviceId=<id or IMEI>)
+router.get('/', asyncHandler(async (req, res) => {
+    const include = { model: Device, as: 'devices', attributes: deviceAttributes, through: { attributes: [] } };
+    if (req.query.deviceId) {
+        include.where = { [Op.or]: [{ id: req.query.deviceId }, { imei: req.query.deviceId }] };
+    }
+
+    const geofences = await Geofence.findAll({
+        include: [include],
+        order: [['name', 'ASC']]
+    });
+    const imeis = await accessControl.getDeviceImeis(req.user);
+    res.json(geofences.map(geofence => visibleGeofence(geofence, imeis)).filter(Boolean));
+}));
+
+// Get geofence by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+    const geofence = await Geofence.findByPk(req.params.id, {
+        include: [{ model: Device, as: 'devices', attributes: deviceAttributes, through: { attributes: [] } }]
+    });
+    const visible = geofence && visibleGeofence(geofence, await accessControl.getDeviceImeis(req.user));
+    if (!visible) {
+        return res.status(404).json({ message: 'Geofence not found' });
+    }
+    res.json(visible);
+}));
+
+// Create a geofence, optionally assigning devices ({ deviceIds: [...] })
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { deviceIds, ...attributes } = req.body;
+    const errors = geofenceManager.validateGeofence(attributes);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid geofence', errors });
+    }
+
+    const devices = deviceIds !== undefined ? await findDevices(deviceIds) : [];
+    if (!devices) {
+        return res.status(400).json({ message: 'Unknown device in deviceIds' });
+    }
+
+    const geofence = await Geofence.create(attributes);
+    await geofence.setDevices(devices);
+    await geofenceManager.loadGeofences();
+    res.status(201).json(geofence);
+}));
+
+// Update a geofence
+router.put('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const geofence = await Geofence.findByPk(req.params.id);
+    if (!geofence) {
+        return res.status(404).json({ message: 'Geofence not found' });
+    }
+
+    const { deviceIds, ...updates } = req.body;
+    // Shape fields are checked together with the stored type
+    const errors = geofenceManager.validateGeofence({ ...geofence.toJSON(), ...updates }, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid geofence', errors });
+    }
+
+    const devices = deviceIds !== undefined ? await findDevices(deviceIds) : undefined;
+    if (devices === null) {
+        return res.status(400).json({ message: 'Unknown device in deviceIds' });
+    }
+
+    await geofence.update(updates);
+    if (devices) {
+        await geofence.setDevices(devices);
+    }
+    await geofenceManager.loadGeofences();
+    res.json(geofence);
+}));
+
+// Replace the devices assigned to a geofence
+router.put('/:id/devices', requireRole('admin'), asyncHandler(async (req, res) => {
+    const geofence = await Geofence.findByPk(req.params.id);
+    if (!geofence) {
+        return res.status(404).json({ message: 'Geofence not found' });
+    }
+
+    const devices = await findDevices(req.body.deviceIds);
+    if (!devices) {
+        return res.status(400).json({ message: 'deviceIds must list existing devices' });
+    }
+
+    await geofence.setDevices(devices);
+    await geofenceManager.loadGeofences();
+    res.json({ message: 'Geofence devices updated successfully' });
+}));
+
+// Enter, exit and dwell alerts raised for a geofence
+router.get('/:id/events', asyncHandler(async (req, res) => {
+    const geofence = await Geofence.findByPk(req.params.id, {
+        include: [{ model: Device, as: 'devices', attributes: deviceAttributes, through: { attributes: [] } }]
+    });
+    if (!geofence || !visibleGeofence(geofence, await accessControl.getDeviceImeis(req.user))) {
+        return res.status(404).json({ message: 'Geofence not found' });
+    }
+
+    const events = await Alert.findAll({
+        where: { ...(await accessControl.deviceWhere(req.user, 'deviceId')), geofenceId: geofence.id },
+        order: [['timestamp', 'DESC']],
+        limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json(events);
+}));
+
+// Delete a geofence
+router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const geofence = await Geofence.findByPk(req.params.id);
+    if (!geofence) {
+        return res.status(404).json({ message: 'Geofence not found' });
+    }
+
+    await geofence.destroy();
+    await geofenceManager.loadGeofences();
+    res.json({ message: 'Geofence deleted successfully' });
+}));
+
+module.exports = router;
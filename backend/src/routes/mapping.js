@@ -3,10 +3,21 @@
     const router = express.Router();
     const { FieldMapping } = require('../models');
     const asyncHandler = require('../utils/asyncHandler');
+    const accessControl = require('../services/accessControl');
+
+    // Mapping by ID; null if it does not exist or belongs to a device the user may not see
+    async function findMapping(req) {
+        const mapping = await FieldMapping.findByPk(req.params.id);
+        if (!mapping || !(await accessControl.canAccessDevice(req.user, mapping.deviceId))) {
+            return null;
+        }
+        return mapping;
+    }
 
     // Get all mappings
     router.get('/all', asyncHandler(async (req, res) => {
         const mappings = await FieldMapping.findAll({
+            where: await accessControl.deviceWhere(req.user, 'deviceId', 'id'),
             order: [['originalField', 'ASC']]
         });
         res.json(mappings);
@@ -15,6 +26,9 @@
     // Get mappings for a device
     router.get('/:deviceId', asyncHandler(async (req, res) => {
         const { deviceId } = req.params;
+        if (!(await accessControl.canAccessDevice(req.user, deviceId))) {
+            return res.status(404).json({ message: 'Device not found' });
+        }
         const mappings = await FieldMapping.findAll({
             where: { deviceId },
             order: [['originalField', 'ASC']]
@@ -24,25 +38,29 @@
 
     // Create a new mapping
     router.post('/', asyncHandler(async (req, res) => {
+        if (!(await accessControl.canAccessDevice(req.user, req.body.deviceId))) {
+            return res.status(404).json({ message: 'Device not found' });
+        }
         const mapping = await FieldMapping.create(req.body);
         res.status(201).json(mapping);
     }));
 
     // Update a mapping
     router.put('/:id', asyncHandler(async (req, res) => {
-        const { id } = req.params;
-        const mapping = await FieldMapping.findByPk(id);
+        const mapping = await findMapping(req);
         if (!mapping) {
             return res.status(404).json({ message: 'Mapping not found' });
         }
+        if (req.body.deviceId !== undefined && !(await accessControl.canAccessDevice(req.user, req.body.deviceId))) {
+            return res.status(404).json({ message: 'Device not found' });
+        }
         await mapping.update(req.body);
         res.json(mapping);
     }));
 
     // Delete a mapping
     router.delete('/:id', asyncHandler(async (req, res) => {
-        const { id } = req.params;
-        const mapping = await FieldMapping.findByPk(id);
+        const mapping = await findMapping(req);
         if (!mapping) {
             return res.status(404).json({ message: 'Mapping not found' });
         }
@@ -64,6 +82,7 @@
     router.get('/export/:format', asyncHandler(async (req, res) => {
         const { format } = req.params;
         const mappings = await FieldMapping.findAll({
+            where: await accessControl.deviceWhere(req.user, 'deviceId', 'id'),
             order: [['originalField', 'ASC']]
         });
 
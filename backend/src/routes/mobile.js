@@ -0,0 +1,90 @@
+// backend/src/routes/mobile.js
+const os = require('os');
+const express = require('express');
+const router = express.Router();
+const { Device, Record } = require('../models');
+const accessControl = require('../services/accessControl');
+const mobileStore = require('../services/mobileStore');
+const sessionManager = require('../services/sessionManager');
+const { requireRole } = require('../middleware/auth');
+const asyncHandler = require('../utils/asyncHandler');
+
+// What the phone pages (simple-frontend.html and unified-mobile-interface.html)
+// read besides the devices and data routes: the records held for peer sync,
+// their storage and the phone itself. Mounted in the mobile profile only.
+
+async function sessionsInScope(user) {
+    const imeis = await accessControl.getDeviceImeis(user);
+    return sessionManager.list().filter(session => !imeis || imeis.has(session.imei));
+}
+
+// The records and devices held in memory, latest limit records
+router.get('/data', asyncHandler(async (req, res) => {
+    const limit = parseInt(req.query.limit, 10);
+    const imeis = await accessControl.getDeviceImeis(req.user);
+    res.json(mobileStore.snapshot(imeis, limit > 0 ? limit : undefined));
+}));
+
+router.get('/stats', asyncHandler(async (req, res) => {
+    const deviceWhere = await accessControl.deviceWhere(req.user, 'imei');
+    const [totalRecords, activeDevices, lastUpdate, sessions] = await Promise.all([
+        Record.count({ where: await accessControl.deviceWhere(req.user) }),
+        Device.count({ where: { ...deviceWhere, status: 'active' } }),
+        Device.max('lastSeen', { where: deviceWhere }),
+        sessionsInScope(req.user)
+    ]);
+    res.json({ totalRecords, activeDevices, activeConnections: sessions.length, lastUpdate });
+}));
+
+router.get('/health', asyncHandler(async (req, res) => {
+    const { totalRecords, totalDevices } = mobileStore.snapshot(await accessControl.getDeviceImeis(req.user));
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        activeConnections: (await sessionsInScope(req.user)).length,
+        totalDevices,
+        totalRecords
+    });
+}));
+
+// The address other phones and trackers reach this phone on
+router.get('/network', (req, res) => {
+    const addresses = Object.values(os.networkInterfaces()).flat();
+    const local = addresses.find(address => address.family === 'IPv4' && !address.internal);
+    res.json({
+        localIP: local ? local.address : '127.0.0.1',
+        hostname: os.hostname(),
+        platform: os.platform(),
+        nodeVersion: process.version,
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+router.get('/storage', (req, res) => {
+    res.json(mobileStore.getStorageInfo());
+});
+
+// Save the records held now rather than at the next auto-save
+router.post('/save', (req, res) => {
+    mobileStore.save();
+    res.json({ success: true, records: mobileStore.parsedData.length, devices: mobileStore.devices.size });
+});
+
+router.get('/export', asyncHandler(async (req, res) => {
+    const data = {
+        ...mobileStore.snapshot(await accessControl.getDeviceImeis(req.user)),
+        exportTime: new Date().toISOString()
+    };
+    res.setHeader('Content-Disposition', `attachment; filename="mobile-data-${Date.now()}.json"`);
+    res.json(data);
+}));
+
+// Forgets the records of every device, so only admins may
+router.post('/clear', requireRole('admin'), (req, res) => {
+    mobileStore.clear();
+    res.json({ success: true });
+});
+
+module.exports = router;
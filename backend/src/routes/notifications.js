@@ -0,0 +1,95 @@
+// backend/src/routes/notifications.js
+const express = require('express');
+const router = express.Router();
+const notificationManager = require('../services/notificationManager');
+const { NotificationChannel, NotificationLog } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Get all notification channels
+router.get('/channels', asyncHandler(async (req, res) => {
+    const channels = await NotificationChannel.findAll({ order: [['name', 'ASC']] });
+    res.json(channels.map(channel => notificationManager.toJSON(channel)));
+}));
+
+// Get notification channel by ID
+router.get('/channels/:id', asyncHandler(async (req, res) => {
+    const channel = await NotificationChannel.findByPk(req.params.id);
+    if (!channel) {
+        return res.status(404).json({ message: 'Notification channel not found' });
+    }
+    res.json(notificationManager.toJSON(channel));
+}));
+
+// Create a notification channel
+router.post('/channels', asyncHandler(async (req, res) => {
+    const errors = notificationManager.validateChannel(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid notification channel', errors });
+    }
+
+    const channel = await NotificationChannel.create(req.body);
+    res.status(201).json(notificationManager.toJSON(channel));
+}));
+
+// Update a notification channel; masked secrets in config keep their stored value
+router.put('/channels/:id', asyncHandler(async (req, res) => {
+    const channel = await NotificationChannel.findByPk(req.params.id);
+    if (!channel) {
+        return res.status(404).json({ message: 'Notification channel not found' });
+    }
+
+    const updates = { ...req.body };
+    if (updates.config) {
+        updates.config = notificationManager.mergeConfig(channel.config, updates.config);
+    }
+
+    const errors = notificationManager.validateChannel({ ...channel.toJSON(), ...updates }, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid notification channel', errors });
+    }
+
+    await channel.update(updates);
+    res.json(notificationManager.toJSON(channel));
+}));
+
+// Delete a notification channel
+router.delete('/channels/:id', asyncHandler(async (req, res) => {
+    const channel = await NotificationChannel.findByPk(req.params.id);
+    if (!channel) {
+        return res.status(404).json({ message: 'Notification channel not found' });
+    }
+
+    await channel.destroy();
+    res.json({ message: 'Notification channel deleted successfully' });
+}));
+
+// Send a sample alert through a channel and return the delivery log
+router.post('/channels/:id/test', asyncHandler(async (req, res) => {
+    const channel = await NotificationChannel.findByPk(req.params.id);
+    if (!channel) {
+        return res.status(404).json({ message: 'Notification channel not found' });
+    }
+
+    const log = await notificationManager.sendTest(channel);
+    res.status(log.status === 'sent' ? 200 : 502).json(log);
+}));
+
+// Delivery logs, newest first (?channelId=&alertId=&status=&limit=)
+router.get('/logs', asyncHandler(async (req, res) => {
+    const where = {};
+    ['channelId', 'alertId', 'status'].forEach(key => {
+        if (req.query[key]) {
+            where[key] = req.query[key];
+        }
+    });
+
+    const logs = await NotificationLog.findAll({
+        where,
+        include: [{ model: NotificationChannel, as: 'channel', attributes: ['id', 'name', 'type'] }],
+        order: [['createdAt', 'DESC']],
+        limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json(logs);
+}));
+
+module.exports = router;
@@ -6,12 +6,11 @@ const logger = require('../utils/logger');
 // Global peer sync instance
 let peerSync = null;
 
-// Initialize peer sync with data references
-function initializePeerSync(parsedData, devices, lastIMEI) {
+// Initialize peer sync with data references; options are those of PeerToPeerSync plus its deviceId and port
+function initializePeerSync(parsedData, devices, lastIMEI, options = {}) {
     if (!peerSync) {
-        const deviceId = `mobile-${Math.random().toString(36).substr(2, 9)}`;
-        peerSync = new PeerToPeerSync(deviceId, 3001);
-        logger.info('Peer sync initialized', { deviceId });
+        peerSync = new PeerToPeerSync(options.deviceId, options.port || 3001, options);
+        logger.info('Peer sync initialized', { deviceId: peerSync.deviceId });
     }
     return peerSync;
 }
@@ -96,13 +95,13 @@ router.post('/stop', (req, res) => {
     }
 });
 
-// Connect to peer and sync
+// Connect to a paired peer (by nodeId or peerUrl) and sync
 router.post('/connect', async (req, res) => {
     try {
-        const { peerUrl } = req.body;
+        const { nodeId, peerUrl } = req.body;
         
-        if (!peerUrl) {
-            return res.status(400).json({ error: 'Peer URL is required' });
+        if (!nodeId && !peerUrl) {
+            return res.status(400).json({ error: 'Peer node ID or URL is required' });
         }
 
         if (!peerSync) {
@@ -114,7 +113,10 @@ router.post('/connect', async (req, res) => {
         const devices = global.devices || new Map();
         const lastIMEI = global.lastIMEI || null;
 
-        const result = await peerSync.connectToPeer(peerUrl, parsedData, devices, lastIMEI);
+        const result = await peerSync.connectToPeer(nodeId || peerUrl, parsedData, devices, lastIMEI);
+        if (!result) {
+            return res.status(409).json({ error: 'Sync already in progress' });
+        }
         
         res.json({
             success: true,
@@ -128,6 +130,47 @@ router.post('/connect', async (req, res) => {
     }
 });
 
+// Create a pairing code for another phone to enter
+router.post('/pairing', (req, res) => {
+    if (!peerSync) {
+        return res.status(400).json({ error: 'Peer sync not initialized' });
+    }
+    res.json(peerSync.createPairing());
+});
+
+// Pair with the phone showing a pairing code ({ code } as a pairing URI, or { code, peerUrl })
+router.post('/pair', async (req, res) => {
+    try {
+        const { code, peerUrl } = req.body;
+
+        if (!peerSync) {
+            return res.status(400).json({ error: 'Peer sync not initialized' });
+        }
+
+        const peer = await peerSync.pairWithPeer(code, peerUrl);
+        res.json({
+            success: true,
+            peer: peerSync.auth.listPeers().find(entry => entry.nodeId === peer.nodeId)
+        });
+    } catch (error) {
+        logger.error('Error pairing with peer:', error);
+        res.status(error.status ? 502 : 400).json({ error: error.message || 'Failed to pair with peer' });
+    }
+});
+
+// Peers this node has paired with, revoked ones included
+router.get('/trusted', (req, res) => {
+    res.json(peerSync ? peerSync.auth.listPeers() : []);
+});
+
+// Revoke a paired peer; it has to pair again to sync
+router.delete('/trusted/:nodeId', (req, res) => {
+    if (!peerSync || !peerSync.auth.revoke(req.params.nodeId)) {
+        return res.status(404).json({ error: 'Trusted peer not found' });
+    }
+    res.json({ success: true });
+});
+
 // Export data to peer
 router.get('/export', (req, res) => {
     try {
@@ -180,6 +223,27 @@ router.post('/import', (req, res) => {
     }
 });
 
+// Peers found on the local network, with their device name, record count and last seen time
+router.get('/discovered', (req, res) => {
+    if (!peerSync) {
+        return res.json({ enabled: false, autoSync: false, peers: [] });
+    }
+    res.json({
+        enabled: peerSync.discoveryEnabled,
+        autoSync: peerSync.discovery.autoSync,
+        peers: peerSync.discovery.list()
+    });
+});
+
+// Sync with paired peers as soon as they are discovered ({ enabled })
+router.post('/auto-sync', (req, res) => {
+    if (!peerSync) {
+        return res.status(400).json({ error: 'Peer sync not initialized' });
+    }
+    peerSync.discovery.autoSync = Boolean(req.body.enabled);
+    res.json({ autoSync: peerSync.discovery.autoSync });
+});
+
 // Get peer discovery info
 router.get('/discovery', (req, res) => {
     try {
@@ -192,7 +256,7 @@ router.get('/discovery', (req, res) => {
             deviceId: peerSync ? peerSync.deviceId : 'unknown',
             deviceIP: deviceIP,
             port: port,
-            connectionUrl: `http://${deviceIP}:${port}/peer/sync`,
+            connectionUrl: peerSync ? peerSync.ownUrl() : `http://${deviceIP}:${port}`,
             isServerMode: peerSync ? peerSync.isServerMode : false,
             totalRecords: parsedData.length,
             totalDevices: devices.size,
@@ -204,4 +268,5 @@ router.get('/discovery', (req, res) => {
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
+module.exports.initializePeerSync = initializePeerSync; 
\ No newline at end of file
@@ -0,0 +1,38 @@
+// backend/src/routes/queue.js
+const express = require('express');
+const router = express.Router();
+const packetQueue = require('../services/packetQueue');
+const asyncHandler = require('../utils/asyncHandler');
+
+// Get packet queue statistics
+router.get('/stats', asyncHandler(async (req, res) => {
+    res.json(packetQueue.getStats());
+}));
+
+// List packets that failed processing after all retries
+router.get('/dead-letters', asyncHandler(async (req, res) => {
+    res.json(packetQueue.getDeadLetters());
+}));
+
+// Re-queue all dead-lettered packets
+router.post('/dead-letters/retry', asyncHandler(async (req, res) => {
+    const requeued = await packetQueue.retryDeadLetters();
+    res.json({ requeued });
+}));
+
+// Re-queue a single dead-lettered packet
+router.post('/dead-letters/:id/retry', asyncHandler(async (req, res) => {
+    const requeued = await packetQueue.retryDeadLetters(req.params.id);
+    if (requeued === 0) {
+        return res.status(404).json({ message: 'Dead letter not found' });
+    }
+    res.json({ requeued });
+}));
+
+// Discard all dead-lettered packets
+router.delete('/dead-letters', asyncHandler(async (req, res) => {
+    const removed = packetQueue.clearDeadLetters();
+    res.json({ removed });
+}));
+
+module.exports = router;
@@ -1,78 +1,86 @@
 const express = require('express');
 const router = express.Router();
-const { Record } = require('../models');
-const { Op } = require('sequelize');
-const { Parser: Json2csvParser } = require('json2csv');
-const ExcelJS = require('exceljs');
+const recordQuery = require('../services/recordQuery');
+const exportManager = require('../services/exportManager');
+const { FORMATS } = require('../services/exportManager');
+const asyncHandler = require('../utils/asyncHandler');
 
-// Get records with optional date filtering
-router.get('/', async (req, res) => {
-    try {
-        const { startDate, endDate } = req.query;
-        const where = {};
-        if (startDate && endDate) {
-            where.timestamp = {
-                [Op.between]: [new Date(startDate), new Date(endDate)]
-            };
-        }
-        const records = await Record.findAll({
-            where,
-            order: [['timestamp', 'DESC']],
-            limit: 1000 // Increase limit for export preview
-        });
-        res.json(records);
-    } catch (error) {
-        console.error('Error fetching records:', error);
-        res.status(500).json({ error: 'Failed to fetch records' });
+// Query records a page at a time, see recordQuery for the parameters
+router.get('/', asyncHandler(async (req, res) => {
+    const { errors, query } = await recordQuery.parse(req.query, req.user);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid record query', errors });
     }
-});
+    res.json(await recordQuery.findPage(query));
+}));
+
+// Parse an export request: the record query parameters plus a format
+async function parseExport(params, user) {
+    const { format = 'csv', ...queryParams } = params;
+    const { errors, query } = await recordQuery.parse(queryParams, user);
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+        errors.push({ field: 'format', message: `Must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+    return { errors, query, format, params: queryParams };
+}
 
-// Export records
-router.post('/export', async (req, res) => {
-    try {
-        const { startDate, endDate, format, fields } = req.body;
-        const where = {};
-        if (startDate && endDate) {
-            where.timestamp = {
-                [Op.between]: [new Date(startDate), new Date(endDate)]
-            };
-        }
-        const records = await Record.findAll({
-            where,
-            order: [['timestamp', 'DESC']]
-        });
-        const data = records.map(r => r.toJSON());
-        const selectedData = data.map(row => {
-            const filtered = {};
-            fields.forEach(f => filtered[f] = row[f]);
-            return filtered;
-        });
-        if (format === 'csv') {
-            const parser = new Json2csvParser({ fields });
-            const csv = parser.parse(selectedData);
-            res.header('Content-Type', 'text/csv');
-            res.attachment('data-export.csv');
-            return res.send(csv);
-        } else if (format === 'json') {
-            res.header('Content-Type', 'application/json');
-            res.attachment('data-export.json');
-            return res.send(JSON.stringify(selectedData, null, 2));
-        } else if (format === 'xlsx') {
-            const workbook = new ExcelJS.Workbook();
-            const worksheet = workbook.addWorksheet('Export');
-            worksheet.columns = fields.map(f => ({ header: f, key: f }));
-            worksheet.addRows(selectedData);
-            res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-            res.attachment('data-export.xlsx');
-            await workbook.xlsx.write(res);
-            return res.end();
-        } else {
-            return res.status(400).json({ error: 'Invalid export format' });
-        }
-    } catch (error) {
-        console.error('Error exporting records:', error);
-        res.status(500).json({ error: 'Failed to export records' });
+// Stream records to the response as CSV, JSON, NDJSON or XLSX. Takes the
+// parameters of GET / in the query string or body; limit does not apply.
+const streamExport = asyncHandler(async (req, res) => {
+    const params = req.method === 'GET' ? req.query : req.body;
+    const { errors, query, format } = await parseExport(params || {}, req.user);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid export', errors });
     }
+
+    await exportManager.sendExport(query, format, res);
 });
 
+router.get('/export', streamExport);
+router.post('/export', streamExport);
+
+// Export jobs of the user (all jobs for admins), newest first
+router.get('/export/jobs', asyncHandler(async (req, res) => {
+    res.json(await exportManager.list(req.user));
+}));
+
+// Start an export job ({ format, ...parameters of GET / })
+router.post('/export/jobs', asyncHandler(async (req, res) => {
+    const { errors, query, format, params } = await parseExport(req.body || {}, req.user);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid export', errors });
+    }
+    res.status(202).json(await exportManager.createJob(req.user, query, format, params));
+}));
+
+router.get('/export/jobs/:id', asyncHandler(async (req, res) => {
+    const job = await exportManager.get(req.params.id, req.user);
+    if (!job) {
+        return res.status(404).json({ message: 'Export job not found' });
+    }
+    res.json(job);
+}));
+
+// Download the file of a completed export job
+router.get('/export/jobs/:id/download', asyncHandler(async (req, res) => {
+    const job = await exportManager.get(req.params.id, req.user);
+    if (!job) {
+        return res.status(404).json({ message: 'Export job not found' });
+    }
+    if (job.status !== 'completed') {
+        return res.status(409).json({ message: `Export job is ${job.status}` });
+    }
+    res.type(FORMATS[job.format].contentType);
+    res.download(exportManager.filePath(job), `data-export-${job.id}.${FORMATS[job.format].extension}`);
+}));
+
+// Cancel an export job and delete its file
+router.delete('/export/jobs/:id', asyncHandler(async (req, res) => {
+    const job = await exportManager.remove(req.params.id, req.user);
+    if (!job) {
+        return res.status(404).json({ message: 'Export job not found' });
+    }
+    res.json({ message: 'Export job deleted successfully' });
+}));
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,176 @@
+// backend/src/routes/retention.js
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { RetentionPolicy, Device, DeviceGroup } = require('../models');
+const retentionManager = require('../services/retentionManager');
+const { RetentionError } = require('../services/retentionManager');
+const asyncHandler = require('../utils/asyncHandler');
+
+const DOWNSAMPLE_INTERVALS = [60, 300]; // Seconds
+const MAX_DAYS = 36500;
+const FIELDS = ['name', 'deviceId', 'groupId', 'rawDays', 'downsampleInterval', 'deleteDays', 'enabled'];
+
+const policyIncludes = [
+    { model: Device, as: 'device', attributes: ['id', 'imei', 'name'] },
+    { model: DeviceGroup, as: 'group', attributes: ['id', 'name'] }
+];
+
+const isDays = value => Number.isInteger(value) && value >= 1 && value <= MAX_DAYS;
+
+/**
+ * Validate a complete policy and resolve its device (by UUID or IMEI) and
+ * group; returns { errors, attributes }
+ */
+async function validatePolicy(policy, id = null) {
+    const errors = [];
+    const attributes = { ...policy };
+
+    if (typeof policy.name !== 'string' || !policy.name.trim()) {
+        errors.push({ field: 'name', message: 'Name is required' });
+    } else {
+        attributes.name = policy.name.trim();
+    }
+    if (!isDays(policy.rawDays)) {
+        errors.push({ field: 'rawDays', message: `Must be a whole number of days between 1 and ${MAX_DAYS}` });
+    }
+    if (policy.downsampleInterval !== null && !DOWNSAMPLE_INTERVALS.includes(policy.downsampleInterval)) {
+        errors.push({ field: 'downsampleInterval', message: `Must be one of: ${DOWNSAMPLE_INTERVALS.join(', ')} seconds, or null` });
+    }
+    if (policy.deleteDays !== null) {
+        if (!isDays(policy.deleteDays)) {
+            errors.push({ field: 'deleteDays', message: `Must be a whole number of days between 1 and ${MAX_DAYS}, or null` });
+        } else if (isDays(policy.rawDays) && policy.deleteDays < policy.rawDays) {
+            errors.push({ field: 'deleteDays', message: 'Must not be less than rawDays' });
+        }
+    }
+    if (policy.downsampleInterval === null && policy.deleteDays === null) {
+        errors.push({ field: 'deleteDays', message: 'A policy must downsample or delete records' });
+    }
+    if (typeof policy.enabled !== 'boolean') {
+        errors.push({ field: 'enabled', message: 'Must be true or false' });
+    }
+
+    if (policy.deviceId && policy.groupId) {
+        errors.push({ field: 'groupId', message: 'A policy applies to a device or a group, not both' });
+    } else if (policy.deviceId) {
+        const device = await Device.findOne({
+            where: { [Op.or]: [{ id: policy.deviceId }, { imei: String(policy.deviceId) }] }
+        });
+        if (!device) {
+            errors.push({ field: 'deviceId', message: 'Unknown device' });
+        } else {
+            attributes.deviceId = device.id;
+        }
+    } else if (policy.groupId && !await DeviceGroup.findByPk(policy.groupId)) {
+        errors.push({ field: 'groupId', message: 'Unknown device group' });
+    }
+    attributes.deviceId = attributes.deviceId || null;
+    attributes.groupId = attributes.groupId || null;
+
+    // One policy per device, per group, and one default policy
+    if (errors.length === 0) {
+        const existing = await RetentionPolicy.findOne({
+            where: {
+                deviceId: attributes.deviceId,
+                groupId: attributes.groupId,
+                ...(id ? { id: { [Op.ne]: id } } : {})
+            }
+        });
+        if (existing) {
+            const field = attributes.deviceId ? 'deviceId' : attributes.groupId ? 'groupId' : 'name';
+            errors.push({ field, message: `Policy ${existing.name} already applies here` });
+        }
+    }
+    return { errors, attributes };
+}
+
+function pickFields(body) {
+    const policy = {};
+    FIELDS.forEach((field) => {
+        if (body[field] !== undefined) {
+            policy[field] = body[field];
+        }
+    });
+    return policy;
+}
+
+// Report a run already in progress with its own status
+function sendRetentionError(res, error) {
+    if (error instanceof RetentionError) {
+        res.status(error.status).json({ message: error.message });
+        return true;
+    }
+    return false;
+}
+
+// List retention policies
+router.get('/policies', asyncHandler(async (req, res) => {
+    const policies = await RetentionPolicy.findAll({
+        include: policyIncludes,
+        order: [['name', 'ASC']]
+    });
+    res.json(policies);
+}));
+
+// Create a retention policy ({ name, deviceId | groupId, rawDays, downsampleInterval, deleteDays, enabled })
+router.post('/policies', asyncHandler(async (req, res) => {
+    const policy = { downsampleInterval: null, deleteDays: null, enabled: true, ...pickFields(req.body) };
+    const { errors, attributes } = await validatePolicy(policy);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid retention policy', errors });
+    }
+
+    const created = await RetentionPolicy.create(attributes);
+    res.status(201).json(await RetentionPolicy.findByPk(created.id, { include: policyIncludes }));
+}));
+
+// Update a retention policy
+router.put('/policies/:id', asyncHandler(async (req, res) => {
+    const existing = await RetentionPolicy.findByPk(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ message: 'Retention policy not found' });
+    }
+
+    const policy = { ...pickFields(existing.get({ plain: true })), ...pickFields(req.body) };
+    const { errors, attributes } = await validatePolicy(policy, existing.id);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid retention policy', errors });
+    }
+
+    await existing.update(attributes);
+    res.json(await RetentionPolicy.findByPk(existing.id, { include: policyIncludes }));
+}));
+
+// Delete a retention policy
+router.delete('/policies/:id', asyncHandler(async (req, res) => {
+    const policy = await RetentionPolicy.findByPk(req.params.id);
+    if (!policy) {
+        return res.status(404).json({ message: 'Retention policy not found' });
+    }
+    await policy.destroy();
+    res.json({ message: 'Retention policy deleted successfully' });
+}));
+
+// Count the records each policy would downsample and delete, changing nothing
+router.get('/dry-run', asyncHandler(async (req, res) => {
+    res.json(await retentionManager.run({ dryRun: true }));
+}));
+
+// Apply the policies now
+router.post('/run', asyncHandler(async (req, res) => {
+    try {
+        res.json(await retentionManager.run());
+    } catch (error) {
+        if (!sendRetentionError(res, error)) {
+            throw error;
+        }
+    }
+}));
+
+// Report of the last run, scheduled or manual
+router.get('/last-run', asyncHandler(async (req, res) => {
+    res.json({ lastRun: retentionManager.lastRun, running: retentionManager.running });
+}));
+
+module.exports = router;
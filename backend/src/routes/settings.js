@@ -1,30 +1,57 @@
-    // backend/src/routes/settings.js
-    const express = require('express');
-    const router = express.Router();
-    const asyncHandler = require('../utils/asyncHandler'); // Import your async error handler
-    // Import your settings service or model
-
-    // Get settings
-    router.get('/', asyncHandler(async (req, res) => {
-        const settings = {
-            // Add your default settings here
-            parser: {
-                maxPacketSize: 1024,
-                validateChecksum: true
-            },
-            tcp: {
-                port: 5000,
-                timeout: 30000
-            }
-        };
-        res.json(settings);
-    }));
-
-    // Update settings
-    router.put('/', asyncHandler(async (req, res) => {
-        const newSettings = req.body;
-        // Add your settings update logic here
-        res.json({ message: 'Settings updated successfully' });
-    }));
-
-    module.exports = router;
+// backend/src/routes/settings.js
+const express = require('express');
+const router = express.Router();
+const settingsManager = require('../services/settingsManager');
+const systemMonitor = require('../services/systemMonitor');
+const asyncHandler = require('../utils/asyncHandler');
+
+const EXPORT_VERSION = 1;
+
+// Get settings
+router.get('/', asyncHandler(async (req, res) => {
+    res.json(settingsManager.getAll());
+}));
+
+// Update settings; only the given settings change
+router.put('/', asyncHandler(async (req, res) => {
+    const errors = settingsManager.validate(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid settings', errors });
+    }
+    res.json(await settingsManager.update(req.body));
+}));
+
+// CPU, memory and disk usage, uptime and connection counts
+router.get('/status', asyncHandler(async (req, res) => {
+    res.json(await systemMonitor.getStatus());
+}));
+
+// Health checks of the database, servers, queue and resources
+router.get('/health', asyncHandler(async (req, res) => {
+    res.json(await systemMonitor.getHealth());
+}));
+
+// Download the settings as a JSON file
+router.get('/export', asyncHandler(async (req, res) => {
+    res.attachment('settings.json');
+    res.json({
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: settingsManager.getAll()
+    });
+}));
+
+// Import settings from an export file (or a plain settings object)
+router.post('/import', asyncHandler(async (req, res) => {
+    const settings = req.body && req.body.version !== undefined ? req.body.settings : req.body;
+    if (req.body && req.body.version !== undefined && req.body.version > EXPORT_VERSION) {
+        return res.status(400).json({ message: `Unsupported settings export version ${req.body.version}` });
+    }
+    const errors = settingsManager.validate(settings);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid settings', errors });
+    }
+    res.json(await settingsManager.update(settings));
+}));
+
+module.exports = router;
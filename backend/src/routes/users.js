@@ -0,0 +1,129 @@
+// backend/src/routes/users.js
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const { User, DeviceGroup } = require('../models');
+const asyncHandler = require('../utils/asyncHandler');
+
+const groupInclude = { model: DeviceGroup, as: 'groups', attributes: ['id', 'name'], through: { attributes: [] } };
+const userAttributes = { exclude: ['passwordHash', 'tokenVersion'] };
+
+function findUser(id) {
+    return User.findByPk(id, { attributes: userAttributes, include: [groupInclude] });
+}
+
+// Device groups for a user ({ groupIds: [...] }); null if any does not exist
+async function findGroups(groupIds) {
+    if (!Array.isArray(groupIds)) {
+        return null;
+    }
+    const groups = await DeviceGroup.findAll({ where: { id: groupIds } });
+    return groups.length === new Set(groupIds).size ? groups : null;
+}
+
+// Get all users
+router.get('/', asyncHandler(async (req, res) => {
+    const users = await User.findAll({
+        attributes: userAttributes,
+        include: [groupInclude],
+        order: [['username', 'ASC']]
+    });
+    res.json(users);
+}));
+
+// Get user by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+    if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user);
+}));
+
+// Create a user ({ username, password, role, enabled, groupIds })
+router.post('/', asyncHandler(async (req, res) => {
+    const { groupIds, password, ...attributes } = req.body;
+    const errors = authService.validateUser({ ...attributes, password });
+    if (errors.length === 0 && await User.count({ where: { username: attributes.username.trim() } }) > 0) {
+        errors.push({ field: 'username', message: 'Username is already taken' });
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid user', errors });
+    }
+
+    const groups = groupIds !== undefined ? await findGroups(groupIds) : [];
+    if (!groups) {
+        return res.status(400).json({ message: 'Unknown device group in groupIds' });
+    }
+
+    const user = await User.create({
+        username: attributes.username.trim(),
+        role: attributes.role,
+        enabled: attributes.enabled,
+        passwordHash: await authService.hashPassword(password)
+    });
+    await user.setGroups(groups);
+    res.status(201).json(await findUser(user.id));
+}));
+
+// Update a user; setting a password logs the user out everywhere
+router.put('/:id', asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { groupIds, password, ...updates } = req.body;
+    const errors = authService.validateUser({ ...updates, password }, { partial: true });
+    if (updates.username !== undefined && errors.length === 0 && updates.username.trim() !== user.username
+        && await User.count({ where: { username: updates.username.trim() } }) > 0) {
+        errors.push({ field: 'username', message: 'Username is already taken' });
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid user', errors });
+    }
+
+    // Admins cannot lock themselves out
+    if (user.id === req.user.id && ((updates.role !== undefined && updates.role !== 'admin') || updates.enabled === false)) {
+        return res.status(400).json({ message: 'You cannot remove your own admin access' });
+    }
+
+    const groups = groupIds !== undefined ? await findGroups(groupIds) : undefined;
+    if (groups === null) {
+        return res.status(400).json({ message: 'Unknown device group in groupIds' });
+    }
+
+    const changes = {};
+    ['role', 'enabled'].forEach(field => {
+        if (updates[field] !== undefined) {
+            changes[field] = updates[field];
+        }
+    });
+    if (updates.username !== undefined) {
+        changes.username = updates.username.trim();
+    }
+    await user.update(changes);
+    if (password !== undefined) {
+        await authService.changePassword(user, password);
+    }
+    if (groups) {
+        await user.setGroups(groups);
+    }
+    res.json(await findUser(user.id));
+}));
+
+// Delete a user
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+        return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+
+    await user.destroy();
+    res.json({ message: 'User deleted successfully' });
+}));
+
+module.exports = router;
@@ -10,6 +10,7 @@ const { sequelize } = require('./models');
 const GalileoskyParser = require('./services/parser');
 const deviceManager = require('./services/deviceManager');
 const packetProcessor = require('./services/packetProcessor');
+const authService = require('./services/authService');
 const logger = require('./utils/logger');
 const config = require('./config');
 
@@ -111,6 +112,8 @@ async function startServer() {
         await sequelize.sync();
         console.log('Database synced');
 
+        await authService.bootstrapAdmin();
+
         // Try to start HTTP server on different ports
         const ports = [3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 3009];
         let server = null;
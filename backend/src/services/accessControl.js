@@ -0,0 +1,76 @@
+// backend/src/services/accessControl.js
+
+const { Op } = require('sequelize');
+const { Device, DeviceGroup, User } = require('../models');
+
+/**
+ * Decides which devices a user may see. Admins see every device; operators
+ * and viewers only see the devices of the groups they belong to.
+ */
+class AccessControl {
+    isAdmin(user) {
+        return user.role === 'admin';
+    }
+
+    /**
+     * Devices ({ id, imei }) the user may see, or null when they may see all
+     */
+    async getDevices(user) {
+        if (this.isAdmin(user)) {
+            return null;
+        }
+
+        return Device.findAll({
+            attributes: ['id', 'imei'],
+            include: [{
+                model: DeviceGroup,
+                as: 'groups',
+                attributes: [],
+                through: { attributes: [] },
+                required: true,
+                include: [{
+                    model: User,
+                    as: 'users',
+                    attributes: [],
+                    through: { attributes: [] },
+                    where: { id: user.id },
+                    required: true
+                }]
+            }],
+            raw: true
+        });
+    }
+
+    /**
+     * IMEIs of the devices the user may see as a Set, or null for all devices
+     */
+    async getDeviceImeis(user) {
+        const devices = await this.getDevices(user);
+        return devices ? new Set(devices.map(device => device.imei)) : null;
+    }
+
+    /**
+     * Where clause limiting a query to the user's devices. field is the
+     * column holding the device reference and key what it holds (imei or id).
+     */
+    async deviceWhere(user, field = 'deviceImei', key = 'imei') {
+        const devices = await this.getDevices(user);
+        if (!devices) {
+            return {};
+        }
+        return { [field]: { [Op.in]: [...new Set(devices.map(device => device[key]))] } };
+    }
+
+    /**
+     * Whether the user may see a device, given its UUID or IMEI
+     */
+    async canAccessDevice(user, deviceId) {
+        const devices = await this.getDevices(user);
+        if (!devices) {
+            return true;
+        }
+        return devices.some(device => device.id === deviceId || device.imei === deviceId);
+    }
+}
+
+module.exports = new AccessControl();
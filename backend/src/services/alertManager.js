@@ -1,21 +1,87 @@
 // backend/src/services/alertManager.js
 
-const config = require('../config');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 const { Alert, AlertRule } = require('../models');
 const websocketHandler = require('./websocketHandler');
+const deviceManager = require('./deviceManager');
+const ruleCompiler = require('./ruleCompiler');
+const notificationManager = require('./notificationManager');
 
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const DURATION_UNITS = ['seconds', 'records'];
+
+/**
+ * Evaluates alert rules against saved records.
+ *
+ * Each rule keeps a state per device: how long its condition has held, the
+ * alert it raised (if any) and when that alert was resolved. An alert is
+ * raised once the condition has held for the rule's duration and the
+ * cool-down since the last resolved alert has passed; it is resolved again
+ * when the clear condition holds, or when the condition stops holding if the
+ * rule has no clear condition.
+ */
 class AlertManager {
     constructor() {
-        this.rules = new Map();
+        this.rules = new Map(); // rule id -> { rule, condition, clearCondition }
+        this.states = new Map(); // `${ruleId}:${deviceImei}` -> rule state for the device
         this.loadRules();
     }
 
-    async loadRules() {
-        const rules = await AlertRule.findAll();
-        rules.forEach(rule => {
-            this.rules.set(rule.id, this.compileRule(rule));
+    /**
+     * Compile a rule's conditions. Throws a RuleSyntaxError for invalid conditions.
+     */
+    compileRule(rule) {
+        return {
+            rule,
+            condition: ruleCompiler.compile(rule.condition),
+            clearCondition: rule.clearCondition ? ruleCompiler.compile(rule.clearCondition) : null
+        };
+    }
+
+    /**
+     * Validate rule attributes before they are saved. Returns a list of problems.
+     */
+    validateRule(attributes, { partial = false } = {}) {
+        const errors = [];
+
+        if (!partial || attributes.name !== undefined) {
+            if (typeof attributes.name !== 'string' || !attributes.name.trim()) {
+                errors.push({ field: 'name', message: 'Name is required' });
+            }
+        }
+
+        if (!partial || attributes.condition !== undefined) {
+            const error = ruleCompiler.validate(attributes.condition);
+            if (error) {
+                errors.push({ field: 'condition', message: error.message, position: error.position });
+            }
+        }
+
+        if (attributes.clearCondition !== undefined && attributes.clearCondition !== null && attributes.clearCondition !== '') {
+            const error = ruleCompiler.validate(attributes.clearCondition);
+            if (error) {
+                errors.push({ field: 'clearCondition', message: error.message, position: error.position });
+            }
+        }
+
+        if (!partial || attributes.severity !== undefined) {
+            if (!SEVERITIES.includes(attributes.severity)) {
+                errors.push({ field: 'severity', message: `Severity must be one of ${SEVERITIES.join(', ')}` });
+            }
+        }
+
+        ['duration', 'cooldown'].forEach(field => {
+            if (attributes[field] !== undefined && (!Number.isInteger(attributes[field]) || attributes[field] < 0)) {
+                errors.push({ field, message: `${field} must be a non-negative integer` });
+            }
         });
+
+        if (attributes.durationUnit !== undefined && !DURATION_UNITS.includes(attributes.durationUnit)) {
+            errors.push({ field: 'durationUnit', message: `Duration unit must be one of ${DURATION_UNITS.join(', ')}` });
+        }
+
+        return errors;
     }
 
     async loadRules() {
@@ -24,56 +90,263 @@ class AlertManager {
                 where: { enabled: true }
             });
 
+            this.rules.clear();
             rules.forEach(rule => {
-                this.rules.set(rule.id, this.compileRule(rule));
+                try {
+                    this.rules.set(rule.id, this.compileRule(rule));
+                } catch (error) {
+                    logger.error(`Alert rule ${rule.id} (${rule.name}) has an invalid condition, skipping: ${error.message}`);
+                }
+            });
+
+            const activeAlerts = await Alert.findAll({
+                where: {
+                    status: { [Op.in]: ['active', 'acknowledged'] },
+                    ruleId: { [Op.ne]: null }
+                }
             });
 
-            logger.info(`Loaded ${rules.length} alert rules`);
+            // Rules may have changed, so conditions start holding afresh; cool-downs carry over
+            const states = new Map();
+            for (const [key, state] of this.states) {
+                if (this.rules.has(key.slice(0, key.indexOf(':'))) && state.resolvedAt) {
+                    states.set(key, { ...this.createState(), resolvedAt: state.resolvedAt });
+                }
+            }
+            activeAlerts.forEach(alert => {
+                const key = `${alert.ruleId}:${alert.deviceId}`;
+                states.set(key, { ...(states.get(key) || this.createState()), alert });
+            });
+            this.states = states;
+
+            logger.info(`Loaded ${this.rules.size} alert rules`);
         } catch (error) {
             logger.error('Error loading alert rules:', error);
         }
     }
 
-    async checkAlerts(deviceId, data) {
-        const alerts = [];
-        
-        for (const [ruleId, evaluator] of this.rules) {
+    createState() {
+        return {
+            alert: null, // unresolved alert raised by the rule for the device
+            holdingSince: null, // record time the condition started holding
+            holdingRecords: 0, // consecutive records the condition has held for
+            resolvedAt: null,
+            lastRecordAt: null
+        };
+    }
+
+    getState(key) {
+        if (!this.states.has(key)) {
+            this.states.set(key, this.createState());
+        }
+        return this.states.get(key);
+    }
+
+    /**
+     * Custom field names of a device, mapped to the field or tag they rename
+     */
+    getNameMappings(deviceId) {
+        const mappings = {};
+        const deviceMappings = deviceId ? deviceManager.mappings.get(deviceId) : null;
+        if (deviceMappings) {
+            for (const [originalField, mapping] of Object.entries(deviceMappings)) {
+                mappings[mapping.customName] = originalField;
+            }
+        }
+        return mappings;
+    }
+
+    durationReached(rule, state, time) {
+        if (!rule.duration) {
+            return true;
+        }
+        if (rule.durationUnit === 'records') {
+            return state.holdingRecords >= rule.duration;
+        }
+        return time - state.holdingSince >= rule.duration * 1000;
+    }
+
+    inCooldown(rule, state, time) {
+        return Boolean(rule.cooldown && state.resolvedAt && time - state.resolvedAt < rule.cooldown * 1000);
+    }
+
+    isCleared({ condition, clearCondition }, context) {
+        if (clearCondition) {
+            return clearCondition.hasValues(context) && clearCondition.evaluate(context);
+        }
+        return condition.hasValues(context) && !condition.evaluate(context);
+    }
+
+    /**
+     * Evaluate every enabled rule against a saved record, raising and
+     * resolving the device's alerts. Records without any of the values a
+     * condition uses leave that rule's state unchanged.
+     */
+    async checkAlerts(imei, record) {
+        const context = {
+            fields: record.fields,
+            tags: record.tags,
+            mappings: this.getNameMappings(record.deviceId)
+        };
+        const time = record.fields && record.fields.datetime ? new Date(record.fields.datetime) : new Date();
+        const raised = [];
+        const cleared = [];
+
+        for (const [ruleId, compiled] of this.rules) {
+            const { rule, condition } = compiled;
+            const state = this.getState(`${ruleId}:${imei}`);
             try {
-                if (evaluator(data)) {
-                    const alert = await this.createAlert(deviceId, ruleId, data);
-                    alerts.push(alert);
+                state.lastRecordAt = time;
+
+                if (state.alert) {
+                    if (state.alert.id && this.isCleared(compiled, context)) {
+                        cleared.push(state);
+                    }
+                    continue;
+                }
+
+                if (!condition.hasValues(context)) {
+                    continue;
+                }
+                if (!condition.evaluate(context)) {
+                    state.holdingSince = null;
+                    state.holdingRecords = 0;
+                    continue;
+                }
+
+                state.holdingSince = state.holdingSince || time;
+                state.holdingRecords++;
+                if (!this.durationReached(rule, state, time) || this.inCooldown(rule, state, time)) {
+                    continue;
                 }
+
+                // Claim the state before saving so a concurrent record cannot raise a second alert
+                state.alert = this.createAlert(imei, rule, time);
+                state.holdingSince = null;
+                state.holdingRecords = 0;
+                raised.push(state);
             } catch (error) {
                 logger.error(`Alert rule ${ruleId} evaluation error:`, error);
             }
         }
 
-        if (alerts.length > 0) {
-            await Alert.bulkCreate(alerts);
-            websocketHandler.broadcastToDevice(deviceId, {
-                type: 'alerts',
-                alerts
+        const changed = [];
+
+        if (raised.length > 0) {
+            let saved;
+            try {
+                saved = await Alert.bulkCreate(raised.map(state => state.alert));
+            } catch (error) {
+                // Let the rules fire again on the next record
+                raised.forEach(state => { state.alert = null; });
+                throw error;
+            }
+            saved.forEach((alert, index) => {
+                raised[index].alert = alert;
+                logger.info('Alert triggered:', {
+                    imei,
+                    ruleId: alert.ruleId,
+                    message: alert.message
+                });
             });
+            changed.push(...saved);
+        }
+
+        for (const state of cleared) {
+            const alert = state.alert;
+            await alert.update({ status: 'resolved' });
+            state.alert = null;
+            state.resolvedAt = time;
+            logger.info('Alert resolved:', { imei, ruleId: alert.ruleId, alertId: alert.id });
+            changed.push(alert);
+        }
+
+        if (changed.length > 0) {
+            this.notifyAlerts(imei, changed);
         }
 
-        return alerts;
+        return changed;
     }
 
-    createAlert(deviceId, ruleId, data) {
+    createAlert(imei, rule, time) {
         return {
-            deviceId,
-            ruleId,
-            timestamp: new Date(),
-            data: JSON.stringify(data)
+            deviceId: imei,
+            ruleId: rule.id,
+            message: `${rule.name}: ${rule.condition}`,
+            severity: SEVERITIES.includes(rule.severity) ? rule.severity : 'medium',
+            status: 'active',
+            timestamp: time
         };
     }
 
+    /**
+     * Record a geofence enter, exit or dwell event as an alert
+     */
+    async raiseGeofenceAlert(imei, geofence, event, time) {
+        const descriptions = {
+            enter: 'entered the zone',
+            exit: 'left the zone',
+            dwell: `stayed in the zone for ${geofence.dwellTime} seconds`
+        };
+
+        const alert = await Alert.create({
+            deviceId: imei,
+            geofenceId: geofence.id,
+            message: `${geofence.name}: device ${descriptions[event]}`,
+            severity: SEVERITIES.includes(geofence.severity) ? geofence.severity : 'low',
+            status: 'active',
+            timestamp: time
+        });
+
+        logger.info('Geofence alert triggered:', {
+            imei,
+            geofenceId: geofence.id,
+            event
+        });
+        this.notifyAlerts(imei, [alert]);
+        return alert;
+    }
+
+    /**
+     * Resolve an alert unless someone already did
+     */
+    async resolveAlert(alert) {
+        const [updated] = await Alert.update(
+            { status: 'resolved' },
+            { where: { id: alert.id, status: { [Op.ne]: 'resolved' } } }
+        );
+        if (updated > 0) {
+            alert.status = 'resolved';
+            this.notifyAlerts(alert.deviceId, [alert]);
+        }
+        return alert;
+    }
+
+    async updateAlertStatus(alert, status) {
+        await alert.update({ status });
+
+        const state = this.states.get(`${alert.ruleId}:${alert.deviceId}`);
+        if (state && state.alert && state.alert.id === alert.id) {
+            if (status === 'resolved') {
+                state.alert = null;
+                // Cool-downs are measured in record time
+                state.resolvedAt = state.lastRecordAt || new Date();
+            } else {
+                state.alert = alert;
+            }
+        }
+        return alert;
+    }
+
     notifyAlerts(deviceId, alerts) {
         websocketHandler.broadcastDeviceData(deviceId, {
             type: 'alerts',
             alerts
         });
+        notificationManager.dispatch(alerts);
     }
 }
 
 module.exports = new AlertManager();
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.DURATION_UNITS = DURATION_UNITS;
@@ -0,0 +1,161 @@
+// backend/src/services/authService.js
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { User } = require('../models');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ['admin', 'operator', 'viewer'];
+
+/**
+ * User accounts and the JWTs that authenticate API requests.
+ *
+ * Tokens carry the user's tokenVersion; logging out increments it, which
+ * revokes every token issued to that user.
+ */
+class AuthService {
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, passwordHash) {
+        const [scheme, salt, expected] = String(passwordHash).split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) {
+            return false;
+        }
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    /**
+     * Validate user attributes before they are saved. Returns a list of problems.
+     */
+    validateUser(attributes, { partial = false } = {}) {
+        const errors = [];
+
+        if (!partial || attributes.username !== undefined) {
+            if (typeof attributes.username !== 'string' || !attributes.username.trim()) {
+                errors.push({ field: 'username', message: 'Username is required' });
+            }
+        }
+
+        if (!partial || attributes.password !== undefined) {
+            const error = this.validatePassword(attributes.password);
+            if (error) {
+                errors.push({ field: 'password', message: error });
+            }
+        }
+
+        if (attributes.role !== undefined && !ROLES.includes(attributes.role)) {
+            errors.push({ field: 'role', message: `Role must be one of ${ROLES.join(', ')}` });
+        }
+
+        if (attributes.enabled !== undefined && typeof attributes.enabled !== 'boolean') {
+            errors.push({ field: 'enabled', message: 'enabled must be true or false' });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Returns the user for valid credentials, otherwise null
+     */
+    async authenticate(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return null;
+        }
+
+        const user = await User.scope('withPassword').findOne({ where: { username } });
+        if (!user || !user.enabled || !(await this.verifyPassword(password, user.passwordHash))) {
+            return null;
+        }
+
+        await user.update({ lastLoginAt: new Date() });
+        return user;
+    }
+
+    issueToken(user) {
+        return jwt.sign(
+            { sub: user.id, ver: user.tokenVersion },
+            config.jwt.secret,
+            { expiresIn: config.jwt.expiresIn }
+        );
+    }
+
+    /**
+     * Returns the enabled user a token was issued to, or null
+     */
+    async verifyToken(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, config.jwt.secret);
+        } catch (error) {
+            return null;
+        }
+
+        const user = await User.findByPk(payload.sub);
+        if (!user || !user.enabled || user.tokenVersion !== payload.ver) {
+            return null;
+        }
+        return user;
+    }
+
+    async revokeTokens(user) {
+        await user.increment('tokenVersion');
+    }
+
+    async changePassword(user, password) {
+        await User.update(
+            { passwordHash: await this.hashPassword(password), tokenVersion: user.tokenVersion + 1 },
+            { where: { id: user.id } }
+        );
+        return user.reload();
+    }
+
+    toJSON(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            lastLoginAt: user.lastLoginAt
+        };
+    }
+
+    /**
+     * Create the admin account when there are no users yet
+     */
+    async bootstrapAdmin() {
+        if (await User.count() > 0) {
+            return null;
+        }
+
+        const username = config.auth.adminUsername;
+        const password = config.auth.adminPassword || crypto.randomBytes(12).toString('base64url');
+        const user = await User.create({ username, role: 'admin', passwordHash: await this.hashPassword(password) });
+
+        if (config.auth.adminPassword) {
+            logger.info(`Created admin account "${username}" from ADMIN_PASSWORD`);
+        } else {
+            logger.warn(`Created admin account "${username}" with generated password: ${password} (change it after logging in)`);
+        }
+        return user;
+    }
+}
+
+module.exports = new AuthService();
+module.exports.ROLES = ROLES;
@@ -0,0 +1,289 @@
+// backend/src/services/backupManager.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { sequelize } = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+const packetQueue = require('./packetQueue');
+const alertManager = require('./alertManager');
+const geofenceManager = require('./geofenceManager');
+const deviceManager = require('./deviceManager');
+const deviceMapper = require('./deviceMapper');
+const packetProcessor = require('./packetProcessor');
+const tripDetector = require('./tripDetector');
+const dataAggregator = require('./dataAggregator');
+const settingsManager = require('./settingsManager');
+const retentionManager = require('./retentionManager');
+
+const BACKUP_ID = /^[0-9A-Za-z-]+$/;
+
+class BackupError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'BackupError';
+        this.status = status;
+    }
+}
+
+/**
+ * Copy between the live database and a file with SQLite's online backup
+ * API. All pages are copied in one step under a read lock, so a backup is a
+ * consistent snapshot; writes that meet the lock are retried by Sequelize.
+ */
+function copyDatabase(connection, file, toFile) {
+    return new Promise((resolve, reject) => {
+        const backup = connection.backup(file, 'main', 'main', toFile, (error) => {
+            if (error) {
+                return reject(error);
+            }
+            backup.step(-1, (stepError) => {
+                backup.finish(() => (stepError ? reject(stepError) : resolve()));
+            });
+        });
+    });
+}
+
+// Open a backup file on its own and let SQLite check it; files SQLite
+// cannot read are not valid backups either
+function checkBackupFile(file) {
+    return new Promise((resolve) => {
+        const db = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (openError) => {
+            if (openError) {
+                return resolve(false);
+            }
+            db.get('PRAGMA quick_check', (error, row) => {
+                db.close();
+                resolve(!error && Boolean(row) && Object.values(row)[0] === 'ok');
+            });
+        });
+    });
+}
+
+// Tables and columns of the running models that a backup file lacks, as
+// "Table" or "Table.column"; a backup taken before a later migration would
+// leave services querying tables that are not there
+function missingSchema(file) {
+    const all = (db, sql) => new Promise((resolve, reject) => {
+        db.all(sql, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(file, sqlite3.OPEN_READONLY, async (openError) => {
+            if (openError) {
+                return reject(openError);
+            }
+            try {
+                const missing = [];
+                for (const model of Object.values(sequelize.models)) {
+                    const table = model.getTableName();
+                    const columns = await all(db, `PRAGMA table_info("${table}")`);
+                    if (columns.length === 0) {
+                        missing.push(table);
+                        continue;
+                    }
+                    const names = new Set(columns.map(column => column.name));
+                    Object.values(model.rawAttributes)
+                        .filter(attribute => !names.has(attribute.field))
+                        .forEach(attribute => missing.push(`${table}.${attribute.field}`));
+                }
+                resolve(missing);
+            } catch (error) {
+                reject(error);
+            } finally {
+                db.close();
+            }
+        });
+    });
+}
+
+/**
+ * Database backups: SQLite snapshot files in the backup directory, each with
+ * a JSON file describing it. Backups are manual, scheduled (rotated) or
+ * automatic (taken before a restore). One backup or restore runs at a time.
+ */
+class BackupManager {
+    constructor() {
+        this.directory = config.backups.directory;
+        this.running = null;
+        this.timer = null;
+    }
+
+    filePath(id) {
+        return path.join(this.directory, `${id}.sqlite`);
+    }
+
+    metadataPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+        const files = await fs.promises.readdir(this.directory);
+        const backups = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(async (file) => {
+                try {
+                    return JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+                } catch (error) {
+                    logger.warn(`Skipping unreadable backup metadata ${file}: ${error.message}`);
+                    return null;
+                }
+            }));
+        return backups
+            .filter(backup => backup && fs.existsSync(this.filePath(backup.id)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async get(id) {
+        if (!BACKUP_ID.test(id || '') || !fs.existsSync(this.metadataPath(id)) || !fs.existsSync(this.filePath(id))) {
+            return null;
+        }
+        return JSON.parse(await fs.promises.readFile(this.metadataPath(id), 'utf8'));
+    }
+
+    // Run one backup or restore at a time
+    async exclusive(operation, task) {
+        if (this.running) {
+            throw new BackupError(`A database ${this.running} is already in progress`, 409);
+        }
+        this.running = operation;
+        try {
+            return await task();
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * Snapshot the database while ingestion continues
+     */
+    create(name, type = 'manual') {
+        return this.exclusive('backup', () => this.writeBackup(name, type));
+    }
+
+    async writeBackup(name, type) {
+        const createdAt = new Date();
+        const id = `${createdAt.toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+        const file = this.filePath(id);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const started = Date.now();
+        const connection = await sequelize.connectionManager.getConnection();
+        try {
+            await copyDatabase(connection, file, true);
+        } catch (error) {
+            await fs.promises.rm(file, { force: true });
+            throw error;
+        }
+
+        const backup = {
+            id,
+            name: name || `Backup ${createdAt.toISOString()}`,
+            type,
+            createdAt: createdAt.toISOString(),
+            size: (await fs.promises.stat(file)).size
+        };
+        await fs.promises.writeFile(this.metadataPath(id), JSON.stringify(backup, null, 2));
+        logger.info(`Database backup ${id} (${backup.name}) created in ${Date.now() - started}ms, ${backup.size} bytes`);
+        return backup;
+    }
+
+    /**
+     * Replace the database with a backup. Packet processing is paused while
+     * the data is copied; the current database is backed up first.
+     */
+    restore(id) {
+        return this.exclusive('restore', async () => {
+            const backup = await this.get(id);
+            if (!backup) {
+                return null;
+            }
+            if (!await checkBackupFile(this.filePath(id))) {
+                throw new BackupError('Backup file is corrupted', 422);
+            }
+            const missing = await missingSchema(this.filePath(id));
+            if (missing.length > 0) {
+                throw new BackupError(`Backup does not match the current database schema; missing ${missing.join(', ')}`, 422);
+            }
+
+            await this.writeBackup(`Before restoring ${backup.name}`, 'automatic');
+
+            await packetQueue.pause();
+            try {
+                const connection = await sequelize.connectionManager.getConnection();
+                await copyDatabase(connection, this.filePath(id), false);
+                await this.reloadServices();
+            } finally {
+                packetQueue.resume();
+            }
+
+            logger.info(`Database restored from backup ${id} (${backup.name})`);
+            return backup;
+        });
+    }
+
+    // Drop state that services keep in memory from the replaced database
+    async reloadServices() {
+        deviceManager.devices.clear();
+        deviceManager.mappings.clear();
+        deviceMapper.clearCache();
+        packetProcessor.deviceMappingsCache.clear();
+        tripDetector.segmenters.clear();
+        retentionManager.downsampledUntil.clear();
+        dataAggregator.snapshot = null;
+        dataAggregator.distances = null;
+        await Promise.all([
+            settingsManager.load(),
+            alertManager.loadRules(),
+            geofenceManager.loadGeofences()
+        ]);
+    }
+
+    async remove(id) {
+        const backup = await this.get(id);
+        if (!backup) {
+            return null;
+        }
+        await fs.promises.rm(this.filePath(id), { force: true });
+        await fs.promises.rm(this.metadataPath(id), { force: true });
+        logger.info(`Database backup ${id} (${backup.name}) deleted`);
+        return backup;
+    }
+
+    /**
+     * Delete the oldest scheduled backups beyond the number to keep; with 0
+     * they are all kept
+     */
+    async rotate() {
+        if (config.backups.keep <= 0) {
+            return 0;
+        }
+        const scheduled = (await this.list()).filter(backup => backup.type === 'scheduled');
+        const expired = scheduled.slice(config.backups.keep);
+        for (const backup of expired) {
+            await this.remove(backup.id);
+        }
+        return expired.length;
+    }
+
+    startSchedule() {
+        if (this.timer || config.backups.interval <= 0) {
+            return;
+        }
+        this.timer = setInterval(async () => {
+            try {
+                await this.create('Scheduled backup', 'scheduled');
+                await this.rotate();
+            } catch (error) {
+                logger.error(`Scheduled database backup failed: ${error.message}`);
+            }
+        }, config.backups.interval);
+    }
+}
+
+module.exports = new BackupManager();
+module.exports.BackupError = BackupError;
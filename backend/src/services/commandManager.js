@@ -0,0 +1,307 @@
+// backend/src/services/commandManager.js
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Command } = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+const GalileoskyParser = require('./parser');
+
+const TAG_IMEI = 0x03;
+const TAG_DEVICE_NUMBER = 0x04;
+const TAG_COMMAND_NUMBER = 0xE0;
+const TAG_COMMAND_TEXT = 0xE1;
+const TAG_REPLY_DATA = 0xEB;
+
+// Command and reply text is CP1251; only Cyrillic needs mapping outside ASCII
+function encodeCP1251(text) {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code >= 0x0410 && code <= 0x044F) {
+            bytes.push(code - 0x0410 + 0xC0);
+        } else if (code === 0x0401) {
+            bytes.push(0xA8);
+        } else if (code === 0x0451) {
+            bytes.push(0xB8);
+        } else {
+            bytes.push(0x3F); // '?'
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function decodeCP1251(buffer) {
+    let text = '';
+    for (const byte of buffer) {
+        if (byte < 0x80) {
+            text += String.fromCharCode(byte);
+        } else if (byte >= 0xC0) {
+            text += String.fromCharCode(byte - 0xC0 + 0x0410);
+        } else if (byte === 0xA8) {
+            text += 'Ё';
+        } else if (byte === 0xB8) {
+            text += 'ё';
+        } else {
+            text += '?';
+        }
+    }
+    return text;
+}
+
+/**
+ * Sends text commands to trackers (tags 0xE0/0xE1) and records their replies.
+ *
+ * Commands are stored as "pending" and written to the device's socket as soon
+ * as the device is connected, or when it next connects. The device echoes the
+ * command number in its reply, which is how replies are matched back to the
+ * stored command.
+ */
+class CommandManager {
+    constructor() {
+        this.parser = new GalileoskyParser();
+        this.connections = new Map(); // imei -> { socket, deviceNumber }
+        this.replyTimers = new Map(); // command id -> timer
+        this.delivering = new Set();
+    }
+
+    buildCommandPacket(imei, deviceNumber, commandNumber, text) {
+        const textBuffer = encodeCP1251(text);
+        const body = Buffer.alloc(29 + textBuffer.length);
+
+        body.writeUInt8(0x01, 0);
+        body.writeUInt16LE(body.length - 3, 1);
+        body.writeUInt8(TAG_IMEI, 3);
+        body.write(String(imei).padEnd(15, '0').slice(0, 15), 4, 15, 'ascii');
+        body.writeUInt8(TAG_DEVICE_NUMBER, 19);
+        body.writeUInt16LE(deviceNumber || 0, 20);
+        body.writeUInt8(TAG_COMMAND_NUMBER, 22);
+        body.writeUInt32LE(commandNumber, 23);
+        body.writeUInt8(TAG_COMMAND_TEXT, 27);
+        body.writeUInt8(textBuffer.length, 28);
+        textBuffer.copy(body, 29);
+
+        const checksum = Buffer.alloc(2);
+        checksum.writeUInt16LE(this.parser.calculateCRC16(body), 0);
+        return Buffer.concat([body, checksum]);
+    }
+
+    /**
+     * A command reply is a main packet with the fixed IMEI, number, 0xE0, 0xE1 layout
+     */
+    isCommandReply(packet) {
+        return packet.length >= 31
+            && packet[0] === 0x01
+            && packet[3] === TAG_IMEI
+            && packet[19] === TAG_DEVICE_NUMBER
+            && packet[22] === TAG_COMMAND_NUMBER
+            && packet[27] === TAG_COMMAND_TEXT;
+    }
+
+    parseReply(packet) {
+        const end = packet.length - 2;
+        const textLength = packet.readUInt8(28);
+        if (29 + textLength > end) {
+            throw new Error('Command reply text exceeds packet length');
+        }
+
+        const reply = {
+            imei: packet.slice(4, 19).toString('ascii'),
+            deviceNumber: packet.readUInt16LE(20),
+            commandNumber: packet.readUInt32LE(23),
+            text: decodeCP1251(packet.slice(29, 29 + textLength)),
+            data: null
+        };
+
+        const offset = 29 + textLength;
+        if (offset + 2 <= end && packet[offset] === TAG_REPLY_DATA) {
+            const dataLength = packet.readUInt8(offset + 1);
+            reply.data = packet.slice(offset + 2, Math.min(offset + 2 + dataLength, end));
+        }
+
+        return reply;
+    }
+
+    /**
+     * Remember which socket a device is on and deliver anything waiting for it
+     */
+    bindSocket(imei, socket, deviceNumber) {
+        if (!imei || !socket) {
+            return;
+        }
+
+        const existing = this.connections.get(imei);
+        this.connections.set(imei, {
+            socket,
+            deviceNumber: deviceNumber !== undefined ? deviceNumber : (existing ? existing.deviceNumber : 0)
+        });
+
+        if (!existing || existing.socket !== socket) {
+            this.deliverPending(imei).catch((error) => {
+                logger.error(`Error delivering pending commands to ${imei}:`, error);
+            });
+        }
+    }
+
+    releaseSocket(socket) {
+        for (const [imei, connection] of this.connections) {
+            if (connection.socket === socket) {
+                this.connections.delete(imei);
+            }
+        }
+    }
+
+    isConnected(imei) {
+        const connection = this.connections.get(imei);
+        return Boolean(connection && !connection.socket.destroyed && connection.socket.writable);
+    }
+
+    async queueCommand(imei, text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('Command text is required');
+        }
+        if (encodeCP1251(text).length > 255) {
+            throw new Error('Command text must be at most 255 characters');
+        }
+
+        const command = await Command.create({
+            deviceImei: imei,
+            commandNumber: crypto.randomInt(0, 0xFFFFFFFF),
+            command: text,
+            status: 'pending'
+        });
+
+        logger.info('Command queued:', { imei, commandId: command.id, command: text });
+
+        if (this.isConnected(imei)) {
+            await this.deliver(command);
+        }
+
+        return command;
+    }
+
+    async deliverPending(imei) {
+        const commands = await Command.findAll({
+            where: { deviceImei: imei, status: 'pending' },
+            order: [['createdAt', 'ASC']]
+        });
+
+        for (const command of commands) {
+            await this.deliver(command);
+        }
+    }
+
+    async deliver(command) {
+        if (this.delivering.has(command.id) || !this.isConnected(command.deviceImei)) {
+            return false;
+        }
+
+        this.delivering.add(command.id);
+        try {
+            // Claim the command so a concurrent delivery of the same row cannot send it twice
+            const [claimed] = await Command.update(
+                { status: 'sent', sentAt: new Date(), attempts: command.attempts + 1 },
+                { where: { id: command.id, status: 'pending' } }
+            );
+            if (claimed === 0) {
+                return false;
+            }
+            await command.reload();
+
+            const { socket, deviceNumber } = this.connections.get(command.deviceImei);
+            const packet = this.buildCommandPacket(command.deviceImei, deviceNumber, Number(command.commandNumber), command.command);
+            socket.write(packet);
+
+            logger.info('Command sent:', {
+                imei: command.deviceImei,
+                commandId: command.id,
+                commandNumber: command.commandNumber,
+                hex: packet.toString('hex').toUpperCase()
+            });
+
+            this.startReplyTimer(command);
+            return true;
+        } catch (error) {
+            logger.error(`Error sending command ${command.id}:`, error);
+            await command.update({ status: 'failed', error: error.message });
+            return false;
+        } finally {
+            this.delivering.delete(command.id);
+        }
+    }
+
+    startReplyTimer(command) {
+        clearTimeout(this.replyTimers.get(command.id));
+        const timer = setTimeout(async () => {
+            this.replyTimers.delete(command.id);
+            try {
+                const [updated] = await Command.update(
+                    { status: 'timeout' },
+                    { where: { id: command.id, status: 'sent' } }
+                );
+                if (updated > 0) {
+                    logger.warn('Command reply timed out:', { imei: command.deviceImei, commandId: command.id });
+                }
+            } catch (error) {
+                logger.error(`Error marking command ${command.id} as timed out:`, error);
+            }
+        }, config.commands.replyTimeout);
+        this.replyTimers.set(command.id, timer);
+    }
+
+    /**
+     * Store a device reply against the command it answers. Late replies to
+     * timed out commands are still accepted.
+     */
+    async handleReply(packet, socket) {
+        const reply = this.parseReply(packet);
+        this.bindSocket(reply.imei, socket, reply.deviceNumber);
+
+        const command = await Command.findOne({
+            where: {
+                deviceImei: reply.imei,
+                commandNumber: reply.commandNumber,
+                status: { [Op.in]: ['sent', 'timeout'] }
+            },
+            order: [['sentAt', 'DESC']]
+        });
+
+        if (!command) {
+            logger.warn('Command reply does not match any sent command:', {
+                imei: reply.imei,
+                commandNumber: reply.commandNumber,
+                reply: reply.text
+            });
+            return null;
+        }
+
+        clearTimeout(this.replyTimers.get(command.id));
+        this.replyTimers.delete(command.id);
+
+        await command.update({
+            status: 'replied',
+            response: reply.text,
+            responseData: reply.data ? reply.data.toString('hex').toUpperCase() : null,
+            repliedAt: new Date()
+        });
+
+        logger.info('Command reply received:', {
+            imei: reply.imei,
+            commandId: command.id,
+            reply: reply.text
+        });
+        return command;
+    }
+
+    async getHistory(imei, limit = 50) {
+        return Command.findAll({
+            where: { deviceImei: imei },
+            order: [['createdAt', 'DESC']],
+            limit
+        });
+    }
+}
+
+module.exports = new CommandManager();
@@ -0,0 +1,150 @@
+// backend/src/services/confirmationManager.js
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Sends the 0x02 + CRC confirmation back to trackers.
+ *
+ * In "immediate" mode packets are confirmed as soon as they are framed. In
+ * "durable" mode the confirmation is held until the packet queue reports the
+ * packet's records as committed; if processing fails the confirmation is
+ * withheld so the device keeps the archive and resends it. A timeout keeps a
+ * slow database from stalling the device indefinitely.
+ */
+class ConfirmationManager {
+    constructor() {
+        this.pending = new Map(); // confirmation key -> { socket, packet, metadata, timer }
+        this.sequence = 0;
+    }
+
+    isDurable() {
+        return config.tcp.confirmationMode === 'durable';
+    }
+
+    buildConfirmation(packet) {
+        const packetChecksum = packet.readUInt16LE(packet.length - 2);
+        return Buffer.from([0x02, packetChecksum & 0xFF, (packetChecksum >> 8) & 0xFF]);
+    }
+
+    /**
+     * Check the CRC16 (Modbus) trailer of a framed packet
+     */
+    hasValidChecksum(packet, parser) {
+        const calculatedChecksum = parser.calculateCRC16(packet.slice(0, packet.length - 2));
+        const receivedChecksum = packet.readUInt16LE(packet.length - 2);
+        return calculatedChecksum === receivedChecksum;
+    }
+
+    send(socket, packet, label = 'Confirmation sent:') {
+        if (socket.destroyed || !socket.writable) {
+            logger.warn('Socket closed before confirmation could be sent:', {
+                address: socket.remoteAddress + ':' + socket.remotePort,
+                timestamp: new Date().toISOString()
+            });
+            return false;
+        }
+
+        const confirmation = this.buildConfirmation(packet);
+        socket.write(confirmation);
+        logger.info(label, {
+            address: socket.remoteAddress + ':' + socket.remotePort,
+            hex: confirmation.toString('hex').toUpperCase(),
+            checksum: `0x${confirmation.slice(1).toString('hex').toUpperCase()}`,
+            packetLength: packet.length,
+            timestamp: new Date().toISOString()
+        });
+        return true;
+    }
+
+    /**
+     * Hold the confirmation for a packet until resolve() is called or the
+     * confirmation timeout expires. Returns the key to store in the packet
+     * metadata so queue events can be matched back to the socket.
+     */
+    track(socket, packet, metadata = {}) {
+        this.sequence = (this.sequence + 1) % Number.MAX_SAFE_INTEGER;
+        const key = `${Date.now()}-${this.sequence}`;
+
+        const timer = setTimeout(() => this.expire(key), config.tcp.confirmationTimeout);
+        this.pending.set(key, { socket, packet, metadata, timer });
+
+        return key;
+    }
+
+    resolve(key, stored, reason) {
+        const entry = this.pending.get(key);
+        if (!entry) {
+            return;
+        }
+
+        clearTimeout(entry.timer);
+        this.pending.delete(key);
+
+        if (stored) {
+            this.send(entry.socket, entry.packet, 'Confirmation sent after commit:');
+            return;
+        }
+
+        logger.warn('Confirmation withheld, device will resend packet:', {
+            address: entry.metadata.address,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    expire(key) {
+        const entry = this.pending.get(key);
+        if (!entry) {
+            return;
+        }
+
+        this.pending.delete(key);
+        logger.warn('Packet not committed within confirmation timeout, confirming anyway:', {
+            address: entry.metadata.address,
+            timeout: config.tcp.confirmationTimeout,
+            timestamp: new Date().toISOString()
+        });
+        this.send(entry.socket, entry.packet, 'Confirmation sent after timeout:');
+    }
+
+    /**
+     * Drop pending confirmations for a socket that has gone away
+     */
+    releaseSocket(socket) {
+        for (const [key, entry] of this.pending) {
+            if (entry.socket === socket) {
+                clearTimeout(entry.timer);
+                this.pending.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Resolve pending confirmations from packet queue events
+     */
+    attach(queue) {
+        queue.on('processed', (item, processingTime, result) => {
+            const key = item.metadata && item.metadata.confirmationKey;
+            if (key) {
+                this.resolve(key, result !== null && result !== undefined, 'No records could be stored');
+            }
+        });
+
+        queue.on('failed', (item, error) => {
+            const key = item.metadata && item.metadata.confirmationKey;
+            if (key) {
+                this.resolve(key, false, error.message);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            mode: config.tcp.confirmationMode,
+            pending: this.pending.size
+        };
+    }
+}
+
+module.exports = new ConfirmationManager();
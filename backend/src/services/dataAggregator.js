@@ -1,17 +1,36 @@
 // backend/src/services/dataAggregator.js
 
-const { DataPoint, Device } = require('../models');
+const { Record, Device, Alert, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { distance } = require('../utils/geo');
+const websocketHandler = require('./websocketHandler');
+const { SEVERITIES } = require('./alertManager');
+
+const HOUR = 60 * 60 * 1000;
+const HOURS = 24; // Hourly throughput buckets, ending with the current hour
+const DISTANCE_REFRESH = 5 * 60 * 1000;
 
 class DataAggregator {
-    async getDeviceStatistics(deviceId, timeRange) {
+    // Latest records of a device, newest first, without the raw tags
+    async getDeviceData(imei, limit = 50) {
+        return Record.findAll({
+            where: { deviceImei: imei },
+            attributes: { exclude: ['rawData'] },
+            order: [['timestamp', 'DESC']],
+            limit
+        });
+    }
+
+    async getDeviceStatistics(imei, timeRange) {
         try {
             const endDate = new Date();
             const startDate = new Date(endDate - timeRange);
 
-            const data = await DataPoint.findAll({
+            const data = await Record.findAll({
                 where: {
-                    deviceId,
+                    deviceImei: imei,
                     timestamp: {
                         [Op.between]: [startDate, endDate]
                     }
@@ -26,35 +45,187 @@ class DataAggregator {
         }
     }
 
-    async getDashboardData() {
-        try {
-            const now = new Date();
-            const dayAgo = new Date(now - 24 * 60 * 60 * 1000);
-
-            const stats = {
-                activeDevices: await Device.count({
-                    where: {
-                        status: 'active',
-                        lastSeen: {
-                            [Op.gt]: dayAgo
-                        }
-                    }
-                }),
-                totalMessages: await DataPoint.count({
-                    where: {
-                        timestamp: {
-                            [Op.gt]: dayAgo
-                        }
-                    }
-                }),
-                // Add more statistics as needed
-            };
+    /**
+     * Per-device figures behind the dashboard, shared by every user and
+     * refreshed at most once per update interval
+     */
+    getDashboardSnapshot() {
+        const { updateInterval } = config.dashboard;
+        if (!this.snapshot || Date.now() - this.snapshot.generatedAt >= updateInterval) {
+            if (!this.snapshotRun) {
+                this.snapshotRun = this.collectDashboardSnapshot()
+                    .then((snapshot) => {
+                        this.snapshot = snapshot;
+                        return snapshot;
+                    })
+                    .finally(() => {
+                        this.snapshotRun = null;
+                    });
+            }
+            return this.snapshotRun;
+        }
+        return Promise.resolve(this.snapshot);
+    }
 
-            return stats;
-        } catch (error) {
-            logger.error('Error getting dashboard data:', error);
-            throw error;
+    async collectDashboardSnapshot() {
+        const now = new Date();
+        const onlineSince = new Date(now - config.devices.onlineTimeout * 1000);
+        const firstHour = new Date(now);
+        firstHour.setUTCMinutes(0, 0, 0);
+        firstHour.setUTCHours(firstHour.getUTCHours() - (HOURS - 1));
+        const hours = Array.from({ length: HOURS }, (_, index) => new Date(firstHour.getTime() + index * HOUR).toISOString());
+
+        const devices = await Device.findAll({
+            attributes: ['imei', 'name', 'lastSeen'],
+            raw: true
+        });
+
+        const hour = sequelize.fn('strftime', '%Y-%m-%dT%H:00:00.000Z', sequelize.col('timestamp'));
+        const hourlyCounts = await Record.findAll({
+            attributes: ['deviceImei', [hour, 'hour'], [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            where: { timestamp: { [Op.gte]: firstHour } },
+            group: ['deviceImei', hour],
+            raw: true
+        });
+
+        const alertCounts = await Alert.findAll({
+            attributes: ['deviceId', 'severity', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            where: { status: { [Op.ne]: 'resolved' } },
+            group: ['deviceId', 'severity'],
+            raw: true
+        });
+
+        return {
+            generatedAt: now,
+            hours,
+            devices: devices.map(device => ({
+                imei: device.imei,
+                name: device.name,
+                online: Boolean(device.lastSeen && new Date(device.lastSeen) >= onlineSince)
+            })),
+            hourlyCounts: hourlyCounts.map(row => ({ imei: row.deviceImei, hour: row.hour, count: Number(row.count) })),
+            alertCounts: alertCounts.map(row => ({ imei: row.deviceId, severity: row.severity, count: Number(row.count) })),
+            distances: await this.getDistances(new Date(now - 24 * HOUR))
+        };
+    }
+
+    /**
+     * Meters driven by each device since a time, from its positioned records.
+     * Summing whole days of records is expensive, so results are reused for
+     * DISTANCE_REFRESH.
+     */
+    async getDistances(since) {
+        if (this.distances && Date.now() - this.distances.calculatedAt < DISTANCE_REFRESH) {
+            return this.distances.values;
         }
+
+        const devices = await Record.findAll({
+            attributes: [[sequelize.fn('DISTINCT', sequelize.col('deviceImei')), 'imei']],
+            where: { datetime: { [Op.gte]: since } },
+            raw: true
+        });
+
+        const values = {};
+        for (const { imei } of devices) {
+            const records = await Record.findAll({
+                attributes: ['latitude', 'longitude'],
+                where: {
+                    deviceImei: imei,
+                    datetime: { [Op.gte]: since },
+                    latitude: { [Op.ne]: null },
+                    longitude: { [Op.ne]: null }
+                },
+                order: [['datetime', 'ASC'], ['id', 'ASC']],
+                raw: true
+            });
+
+            let meters = 0;
+            let previous = null;
+            for (const record of records) {
+                if (record.latitude === 0 && record.longitude === 0) {
+                    continue;
+                }
+                if (previous) {
+                    meters += distance(previous.latitude, previous.longitude, record.latitude, record.longitude);
+                }
+                previous = record;
+            }
+            values[imei] = Math.round(meters);
+        }
+
+        this.distances = { calculatedAt: Date.now(), values };
+        return values;
+    }
+
+    /**
+     * Dashboard statistics over the devices in scope (a Set of IMEIs, or
+     * null for every device)
+     */
+    summarizeDashboard(snapshot, scope) {
+        const inScope = imei => !scope || scope.has(imei);
+        const devices = snapshot.devices.filter(device => inScope(device.imei));
+        const online = devices.filter(device => device.online).length;
+
+        const perHour = new Map(snapshot.hours.map(hour => [hour, 0]));
+        snapshot.hourlyCounts.forEach(({ imei, hour, count }) => {
+            if (inScope(imei) && perHour.has(hour)) {
+                perHour.set(hour, perHour.get(hour) + count);
+            }
+        });
+
+        const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+        snapshot.alertCounts.forEach(({ imei, severity, count }) => {
+            if (inScope(imei)) {
+                bySeverity[severity] = (bySeverity[severity] || 0) + count;
+            }
+        });
+
+        const names = new Map(devices.map(device => [device.imei, device.name]));
+        const topDistance = Object.entries(snapshot.distances)
+            .filter(([imei, meters]) => names.has(imei) && meters > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, config.dashboard.topDevices)
+            .map(([imei, meters]) => ({ imei, name: names.get(imei), distance: meters }));
+
+        const throughput = [...perHour].map(([hour, records]) => ({ hour, records }));
+
+        return {
+            generatedAt: snapshot.generatedAt,
+            devices: { total: devices.length, online, offline: devices.length - online },
+            records: {
+                last24h: throughput.reduce((sum, { records }) => sum + records, 0),
+                perHour: throughput
+            },
+            alerts: {
+                active: Object.values(bySeverity).reduce((sum, count) => sum + count, 0),
+                bySeverity
+            },
+            topDistance
+        };
+    }
+
+    async getDashboardStats(scope = null) {
+        return this.summarizeDashboard(await this.getDashboardSnapshot(), scope);
+    }
+
+    /**
+     * Push fresh statistics to WebSocket dashboard subscribers every update interval
+     */
+    startDashboardUpdates() {
+        if (this.dashboardTimer) {
+            return;
+        }
+        this.dashboardTimer = setInterval(async () => {
+            if (!websocketHandler.hasDashboardClients()) {
+                return;
+            }
+            try {
+                const snapshot = await this.getDashboardSnapshot();
+                websocketHandler.broadcastDashboard(scope => this.summarizeDashboard(snapshot, scope));
+            } catch (error) {
+                logger.error(`Error updating dashboard statistics: ${error.message}`);
+            }
+        }, config.dashboard.updateInterval);
     }
 
     calculateStatistics(data) {
@@ -71,17 +242,18 @@ class DataAggregator {
         let prevPoint = null;
         data.forEach(point => {
             // Update statistics based on point data
-            if (point.mappedData.speed) {
-                stats.averageSpeed += point.mappedData.speed;
-                stats.maxSpeed = Math.max(stats.maxSpeed, point.mappedData.speed);
+            if (point.speed) {
+                stats.averageSpeed += point.speed;
+                stats.maxSpeed = Math.max(stats.maxSpeed, point.speed);
+            }
+
+            if (point.latitude === null || point.longitude === null) {
+                return;
             }
 
             if (prevPoint) {
                 // Calculate distance between points
-                const distance = this.calculateDistance(
-                    prevPoint.mappedData.location,
-                    point.mappedData.location
-                );
+                const distance = this.calculateDistance(prevPoint, point);
                 stats.distanceTraveled += distance;
             }
 
@@ -1,8 +1,10 @@
 // backend/src/services/deviceManager.js
 
+const { Op } = require('sequelize');
 const { Device, FieldMapping } = require('../models');
 const config = require('../config');
 const logger = require('../utils/logger');
+const websocketHandler = require('./websocketHandler');
 
 class DeviceManager {
     constructor() {
@@ -12,7 +14,7 @@ class DeviceManager {
     }
 
     startCleanupInterval() {
-        setInterval(() => {
+        this.timer = setInterval(() => {
             this.cleanupOfflineDevices();
         }, config.tcp.timeout);
     }
@@ -30,6 +32,7 @@ class DeviceManager {
                 }
             });
 
+            const previousStatus = created ? null : device.status;
             if (!created) {
                 await device.update({
                     hardwareVersion: deviceInfo.hardwareVersion,
@@ -49,6 +52,9 @@ class DeviceManager {
             });
 
             logger.info(`Device registered: ${device.id} (${device.imei})`);
+            if (previousStatus !== 'active') {
+                this.broadcastStatus(device.imei, 'active', previousStatus, device.lastSeen);
+            }
             return device;
 
         } catch (error) {
@@ -191,34 +197,73 @@ class DeviceManager {
         return value;
     }
 
+    /**
+     * Store a device's status; changes are pushed to WebSocket subscribers
+     */
     async updateDeviceStatus(deviceId, status) {
         try {
-            await Device.update(
-                { 
-                    status,
-                    lastSeen: status === 'active' ? new Date() : undefined
-                },
-                { where: { id: deviceId } }
-            );
+            const device = await Device.findByPk(deviceId, { attributes: ['id', 'imei', 'status', 'lastSeen'] });
+            if (!device) {
+                return;
+            }
+
+            const lastSeen = status === 'active' ? new Date() : device.lastSeen;
+            await Device.update({ status, lastSeen }, { where: { id: deviceId } });
 
             if (status === 'offline') {
                 this.devices.delete(deviceId);
+            } else if (this.devices.has(deviceId)) {
+                this.devices.get(deviceId).lastSeen = lastSeen;
             }
 
-            logger.info(`Device ${deviceId} status updated to ${status}`);
-
+            if (device.status !== status) {
+                logger.info(`Device ${deviceId} status updated to ${status}`);
+                this.broadcastStatus(device.imei, status, device.status, lastSeen);
+            }
         } catch (error) {
             logger.error(`Error updating device ${deviceId} status:`, error);
             throw error;
         }
     }
 
+    broadcastStatus(imei, status, previousStatus, lastSeen) {
+        websocketHandler.broadcastDeviceData(imei, {
+            type: 'status',
+            status,
+            previousStatus,
+            lastSeen
+        });
+    }
+
+    /**
+     * Mark active devices offline once nothing has been heard from them for
+     * the online timeout
+     */
     async cleanupOfflineDevices() {
-        const now = new Date();
-        for (const [deviceId, info] of this.devices) {
-            if (now - info.lastSeen > config.tcp.timeout) {
-                await this.updateDeviceStatus(deviceId, 'offline');
+        try {
+            const cutoff = new Date(Date.now() - config.devices.onlineTimeout * 1000);
+            const devices = await Device.findAll({
+                where: {
+                    status: 'active',
+                    [Op.or]: [{ lastSeen: { [Op.lt]: cutoff } }, { lastSeen: null }]
+                },
+                attributes: ['id']
+            });
+
+            for (const device of devices) {
+                await this.updateDeviceStatus(device.id, 'offline');
             }
+        } catch (error) {
+            logger.error(`Error marking devices offline: ${error.message}`);
+        }
+    }
+
+    async getDevice(imei) {
+        try {
+            return await Device.findOne({ where: { imei } });
+        } catch (error) {
+            logger.error(`Error getting device by IMEI ${imei}:`, error);
+            throw error;
         }
     }
 
@@ -226,9 +271,10 @@ class DeviceManager {
         return this.devices.get(deviceId);
     }
 
-    async getAllDevices() {
+    async getAllDevices(where = {}) {
         try {
             return await Device.findAll({
+                where,
                 include: [{
                     model: FieldMapping,
                     as: 'mappings'
@@ -244,7 +290,10 @@ class DeviceManager {
     async getDeviceById(deviceId) {
         try {
             return await Device.findByPk(deviceId, {
-                include: [FieldMapping]
+                include: [{
+                    model: FieldMapping,
+                    as: 'mappings'
+                }]
             });
         } catch (error) {
             logger.error(`Error getting device ${deviceId}:`, error);
@@ -0,0 +1,283 @@
+// backend/src/services/exportManager.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Transform: CsvTransform } = require('json2csv');
+const ExcelJS = require('exceljs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const recordQuery = require('./recordQuery');
+
+const JOB_ID = /^[0-9A-Za-z-]+$/;
+
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    json: { extension: 'json', contentType: 'application/json' },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// The selected fields of every record of a query, as plain objects
+async function* exportRows(query, onRow) {
+    for await (const record of recordQuery.iterate(query)) {
+        const values = record.get({ plain: true });
+        const row = {};
+        query.fields.forEach((field) => {
+            row[field] = values[field];
+        });
+        if (onRow) {
+            onRow();
+        }
+        yield row;
+    }
+}
+
+async function* jsonLines(rows) {
+    for await (const row of rows) {
+        yield `${JSON.stringify(row)}\n`;
+    }
+}
+
+async function* jsonArray(rows) {
+    let first = true;
+    yield '[';
+    for await (const row of rows) {
+        yield `${first ? '\n' : ',\n'}${JSON.stringify(row)}`;
+        first = false;
+    }
+    yield '\n]\n';
+}
+
+/**
+ * Record exports. Rows are streamed from the database to the output a batch
+ * at a time, either straight to the HTTP response or into a file by an
+ * export job. Jobs run one after another; their files are kept in the export
+ * directory, each with a JSON file describing it, until they expire.
+ */
+class ExportManager {
+    constructor() {
+        this.directory = config.exports.directory;
+        this.jobs = new Map();
+        this.controllers = new Map(); // job id -> AbortController of the running job
+        this.queue = Promise.resolve();
+        this.timer = null;
+        this.loading = this.load().catch(error => logger.error(`Error loading export jobs: ${error.message}`));
+    }
+
+    /**
+     * Write a parsed record query to a writable stream; resolves once the
+     * output has been ended. An aborted signal stops the export.
+     */
+    async writeExport(query, format, output, { signal, onRow } = {}) {
+        const rows = exportRows(query, onRow);
+        switch (format) {
+            case 'csv':
+                return pipeline(Readable.from(rows), new CsvTransform({ fields: query.fields }, { objectMode: true }), output, { signal });
+            case 'ndjson':
+                return pipeline(Readable.from(jsonLines(rows)), output, { signal });
+            case 'json':
+                return pipeline(Readable.from(jsonArray(rows)), output, { signal });
+            case 'xlsx': {
+                const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+                const worksheet = workbook.addWorksheet('Export');
+                worksheet.columns = query.fields.map(field => ({ header: field, key: field }));
+                for await (const row of rows) {
+                    if (signal && signal.aborted) {
+                        output.destroy();
+                        throw new Error('Export cancelled');
+                    }
+                    worksheet.addRow(row).commit();
+                }
+                await worksheet.commit();
+                return workbook.commit();
+            }
+            default:
+                throw new Error(`Unsupported export format ${format}`);
+        }
+    }
+
+    /**
+     * Stream a parsed record query to an HTTP response as an attachment;
+     * stops reading records when the client goes away
+     */
+    async sendExport(query, format, res, name = 'data-export') {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+
+        res.attachment(`${name}.${FORMATS[format].extension}`);
+        res.type(FORMATS[format].contentType);
+        try {
+            await this.writeExport(query, format, res, { signal: controller.signal });
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                logger.error(`Error exporting records: ${error.message}`);
+            }
+            res.destroy();
+        }
+    }
+
+    filePath(job) {
+        return path.join(this.directory, `${job.id}.${FORMATS[job.format].extension}`);
+    }
+
+    metadataPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async save(job) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(this.metadataPath(job.id), JSON.stringify(job, null, 2));
+    }
+
+    /**
+     * Read the jobs of earlier runs; jobs a restart interrupted have failed
+     */
+    async load() {
+        if (!fs.existsSync(this.directory)) {
+            return;
+        }
+        const files = (await fs.promises.readdir(this.directory)).filter(file => file.endsWith('.json'));
+        for (const file of files) {
+            try {
+                const job = JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+                if (job.status === 'queued' || job.status === 'running') {
+                    Object.assign(job, { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date().toISOString() });
+                    await this.save(job);
+                }
+                this.jobs.set(job.id, job);
+            } catch (error) {
+                logger.warn(`Skipping unreadable export job ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Queue an export of a parsed query to a file; params are kept with the
+     * job to show what it exports
+     */
+    async createJob(user, query, format, params) {
+        await this.loading;
+        const createdAt = new Date();
+        const job = {
+            id: `${createdAt.toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`,
+            userId: user.id,
+            format,
+            params,
+            status: 'queued',
+            rows: 0,
+            size: null,
+            error: null,
+            createdAt: createdAt.toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+        await this.save(job);
+        this.queue = this.queue
+            .then(() => this.runJob(job, query))
+            .catch(error => logger.error(`Export job ${job.id} failed: ${error.message}`));
+        return { ...job };
+    }
+
+    async runJob(job, query) {
+        if (!this.jobs.has(job.id)) {
+            return; // Deleted while queued
+        }
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+        Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+        await this.save(job);
+
+        const file = this.filePath(job);
+        try {
+            await this.writeExport(query, job.format, fs.createWriteStream(file), {
+                signal: controller.signal,
+                onRow: () => { job.rows += 1; }
+            });
+            Object.assign(job, { status: 'completed', size: (await fs.promises.stat(file)).size });
+            logger.info(`Export job ${job.id} wrote ${job.rows} records to ${path.basename(file)}`);
+        } catch (error) {
+            await fs.promises.rm(file, { force: true });
+            Object.assign(job, { status: 'failed', error: controller.signal.aborted ? 'Cancelled' : error.message });
+            if (!controller.signal.aborted) {
+                logger.error(`Export job ${job.id} failed: ${error.message}`);
+            }
+        } finally {
+            this.controllers.delete(job.id);
+        }
+        job.finishedAt = new Date().toISOString();
+        if (this.jobs.has(job.id)) {
+            await this.save(job);
+        }
+    }
+
+    /**
+     * Export jobs the user may see, newest first: their own, or all for admins
+     */
+    async list(user) {
+        await this.loading;
+        return Array.from(this.jobs.values())
+            .filter(job => user.role === 'admin' || job.userId === user.id)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async get(id, user) {
+        await this.loading;
+        const job = JOB_ID.test(id || '') ? this.jobs.get(id) : null;
+        return job && (user.role === 'admin' || job.userId === user.id) ? job : null;
+    }
+
+    /**
+     * Cancel a job if it is still running and delete it with its file
+     */
+    async remove(id, user) {
+        const job = await this.get(id, user);
+        if (!job) {
+            return null;
+        }
+        this.jobs.delete(job.id);
+        if (this.controllers.has(job.id)) {
+            this.controllers.get(job.id).abort();
+        }
+        await fs.promises.rm(this.filePath(job), { force: true });
+        await fs.promises.rm(this.metadataPath(job.id), { force: true });
+        return job;
+    }
+
+    /**
+     * Delete finished jobs older than the configured expiry
+     */
+    async expire() {
+        await this.loading;
+        const cutoff = Date.now() - config.exports.expiry;
+        const expired = Array.from(this.jobs.values())
+            .filter(job => job.finishedAt && Date.parse(job.finishedAt) < cutoff);
+        for (const job of expired) {
+            await this.remove(job.id, { role: 'admin' });
+        }
+        return expired.length;
+    }
+
+    startSchedule() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(async () => {
+            try {
+                await this.expire();
+            } catch (error) {
+                logger.error(`Removing expired exports failed: ${error.message}`);
+            }
+        }, Math.min(config.exports.expiry, 60 * 60 * 1000));
+    }
+}
+
+module.exports = new ExportManager();
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,201 @@
+// backend/src/services/geofenceManager.js
+
+const logger = require('../utils/logger');
+const { Geofence, Device } = require('../models');
+const alertManager = require('./alertManager');
+const { distance } = require('../utils/geo');
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+
+// Ray casting on plain latitude/longitude, which is accurate enough for zones that do not span the antimeridian
+function insidePolygon(latitude, longitude, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.latitude > latitude) !== (b.latitude > latitude)
+            && longitude < (b.longitude - a.longitude) * (latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function isLatitude(value) {
+    return typeof value === 'number' && value >= -90 && value <= 90;
+}
+
+function isLongitude(value) {
+    return typeof value === 'number' && value >= -180 && value <= 180;
+}
+
+/**
+ * Checks record positions (tag 0x30) against the geofences each device is
+ * assigned to and raises enter, exit and dwell alerts through alertManager.
+ *
+ * Whether a device is inside a zone is kept in memory; the first position
+ * seen for a device after startup only establishes it, without an event.
+ * Leaving a zone resolves the enter and dwell alerts of that visit.
+ */
+class GeofenceManager {
+    constructor() {
+        this.geofences = new Map(); // imei -> enabled geofences assigned to the device
+        this.states = new Map(); // `${geofenceId}:${imei}` -> { inside, enteredAt, enterAlert, dwellAlert }
+        this.loadGeofences();
+    }
+
+    /**
+     * Validate geofence attributes before they are saved. Returns a list of problems.
+     */
+    validateGeofence(attributes, { partial = false } = {}) {
+        const errors = [];
+
+        if (!partial || attributes.name !== undefined) {
+            if (typeof attributes.name !== 'string' || !attributes.name.trim()) {
+                errors.push({ field: 'name', message: 'Name is required' });
+            }
+        }
+
+        if (!partial || attributes.type !== undefined) {
+            if (!GEOFENCE_TYPES.includes(attributes.type)) {
+                errors.push({ field: 'type', message: `Type must be one of ${GEOFENCE_TYPES.join(', ')}` });
+            }
+        }
+
+        if (attributes.type === 'circle') {
+            if (!isLatitude(attributes.latitude)) {
+                errors.push({ field: 'latitude', message: 'Latitude must be a number between -90 and 90' });
+            }
+            if (!isLongitude(attributes.longitude)) {
+                errors.push({ field: 'longitude', message: 'Longitude must be a number between -180 and 180' });
+            }
+            if (typeof attributes.radius !== 'number' || !(attributes.radius > 0)) {
+                errors.push({ field: 'radius', message: 'Radius must be a positive number of meters' });
+            }
+        }
+
+        if (attributes.type === 'polygon') {
+            const points = attributes.points;
+            if (!Array.isArray(points) || points.length < 3) {
+                errors.push({ field: 'points', message: 'A polygon needs at least 3 points' });
+            } else if (!points.every(point => point && isLatitude(point.latitude) && isLongitude(point.longitude))) {
+                errors.push({ field: 'points', message: 'Every point needs a valid latitude and longitude' });
+            }
+        }
+
+        if (attributes.dwellTime !== undefined && (!Number.isInteger(attributes.dwellTime) || attributes.dwellTime < 0)) {
+            errors.push({ field: 'dwellTime', message: 'dwellTime must be a non-negative integer' });
+        }
+
+        if (attributes.severity !== undefined && !alertManager.SEVERITIES.includes(attributes.severity)) {
+            errors.push({ field: 'severity', message: `Severity must be one of ${alertManager.SEVERITIES.join(', ')}` });
+        }
+
+        return errors;
+    }
+
+    contains(geofence, latitude, longitude) {
+        if (geofence.type === 'circle') {
+            return distance(geofence.latitude, geofence.longitude, latitude, longitude) <= geofence.radius;
+        }
+        return Array.isArray(geofence.points) && insidePolygon(latitude, longitude, geofence.points);
+    }
+
+    async loadGeofences() {
+        try {
+            const geofences = await Geofence.findAll({
+                where: { enabled: true },
+                include: [{ model: Device, as: 'devices', attributes: ['imei'] }]
+            });
+
+            const byImei = new Map();
+            geofences.forEach(geofence => {
+                geofence.devices.forEach(device => {
+                    if (!byImei.has(device.imei)) {
+                        byImei.set(device.imei, []);
+                    }
+                    byImei.get(device.imei).push(geofence);
+                });
+            });
+            this.geofences = byImei;
+
+            // Forget devices that are no longer assigned to a zone
+            for (const key of this.states.keys()) {
+                const [geofenceId, imei] = key.split(':');
+                if (!(byImei.get(imei) || []).some(geofence => geofence.id === geofenceId)) {
+                    this.states.delete(key);
+                }
+            }
+
+            logger.info(`Loaded ${geofences.length} geofences`);
+        } catch (error) {
+            logger.error('Error loading geofences:', error);
+        }
+    }
+
+    /**
+     * Position of a record, or null if it has no valid coordinates
+     */
+    getPosition(record) {
+        const coordinates = record.tags && record.tags['0x30'] ? record.tags['0x30'].value : null;
+        if (!coordinates || coordinates.correctness !== 0) {
+            return null;
+        }
+        if (!isLatitude(coordinates.latitude) || !isLongitude(coordinates.longitude)
+            || (coordinates.latitude === 0 && coordinates.longitude === 0)) {
+            return null;
+        }
+        return coordinates;
+    }
+
+    async checkRecord(imei, record) {
+        const geofences = this.geofences.get(imei);
+        const position = geofences ? this.getPosition(record) : null;
+        if (!position) {
+            return;
+        }
+
+        const time = record.fields && record.fields.datetime ? new Date(record.fields.datetime) : new Date();
+
+        for (const geofence of geofences) {
+            const key = `${geofence.id}:${imei}`;
+            const inside = this.contains(geofence, position.latitude, position.longitude);
+            const state = this.states.get(key);
+
+            if (!state) {
+                this.states.set(key, { inside, enteredAt: inside ? time : null, enterAlert: null, dwellAlert: null });
+                continue;
+            }
+
+            if (inside && !state.inside) {
+                state.inside = true;
+                state.enteredAt = time;
+                if (geofence.notifyOnEnter) {
+                    state.enterAlert = await alertManager.raiseGeofenceAlert(imei, geofence, 'enter', time);
+                }
+            } else if (!inside && state.inside) {
+                state.inside = false;
+                state.enteredAt = null;
+                await this.resolveVisit(state);
+                if (geofence.notifyOnExit) {
+                    await alertManager.raiseGeofenceAlert(imei, geofence, 'exit', time);
+                }
+            } else if (inside && geofence.dwellTime > 0 && !state.dwellAlert
+                && time - state.enteredAt >= geofence.dwellTime * 1000) {
+                state.dwellAlert = await alertManager.raiseGeofenceAlert(imei, geofence, 'dwell', time);
+            }
+        }
+    }
+
+    async resolveVisit(state) {
+        const alerts = [state.enterAlert, state.dwellAlert].filter(Boolean);
+        state.enterAlert = null;
+        state.dwellAlert = null;
+        for (const alert of alerts) {
+            await alertManager.resolveAlert(alert);
+        }
+    }
+}
+
+module.exports = new GeofenceManager();
+module.exports.GEOFENCE_TYPES = GEOFENCE_TYPES;
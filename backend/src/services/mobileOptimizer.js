@@ -3,6 +3,7 @@ const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const logger = require('../utils/logger');
+const config = require('../config');
 
 const execAsync = promisify(exec);
 
@@ -259,14 +260,14 @@ class MobileOptimizer {
     try {
       const { Record } = require('../models');
       
-      // Delete records older than 30 days
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      // Delete records older than the retention period
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - config.retention.days);
       
       const deletedCount = await Record.destroy({
         where: {
           timestamp: {
-            [require('sequelize').Op.lt]: thirtyDaysAgo
+            [require('sequelize').Op.lt]: cutoff
           }
         }
       });
@@ -0,0 +1,262 @@
+// backend/src/services/mobileStore.js
+
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Record } = require('../models');
+const packetProcessor = require('./packetProcessor');
+const { toWire } = require('./peerToPeerSync');
+const logger = require('../utils/logger');
+
+// Record columns a phone keeps out of the in-memory record
+const OMITTED_COLUMNS = ['id', 'rawData', 'deviceImei', 'recordNumber', 'createdAt', 'updatedAt'];
+
+const FILES = ['parsed_data.json', 'devices.json', 'last_imei.json'];
+
+/**
+ * The latest records on a phone, held in memory for peer sync and the phone
+ * UIs next to the database, in the shape the Termux backends used:
+ * global.parsedData (records with imei, archiveNumber, datetime and tags),
+ * global.devices (IMEI -> counts and last location) and global.lastIMEI.
+ * They are saved to parsed_data.json, devices.json and last_imei.json in
+ * config.mobile.dataDirectory, so a phone keeps the records it got from
+ * its peers across restarts. Records from peers are also stored in the
+ * database (see persist), so the API shows them like the phone's own.
+ */
+class MobileStore {
+    constructor() {
+        this.timer = null;
+    }
+
+    get parsedData() {
+        return global.parsedData;
+    }
+
+    get devices() {
+        return global.devices;
+    }
+
+    file(name) {
+        return path.join(config.mobile.dataDirectory, name);
+    }
+
+    readJson(name) {
+        const file = this.file(name);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    // Load what was saved, into the arrays the peer sync already holds
+    load() {
+        try {
+            const records = this.readJson('parsed_data.json') || [];
+            this.parsedData.push(...records.slice(-config.mobile.memoryRecords));
+            Object.entries(this.readJson('devices.json') || {}).forEach(([imei, device]) => {
+                this.devices.set(imei, device);
+            });
+            global.lastIMEI = (this.readJson('last_imei.json') || {}).lastIMEI || null;
+            logger.info(`Loaded ${this.parsedData.length} records and ${this.devices.size} devices`);
+        } catch (error) {
+            logger.error('Error loading mobile records:', { error: error.message });
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(config.mobile.dataDirectory, { recursive: true });
+            fs.writeFileSync(this.file('parsed_data.json'), JSON.stringify(this.parsedData));
+            fs.writeFileSync(this.file('devices.json'), JSON.stringify(Object.fromEntries(this.devices)));
+            if (global.lastIMEI) {
+                fs.writeFileSync(this.file('last_imei.json'), JSON.stringify({ lastIMEI: global.lastIMEI }));
+            }
+        } catch (error) {
+            logger.error('Error saving mobile records:', { error: error.message });
+        }
+    }
+
+    startAutoSave() {
+        if (this.timer || !config.mobile.saveInterval) {
+            return;
+        }
+        this.timer = setInterval(() => this.save(), config.mobile.saveInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.save();
+    }
+
+    /**
+     * The latest records held (at most limit, oldest first) and the devices
+     * that sent them, limited to the devices in scope (a Set of IMEIs, or
+     * null for every device)
+     */
+    snapshot(scope = null, limit = Infinity) {
+        const inScope = imei => !scope || scope.has(imei);
+        const records = this.parsedData.filter(record => inScope(String(record.imei || record.deviceId)));
+        const devices = Object.fromEntries([...this.devices].filter(([imei]) => inScope(imei)));
+        return {
+            records: records.slice(Math.max(0, records.length - limit)).map(toWire),
+            devices,
+            lastIMEI: global.lastIMEI && inScope(global.lastIMEI) ? global.lastIMEI : null,
+            totalRecords: records.length,
+            totalDevices: Object.keys(devices).length
+        };
+    }
+
+    getStorageInfo() {
+        const [parsedDataFile, devicesFile, lastImeiFile] = FILES.map((name) => {
+            const file = this.file(name);
+            const exists = fs.existsSync(file);
+            return { exists, size: exists ? fs.statSync(file).size : 0, path: file };
+        });
+        return {
+            parsedDataFile,
+            devicesFile,
+            lastImeiFile,
+            memoryData: { records: this.parsedData.length, devices: this.devices.size, lastIMEI: global.lastIMEI },
+            autoSave: { enabled: this.timer !== null, interval: config.mobile.saveInterval }
+        };
+    }
+
+    /**
+     * Forget the records and devices held and their saved files. The
+     * database keeps its records; peers send theirs again on the next sync.
+     */
+    clear() {
+        this.parsedData.length = 0;
+        this.devices.clear();
+        global.lastIMEI = null;
+        FILES.forEach(name => fs.rmSync(this.file(name), { force: true }));
+    }
+
+    /**
+     * Add the Record rows of a packet (see packetProcessor's 'saved' event),
+     * dropping the oldest records beyond config.mobile.memoryRecords
+     */
+    add(savedRecords) {
+        try {
+            const receivedAt = new Date().toISOString();
+            savedRecords.forEach((saved) => {
+                const row = saved.toJSON();
+                const record = { ...row };
+                OMITTED_COLUMNS.forEach((column) => {
+                    delete record[column];
+                });
+                Object.assign(record, {
+                    timestamp: receivedAt,
+                    deviceId: row.deviceImei,
+                    imei: row.deviceImei,
+                    datetime: row.datetime ? new Date(row.datetime).toISOString() : null,
+                    archiveNumber: row.recordNumber,
+                    tags: row.rawData ? JSON.parse(row.rawData) : {}
+                });
+                this.parsedData.push(record);
+                this.trackDevice(record);
+                global.lastIMEI = record.imei;
+            });
+
+            const excess = this.parsedData.length - config.mobile.memoryRecords;
+            if (excess > 0) {
+                this.parsedData.splice(0, excess);
+            }
+        } catch (error) {
+            logger.error('Error adding mobile records:', { error: error.message });
+        }
+    }
+
+    /**
+     * Store records merged from a peer as Record rows, skipping those the
+     * database already holds (same IMEI, archive number and device time).
+     * The rows of replaced records, whose version from the peer won a
+     * conflict, are updated to it.
+     */
+    async persist(records, replaced = []) {
+        try {
+            const toRows = list => list
+                .filter(record => record.imei || record.deviceId)
+                .map(record => this.toRow(record));
+            const replacedRows = toRows(replaced);
+            const rows = [...toRows(records), ...replacedRows];
+            const replacedKeys = new Set(replacedRows.map(row => this.rowKey(row)));
+            const imeis = [...new Set(rows.map(row => row.deviceImei))];
+            const stored = new Set();
+            for (const imei of imeis) {
+                await packetProcessor.parser.ensureDeviceExists(imei);
+                const datetimes = rows.filter(row => row.deviceImei === imei && row.datetime).map(row => new Date(row.datetime));
+                const existing = await Record.findAll({
+                    attributes: ['recordNumber', 'datetime'],
+                    where: { deviceImei: imei, datetime: { [Op.in]: datetimes } },
+                    raw: true
+                });
+                existing.forEach(row => stored.add(this.rowKey({ deviceImei: imei, ...row })));
+            }
+
+            const newRows = rows.filter(row => !stored.has(this.rowKey(row)));
+            if (newRows.length > 0) {
+                await Record.bulkCreate(newRows);
+            }
+            const updatedRows = rows.filter(row => stored.has(this.rowKey(row)) && replacedKeys.has(this.rowKey(row)));
+            for (const row of updatedRows) {
+                await Record.update(row, {
+                    where: { deviceImei: row.deviceImei, recordNumber: row.recordNumber ?? null, datetime: new Date(row.datetime) }
+                });
+            }
+            logger.info(`Stored ${newRows.length} and updated ${updatedRows.length} of ${rows.length} records from peers`);
+        } catch (error) {
+            logger.error('Error storing records from peers:', { error: error.message });
+        }
+    }
+
+    // The Record row of a record in the shape of parsedData
+    toRow(record) {
+        const imei = String(record.imei || record.deviceId);
+        const row = packetProcessor.parser.buildRecordData({ tags: record.tags || {} }, imei);
+        // Records without tags keep their decoded fields at the top level
+        Object.keys(Record.rawAttributes).forEach((column) => {
+            if ((row[column] === undefined || row[column] === null) && record[column] !== undefined && !OMITTED_COLUMNS.includes(column)) {
+                row[column] = record[column];
+            }
+        });
+        if (row.recordNumber === undefined && record.archiveNumber !== undefined) {
+            row.recordNumber = record.archiveNumber;
+        }
+        if (!row.datetime && record.datetime) {
+            row.datetime = record.datetime;
+        }
+        // When the record reached the peer, not when it reached this phone
+        if (record.timestamp && !Number.isNaN(Date.parse(record.timestamp))) {
+            row.timestamp = new Date(record.timestamp);
+        }
+        return row;
+    }
+
+    rowKey(row) {
+        const datetime = row.datetime ? new Date(row.datetime).toISOString() : '';
+        const recordNumber = row.recordNumber !== undefined && row.recordNumber !== null ? row.recordNumber : '';
+        return `${row.deviceImei}:${recordNumber}:${datetime}`;
+    }
+
+    trackDevice(record) {
+        const device = this.devices.get(record.imei) || {
+            firstSeen: record.timestamp,
+            recordCount: 0,
+            totalRecords: 0,
+            lastLocation: null
+        };
+        device.lastSeen = record.timestamp;
+        device.recordCount += 1;
+        device.totalRecords += 1;
+        if (record.latitude && record.longitude) {
+            device.lastLocation = {
+                latitude: record.latitude,
+                longitude: record.longitude,
+                timestamp: record.timestamp
+            };
+        }
+        this.devices.set(record.imei, device);
+    }
+}
+
+module.exports = new MobileStore();
@@ -0,0 +1,312 @@
+// backend/src/services/notificationManager.js
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const mqtt = require('mqtt');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { NotificationChannel, NotificationLog, AlertRule, Device } = require('../models');
+
+const CHANNEL_TYPES = ['webhook', 'email', 'mqtt'];
+
+const DEFAULT_SUBJECT = '[{{alert.severity}}] {{rule.name}} {{event}} on {{device.name}}';
+const DEFAULT_TEMPLATE = 'Alert {{event}}: {{alert.message}}\n'
+    + 'Device: {{device.name}} ({{alert.deviceId}})\n'
+    + 'Severity: {{alert.severity}}\n'
+    + 'Time: {{alert.timestamp}}';
+
+// Setting names whose values are never returned by the API
+const SECRET_SETTINGS = ['password', 'secret', 'token'];
+const MASK = '********';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Replace {{path.to.value}} placeholders; unknown paths render as empty text
+ */
+function render(template, context) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = path.split('.').reduce(
+            (current, key) => (current !== null && current !== undefined ? current[key] : undefined),
+            context
+        );
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return value instanceof Date ? value.toISOString() : String(value);
+    });
+}
+
+/**
+ * Delivers alerts to the notification channels of their rules: HTTP
+ * webhooks (retried with backoff), SMTP email and MQTT publish. Every
+ * delivery is recorded in NotificationLog.
+ */
+class NotificationManager {
+    validateChannel(attributes, { partial = false } = {}) {
+        const errors = [];
+
+        if (!partial || attributes.name !== undefined) {
+            if (typeof attributes.name !== 'string' || !attributes.name.trim()) {
+                errors.push({ field: 'name', message: 'Name is required' });
+            }
+        }
+
+        if (!partial || attributes.type !== undefined) {
+            if (!CHANNEL_TYPES.includes(attributes.type)) {
+                errors.push({ field: 'type', message: `Type must be one of ${CHANNEL_TYPES.join(', ')}` });
+            }
+        }
+
+        const settings = attributes.config || {};
+        if (typeof settings !== 'object' || Array.isArray(settings)) {
+            errors.push({ field: 'config', message: 'config must be an object' });
+            return errors;
+        }
+
+        if (attributes.type === 'webhook') {
+            if (!/^https?:\/\/\S+$/i.test(settings.url || '')) {
+                errors.push({ field: 'config.url', message: 'Webhook url must be an http or https URL' });
+            }
+            if (settings.headers !== undefined && (typeof settings.headers !== 'object' || Array.isArray(settings.headers))) {
+                errors.push({ field: 'config.headers', message: 'Headers must be an object' });
+            }
+        } else if (attributes.type === 'email') {
+            if (!settings.host) {
+                errors.push({ field: 'config.host', message: 'SMTP host is required' });
+            }
+            if (!settings.from) {
+                errors.push({ field: 'config.from', message: 'Sender address is required' });
+            }
+            if (!settings.to) {
+                errors.push({ field: 'config.to', message: 'Recipient address is required' });
+            }
+        } else if (attributes.type === 'mqtt') {
+            if (!/^(mqtts?|wss?|tcp|tls):\/\/\S+$/i.test(settings.url || '')) {
+                errors.push({ field: 'config.url', message: 'Broker url must be an mqtt, mqtts, tcp, tls, ws or wss URL' });
+            }
+            if (typeof settings.topic !== 'string' || !settings.topic) {
+                errors.push({ field: 'config.topic', message: 'Topic is required' });
+            }
+            if (settings.qos !== undefined && ![0, 1, 2].includes(settings.qos)) {
+                errors.push({ field: 'config.qos', message: 'QoS must be 0, 1 or 2' });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Channel as returned by the API, with secret settings masked
+     */
+    toJSON(channel) {
+        const json = channel.toJSON();
+        json.config = { ...json.config };
+        SECRET_SETTINGS.forEach(key => {
+            if (json.config[key]) {
+                json.config[key] = MASK;
+            }
+        });
+        return json;
+    }
+
+    /**
+     * Keep stored secrets when an update sends back the masked value
+     */
+    mergeConfig(current, updates) {
+        const merged = { ...updates };
+        SECRET_SETTINGS.forEach(key => {
+            if (merged[key] === MASK) {
+                merged[key] = current[key];
+            }
+        });
+        return merged;
+    }
+
+    buildContext(alert, rule, device, event) {
+        const alertData = typeof alert.toJSON === 'function' ? alert.toJSON() : alert;
+        return {
+            event,
+            alert: alertData,
+            rule: rule ? { id: rule.id, name: rule.name, condition: rule.condition, severity: rule.severity } : {},
+            device: { name: device ? device.name : alertData.deviceId, imei: alertData.deviceId }
+        };
+    }
+
+    /**
+     * Send alerts to their rules' channels in the background
+     */
+    dispatch(alerts) {
+        this.deliverAlerts(alerts).catch((error) => {
+            logger.error('Error dispatching alert notifications:', error);
+        });
+    }
+
+    async deliverAlerts(alerts) {
+        for (const alert of alerts) {
+            if (!alert.ruleId) {
+                continue;
+            }
+
+            const rule = await AlertRule.findByPk(alert.ruleId, {
+                include: [{ model: NotificationChannel, as: 'channels', where: { enabled: true }, required: false }]
+            });
+            if (!rule || rule.channels.length === 0) {
+                continue;
+            }
+
+            const event = alert.status === 'resolved' ? 'resolved' : 'triggered';
+            const device = await Device.findOne({ where: { imei: alert.deviceId } });
+            const context = this.buildContext(alert, rule, device, event);
+
+            await Promise.all(rule.channels
+                .filter(channel => event === 'triggered' || channel.notifyOnResolve)
+                .map(channel => this.deliver(channel, context, alert.id)));
+        }
+    }
+
+    /**
+     * Send a sample alert through a channel and return its delivery log
+     */
+    async sendTest(channel) {
+        const context = this.buildContext({
+            id: null,
+            deviceId: '000000000000000',
+            message: `Test notification from channel ${channel.name}`,
+            severity: 'low',
+            status: 'active',
+            timestamp: new Date()
+        }, { id: null, name: 'Test rule', condition: 'true', severity: 'low' }, { name: 'Test device' }, 'test');
+
+        return this.deliver(channel, context, null);
+    }
+
+    /**
+     * Deliver one message and log the outcome. Never throws.
+     */
+    async deliver(channel, context, alertId) {
+        const message = render(channel.template || DEFAULT_TEMPLATE, context);
+        let result;
+
+        try {
+            result = await this.send(channel, message, context);
+        } catch (error) {
+            result = { attempts: error.attempts || 1, error: error.message };
+        }
+
+        if (result.error) {
+            logger.warn(`Notification via ${channel.type} channel ${channel.name} failed: ${result.error}`);
+        } else {
+            logger.info(`Notification sent via ${channel.type} channel ${channel.name}`);
+        }
+
+        return NotificationLog.create({
+            channelId: channel.id,
+            alertId,
+            event: context.event,
+            status: result.error ? 'failed' : 'sent',
+            attempts: result.attempts,
+            message,
+            response: result.response || null,
+            error: result.error || null
+        });
+    }
+
+    async send(channel, message, context) {
+        switch (channel.type) {
+            case 'webhook':
+                return this.sendWebhook(channel.config, message, context);
+            case 'email':
+                return this.sendEmail(channel.config, render(channel.subject || DEFAULT_SUBJECT, context), message);
+            case 'mqtt':
+                return this.publishMqtt(channel.config, message, context);
+            default:
+                throw new Error(`Unknown channel type ${channel.type}`);
+        }
+    }
+
+    async sendWebhook(settings, message, context) {
+        const { timeout, maxRetries, retryDelay } = config.notifications;
+        const payload = { message, event: context.event, alert: context.alert, rule: context.rule, device: context.device };
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+            try {
+                const response = await axios({
+                    method: settings.method || 'post',
+                    url: settings.url,
+                    headers: settings.headers || {},
+                    data: payload,
+                    timeout
+                });
+                return { attempts: attempt, response: `${response.status} ${response.statusText}` };
+            } catch (error) {
+                lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+                // Client errors other than rate limiting will not succeed on retry
+                if (error.response && error.response.status < 500 && error.response.status !== 429) {
+                    return { attempts: attempt, error: lastError };
+                }
+                if (attempt <= maxRetries) {
+                    await sleep(retryDelay * 2 ** (attempt - 1));
+                }
+            }
+        }
+
+        return { attempts: maxRetries + 1, error: lastError };
+    }
+
+    async sendEmail(settings, subject, message) {
+        const { timeout } = config.notifications;
+        const transport = nodemailer.createTransport({
+            host: settings.host,
+            port: settings.port || 587,
+            secure: Boolean(settings.secure),
+            auth: settings.user ? { user: settings.user, pass: settings.password } : undefined,
+            connectionTimeout: timeout,
+            greetingTimeout: timeout,
+            socketTimeout: timeout
+        });
+
+        try {
+            const info = await transport.sendMail({
+                from: settings.from,
+                to: settings.to,
+                subject,
+                text: message
+            });
+            return { attempts: 1, response: info.response };
+        } finally {
+            transport.close();
+        }
+    }
+
+    async publishMqtt(settings, message, context) {
+        const { timeout } = config.notifications;
+        const client = await mqtt.connectAsync(settings.url, {
+            username: settings.username,
+            password: settings.password,
+            connectTimeout: timeout,
+            reconnectPeriod: 0
+        });
+
+        try {
+            const topic = render(settings.topic, context);
+            const payload = settings.format === 'text'
+                ? message
+                : JSON.stringify({ message, event: context.event, alert: context.alert, rule: context.rule, device: context.device });
+            await client.publishAsync(topic, payload, {
+                qos: settings.qos || 0,
+                retain: Boolean(settings.retain)
+            });
+            return { attempts: 1, response: `published to ${topic}` };
+        } finally {
+            await client.endAsync();
+        }
+    }
+}
+
+module.exports = new NotificationManager();
+module.exports.CHANNEL_TYPES = CHANNEL_TYPES;
+module.exports.render = render;
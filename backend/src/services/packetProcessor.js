@@ -1,20 +1,27 @@
 // backend/src/services/packetProcessor.js
 
+const EventEmitter = require('events');
 const config = require('../config');
 const logger = require('../utils/logger');
 const csvLogger = require('../utils/csvLogger');
-const { DataPoint, Record } = require('../models');
+const { Op } = require('sequelize');
+const { Record, sequelize } = require('../models');
 const deviceManager = require('./deviceManager');
 const deviceMapper = require('./deviceMapper');
 const alertManager = require('./alertManager');
-const parser = require('./parser');
-const { parsePacket } = require('./parser');
+const geofenceManager = require('./geofenceManager');
+const websocketHandler = require('./websocketHandler');
+const GalileoskyParser = require('./parser');
 const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const os = require('os');
 
-class PacketProcessor {
+/**
+ * Emits 'saved' with the Record rows of each packet once they are committed.
+ */
+class PacketProcessor extends EventEmitter {
     constructor() {
-        this.parser = parser;
+        super();
+        this.parser = new GalileoskyParser();
         this.processors = new Map();
         this.maxWorkers = 4;
         this.batchSize = 100;
@@ -39,7 +46,7 @@ class PacketProcessor {
         }
     }
 
-    async processPacket(packet, socket) {
+    async processPacket(packet, socket, metadata = {}) {
         try {
             // Log raw packet data
             logger.info('Processing packet:', {
@@ -52,140 +59,114 @@ class PacketProcessor {
             csvLogger.logDeviceData(packet.toString('hex'));
 
             // Parse the packet first
-            const parsedData = parsePacket(packet);
-            if (!parsedData) {
+            let parsedData;
+            try {
+                parsedData = await this.parser.parse(packet);
+            } catch (error) {
+                // A packet that cannot be parsed will not parse on retry either
+                error.retryable = false;
+                throw error;
+            }
+
+            if (!parsedData || !parsedData.records || parsedData.records.length === 0) {
                 logger.error('Failed to parse packet');
                 return null;
             }
 
-            // Handle multiple records if present
-            if (parsedData.records && parsedData.records.length > 1) {
-                logger.info(`Processing ${parsedData.records.length} records from packet`);
-                
-                const startTime = Date.now();
-                
-                // Group records by IMEI for batch processing
-                const recordsByImei = new Map();
-                
-                for (let i = 0; i < parsedData.records.length; i++) {
-                    const record = parsedData.records[i];
-                    const imei = record.tags['0x03']?.value || parsedData.imei;
-                    
-                    if (!imei) {
-                        logger.warn(`No IMEI found in record ${i}`);
-                        continue;
-                    }
+            // Archive records usually carry the IMEI only in the first record of the packet
+            const firstImeiRecord = parsedData.records.find(record => record.tags['0x03']);
+            // Compressed packets carry no IMEI at all; use the one known for the connection
+            parsedData.imei = parsedData.imei || firstImeiRecord?.tags['0x03'].value || metadata.imei;
 
-                    if (!recordsByImei.has(imei)) {
-                        recordsByImei.set(imei, []);
-                    }
-                    recordsByImei.get(imei).push(record);
-                }
-                
-                // Process all IMEIs in parallel
-                const devicePromises = Array.from(recordsByImei.keys()).map(async (imei) => {
-                    // Register or get device (only once per IMEI)
-                    let device = await deviceManager.getDevice(imei);
-                    if (!device) {
-                        device = await deviceManager.registerDevice(imei);
-                        logger.info('New device registered:', {
-                            imei,
-                            timestamp: new Date().toISOString()
-                        });
-                    } else {
-                        await deviceManager.updateDeviceStatus(imei, 'online');
-                    }
-                    return { imei, device };
-                });
-                
-                const devices = await Promise.all(devicePromises);
-                const deviceMap = new Map(devices.map(d => [d.imei, d.device]));
-                
-                // Process all records using chunked parallel processing
-                const allRecords = [];
-                
-                for (const [imei, records] of recordsByImei.entries()) {
-                    const device = deviceMap.get(imei);
-                    
-                    // Use chunked processing for large record sets
-                    const processedRecords = await this.processRecordsInChunks(records, device.id, imei);
-                    allRecords.push(...processedRecords);
+            logger.info(`Processing ${parsedData.records.length} records from packet`);
+
+            const startTime = Date.now();
+
+            // Group records by IMEI for batch processing
+            const recordsByImei = new Map();
+
+            for (let i = 0; i < parsedData.records.length; i++) {
+                const record = parsedData.records[i];
+                const imei = record.tags['0x03']?.value || parsedData.imei;
+
+                if (!imei) {
+                    logger.warn(`No IMEI found in record ${i}`);
+                    continue;
                 }
-                
-                const validRecords = allRecords.filter(r => r !== null);
-                
-                // Batch save to database
-                if (validRecords.length > 0) {
-                    await this.batchSaveToDatabase(validRecords);
-                    
-                    // Batch check alerts
-                    await this.batchCheckAlerts(validRecords);
+
+                if (!recordsByImei.has(imei)) {
+                    recordsByImei.set(imei, []);
                 }
-                
-                const processingTime = Date.now() - startTime;
-                const recordsPerSecond = (validRecords.length / processingTime * 1000).toFixed(1);
-                logger.info(`Successfully processed ${validRecords.length} records in ${processingTime}ms (${recordsPerSecond} records/sec) using parallel processing`);
-                
-                return validRecords.length > 0 ? validRecords[0] : null;
+                recordsByImei.get(imei).push(record);
             }
 
-            // Single record processing (existing logic)
-            const imei = parsedData.imei;
-            if (!imei) {
+            if (recordsByImei.size === 0) {
                 logger.error('No IMEI found in packet');
                 return null;
             }
 
-            // Log specific device parameters
-            this.logDeviceParameters(parsedData.tags, imei);
-
-            // Register or get device
-            let device = await deviceManager.getDevice(imei);
-            if (!device) {
-                device = await deviceManager.registerDevice(imei);
-                logger.info('New device registered:', {
-                    imei,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                await deviceManager.updateDeviceStatus(imei, 'online');
-                logger.info('Device status updated:', {
-                    imei,
-                    status: 'online',
-                    timestamp: new Date().toISOString()
-                });
-            }
+            // Process all IMEIs in parallel
+            const devicePromises = Array.from(recordsByImei.entries()).map(async ([imei, records]) => {
+                // Register or get device (only once per IMEI)
+                let device = await deviceManager.getDevice(imei);
+                if (!device) {
+                    device = await deviceManager.registerDevice({
+                        imei,
+                        hardwareVersion: records[0].tags['0x01']?.value,
+                        firmwareVersion: records[0].tags['0x02']?.value
+                    });
+                    logger.info('New device registered:', {
+                        imei,
+                        timestamp: new Date().toISOString()
+                    });
+                } else {
+                    await deviceManager.updateDeviceStatus(device.id, 'active');
+                    if (!deviceManager.mappings.has(device.id)) {
+                        // Alert rules may refer to the device's custom field names
+                        await deviceManager.loadDeviceMappings(device.id);
+                    }
+                }
+                return { imei, device };
+            });
 
-            // Process the packet based on its type
-            const processor = this.processors.get(parsedData.type);
-            if (!processor) {
-                logger.error(`No processor found for packet type: ${parsedData.type}`);
-                return null;
+            const devices = await Promise.all(devicePromises);
+            const deviceMap = new Map(devices.map(d => [d.imei, d.device]));
+
+            // Process all records using chunked parallel processing
+            const allRecords = [];
+
+            for (const [imei, records] of recordsByImei.entries()) {
+                const device = deviceMap.get(imei);
+
+                // Use chunked processing for large record sets
+                const processedRecords = await this.processRecordsInChunks(records, device.id, imei);
+                allRecords.push(...processedRecords);
             }
 
-            const processed = await processor(parsedData, device.id);
-            if (!processed) {
+            const validRecords = allRecords.filter(r => r !== null);
+
+            if (validRecords.length === 0) {
                 logger.error('Failed to process packet');
                 return null;
             }
 
-            // Map the data according to device configuration
-            const mapped = await this.mapPacketData(processed, device.id);
+            // Batch save to database; resolves only once the transaction is committed
+            const savedRecords = await this.batchSaveToDatabase(validRecords);
 
-            // Save to database
-            await this.saveToDatabase(mapped, device.id);
+            // Push the stored records to live subscribers
+            this.broadcastRecords(savedRecords);
+            this.emit('saved', savedRecords);
 
-            // Check for alerts
-            await this.checkAlerts(device.id, mapped);
+            // Batch check alerts, skipping records a resent packet had stored before
+            const savedKeys = new Set(savedRecords.map(saved => this.recordKey(saved.deviceImei, saved.recordNumber, saved.datetime)));
+            await this.batchCheckAlerts(validRecords.filter(record => !record.tags['0x20']
+                || savedKeys.has(this.recordKey(record.imei, record.tags['0x10']?.value, record.tags['0x20'].value))));
 
-            // Log successful processing
-            logger.info('Packet processed successfully:', {
-                type: parsedData.type,
-                imei,
-                timestamp: new Date().toISOString()
-            });
+            const processingTime = Date.now() - startTime;
+            const recordsPerSecond = (validRecords.length / processingTime * 1000).toFixed(1);
+            logger.info(`Successfully processed ${validRecords.length} records in ${processingTime}ms (${recordsPerSecond} records/sec) using parallel processing`);
 
-            return mapped;
+            return validRecords[0];
         } catch (error) {
             logger.error('Packet processing error:', {
                 error: error.message,
@@ -992,84 +973,22 @@ class PacketProcessor {
 
     async saveToDatabase(data, deviceId) {
         try {
-            // Save to DataPoint table
-            const dataPoint = await DataPoint.create({
-                deviceId,
-                timestamp: data.timestamp,
-                data: JSON.stringify(data.data),
-                type: data.type
-            });
-
             // Save to Record table for historical data
-            await Record.create({
-                deviceId,
-                timestamp: data.timestamp,
-                data: JSON.stringify(data.data),
-                type: data.type
-            });
+            const record = await Record.create(this.parser.buildRecordData(data, data.imei));
 
             logger.debug('Data saved to database:', {
                 deviceId,
-                dataPointId: dataPoint.id,
+                recordId: record.id,
                 timestamp: data.timestamp
             });
 
-            return dataPoint;
+            return record;
         } catch (error) {
             logger.error('Error saving to database:', error);
             throw error;
         }
     }
 
-    async checkAlerts(deviceId, data) {
-        try {
-            const alerts = await alertManager.getActiveAlerts(deviceId);
-
-            for (const alert of alerts) {
-                const triggered = this.evaluateAlertCondition(data, alert.condition);
-                
-                if (triggered) {
-                    await this.triggerAlert(deviceId, alert, data);
-                }
-            }
-        } catch (error) {
-            logger.error('Error checking alerts:', error);
-        }
-    }
-
-    evaluateAlertCondition(data, condition) {
-        // Implement alert condition evaluation logic
-        return false;
-    }
-
-    async triggerAlert(deviceId, alert, data) {
-        try {
-            logger.info('Alert triggered:', {
-                deviceId,
-                alertId: alert.id,
-                alertName: alert.name,
-                timestamp: new Date().toISOString()
-            });
-
-            // Send notification
-            await this.sendNotification(alert.notification, alert, data);
-            
-            // Log alert
-            await alertManager.logAlert(deviceId, alert.id, data);
-        } catch (error) {
-            logger.error('Error triggering alert:', error);
-        }
-    }
-
-    async sendNotification(notification, alert, data) {
-        // Implement notification sending logic
-        logger.info('Notification sent:', {
-            type: notification.type,
-            alertId: alert.id,
-            timestamp: new Date().toISOString()
-        });
-    }
-
     logDeviceParameters(tags, imei) {
         try {
             const logData = {
@@ -1101,8 +1020,10 @@ class PacketProcessor {
             // Map the data according to device configuration (now cached)
             const mapped = await this.mapPacketData(processed, deviceId);
             
-            // Add deviceId to the record for batch operations
+            // Keep device identity and raw tags for batch operations
             mapped.deviceId = deviceId;
+            mapped.imei = imei;
+            mapped.tags = record.tags || record;
             
             return mapped;
         } catch (error) {
@@ -1111,83 +1032,102 @@ class PacketProcessor {
         }
     }
 
-    // Batch save multiple records to database
+    // Batch save multiple records to database in a single transaction
     async batchSaveToDatabase(records) {
         try {
-            // Prepare data for bulk insert
-            const dataPointBulk = records.map(record => ({
-                deviceId: record.deviceId,
-                timestamp: record.timestamp,
-                data: JSON.stringify(record.data),
-                type: record.type,
-                createdAt: new Date(),
-                updatedAt: new Date()
-            }));
-
-            const recordBulk = records.map(record => ({
-                deviceId: record.deviceId,
-                timestamp: record.timestamp,
-                data: JSON.stringify(record.data),
-                type: record.type,
-                createdAt: new Date(),
-                updatedAt: new Date()
-            }));
-
-            // Use bulk insert for better performance
-            if (dataPointBulk.length > 0) {
-                await DataPoint.bulkCreate(dataPointBulk);
-            }
-            
-            if (recordBulk.length > 0) {
-                await Record.bulkCreate(recordBulk);
-            }
+            const recordBulk = records.map(record => this.parser.buildRecordData(record, record.imei));
+
+            // Either every new record of the packet is stored or none is. A
+            // packet resent after a lost confirmation, or replayed from the
+            // queue journal after a crash, holds records that are already
+            // stored; those are skipped
+            const saved = await sequelize.transaction(async (transaction) => {
+                const newRecords = await this.withoutStoredRecords(recordBulk, transaction);
+                return newRecords.length > 0 ? Record.bulkCreate(newRecords, { transaction }) : [];
+            });
 
-            logger.debug(`Batch saved ${records.length} records to database using bulk insert`);
+            logger.debug(`Batch saved ${saved.length} of ${records.length} records to database using bulk insert`);
+            return saved;
         } catch (error) {
             logger.error('Error batch saving to database:', error);
-            
-            // Fallback to individual inserts if bulk insert fails
-            logger.info('Falling back to individual inserts...');
-            try {
-                for (const record of records) {
-                    await this.saveToDatabase(record, record.deviceId);
-                }
-                logger.info('Fallback individual inserts completed');
-            } catch (fallbackError) {
-                logger.error('Fallback individual inserts also failed:', fallbackError);
-                throw fallbackError;
-            }
+            throw error;
         }
     }
 
-    // Batch check alerts for multiple records
-    async batchCheckAlerts(records) {
-        try {
-            // Group records by device for efficient alert checking
-            const recordsByDevice = new Map();
-            
-            for (const record of records) {
-                if (!recordsByDevice.has(record.deviceId)) {
-                    recordsByDevice.set(record.deviceId, []);
-                }
-                recordsByDevice.get(record.deviceId).push(record);
+    // Send saved records to WebSocket subscribers, one message per device
+    // A tracker record is identified by its device, archive number and device time
+    recordKey(imei, recordNumber, datetime) {
+        return `${imei}:${recordNumber ?? ''}:${new Date(datetime).getTime()}`;
+    }
+
+    /**
+     * Drop the rows of a batch that are stored already, or repeated within the
+     * batch. Rows without a device time cannot be matched and are always kept.
+     * The queue processes the packets of a device one after another, so no
+     * other insert for the same device runs between the check and the insert.
+     */
+    async withoutStoredRecords(recordBulk, transaction) {
+        const timed = recordBulk.filter(data => data.datetime);
+        if (timed.length === 0) {
+            return recordBulk;
+        }
+
+        const times = timed.map(data => new Date(data.datetime).getTime());
+        const stored = await Record.findAll({
+            attributes: ['deviceImei', 'recordNumber', 'datetime'],
+            where: {
+                deviceImei: { [Op.in]: [...new Set(timed.map(data => data.deviceImei))] },
+                datetime: { [Op.between]: [new Date(Math.min(...times)), new Date(Math.max(...times))] }
+            },
+            transaction
+        });
+
+        const seen = new Set(stored.map(row => this.recordKey(row.deviceImei, row.recordNumber, row.datetime)));
+        return recordBulk.filter((data) => {
+            if (!data.datetime) {
+                return true;
+            }
+            const key = this.recordKey(data.deviceImei, data.recordNumber, data.datetime);
+            if (seen.has(key)) {
+                return false;
             }
+            seen.add(key);
+            return true;
+        });
+    }
 
-            // Check alerts for each device in parallel
-            const alertPromises = Array.from(recordsByDevice.entries()).map(async ([deviceId, deviceRecords]) => {
-                const alerts = await alertManager.getActiveAlerts(deviceId);
-                
-                for (const alert of alerts) {
-                    for (const record of deviceRecords) {
-                        const triggered = this.evaluateAlertCondition(record, alert.condition);
-                        if (triggered) {
-                            await this.triggerAlert(deviceId, alert, record);
-                        }
-                    }
-                }
+    broadcastRecords(savedRecords) {
+        const recordsByImei = new Map();
+        savedRecords.forEach(saved => {
+            const record = saved.toJSON();
+            // Subscribers get the decoded columns; the raw tags stay server-side
+            delete record.rawData;
+            if (!recordsByImei.has(record.deviceImei)) {
+                recordsByImei.set(record.deviceImei, []);
+            }
+            recordsByImei.get(record.deviceImei).push(record);
+        });
+
+        recordsByImei.forEach((records, imei) => {
+            websocketHandler.broadcastDeviceData(imei, {
+                type: 'records',
+                records
             });
+        });
+    }
 
-            await Promise.all(alertPromises);
+    // Evaluate alert rules against saved records, in record order per device
+    async batchCheckAlerts(records) {
+        try {
+            for (const record of records) {
+                const data = {
+                    deviceId: record.deviceId,
+                    fields: this.parser.buildRecordData(record, record.imei),
+                    tags: record.tags
+                };
+                await alertManager.checkAlerts(record.imei, data);
+                await geofenceManager.checkRecord(record.imei, data);
+            }
         } catch (error) {
             logger.error('Error batch checking alerts:', error);
         }
@@ -0,0 +1,472 @@
+// backend/src/services/packetQueue.js
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const packetProcessor = require('./packetProcessor');
+
+/**
+ * Bounded packet queue between the TCP server and the packet processor.
+ *
+ * Every queued packet is appended to an on-disk journal before enqueue()
+ * resolves and marked done once processed, so packets that were received but
+ * not yet stored are replayed after a restart. Packets sharing an ordering key
+ * (the device IMEI, or the connection address until the IMEI is known) are
+ * processed strictly one after another; different devices run in parallel.
+ *
+ * Events:
+ *   queued    (item)
+ *   processed (item, processingTime, result)
+ *   retry     (item, error, delay)
+ *   failed    (item, error)      - retries exhausted, moved to dead letters
+ *   drain     ()                 - space became available in a full queue
+ */
+class PacketQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.maxSize = options.maxSize || config.queue.maxSize;
+        this.maxConcurrency = options.maxConcurrency || config.queue.maxConcurrency;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : config.queue.maxRetries;
+        this.retryDelay = options.retryDelay || config.queue.retryDelay;
+        this.directory = options.directory || config.queue.directory;
+        this.journalSync = options.journalSync !== undefined ? options.journalSync : config.queue.journalSync;
+        this.processor = options.processor || ((item) => packetProcessor.processPacket(item.packet, item.socket, item.metadata));
+
+        this.journalPath = path.join(this.directory, 'journal.ndjson');
+        this.deadLetterPath = path.join(this.directory, 'dead-letter.ndjson');
+
+        this.queue = [];
+        this.processing = new Map(); // item id -> item
+        this.activeKeys = new Set();
+        this.waiters = [];
+        this.sequence = 0;
+        this.closed = false;
+        this.paused = false;
+        this.journalFd = null;
+        this.journalEntries = 0;
+        this.stats = {
+            queued: 0,
+            processed: 0,
+            retried: 0,
+            failed: 0,
+            restored: 0,
+            totalProcessingTime: 0
+        };
+
+        this.openJournal();
+        this.restore();
+    }
+
+    /**
+     * Add a packet to the queue. Resolves with the queued item once it is
+     * journaled; waits while the queue is full.
+     */
+    async enqueue(packet, socket, metadata = {}) {
+        if (this.closed) {
+            throw new Error('Packet queue is closed');
+        }
+
+        while (this.isFull()) {
+            await new Promise(resolve => this.waiters.push(resolve));
+            if (this.closed) {
+                throw new Error('Packet queue is closed');
+            }
+        }
+
+        const item = {
+            id: this.nextId(),
+            packet,
+            socket,
+            metadata,
+            key: this.getOrderingKey(metadata),
+            retries: 0,
+            enqueuedAt: new Date().toISOString()
+        };
+
+        this.appendJournal({
+            op: 'add',
+            id: item.id,
+            key: item.key,
+            packet: packet.toString('hex'),
+            metadata: this.serializableMetadata(metadata),
+            enqueuedAt: item.enqueuedAt
+        });
+
+        this.queue.push(item);
+        this.stats.queued++;
+        this.emit('queued', item);
+
+        setImmediate(() => this.processNext());
+        return item;
+    }
+
+    isFull() {
+        return this.queue.length + this.processing.size >= this.maxSize;
+    }
+
+    getOrderingKey(metadata) {
+        return metadata.imei || metadata.address || 'unknown';
+    }
+
+    nextId() {
+        this.sequence = (this.sequence + 1) % Number.MAX_SAFE_INTEGER;
+        return `${Date.now().toString(36)}-${this.sequence.toString(36)}`;
+    }
+
+    /**
+     * Start as many items as concurrency allows, at most one per ordering key
+     */
+    processNext() {
+        if (this.closed || this.paused) {
+            return;
+        }
+
+        for (let i = 0; i < this.queue.length && this.processing.size < this.maxConcurrency;) {
+            const item = this.queue[i];
+            if (this.activeKeys.has(item.key)) {
+                i++;
+                continue;
+            }
+
+            this.queue.splice(i, 1);
+            this.processing.set(item.id, item);
+            this.activeKeys.add(item.key);
+            this.runItem(item);
+        }
+    }
+
+    async runItem(item) {
+        const startTime = Date.now();
+
+        try {
+            const result = await this.processor(item);
+            const processingTime = Date.now() - startTime;
+
+            this.stats.processed++;
+            this.stats.totalProcessingTime += processingTime;
+            this.complete(item);
+            this.emit('processed', item, processingTime, result);
+        } catch (error) {
+            if (error.retryable !== false && item.retries < this.maxRetries && !this.closed) {
+                // Keep the ordering key active so later packets of the device wait for the retry
+                item.retries++;
+                this.stats.retried++;
+                const delay = this.retryDelay * (2 ** (item.retries - 1));
+                this.emit('retry', item, error, delay);
+                logger.warn('Retrying packet processing:', {
+                    packetId: item.id,
+                    retries: item.retries,
+                    delay,
+                    error: error.message
+                });
+                setTimeout(() => this.runItem(item), delay);
+                return;
+            }
+
+            this.stats.failed++;
+            this.writeDeadLetter(item, error);
+            this.complete(item);
+            this.emit('failed', item, error);
+        }
+    }
+
+    complete(item) {
+        this.processing.delete(item.id);
+        this.activeKeys.delete(item.key);
+        this.appendJournal({ op: 'done', id: item.id });
+        this.compactJournalIfNeeded();
+        this.releaseWaiters();
+        setImmediate(() => this.processNext());
+    }
+
+    releaseWaiters() {
+        let released = false;
+        while (this.waiters.length > 0 && !this.isFull()) {
+            this.waiters.shift()();
+            released = true;
+        }
+        if (released) {
+            this.emit('drain');
+        }
+    }
+
+    // Sockets are not persisted; only plain metadata goes into the journal
+    serializableMetadata(metadata) {
+        const result = {};
+        for (const [key, value] of Object.entries(metadata)) {
+            if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    openJournal() {
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            this.journalFd = fs.openSync(this.journalPath, 'a');
+        } catch (error) {
+            logger.error('Could not open packet queue journal, queue is memory-only:', {
+                path: this.journalPath,
+                error: error.message
+            });
+            this.journalFd = null;
+        }
+    }
+
+    appendJournal(entry) {
+        if (this.journalFd === null) {
+            return;
+        }
+
+        try {
+            fs.writeSync(this.journalFd, JSON.stringify(entry) + '\n');
+            if (this.journalSync) {
+                fs.fsyncSync(this.journalFd);
+            }
+            this.journalEntries++;
+        } catch (error) {
+            logger.error('Error writing packet queue journal:', error);
+        }
+    }
+
+    readJournal() {
+        if (!fs.existsSync(this.journalPath)) {
+            return [];
+        }
+
+        const pending = new Map();
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const entry = JSON.parse(line);
+                if (entry.op === 'add') {
+                    pending.set(entry.id, entry);
+                } else if (entry.op === 'done') {
+                    pending.delete(entry.id);
+                }
+            } catch (error) {
+                // A torn last line after a crash is expected; skip it
+                logger.warn('Skipping corrupt packet queue journal entry');
+            }
+        }
+        return Array.from(pending.values());
+    }
+
+    /**
+     * Re-queue packets that were journaled but never completed
+     */
+    restore() {
+        const entries = this.readJournal();
+        for (const entry of entries) {
+            this.queue.push({
+                id: entry.id,
+                packet: Buffer.from(entry.packet, 'hex'),
+                socket: null,
+                metadata: { ...entry.metadata, restored: true },
+                key: entry.key,
+                retries: 0,
+                enqueuedAt: entry.enqueuedAt
+            });
+        }
+
+        this.stats.restored = entries.length;
+        this.journalEntries = entries.length;
+        this.rewriteJournal();
+
+        if (entries.length > 0) {
+            logger.info(`Restored ${entries.length} unprocessed packets from queue journal`);
+            setImmediate(() => this.processNext());
+        }
+    }
+
+    compactJournalIfNeeded() {
+        const pendingCount = this.queue.length + this.processing.size;
+        if (this.journalEntries > 1000 && this.journalEntries > pendingCount * 4) {
+            this.rewriteJournal();
+        }
+    }
+
+    /**
+     * Rewrite the journal so it only holds pending packets
+     */
+    rewriteJournal() {
+        if (this.journalFd === null) {
+            return;
+        }
+
+        const pendingItems = [...this.processing.values(), ...this.queue];
+        const content = pendingItems.map(item => JSON.stringify({
+            op: 'add',
+            id: item.id,
+            key: item.key,
+            packet: item.packet.toString('hex'),
+            metadata: this.serializableMetadata(item.metadata),
+            enqueuedAt: item.enqueuedAt
+        }) + '\n').join('');
+
+        try {
+            const tempPath = `${this.journalPath}.tmp`;
+            fs.writeFileSync(tempPath, content);
+            fs.closeSync(this.journalFd);
+            fs.renameSync(tempPath, this.journalPath);
+            this.journalFd = fs.openSync(this.journalPath, 'a');
+            this.journalEntries = pendingItems.length;
+        } catch (error) {
+            logger.error('Error compacting packet queue journal:', error);
+        }
+    }
+
+    writeDeadLetter(item, error) {
+        const entry = {
+            id: item.id,
+            key: item.key,
+            packet: item.packet.toString('hex'),
+            metadata: this.serializableMetadata(item.metadata),
+            retries: item.retries,
+            error: error.message,
+            enqueuedAt: item.enqueuedAt,
+            failedAt: new Date().toISOString()
+        };
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.appendFileSync(this.deadLetterPath, JSON.stringify(entry) + '\n');
+        } catch (writeError) {
+            logger.error('Error writing packet to dead-letter store:', writeError);
+        }
+    }
+
+    getDeadLetters() {
+        if (!fs.existsSync(this.deadLetterPath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.deadLetterPath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map((line) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(entry => entry !== null);
+    }
+
+    /**
+     * Put dead-lettered packets back on the queue (all of them, or one by id)
+     */
+    async retryDeadLetters(id) {
+        const entries = this.getDeadLetters();
+        const toRetry = id ? entries.filter(entry => entry.id === id) : entries;
+        const remaining = entries.filter(entry => !toRetry.includes(entry));
+
+        this.writeDeadLetterFile(remaining);
+        for (const entry of toRetry) {
+            await this.enqueue(Buffer.from(entry.packet, 'hex'), null, { ...entry.metadata, deadLetterId: entry.id });
+        }
+        return toRetry.length;
+    }
+
+    clearDeadLetters() {
+        const count = this.getDeadLetters().length;
+        this.writeDeadLetterFile([]);
+        return count;
+    }
+
+    writeDeadLetterFile(entries) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(this.deadLetterPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    }
+
+    getStats() {
+        return {
+            queueSize: this.queue.length,
+            processingCount: this.processing.size,
+            paused: this.paused,
+            maxSize: this.maxSize,
+            maxConcurrency: this.maxConcurrency,
+            activeDevices: this.activeKeys.size,
+            waitingProducers: this.waiters.length,
+            queued: this.stats.queued,
+            processed: this.stats.processed,
+            retried: this.stats.retried,
+            failed: this.stats.failed,
+            restored: this.stats.restored,
+            deadLetters: this.getDeadLetters().length,
+            averageProcessingTime: this.stats.processed > 0
+                ? Math.round(this.stats.totalProcessingTime / this.stats.processed)
+                : 0
+        };
+    }
+
+    /**
+     * Drop all queued (not in-flight) packets, including their journal entries
+     */
+    async clear() {
+        const dropped = this.queue.length;
+        this.queue = [];
+        this.rewriteJournal();
+        this.releaseWaiters();
+        logger.info(`Cleared ${dropped} packets from queue`);
+        return dropped;
+    }
+
+    /**
+     * Stop starting queued packets and wait for in-flight processing to
+     * finish. Packets are still accepted and journaled while paused.
+     */
+    async pause(timeout = 30000) {
+        this.paused = true;
+
+        const deadline = Date.now() + timeout;
+        while (this.processing.size > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        if (this.processing.size > 0) {
+            this.resume();
+            throw new Error(`Timed out waiting for ${this.processing.size} packets in processing`);
+        }
+        logger.info('Packet queue paused', { pending: this.queue.length });
+    }
+
+    resume() {
+        this.paused = false;
+        setImmediate(() => this.processNext());
+    }
+
+    /**
+     * Stop taking packets and wait for in-flight processing to finish.
+     * Queued packets stay in the journal and are replayed on next start.
+     */
+    async close(timeout = 10000) {
+        this.closed = true;
+        this.waiters.splice(0).forEach(resolve => resolve());
+
+        const deadline = Date.now() + timeout;
+        while (this.processing.size > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        if (this.journalFd !== null) {
+            fs.closeSync(this.journalFd);
+            this.journalFd = null;
+        }
+
+        logger.info('Packet queue closed', {
+            pending: this.queue.length,
+            inFlight: this.processing.size
+        });
+    }
+}
+
+module.exports = new PacketQueue();
+module.exports.PacketQueue = PacketQueue;
@@ -5,6 +5,8 @@ class PacketTypeHandler {
         // Packet type determination based on first byte
         if (packetType === 0x01) {
             return 'Main Packet';
+        } else if (packetType === 0x08) {
+            return 'Compressed Packet';
         } else if (packetType === 0x15) {
             return 'Ignorable Packet';
         } else {
@@ -16,12 +18,16 @@ class PacketTypeHandler {
         return packetType === 0x01;
     }
 
+    static isCompressedPacket(packetType) {
+        return packetType === 0x08;
+    }
+
     static isIgnorablePacket(packetType) {
         return packetType === 0x15;
     }
 
     static isExtensionPacket(packetType) {
-        return !this.isMainPacket(packetType) && !this.isIgnorablePacket(packetType);
+        return !this.isMainPacket(packetType) && !this.isCompressedPacket(packetType) && !this.isIgnorablePacket(packetType);
     }
 }
 
@@ -40,6 +40,7 @@ class GalileoskyParser extends EventEmitter {
         // Map packet types according to Galileosky protocol
         this.packetTypes = {
             0x01: this.parseMainPacket,    // Head Packet or Main Packet
+            0x08: this.parseCompressedPacket, // Main Packet with compression
             0x15: this.parseIgnorablePacket // Ignorable packet (just needs confirmation)
         };
     }
@@ -73,6 +74,12 @@ class GalileoskyParser extends EventEmitter {
                 result.actualLength = actualLength;
                 result.rawLength = rawLength;
                 return result;
+            } else if (PacketTypeHandler.isCompressedPacket(header)) {
+                // Main packet with compression
+                const result = await this.parseCompressedPacket(buffer, actualLength);
+                result.hasUnsentData = hasUnsentData;
+                result.actualLength = actualLength;
+                return result;
             } else if (PacketTypeHandler.isIgnorablePacket(header)) {
                 // This is an ignorable packet, just needs confirmation
                 return await this.parseIgnorablePacket(buffer);
@@ -117,16 +124,15 @@ class GalileoskyParser extends EventEmitter {
             throw new Error('Incomplete packet');
         }
 
-        // Temporarily disable CRC validation for testing
-        /*
-        // Verify checksum
-        const calculatedChecksum = this.calculateCRC16(buffer.slice(0, expectedLength));
-        const receivedChecksum = buffer.readUInt16LE(expectedLength);
+        // Verify checksum unless turned off on the Settings page
+        if (config.parser.validateChecksum) {
+            const calculatedChecksum = this.calculateCRC16(buffer.slice(0, expectedLength));
+            const receivedChecksum = buffer.readUInt16LE(expectedLength);
 
-        if (calculatedChecksum !== receivedChecksum) {
-            throw new Error('Checksum mismatch');
+            if (calculatedChecksum !== receivedChecksum) {
+                throw new Error('Checksum mismatch');
+            }
         }
-        */
 
         return {
             hasUnsentData,
@@ -155,6 +161,9 @@ class GalileoskyParser extends EventEmitter {
 
     /**
      * Parse main packet
+     *
+     * Tags within a record are in ascending order, so a tag number that is not
+     * higher than the previous one starts the next archive record.
      */
     async parseMainPacket(buffer, offset = 0, actualLength) {
         try {
@@ -166,168 +175,376 @@ class GalileoskyParser extends EventEmitter {
             };
 
             let currentOffset = offset + 3;
-            const endOffset = offset + actualLength;
+            const dataEnd = offset + 3 + actualLength;
 
-            if (actualLength < 32) {
-                // Single record for small packets
-                const record = this.parseRecord(buffer, currentOffset, endOffset);
+            while (currentOffset < dataEnd) {
+                const { record, nextOffset } = this.readRecord(buffer, currentOffset, dataEnd);
                 if (Object.keys(record.tags).length > 0) {
                     result.records.push(record);
                 }
-            } else {
-                // For packets >= 32 bytes, check if there's a 0x10 tag (Number Archive Records)
-                let hasMultipleRecords = false;
-                let searchOffset = currentOffset;
-                while (searchOffset < endOffset - 2) {
-                    if (buffer.readUInt8(searchOffset) === 0x10) {
-                        hasMultipleRecords = true;
-                        break;
+                currentOffset = nextOffset;
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error parsing main packet:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read one record of a main packet, up to the next record or the end of the data.
+     * An unknown tag ends the record with the tags read before it and the
+     * packet carries on at the next record; with strict it throws instead.
+     */
+    readRecord(buffer, startOffset, dataEnd, strict = false) {
+        const record = { tags: {} };
+        let recordOffset = startOffset;
+        let previousTag = -1;
+
+        while (recordOffset < dataEnd) {
+            const tag = buffer.readUInt8(recordOffset);
+            if (tag <= previousTag) {
+                break;
+            }
+            previousTag = tag;
+            recordOffset++;
+
+            if (tag === 0xFE) {
+                // Extended tags: 2-byte block length, then 2-byte tag numbers with their values
+                const blockLength = buffer.readUInt16LE(recordOffset);
+                const blockStart = recordOffset + 2;
+                const unknownTag = this.readExtendedTags(buffer, blockStart, blockStart + blockLength, record);
+                if (unknownTag) {
+                    if (strict) {
+                        throw new Error(`Unknown extended tag ${unknownTag} in main packet`);
                     }
-                    searchOffset++;
+                    // The block length is known, so only the rest of this block is lost
+                    logger.warn(`Unknown extended tag ${unknownTag}, skipping remaining extended data`);
                 }
+                recordOffset = blockStart + blockLength;
+                continue;
+            }
 
-                if (hasMultipleRecords) {
-                    // Find all record boundaries first
-                    const recordBoundaries = [];
-                    let recordStart = currentOffset;
-                    
-                    while (recordStart < endOffset - 2) {
-                        if (buffer.readUInt8(recordStart) !== 0x10) {
-                            recordStart++;
-                            continue;
-                        }
-                        
-                        // Find the end of this record (next 0x10 tag or end of packet)
-                        let recordEnd = recordStart + 1;
-                        while (recordEnd < endOffset - 2) {
-                            if (buffer.readUInt8(recordEnd) === 0x10 && recordEnd > recordStart + 1) {
-                                break;
-                            }
-                            recordEnd++;
-                        }
-                        
-                        recordBoundaries.push({ start: recordStart, end: recordEnd });
-                        recordStart = recordEnd;
-                    }
+            const tagHex = `0x${tag.toString(16).padStart(2, '0')}`;
+            const definition = this.tagDefinitionsCache.get(tagHex);
+            if (!definition) {
+                if (strict) {
+                    throw new Error(`Unknown tag ${tagHex} in main packet`);
+                }
+                // Without the tag's length the rest of this record cannot be located
+                const nextOffset = this.findNextRecord(buffer, recordOffset, dataEnd);
+                logger.warn(`Unknown tag ${tagHex} in main packet, skipping ${nextOffset - recordOffset + 1} bytes to the next record`);
+                return { record, nextOffset };
+            }
 
-                    // Process all records in parallel
-                    const recordPromises = recordBoundaries.map(async (boundary) => {
-                        return this.parseRecord(buffer, boundary.start, boundary.end);
-                    });
-
-                    const parsedRecords = await Promise.all(recordPromises);
-                    
-                    // Filter out records with no tags
-                    for (const record of parsedRecords) {
-                        if (Object.keys(record.tags).length > 0) {
-                            result.records.push(record);
-                        }
-                    }
-                } else {
-                    // Single record - parse directly from currentOffset
-                    const record = this.parseRecord(buffer, currentOffset, endOffset);
-                    if (Object.keys(record.tags).length > 0) {
-                        result.records.push(record);
-                    }
+            const { value, newOffset } = this.parseTagValue(buffer, recordOffset, tagHex);
+            record.tags[tagHex] = {
+                value: value,
+                type: definition.type,
+                description: definition.description
+            };
+            recordOffset = newOffset;
+        }
+
+        if (recordOffset > dataEnd) {
+            throw new Error('Record exceeds packet length');
+        }
+
+        return { record, nextOffset: recordOffset };
+    }
+
+    /**
+     * Offset of the first record after unreadable data: a 0x10 tag (archive
+     * record number) from which a whole record reads, ending at the end of
+     * the data or at another 0x10 tag. dataEnd when there is none.
+     */
+    findNextRecord(buffer, offset, dataEnd) {
+        let candidate = buffer.indexOf(0x10, offset);
+        while (candidate !== -1 && candidate < dataEnd) {
+            try {
+                const { record, nextOffset } = this.readRecord(buffer, candidate, dataEnd, true);
+                if (Object.keys(record.tags).length > 1 && (nextOffset === dataEnd || buffer.readUInt8(nextOffset) === 0x10)) {
+                    return candidate;
                 }
+            } catch (error) {
+                // Not a record start
             }
-            return result;
-        } catch (error) {
-            console.error('Error parsing main packet:', error);
-            throw error;
+            candidate = buffer.indexOf(0x10, candidate + 1);
+        }
+        return dataEnd;
+    }
+
+    // Read an extended tag block into record; returns the first unknown tag, which ends the block
+    readExtendedTags(buffer, offset, endOffset, record) {
+        let currentOffset = offset;
+
+        while (currentOffset + 2 <= endOffset) {
+            const tagHex = `0x${buffer.readUInt16LE(currentOffset).toString(16).padStart(4, '0')}`;
+            currentOffset += 2;
+
+            const definition = this.tagDefinitionsCache.get(tagHex);
+            if (!definition) {
+                return tagHex;
+            }
+
+            const { value, newOffset } = this.parseTagValue(buffer, currentOffset, tagHex);
+            record.tags[tagHex] = {
+                value: value,
+                type: definition.type,
+                description: definition.description
+            };
+            currentOffset = newOffset;
         }
+        return null;
     }
 
     /**
-     * Parse compressed packet
+     * Parse compressed packet (header 0x08)
+     *
+     * The first record holds an optional 10-byte minimal data set, the tag list
+     * and, when tag 0xFE is listed, the extended tag list. Every following
+     * record repeats only the minimal data set (if the first had one), the data
+     * of the listed tags and the extended tag data. Records come out in the
+     * same { tags } shape as main packet records.
      */
-    async parseCompressedPacket(buffer) {
-        const length = buffer.readUInt16LE(1);
+    async parseCompressedPacket(buffer, actualLength = buffer.readUInt16LE(1) & 0x7FFF) {
         const result = {
+            header: buffer.readUInt8(0),
             type: 'compressed',
-            length: length,
-            records: [],
-            raw: buffer
+            length: actualLength,
+            rawLength: actualLength,
+            records: []
         };
 
-        let offset = 3; // Skip header and length
+        const endOffset = 3 + actualLength;
+        const layout = this.parseCompressedLayout(buffer, 3, endOffset);
+        let offset = 3;
 
-        while (offset < length + 3) {
-            const record = await this.parseCompressedRecord(buffer, offset);
-            result.records.push(record);
+        while (offset < endOffset) {
+            const record = this.parseCompressedRecord(buffer, offset, layout, result.records.length === 0);
+            if (record.nextOffset > endOffset) {
+                throw new Error('Compressed record exceeds packet length');
+            }
             offset = record.nextOffset;
+            delete record.nextOffset;
+            result.records.push(record);
         }
 
-        // Verify checksum
-        const checksum = buffer.readUInt16LE(length + 1);
-        const calculatedChecksum = this.calculateCRC16(buffer.slice(0, length + 1));
-        result.checksumValid = checksum === calculatedChecksum;
-
         return result;
     }
 
     /**
-     * Parse compressed record
+     * Read the minimal data set flag, tag list and extended tag list from the
+     * first record, along with how many bytes the lists take.
      */
-    async parseCompressedRecord(buffer, offset) {
-        const record = {
-            minimalData: await this.parseMinimalDataSet(buffer.slice(offset, offset + 10)),
-            tags: {},
-            nextOffset: offset + 10
+    parseCompressedLayout(buffer, offset, endOffset) {
+        const layout = {
+            hasMinimalData: (buffer.readUInt8(offset) & 0x80) === 0,
+            tags: [],
+            extendedTags: null,
+            listsLength: 0
         };
 
-        // Parse tags list
-        const tagsCount = buffer.readUInt8(record.nextOffset);
-        record.nextOffset++;
-
-        if (tagsCount < 32) {
-            // Parse tag numbers
-            for (let i = 0; i < tagsCount; i++) {
-                const tag = buffer.readUInt8(record.nextOffset + i);
-                const tagHex = `0x${tag.toString(16).toUpperCase()}`;
-                const { value, newOffset } = this.parseTagValue(buffer, record.nextOffset + tagsCount, tagHex);
-                record.tags[tagHex] = {
-                    value: value,
-                    type: tagDefinitions[tagHex]?.type,
-                    description: tagDefinitions[tagHex]?.description
-                };
-                record.nextOffset = newOffset;
+        // The minimal data set starts with a zero bit, a tag list with a set bit
+        const listStart = layout.hasMinimalData ? offset + 10 : offset;
+        let listOffset = listStart;
+
+        if (listOffset < endOffset && (buffer.readUInt8(listOffset) & 0x80) !== 0) {
+            const listHeader = buffer.readUInt8(listOffset);
+            listOffset++;
+
+            if (listHeader === 0xFF) {
+                // 32-byte bitmask, bit N set means tag N is present
+                for (let byte = 0; byte < 32; byte++) {
+                    const mask = buffer.readUInt8(listOffset + byte);
+                    for (let bit = 0; bit < 8; bit++) {
+                        if (mask & (1 << bit)) {
+                            layout.tags.push(byte * 8 + bit);
+                        }
+                    }
+                }
+                listOffset += 32;
+            } else {
+                const tagsCount = listHeader & 0x7F;
+                for (let i = 0; i < tagsCount; i++) {
+                    layout.tags.push(buffer.readUInt8(listOffset + i));
+                }
+                listOffset += tagsCount;
             }
-        } else {
-            // Parse tag bitmask
-            const bitmask = buffer.readUInt32LE(record.nextOffset);
-            record.nextOffset += 4;
-            
-            for (let i = 0; i < 32; i++) {
-                if (bitmask & (1 << i)) {
-                    const tagHex = `0x${i.toString(16).toUpperCase()}`;
-                    const { value, newOffset } = this.parseTagValue(buffer, record.nextOffset, i);
-                    record.tags[tagHex] = {
-                        value: value,
-                        type: tagDefinitions[tagHex]?.type,
-                        description: tagDefinitions[tagHex]?.description
-                    };
-                    record.nextOffset = newOffset;
+
+            if (layout.tags.includes(0xFE)) {
+                layout.extendedTags = [];
+                const listLength = buffer.readUInt16LE(listOffset);
+                listOffset += 2;
+
+                if (listLength & 0x8000) {
+                    // Bitmask of (length & 0x7FFF) bytes, bit N set means extended tag N
+                    const maskLength = listLength & 0x7FFF;
+                    for (let byte = 0; byte < maskLength; byte++) {
+                        const mask = buffer.readUInt8(listOffset + byte);
+                        for (let bit = 0; bit < 8; bit++) {
+                            if (mask & (1 << bit)) {
+                                layout.extendedTags.push(byte * 8 + bit);
+                            }
+                        }
+                    }
+                    listOffset += maskLength;
+                } else {
+                    for (let i = 0; i < listLength; i++) {
+                        layout.extendedTags.push(buffer.readUInt16LE(listOffset + i * 2));
+                    }
+                    listOffset += listLength * 2;
                 }
             }
+        } else if (!layout.hasMinimalData) {
+            throw new Error('Compressed packet has neither minimal data set nor tag list');
+        }
+
+        layout.listsLength = listOffset - listStart;
+        return layout;
+    }
+
+    /**
+     * Parse one compressed record starting at its minimal data set (if any)
+     */
+    parseCompressedRecord(buffer, offset, layout, isFirstRecord) {
+        const record = { tags: {} };
+        let currentOffset = offset;
+
+        if (layout.hasMinimalData) {
+            const minimalData = this.parseMinimalDataSet(buffer, currentOffset);
+            this.applyMinimalDataSet(record, minimalData);
+            currentOffset += 10;
+        }
+
+        // Only the first record has the tag lists before its tag data
+        if (isFirstRecord) {
+            currentOffset += layout.listsLength;
+        }
+
+        for (const tag of layout.tags) {
+            if (tag === 0xFE) {
+                // Marks extended tags, its data follows the regular tag data
+                continue;
+            }
+
+            const tagHex = `0x${tag.toString(16).padStart(2, '0')}`;
+            const definition = this.tagDefinitionsCache.get(tagHex);
+            if (!definition) {
+                // Without the tag's length the rest of the packet cannot be located
+                throw new Error(`Unknown tag ${tagHex} in compressed packet`);
+            }
+
+            const { value, newOffset } = this.parseTagValue(buffer, currentOffset, tagHex);
+            record.tags[tagHex] = {
+                value: value,
+                type: definition.type,
+                description: definition.description
+            };
+            currentOffset = newOffset;
         }
 
+        if (layout.extendedTags) {
+            const dataLength = buffer.readUInt16LE(currentOffset);
+            currentOffset += 2;
+            this.parseCompressedExtendedData(buffer, currentOffset, currentOffset + dataLength, layout.extendedTags, record);
+            currentOffset += dataLength;
+        }
+
+        record.nextOffset = currentOffset;
         return record;
     }
 
+    parseCompressedExtendedData(buffer, offset, endOffset, extendedTags, record) {
+        let currentOffset = offset;
+
+        for (const tag of extendedTags) {
+            const tagHex = `0x${tag.toString(16).padStart(4, '0')}`;
+            const definition = this.tagDefinitionsCache.get(tagHex);
+            if (!definition) {
+                // The data length is known, so the record stays readable; drop the rest of its extended data
+                logger.warn(`Unknown extended tag ${tagHex} in compressed packet, skipping remaining extended data`);
+                return;
+            }
+
+            const { value, newOffset } = this.parseTagValue(buffer, currentOffset, tagHex);
+            if (newOffset > endOffset) {
+                throw new Error(`Extended tag ${tagHex} exceeds extended data length`);
+            }
+            record.tags[tagHex] = {
+                value: value,
+                type: definition.type,
+                description: definition.description
+            };
+            currentOffset = newOffset;
+        }
+    }
+
     /**
-     * Parse minimal data set
+     * Parse the 10-byte minimal data set. Bits, most significant first:
+     * 1 zero bit, 25 bits seconds since 1 January 00:00:00 UTC of the current
+     * year, 1 bit coordinates invalid, 22 bits longitude, 21 bits latitude,
+     * 1 bit alarm, 1 unused bit; the last byte is user tag 0.
      */
-    parseMinimalDataSet(buffer) {
+    parseMinimalDataSet(buffer, offset = 0) {
+        const readBits = (start, length) => {
+            let value = 0;
+            for (let i = start; i < start + length; i++) {
+                const bit = (buffer.readUInt8(offset + (i >> 3)) >> (7 - (i & 7))) & 1;
+                value = value * 2 + bit;
+            }
+            return value;
+        };
+
+        const seconds = readBits(1, 25);
+        const longitudeValue = readBits(27, 22);
+        const latitudeValue = readBits(49, 21);
+
+        // The year is not transmitted; archives from late last year arrive in early January
+        const now = new Date();
+        let timestamp = new Date(Date.UTC(now.getUTCFullYear(), 0, 1) + seconds * 1000);
+        if (timestamp - now > 24 * 60 * 60 * 1000) {
+            timestamp = new Date(Date.UTC(now.getUTCFullYear() - 1, 0, 1) + seconds * 1000);
+        }
+
         return {
-            timestamp: this.parseTimestamp(buffer.readUInt32LE(0)),
+            timestamp,
             coordinates: {
-                valid: !(buffer.readUInt8(4) & 0x01),
-                latitude: this.parseLatitude(buffer.readUInt32LE(4) & 0x1FFFFFFF),
-                longitude: this.parseLongitude(buffer.readUInt32LE(5) & 0x1FFFFFFF)
+                valid: readBits(26, 1) === 0,
+                latitude: Number(((latitudeValue * 180) / 2 ** 21 - 90).toFixed(6)),
+                longitude: Number(((longitudeValue * 360) / 2 ** 22 - 180).toFixed(6))
+            },
+            alarm: readBits(70, 1) === 1,
+            userTag: buffer.readUInt8(offset + 9)
+        };
+    }
+
+    /**
+     * Expose the minimal data set as the tags a main packet would carry.
+     * Tags listed explicitly in the record override these.
+     */
+    applyMinimalDataSet(record, minimalData) {
+        record.minimalData = minimalData;
+        record.tags['0x20'] = {
+            value: minimalData.timestamp,
+            type: 'datetime',
+            description: tagDefinitions['0x20'].description
+        };
+        record.tags['0x30'] = {
+            value: {
+                latitude: minimalData.coordinates.latitude,
+                longitude: minimalData.coordinates.longitude,
+                satellites: null,
+                correctness: minimalData.coordinates.valid ? 0 : 1
             },
-            alarm: !!(buffer.readUInt8(8) & 0x01),
-            userTag: buffer.readUInt8(9)
+            type: 'coordinates',
+            description: tagDefinitions['0x30'].description
+        };
+        record.tags['0xe2'] = {
+            value: minimalData.userTag,
+            type: tagDefinitions['0xe2'].type,
+            description: tagDefinitions['0xe2'].description
         };
     }
 
@@ -511,7 +728,8 @@ class GalileoskyParser extends EventEmitter {
                 const directionValue = buffer.readUInt16LE(recordOffset + 2);
                 value = {
                     speed: speedValue / 10,
-                    direction: directionValue / 10
+                    // Tenths of a degree; a full turn is north again
+                    direction: (directionValue / 10) % 360
                 };
                 newOffset = recordOffset + 4;
                 break;
@@ -721,47 +939,6 @@ class GalileoskyParser extends EventEmitter {
         };
     }
 
-    /**
-     * Add validation methods
-     */
-    validatePacket(buffer) {
-        if (buffer.length < 3) {
-            throw new Error('Packet too short');
-        }
-
-        const header = buffer.readUInt8(0);
-        const rawLength = buffer.readUInt16LE(1);
-        
-        // Extract high-order bit for archive data indicator
-        const hasUnsentData = (rawLength & 0x8000) !== 0;
-        
-        // Extract 15 low-order bits for packet length
-        const actualLength = rawLength & 0x7FFF;
-
-        // Check if we have the complete packet (HEAD + LENGTH + DATA + CRC)
-        const expectedLength = actualLength + 3;  // Header (1) + Length (2) + Data
-        if (buffer.length < expectedLength + 2) {  // +2 for CRC
-            throw new Error('Incomplete packet');
-        }
-
-        // Temporarily disable CRC validation for testing
-        /*
-        // Verify checksum
-        const calculatedChecksum = this.calculateCRC16(buffer.slice(0, expectedLength));
-        const receivedChecksum = buffer.readUInt16LE(expectedLength);
-
-        if (calculatedChecksum !== receivedChecksum) {
-            throw new Error('Checksum mismatch');
-        }
-        */
-
-        return {
-            hasUnsentData,
-            actualLength,
-            rawLength
-        };
-    }
-
     /**
      * Add packet statistics
      */
@@ -1015,81 +1192,7 @@ class GalileoskyParser extends EventEmitter {
                 timestamp: new Date().toISOString()
             });
 
-            // Extract input states from the inputs tag
-            const inputsTag = record.tags['0x46'];
-            const inputStates = inputsTag?.value?.states || {};
-
-            // Extract output states from the outputs tag
-            const outputsTag = record.tags['0x45'];
-            const outputStates = outputsTag?.value?.states || {};
-
-            const recordData = {
-                deviceImei: imei,
-                timestamp: new Date(), // Server timestamp when record was received
-                datetime: record.tags['0x20']?.value || null, // Device datetime from tag 0x20
-                recordNumber: record.tags['0x10']?.value,
-                milliseconds: record.tags['0x21']?.value,
-                latitude: record.tags['0x30']?.value?.latitude,
-                longitude: record.tags['0x30']?.value?.longitude,
-                satellites: record.tags['0x30']?.value?.satellites,
-                coordinateCorrectness: record.tags['0x30']?.value?.correctness,
-                speed: record.tags['0x33']?.value?.speed,
-                direction: record.tags['0x33']?.value?.direction,
-                height: record.tags['0x34']?.value,
-                hdop: record.tags['0x35']?.value,
-                status: record.tags['0x40']?.value,
-                supplyVoltage: record.tags['0x41']?.value,
-                batteryVoltage: record.tags['0x42']?.value,
-                temperature: record.tags['0x43']?.value,
-                acceleration: record.tags['0x44']?.value,
-                outputs: record.tags['0x45']?.value,
-                inputs: record.tags['0x46']?.value,
-                ecoDriving: record.tags['0x47']?.value,
-                expandedStatus: record.tags['0x48']?.value,
-                transmissionChannel: record.tags['0x49']?.value,
-                // Input states - map from the inputs tag states
-                input0: inputStates.input0 || false,
-                input1: inputStates.input1 || false,
-                input2: inputStates.input2 || false,
-                input3: inputStates.input3 || false,
-                // Input voltages
-                inputVoltage0: record.tags['0x50']?.value,
-                inputVoltage1: record.tags['0x51']?.value,
-                inputVoltage2: record.tags['0x52']?.value,
-                inputVoltage3: record.tags['0x53']?.value,
-                inputVoltage4: record.tags['0x54']?.value,
-                inputVoltage5: record.tags['0x55']?.value,
-                inputVoltage6: record.tags['0x56']?.value,
-                // User data
-                userData0: record.tags['0xe2']?.value?.toString(),
-                userData1: record.tags['0xe3']?.value?.toString(),
-                userData2: record.tags['0xe4']?.value?.toString(),
-                userData3: record.tags['0xe5']?.value?.toString(),
-                userData4: record.tags['0xe6']?.value?.toString(),
-                userData5: record.tags['0xe7']?.value?.toString(),
-                userData6: record.tags['0xe8']?.value?.toString(),
-                userData7: record.tags['0xe9']?.value?.toString(),
-                // Modbus data
-                modbus0: record.tags['0x0001']?.value?.toString(),
-                modbus1: record.tags['0x0002']?.value?.toString(),
-                modbus2: record.tags['0x0003']?.value?.toString(),
-                modbus3: record.tags['0x0004']?.value?.toString(),
-                modbus4: record.tags['0x0005']?.value?.toString(),
-                modbus5: record.tags['0x0006']?.value?.toString(),
-                modbus6: record.tags['0x0007']?.value?.toString(),
-                modbus7: record.tags['0x0008']?.value?.toString(),
-                modbus8: record.tags['0x0009']?.value?.toString(),
-                modbus9: record.tags['0x000a']?.value?.toString(),
-                modbus10: record.tags['0x000b']?.value?.toString(),
-                modbus11: record.tags['0x000c']?.value?.toString(),
-                modbus12: record.tags['0x000d']?.value?.toString(),
-                modbus13: record.tags['0x000e']?.value?.toString(),
-                modbus14: record.tags['0x000f']?.value?.toString(),
-                modbus15: record.tags['0x0010']?.value?.toString(),
-                rawData: JSON.stringify(record.tags)
-            };
-
-            await Record.create(recordData);
+            await Record.create(this.buildRecordData(record, imei));
             logger.info(`Record saved for device ${imei} with ${Object.keys(record.tags).length} tags`);
         } catch (error) {
             logger.error(`Error saving record to database: ${error.message}`);
@@ -1097,6 +1200,81 @@ class GalileoskyParser extends EventEmitter {
         }
     }
 
+    /**
+     * Build the Record row for a parsed record
+     */
+    buildRecordData(record, imei) {
+        // Extract input states from the inputs tag
+        const inputsTag = record.tags['0x46'];
+        const inputStates = inputsTag?.value?.states || {};
+
+        return {
+            deviceImei: imei,
+            timestamp: new Date(), // Server timestamp when record was received
+            datetime: record.tags['0x20']?.value || null, // Device datetime from tag 0x20
+            recordNumber: record.tags['0x10']?.value,
+            milliseconds: record.tags['0x21']?.value,
+            latitude: record.tags['0x30']?.value?.latitude,
+            longitude: record.tags['0x30']?.value?.longitude,
+            satellites: record.tags['0x30']?.value?.satellites,
+            coordinateCorrectness: record.tags['0x30']?.value?.correctness,
+            speed: record.tags['0x33']?.value?.speed,
+            direction: record.tags['0x33']?.value?.direction,
+            height: record.tags['0x34']?.value,
+            hdop: record.tags['0x35']?.value,
+            status: record.tags['0x40']?.value,
+            supplyVoltage: record.tags['0x41']?.value,
+            batteryVoltage: record.tags['0x42']?.value,
+            temperature: record.tags['0x43']?.value,
+            acceleration: record.tags['0x44']?.value,
+            outputs: record.tags['0x45']?.value,
+            inputs: record.tags['0x46']?.value,
+            ecoDriving: record.tags['0x47']?.value,
+            expandedStatus: record.tags['0x48']?.value,
+            transmissionChannel: record.tags['0x49']?.value,
+            // Input states - map from the inputs tag states
+            input0: inputStates.input0 || false,
+            input1: inputStates.input1 || false,
+            input2: inputStates.input2 || false,
+            input3: inputStates.input3 || false,
+            // Input voltages
+            inputVoltage0: record.tags['0x50']?.value,
+            inputVoltage1: record.tags['0x51']?.value,
+            inputVoltage2: record.tags['0x52']?.value,
+            inputVoltage3: record.tags['0x53']?.value,
+            inputVoltage4: record.tags['0x54']?.value,
+            inputVoltage5: record.tags['0x55']?.value,
+            inputVoltage6: record.tags['0x56']?.value,
+            // User data
+            userData0: record.tags['0xe2']?.value?.toString(),
+            userData1: record.tags['0xe3']?.value?.toString(),
+            userData2: record.tags['0xe4']?.value?.toString(),
+            userData3: record.tags['0xe5']?.value?.toString(),
+            userData4: record.tags['0xe6']?.value?.toString(),
+            userData5: record.tags['0xe7']?.value?.toString(),
+            userData6: record.tags['0xe8']?.value?.toString(),
+            userData7: record.tags['0xe9']?.value?.toString(),
+            // Modbus data
+            modbus0: record.tags['0x0001']?.value?.toString(),
+            modbus1: record.tags['0x0002']?.value?.toString(),
+            modbus2: record.tags['0x0003']?.value?.toString(),
+            modbus3: record.tags['0x0004']?.value?.toString(),
+            modbus4: record.tags['0x0005']?.value?.toString(),
+            modbus5: record.tags['0x0006']?.value?.toString(),
+            modbus6: record.tags['0x0007']?.value?.toString(),
+            modbus7: record.tags['0x0008']?.value?.toString(),
+            modbus8: record.tags['0x0009']?.value?.toString(),
+            modbus9: record.tags['0x000a']?.value?.toString(),
+            modbus10: record.tags['0x000b']?.value?.toString(),
+            modbus11: record.tags['0x000c']?.value?.toString(),
+            modbus12: record.tags['0x000d']?.value?.toString(),
+            modbus13: record.tags['0x000e']?.value?.toString(),
+            modbus14: record.tags['0x000f']?.value?.toString(),
+            modbus15: record.tags['0x0010']?.value?.toString(),
+            rawData: JSON.stringify(record.tags)
+        };
+    }
+
     // Optimized record parsing function (synchronous)
     parseRecord(buffer, startOffset, endOffset) {
         const record = { tags: {} };
@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const logger = require('../utils/logger');
+
+const PAIRING_TTL = 10 * 60 * 1000; // How long a pairing code can be used
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // Accepted difference between the clocks of two peers
+const PAIRING_SCHEME = 'gspeer:';
+
+const hmac = (key, message) => crypto.createHmac('sha256', key).update(message).digest('hex');
+
+const sha256 = body => crypto.createHash('sha256').update(body || '').digest('hex');
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Trust between peers. Phones pair once with a single-use code, shown on
+ * one phone (as text or a QR code of the pairing URI) and entered on the
+ * other; the code never crosses the network, both sides derive a shared
+ * secret from it. Every request between paired peers is then signed with
+ * HMAC-SHA256 over the method, path, time, a nonce and the body, and every
+ * response over its status, the request nonce and the body. With TLS each
+ * peer's self-signed certificate is pinned at pairing.
+ *
+ * Trusted peers are kept in the sync state (state.peers) next to their
+ * cursors: { secret, url, fingerprint, certificate, pairedAt, revokedAt }.
+ */
+class PeerAuth {
+    constructor(sync) {
+        this.sync = sync;
+        this.pairings = new Map(); // pairing token -> expiry
+        this.nonces = new Map(); // nonce -> expiry, to reject replayed requests
+        this.certificate = null;
+        this.key = null;
+        this.fingerprint = null;
+    }
+
+    get peers() {
+        return this.sync.state.peers;
+    }
+
+    /**
+     * Load this node's TLS certificate, creating a self-signed one with
+     * openssl on first use
+     */
+    loadCertificate(options = {}) {
+        const directory = path.dirname(this.sync.stateFile);
+        const certFile = options.cert || path.join(directory, 'peer-sync-cert.pem');
+        const keyFile = options.key || path.join(directory, 'peer-sync-key.pem');
+        if (!fs.existsSync(certFile) || !fs.existsSync(keyFile)) {
+            fs.mkdirSync(directory, { recursive: true });
+            execFileSync('openssl', [
+                'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+                '-days', '3650', '-subj', `/CN=${this.sync.nodeId}`, '-keyout', keyFile, '-out', certFile
+            ], { stdio: 'ignore' });
+            fs.chmodSync(keyFile, 0o600);
+            logger.info(`Created peer sync certificate ${certFile}`);
+        }
+        this.certificate = fs.readFileSync(certFile, 'utf8');
+        this.key = fs.readFileSync(keyFile, 'utf8');
+        this.fingerprint = new crypto.X509Certificate(this.certificate).fingerprint256;
+        return { cert: this.certificate, key: this.key };
+    }
+
+    /**
+     * A single-use pairing code for another phone to enter, as a URI that
+     * also carries this node's address and certificate fingerprint
+     */
+    createPairing(url) {
+        const now = Date.now();
+        this.pairings.forEach((expiresAt, token) => {
+            if (expiresAt < now) {
+                this.pairings.delete(token);
+            }
+        });
+        const token = crypto.randomBytes(16).toString('base64url');
+        const expiresAt = now + PAIRING_TTL;
+        this.pairings.set(token, expiresAt);
+        const params = new URLSearchParams({ url, token, node: this.sync.nodeId });
+        if (this.fingerprint) {
+            params.set('fp', this.fingerprint);
+        }
+        return { token, expiresAt: new Date(expiresAt).toISOString(), uri: `${PAIRING_SCHEME}//pair?${params}` };
+    }
+
+    // { url, token, node, fp } from a pairing URI, or from a URL and the bare token
+    parsePairing(code, url) {
+        if (typeof code !== 'string' || !code.trim()) {
+            return null;
+        }
+        if (!code.startsWith(PAIRING_SCHEME)) {
+            return url ? { url, token: code.trim() } : null;
+        }
+        const params = new URL(code.trim()).searchParams;
+        const pairing = Object.fromEntries(params);
+        return pairing.url && pairing.token ? pairing : null;
+    }
+
+    // Shared secret of two nodes, derived from the pairing token on both sides
+    deriveSecret(token, nonce, serverNode, clientNode) {
+        return Buffer.from(crypto.hkdfSync('sha256', token, nonce, `${serverNode}|${clientNode}`, 32)).toString('base64');
+    }
+
+    /**
+     * The body a node sends to pair with the node that showed the code
+     */
+    pairingRequest(pairing, ownUrl) {
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        return {
+            nodeId: this.sync.nodeId,
+            deviceId: this.sync.deviceId,
+            url: ownUrl,
+            certificate: this.certificate,
+            nonce,
+            proof: hmac(pairing.token, ['pair', this.sync.nodeId, nonce, this.fingerprint || ''].join('\n'))
+        };
+    }
+
+    /**
+     * Pair with a node that proved it knows one of our pairing codes, over a
+     * connection that presented our certificate (fingerprint) or none;
+     * returns the response body, or null when no code matches
+     */
+    acceptPairing(body, fingerprint) {
+        if (!body || typeof body.nodeId !== 'string' || typeof body.nonce !== 'string' || typeof body.proof !== 'string') {
+            return null;
+        }
+        let clientFingerprint = '';
+        try {
+            clientFingerprint = body.certificate ? new crypto.X509Certificate(body.certificate).fingerprint256 : '';
+        } catch (error) {
+            return null;
+        }
+        const message = ['pair', body.nodeId, body.nonce, clientFingerprint].join('\n');
+        const now = Date.now();
+        const token = Array.from(this.pairings.keys()).find(candidate => this.pairings.get(candidate) >= now
+            && safeEqual(hmac(candidate, message), body.proof));
+        if (!token) {
+            return null;
+        }
+        this.pairings.delete(token);
+
+        this.trust(body.nodeId, {
+            deviceId: body.deviceId,
+            url: body.url || null,
+            secret: this.deriveSecret(token, body.nonce, this.sync.nodeId, body.nodeId),
+            fingerprint: clientFingerprint || null,
+            certificate: clientFingerprint ? body.certificate : null
+        });
+        logger.info(`Paired with ${body.deviceId || body.nodeId}`);
+        return {
+            nodeId: this.sync.nodeId,
+            deviceId: this.sync.deviceId,
+            certificate: fingerprint ? this.certificate : null,
+            proof: hmac(token, ['paired', this.sync.nodeId, body.nodeId, body.nonce, fingerprint || ''].join('\n'))
+        };
+    }
+
+    /**
+     * Check the answer of the node we paired with: it knew the code, and the
+     * certificate it proved is the one the connection used. Returns the peer
+     * to trust, or throws.
+     */
+    completePairing(pairing, request, response, presentedFingerprint) {
+        const fingerprint = presentedFingerprint || '';
+        const expected = hmac(pairing.token, ['paired', response.nodeId, this.sync.nodeId, request.nonce, fingerprint].join('\n'));
+        if (!response.nodeId || !safeEqual(expected, response.proof || '')) {
+            throw new Error('Pairing failed: the peer did not prove it knows the pairing code');
+        }
+        if ((pairing.node && pairing.node !== response.nodeId) || (pairing.fp && pairing.fp !== fingerprint)) {
+            throw new Error('Pairing failed: the peer is not the one that showed the pairing code');
+        }
+        if (fingerprint && (!response.certificate || new crypto.X509Certificate(response.certificate).fingerprint256 !== fingerprint)) {
+            throw new Error('Pairing failed: the peer certificate does not match');
+        }
+        return this.trust(response.nodeId, {
+            deviceId: response.deviceId,
+            url: pairing.url,
+            secret: this.deriveSecret(pairing.token, request.nonce, response.nodeId, this.sync.nodeId),
+            fingerprint: fingerprint || null,
+            certificate: fingerprint ? response.certificate : null
+        });
+    }
+
+    trust(nodeId, attributes) {
+        const peer = this.peers[nodeId] || { receivedSeq: 0 };
+        this.peers[nodeId] = { ...peer, ...attributes, pairedAt: new Date().toISOString(), revokedAt: null };
+        this.sync.saveState();
+        return { nodeId, ...this.peers[nodeId] };
+    }
+
+    // Forget a peer's secret; its requests are refused until it pairs again
+    revoke(nodeId) {
+        const peer = this.peers[nodeId];
+        if (!peer || !peer.secret) {
+            return false;
+        }
+        delete peer.secret;
+        peer.revokedAt = new Date().toISOString();
+        this.sync.saveState();
+        logger.info(`Revoked peer ${peer.deviceId || nodeId}`);
+        return true;
+    }
+
+    // Paired peers that are not revoked, by node ID or URL
+    findTrusted(nodeIdOrUrl) {
+        const entry = Object.entries(this.peers).find(([nodeId, peer]) => peer.secret
+            && (nodeId === nodeIdOrUrl || peer.url === nodeIdOrUrl));
+        return entry ? { nodeId: entry[0], ...entry[1] } : null;
+    }
+
+    // Peers ever paired, without their secrets
+    listPeers() {
+        return Object.entries(this.peers)
+            .filter(([, peer]) => peer.pairedAt)
+            .map(([nodeId, peer]) => ({
+                nodeId,
+                deviceId: peer.deviceId,
+                url: peer.url,
+                fingerprint: peer.fingerprint || null,
+                trusted: Boolean(peer.secret),
+                pairedAt: peer.pairedAt,
+                revokedAt: peer.revokedAt || null,
+                lastSync: peer.lastSync || null
+            }));
+    }
+
+    /**
+     * Headers signing a request to a paired peer
+     */
+    signRequest(peer, method, pathWithQuery, body) {
+        const timestamp = String(Date.now());
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const signature = hmac(Buffer.from(peer.secret, 'base64'), [method, pathWithQuery, timestamp, nonce, sha256(body)].join('\n'));
+        return {
+            'X-Peer-Node': this.sync.nodeId,
+            'X-Peer-Timestamp': timestamp,
+            'X-Peer-Nonce': nonce,
+            'X-Peer-Signature': signature
+        };
+    }
+
+    /**
+     * The trusted peer that signed a request, or null if it is not signed
+     * by one, is too old or was seen before
+     */
+    verifyRequest(req, body) {
+        const nodeId = req.headers['x-peer-node'];
+        const timestamp = Number(req.headers['x-peer-timestamp']);
+        const nonce = req.headers['x-peer-nonce'];
+        const signature = req.headers['x-peer-signature'];
+        const peer = nodeId ? this.findTrusted(nodeId) : null;
+        if (!peer || !nonce || !signature || !(Math.abs(Date.now() - timestamp) <= MAX_CLOCK_SKEW)) {
+            return null;
+        }
+        const expected = hmac(Buffer.from(peer.secret, 'base64'), [req.method, req.url, req.headers['x-peer-timestamp'], nonce, sha256(body)].join('\n'));
+        if (!safeEqual(expected, signature) || this.nonces.has(nonce)) {
+            return null;
+        }
+
+        const now = Date.now();
+        this.nonces.forEach((expiresAt, seen) => {
+            if (expiresAt < now) {
+                this.nonces.delete(seen);
+            }
+        });
+        this.nonces.set(nonce, now + 2 * MAX_CLOCK_SKEW);
+        return { ...peer, nonce };
+    }
+
+    signResponse(peer, status, body) {
+        return hmac(Buffer.from(peer.secret, 'base64'), [status, peer.nonce, sha256(body)].join('\n'));
+    }
+
+    verifyResponse(peer, nonce, status, body, signature) {
+        const expected = hmac(Buffer.from(peer.secret, 'base64'), [status, nonce, sha256(body)].join('\n'));
+        return Boolean(signature) && safeEqual(expected, signature);
+    }
+}
+
+module.exports = PeerAuth;
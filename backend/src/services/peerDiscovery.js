@@ -0,0 +1,191 @@
+const dgram = require('dgram');
+const { networkInterfaces } = require('os');
+const logger = require('../utils/logger');
+
+const DISCOVERY_PORT = 3004;
+const ANNOUNCE_INTERVAL = 10 * 1000; // Between announcements of this node
+const ONLINE_TIMEOUT = 3 * ANNOUNCE_INTERVAL; // A peer not heard from for this long is offline
+const EXPIRY = 10 * 60 * 1000; // Offline peers are dropped from the list after this long
+const MESSAGE_TYPE = 'galileosky-peer';
+
+// Broadcast address of every IPv4 network this device is on, e.g. the hotspot subnet
+function broadcastAddresses() {
+    const addresses = new Set();
+    Object.values(networkInterfaces()).forEach((nets) => {
+        nets.forEach((net) => {
+            if (net.family !== 'IPv4' || net.internal || !net.netmask) {
+                return;
+            }
+            const address = net.address.split('.').map(Number);
+            const mask = net.netmask.split('.').map(Number);
+            addresses.add(address.map((part, i) => (part | (~mask[i] & 255))).join('.'));
+        });
+    });
+    addresses.add('255.255.255.255');
+    return Array.from(addresses);
+}
+
+/**
+ * Finds peers on the local network. Every node broadcasts a small UDP
+ * announcement (node ID, device name, sync port, record count) to the
+ * networks it is on, and lists the nodes it hears. Announcements are not
+ * trusted: a discovered peer is only synced with once paired, and the sync
+ * itself is signed, so an address learned here is checked before use.
+ *
+ * With autoSync, a paired peer that appears (or comes back after being
+ * offline) is synced with straight away.
+ */
+class PeerDiscovery {
+    constructor(sync, options = {}) {
+        this.sync = sync;
+        this.port = options.port || DISCOVERY_PORT;
+        this.autoSync = Boolean(options.autoSync);
+        this.peers = new Map(); // nodeId -> discovered peer
+        this.socket = null;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.socket) {
+            return;
+        }
+        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        this.socket.on('message', (message, remote) => this.handleMessage(message, remote));
+        this.socket.on('error', (error) => {
+            logger.error(`Peer discovery error: ${error.message}`);
+        });
+        this.socket.bind(this.port, () => {
+            this.socket.setBroadcast(true);
+            logger.info(`Peer discovery on UDP port ${this.port}${this.autoSync ? ', auto-sync on' : ''}`);
+            this.announce();
+        });
+        this.timer = setInterval(() => {
+            this.announce();
+            this.expire();
+        }, ANNOUNCE_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    announcement() {
+        return JSON.stringify({
+            type: MESSAGE_TYPE,
+            nodeId: this.sync.nodeId,
+            deviceId: this.sync.deviceId,
+            port: this.sync.port,
+            tls: this.sync.tls,
+            records: this.sync.parsedData ? this.sync.parsedData.length : 0,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Send our announcement to every local network, or to one address
+    announce(address) {
+        if (!this.socket) {
+            return;
+        }
+        const message = Buffer.from(this.announcement());
+        (address ? [address] : broadcastAddresses()).forEach((target) => {
+            this.socket.send(message, this.port, target, (error) => {
+                if (error && address) {
+                    logger.warn(`Peer announcement to ${target} failed: ${error.message}`);
+                }
+            });
+        });
+    }
+
+    handleMessage(message, remote) {
+        let announcement;
+        try {
+            announcement = JSON.parse(message.toString());
+        } catch (error) {
+            return;
+        }
+        if (!announcement || announcement.type !== MESSAGE_TYPE || typeof announcement.nodeId !== 'string'
+            || announcement.nodeId === this.sync.nodeId || !Number.isInteger(announcement.port)) {
+            return;
+        }
+
+        const now = Date.now();
+        const known = this.peers.get(announcement.nodeId);
+        const appeared = !known || now - known.lastSeen > ONLINE_TIMEOUT;
+        this.peers.set(announcement.nodeId, {
+            nodeId: announcement.nodeId,
+            deviceId: String(announcement.deviceId || ''),
+            address: remote.address,
+            url: `${announcement.tls ? 'https' : 'http'}://${remote.address}:${announcement.port}`,
+            records: Number(announcement.records) || 0,
+            firstSeen: appeared ? now : known.firstSeen,
+            lastSeen: now
+        });
+
+        if (appeared) {
+            logger.info(`Discovered peer ${announcement.deviceId || announcement.nodeId} at ${remote.address}`);
+            // Answer directly so the new peer need not wait for our next broadcast
+            this.announce(remote.address);
+            if (this.autoSync && this.sync.auth.findTrusted(announcement.nodeId)) {
+                this.syncWith(announcement.nodeId).catch((error) => {
+                    logger.error(`Auto-sync with ${announcement.deviceId || announcement.nodeId} failed: ${error.message}`);
+                });
+            }
+        }
+    }
+
+    /**
+     * Sync with a discovered paired peer, first moving it to the address it
+     * announced from once it has answered there with a signed status
+     */
+    async syncWith(nodeId) {
+        const discovered = this.peers.get(nodeId);
+        const trusted = this.sync.auth.findTrusted(nodeId);
+        if (!discovered || !trusted || !this.sync.parsedData) {
+            return;
+        }
+        if (trusted.url !== discovered.url) {
+            const status = await this.sync.makePeerRequest({ ...trusted, url: discovered.url }, 'GET', '/peer/status');
+            if (status.nodeId !== nodeId) {
+                return;
+            }
+            this.sync.state.peers[nodeId].url = discovered.url;
+            this.sync.saveState();
+            logger.info(`Peer ${trusted.deviceId || nodeId} moved to ${discovered.url}`);
+        }
+        await this.sync.connectToPeer(nodeId, this.sync.parsedData, this.sync.devices, this.sync.lastIMEI);
+    }
+
+    expire() {
+        const cutoff = Date.now() - EXPIRY;
+        this.peers.forEach((peer, nodeId) => {
+            if (peer.lastSeen < cutoff) {
+                this.peers.delete(nodeId);
+            }
+        });
+    }
+
+    // Peers heard recently, most recently seen first
+    list() {
+        const now = Date.now();
+        return Array.from(this.peers.values())
+            .sort((a, b) => b.lastSeen - a.lastSeen)
+            .map((peer) => {
+                const trusted = this.sync.auth.findTrusted(peer.nodeId);
+                return {
+                    ...peer,
+                    firstSeen: new Date(peer.firstSeen).toISOString(),
+                    lastSeen: new Date(peer.lastSeen).toISOString(),
+                    online: now - peer.lastSeen <= ONLINE_TIMEOUT,
+                    trusted: Boolean(trusted),
+                    lastSync: trusted ? trusted.lastSync || null : null
+                };
+            });
+    }
+}
+
+module.exports = PeerDiscovery;
@@ -2,18 +2,431 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const PeerAuth = require('./peerAuth');
+const PeerDiscovery = require('./peerDiscovery');
 
-class PeerToPeerSync {
-    constructor(deviceId, port = 3001) {
-        this.deviceId = deviceId;
+const PAGE_SIZE = 500; // Records per sync batch
+const MAX_PAGE_SIZE = 2000;
+const PAGE_RETRIES = 3; // Attempts per batch before a sync gives up; the next sync resumes there
+const MAX_BODY_SIZE = 32 * 1024 * 1024;
+
+// Endpoints other nodes call, signed with the secret agreed at pairing
+const SIGNED_ENDPOINTS = ['/peer/status', '/peer/changes', '/peer/cursor'];
+// Endpoints that pair, sync or revoke, for the UI on this device only
+const LOCAL_ENDPOINTS = ['/peer/pairing', '/peer/pair-with', '/peer/trusted', '/peer/connect', '/peer/discovered', '/peer/auto-sync'];
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const MAX_REPORTED_CONFLICTS = 20;
+// Set by the node that parsed or stored a record, not part of what the tracker sent
+const LOCAL_FIELDS = ['timestamp', 'clientAddress', 'recordIndex', 'syncSeq', 'syncSource', 'recordId'];
+const DEVICE_COUNTERS = ['recordCount', 'totalRecords'];
+
+const tagValue = (record, tag) => (record.tags && record.tags[tag] ? record.tags[tag].value : undefined);
+
+const isKnown = value => value !== undefined && value !== null && value !== 'unknown';
+
+function recordImei(record) {
+    return [record.imei, record.deviceId, tagValue(record, '0x03')].find(isKnown) || null;
+}
+
+function normalizeTime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+// JSON with object keys sorted, so equal content gives equal text
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function recordContent(record) {
+    const content = { ...record };
+    LOCAL_FIELDS.forEach((field) => {
+        delete content[field];
+    });
+    return canonicalJson(content);
+}
+
+/**
+ * The identity of a record whichever node parsed it: the tracker's IMEI,
+ * archive record number (tag 0x10) and device time (tag 0x20), or a hash of
+ * the record's content when those are missing
+ */
+function deriveRecordId(record) {
+    const imei = recordImei(record);
+    const archive = [record.archiveNumber, tagValue(record, '0x10')].find(isKnown);
+    const datetime = [record.datetime, tagValue(record, '0x20')].find(isKnown);
+    if (imei && (archive !== undefined || datetime !== undefined)) {
+        return `${imei}:${archive !== undefined ? archive : ''}:${datetime !== undefined ? normalizeTime(datetime) : ''}`;
+    }
+    return `sha1:${crypto.createHash('sha1').update(recordContent(record)).digest('hex')}`;
+}
+
+// Fill in the identity of a record parsed without a deviceId
+function identify(record) {
+    if (!isKnown(record.deviceId)) {
+        const imei = recordImei(record);
+        if (imei) {
+            record.deviceId = imei;
+        }
+    }
+    record.recordId = deriveRecordId(record);
+    return record;
+}
+
+/**
+ * Which of two versions of a record every node keeps: the one received
+ * first, then the one whose content sorts first
+ */
+function preferredVersion(local, peer) {
+    const localTime = Date.parse(local.timestamp);
+    const peerTime = Date.parse(peer.timestamp);
+    if (localTime !== peerTime && !Number.isNaN(localTime) && !Number.isNaN(peerTime)) {
+        return peerTime < localTime ? 'peer' : 'local';
+    }
+    return recordContent(peer) < recordContent(local) ? 'peer' : 'local';
+}
+
+// A record as sent to a peer, without this node's bookkeeping
+function toWire(record) {
+    const copy = { ...record };
+    delete copy.syncSeq;
+    delete copy.syncSource;
+    return copy;
+}
+
+const emptyReport = () => ({ newRecords: 0, duplicates: 0, localDuplicates: 0, conflictCount: 0, conflicts: [], devicesUpdated: 0 });
+
+// Add the result of merging one page to the report of a sync
+function addToReport(report, result) {
+    ['newRecords', 'duplicates', 'localDuplicates', 'conflictCount', 'devicesUpdated'].forEach((field) => {
+        report[field] += result[field] || 0;
+    });
+    report.conflicts.push(...(result.conflicts || []).slice(0, MAX_REPORTED_CONFLICTS - report.conflicts.length));
+    return report;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk.toString();
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+async function readJsonBody(req) {
+    return JSON.parse(await readBody(req));
+}
+
+function hostname(host) {
+    try {
+        return new URL(host.includes('://') ? host : `http://${host}`).hostname;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a request comes from a browser or script on this device: from a
+ * loopback address, to a local host name (not another name resolving to
+ * this device) and not from a page of another site
+ */
+function isLocalRequest(req) {
+    if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+        return false;
+    }
+    if (!LOCAL_HOSTS.includes(hostname(req.headers.host || ''))) {
+        return false;
+    }
+    return !req.headers.origin || LOCAL_HOSTS.includes(hostname(req.headers.origin));
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Record sync between nodes that keep their records in memory.
+ *
+ * Every record gets a sequence number (syncSeq) when this node first sees
+ * it, so parsedData stays in sequence order: records are only appended, and
+ * old ones trimmed from the front. Each node has a stable nodeId and keeps,
+ * per peer, the sequence number up to which it has that peer's records. A
+ * sync pulls the peer's records after that point and pushes ours after the
+ * point the peer reports, in pages; the cursor is saved after every page so
+ * an interrupted transfer resumes where it stopped.
+ *
+ * Nodes only sync with peers they have paired with (see PeerAuth), over
+ * HTTPS with pinned certificates when TLS is on: options.tls, true or
+ * { cert, key } files, else PEER_SYNC_TLS=true. Peers on the local network
+ * are found by PeerDiscovery while the peer server runs, unless
+ * options.discovery or PEER_DISCOVERY is false; options.autoSync or
+ * PEER_AUTO_SYNC=true syncs with paired peers as they appear.
+ *
+ * Emits 'records' with the records a merge added and those it replaced by
+ * the peer's version, for the node to store them next to its own.
+ */
+class PeerToPeerSync extends EventEmitter {
+    constructor(deviceId, port = 3001, options = {}) {
+        super();
         this.port = port;
         this.peerServer = null;
         this.isServerMode = false;
         this.syncInProgress = false;
         this.lastSyncTime = null;
+        this.pageSize = options.pageSize || PAGE_SIZE;
+        this.stateFile = options.stateFile || path.join(process.cwd(), 'data', 'peer-sync-state.json');
+        this.state = this.loadState();
+        // Without a deviceId the node keeps the name it got on its first start
+        if (deviceId || !this.state.deviceId) {
+            this.deviceId = deviceId || `mobile-${crypto.randomBytes(5).toString('hex')}`;
+        }
+        this.auth = new PeerAuth(this);
+        this.tls = options.tls !== undefined ? Boolean(options.tls) : process.env.PEER_SYNC_TLS === 'true';
+        if (this.tls) {
+            this.auth.loadCertificate(typeof options.tls === 'object' ? options.tls : {});
+        }
+        this.discoveryEnabled = options.discovery !== undefined ? Boolean(options.discovery) : process.env.PEER_DISCOVERY !== 'false';
+        this.discovery = new PeerDiscovery(this, {
+            port: options.discoveryPort || parseInt(process.env.PEER_DISCOVERY_PORT),
+            autoSync: options.autoSync !== undefined ? options.autoSync : process.env.PEER_AUTO_SYNC === 'true'
+        });
+        this.index = new Map(); // recordId -> syncSeq of the records in parsedData
+        this.lastSyncReport = null;
+        this.indexedSeq = 0;
+    }
+
+    get nodeId() {
+        return this.state.nodeId;
+    }
+
+    // The name peers show for this node, saved with the state
+    get deviceId() {
+        return this.state.deviceId;
+    }
+
+    set deviceId(deviceId) {
+        if (deviceId !== this.state.deviceId) {
+            this.state.deviceId = deviceId;
+            this.saveState();
+        }
+    }
+
+    // { nodeId, deviceId, sequence, peers: { nodeId: { deviceId, receivedSeq, lastSync, ...pairing } } }
+    loadState() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                if (state.nodeId) {
+                    return { sequence: 0, peers: {}, ...state };
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error loading peer sync state:', error.message);
+        }
+        return { nodeId: crypto.randomUUID(), sequence: 0, peers: {} };
+    }
+
+    saveState() {
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            // Holds the secrets shared with paired peers
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2), { mode: 0o600 });
+            fs.chmodSync(this.stateFile, 0o600);
+        } catch (error) {
+            console.error('❌ Error saving peer sync state:', error.message);
+        }
+    }
+
+    /**
+     * Number the records appended since the last call; returns the highest
+     * sequence number in use
+     */
+    stampRecords(parsedData) {
+        let first = parsedData.length;
+        while (first > 0 && parsedData[first - 1].syncSeq === undefined) {
+            first--;
+        }
+        const lastStamped = first > 0 ? parsedData[first - 1].syncSeq : 0;
+        // Sequence numbers never go back, even when records were cleared
+        let sequence = Math.max(this.state.sequence, lastStamped);
+        for (let i = first; i < parsedData.length; i++) {
+            sequence++;
+            identify(parsedData[i]).syncSeq = sequence;
+        }
+        if (sequence !== this.state.sequence) {
+            this.state.sequence = sequence;
+            this.saveState();
+        }
+        return sequence;
+    }
+
+    /**
+     * Bring the record ID index up to date with records appended or trimmed
+     * since; later copies of a record already held are dropped. Returns the
+     * number dropped.
+     */
+    refreshIndex(parsedData) {
+        this.stampRecords(parsedData);
+        if (parsedData.length === 0) {
+            this.index.clear();
+            this.indexedSeq = 0;
+            return 0;
+        }
+        const firstSeq = parsedData[0].syncSeq;
+        const lastSeq = parsedData[parsedData.length - 1].syncSeq;
+        if (lastSeq < this.indexedSeq) {
+            // Replaced by other records
+            this.index.clear();
+            this.indexedSeq = 0;
+        }
+        if (this.index.size > parsedData.length) {
+            this.index.forEach((seq, id) => {
+                if (seq < firstSeq) {
+                    this.index.delete(id);
+                }
+            });
+        }
+
+        // Compact in place, keeping the first copy of each record
+        const start = this.firstIndexAfter(parsedData, this.indexedSeq);
+        let kept = start;
+        for (let i = start; i < parsedData.length; i++) {
+            const record = parsedData[i];
+            if (!record.recordId) {
+                identify(record); // Numbered before records had IDs
+            }
+            if (!this.index.has(record.recordId)) {
+                this.index.set(record.recordId, record.syncSeq);
+                parsedData[kept++] = record;
+            }
+        }
+        const dropped = parsedData.length - kept;
+        if (dropped > 0) {
+            parsedData.length = kept;
+            console.log(`📱 Dropped ${dropped} duplicate records`);
+        }
+        this.indexedSeq = lastSeq;
+        return dropped;
+    }
+
+    // The record held under an ID, if any
+    findRecord(parsedData, recordId) {
+        const seq = this.index.get(recordId);
+        if (seq === undefined) {
+            return null;
+        }
+        const position = this.firstIndexAfter(parsedData, seq - 1);
+        const record = parsedData[position];
+        return record && record.syncSeq === seq ? record : null;
+    }
+
+    // Position of the first record numbered after seq
+    firstIndexAfter(parsedData, seq) {
+        let low = 0;
+        let high = parsedData.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (parsedData[middle].syncSeq <= seq) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * A page of records numbered after since, leaving out those that came
+     * from the node asking for them; nextSeq is where the next page starts
+     */
+    changesSince(parsedData, devices, since, limit, excludeNode = null) {
+        const lastSeq = this.stampRecords(parsedData);
+        const records = [];
+        let next = this.firstIndexAfter(parsedData, since);
+        let nextSeq = Math.max(since, lastSeq);
+        // Skipped records do not count towards the page size
+        while (next < parsedData.length && records.length < limit) {
+            const record = parsedData[next];
+            if (!excludeNode || record.syncSource !== excludeNode) {
+                records.push(toWire(record));
+            }
+            nextSeq = record.syncSeq;
+            next++;
+        }
+
+        const pageDevices = {};
+        records.forEach((record) => {
+            if (devices.has(record.deviceId)) {
+                pageDevices[record.deviceId] = devices.get(record.deviceId);
+            }
+        });
+
+        return {
+            nodeId: this.nodeId,
+            deviceId: this.deviceId,
+            since,
+            nextSeq,
+            lastSeq,
+            hasMore: next < parsedData.length,
+            records,
+            devices: pageDevices
+        };
+    }
+
+    /**
+     * Up to which sequence number we have a peer's records; a peer whose
+     * numbering is behind that has lost its records and starts again
+     */
+    receivedSeq(nodeId, peerLastSeq) {
+        const peer = this.state.peers[nodeId];
+        if (!peer) {
+            return 0;
+        }
+        if (peerLastSeq !== undefined && peerLastSeq < peer.receivedSeq) {
+            peer.receivedSeq = 0;
+        }
+        return peer.receivedSeq;
+    }
+
+    /**
+     * Merge a page of a peer's records and move its cursor past them
+     */
+    applyChanges(parsedData, devices, page) {
+        const result = this.mergePeerData(parsedData, devices, page, page.nodeId);
+        const peer = this.state.peers[page.nodeId] || { receivedSeq: 0 };
+        this.state.peers[page.nodeId] = {
+            ...peer,
+            deviceId: page.deviceId,
+            receivedSeq: Math.max(peer.receivedSeq, page.nextSeq),
+            lastSync: new Date().toISOString()
+        };
+        this.saveState();
+        return { ...result, cursor: this.state.peers[page.nodeId].receivedSeq };
     }
 
-    // Start this device as a peer server (other devices can connect to it)
+    // Start this device as a peer server (other devices can connect to it);
+    // lastIMEI is the IMEI or a function that returns the current one
     startPeerServer(parsedData, devices, lastIMEI) {
         if (this.isServerMode) {
             console.log('📱 Peer server already running');
@@ -27,15 +440,22 @@ class PeerToPeerSync {
         this.devices = devices;
         this.lastIMEI = lastIMEI;
 
-        this.peerServer = http.createServer((req, res) => {
-            this.handlePeerRequest(req, res, this.parsedData, this.devices, this.lastIMEI);
-        });
+        const handler = (req, res) => {
+            const currentIMEI = typeof this.lastIMEI === 'function' ? this.lastIMEI() : this.lastIMEI;
+            this.handlePeerRequest(req, res, this.parsedData, this.devices, currentIMEI);
+        };
+        this.peerServer = this.tls
+            ? https.createServer({ cert: this.auth.certificate, key: this.auth.key }, handler)
+            : http.createServer(handler);
 
         this.peerServer.listen(this.port, '0.0.0.0', () => {
             this.isServerMode = true;
             console.log(`✅ Peer server started on port ${this.port}`);
-            console.log(`📡 Other devices can connect to: http://YOUR_IP:${this.port}/peer/sync`);
-            console.log(`🌐 Mobile Peer Sync UI: http://YOUR_IP:${this.port}/mobile-peer-sync-ui.html`);
+            console.log(`📡 Other devices pair with: ${this.ownUrl()}`);
+            console.log(`🌐 Mobile Peer Sync UI: ${this.tls ? 'https' : 'http'}://localhost:${this.port}/mobile-peer-sync-ui.html`);
+            if (this.discoveryEnabled) {
+                this.discovery.start();
+            }
         });
 
         this.peerServer.on('error', (error) => {
@@ -49,6 +469,7 @@ class PeerToPeerSync {
 
     // Stop the peer server
     stopPeerServer() {
+        this.discovery.stop();
         if (this.peerServer) {
             this.peerServer.close(() => {
                 console.log('📱 Peer server stopped');
@@ -58,30 +479,21 @@ class PeerToPeerSync {
         }
     }
 
-    // Handle incoming peer requests
+    /**
+     * Handle incoming peer requests. Other nodes may only pair (/peer/pair)
+     * and make signed requests to the sync endpoints; the UI, its API and
+     * the endpoints that pair, sync and revoke are for this phone only.
+     */
     handlePeerRequest(req, res, parsedData, devices, lastIMEI) {
-        const url = new URL(req.url, `http://${req.headers.host}`);
+        const url = new URL(req.url, 'http://localhost');
         const pathname = url.pathname;
 
-        // Set CORS headers for cross-device requests
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-        if (req.method === 'OPTIONS') {
-            res.writeHead(200);
-            res.end();
-            return;
-        }
-
         console.log(`📱 Peer request: ${req.method} ${pathname}`);
 
         // Serve mobile peer sync UI
         if (pathname === '/' || pathname === '/mobile-peer-sync-ui.html') {
-            const fs = require('fs');
-            const path = require('path');
             const uiPath = path.join(__dirname, '../../../mobile-peer-sync-ui.html');
-            
+
             if (fs.existsSync(uiPath)) {
                 const content = fs.readFileSync(uiPath, 'utf8');
                 res.writeHead(200, { 'Content-Type': 'text/html' });
@@ -94,7 +506,104 @@ class PeerToPeerSync {
             return;
         }
 
-        // Serve API endpoints for the UI
+        if (pathname === '/peer/pair' && req.method === 'POST') {
+            // Another node pairing with a code we showed
+            readJsonBody(req).then((body) => {
+                const paired = this.auth.acceptPairing(body, req.socket.encrypted ? this.auth.fingerprint : null);
+                if (!paired) {
+                    sendJson(res, 401, { error: 'Invalid or expired pairing code' });
+                    return;
+                }
+                sendJson(res, 200, paired);
+            }).catch(() => {
+                sendJson(res, 400, { error: 'Invalid pairing request' });
+            });
+            return;
+        }
+
+        if (pathname.startsWith('/api/') || LOCAL_ENDPOINTS.some(endpoint => pathname.startsWith(endpoint))) {
+            if (!isLocalRequest(req)) {
+                sendJson(res, 403, { error: 'Only available on this device' });
+                return;
+            }
+            this.handleLocalRequest(req, res, url, parsedData, devices, lastIMEI);
+            return;
+        }
+
+        if (!SIGNED_ENDPOINTS.includes(pathname)) {
+            sendJson(res, 404, { error: 'Peer endpoint not found' });
+            return;
+        }
+        readBody(req).then((body) => {
+            const peer = this.auth.verifyRequest(req, body);
+            if (!peer) {
+                sendJson(res, 401, { error: 'Request not signed by a paired peer' });
+                return;
+            }
+            this.handleSignedRequest(req, res, url, peer, body, parsedData, devices, lastIMEI);
+        }).catch((error) => {
+            sendJson(res, 400, { error: error.message });
+        });
+    }
+
+    // The endpoints of paired peers, answered with signed responses
+    handleSignedRequest(req, res, url, peer, body, parsedData, devices, lastIMEI) {
+        const send = (status, response) => {
+            const text = JSON.stringify(response);
+            res.writeHead(status, { 'Content-Type': 'application/json', 'X-Peer-Signature': this.auth.signResponse(peer, status, text) });
+            res.end(text);
+        };
+
+        if (url.pathname === '/peer/status' && req.method === 'GET') {
+            send(200, {
+                deviceId: this.deviceId,
+                nodeId: this.nodeId,
+                lastSeq: this.stampRecords(parsedData),
+                isServerMode: this.isServerMode,
+                totalRecords: parsedData.length,
+                totalDevices: devices.size,
+                lastIMEI: lastIMEI,
+                lastSyncTime: this.lastSyncTime,
+                timestamp: new Date().toISOString()
+            });
+        } else if (url.pathname === '/peer/changes' && req.method === 'GET') {
+            // Our records numbered after ?since=, a page at a time
+            const since = parseInt(url.searchParams.get('since')) || 0;
+            const limit = Math.min(parseInt(url.searchParams.get('limit')) || this.pageSize, MAX_PAGE_SIZE);
+            send(200, this.changesSince(parsedData, devices, since, limit, peer.nodeId));
+        } else if (url.pathname === '/peer/cursor' && req.method === 'GET') {
+            // How far we have the records of the asking node
+            const lastSeq = url.searchParams.has('lastSeq') ? parseInt(url.searchParams.get('lastSeq')) : undefined;
+            send(200, { nodeId: this.nodeId, cursor: this.receivedSeq(peer.nodeId, lastSeq) });
+        } else if (url.pathname === '/peer/changes' && req.method === 'POST') {
+            // A page of the sending node's records, following on from our cursor
+            let page;
+            try {
+                page = JSON.parse(body);
+            } catch (error) {
+                page = null;
+            }
+            if (!page || page.nodeId !== peer.nodeId || !Array.isArray(page.records) || !Number.isInteger(page.nextSeq)) {
+                send(400, { error: 'Invalid changes' });
+                return;
+            }
+            const cursor = this.receivedSeq(page.nodeId, page.lastSeq);
+            if (page.since > cursor) {
+                // A page was lost; the sender starts again from our cursor
+                send(409, { error: 'Changes do not follow on from the cursor', cursor });
+                return;
+            }
+            const result = this.applyChanges(parsedData, devices, page);
+            send(200, { success: true, ...result });
+        } else {
+            send(404, { error: 'Peer endpoint not found' });
+        }
+    }
+
+    // The UI's API and the endpoints managing peers, for requests from this device
+    handleLocalRequest(req, res, url, parsedData, devices, lastIMEI) {
+        const pathname = url.pathname;
+
         if (pathname === '/api/status') {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
@@ -109,10 +618,19 @@ class PeerToPeerSync {
             return;
         }
 
+        // A page of records (?since= sequence number, else the latest) with the devices
         if (pathname === '/api/data') {
+            const limit = Math.min(parseInt(url.searchParams.get('limit')) || 100, MAX_PAGE_SIZE);
+            const lastSeq = this.stampRecords(parsedData);
+            const since = url.searchParams.has('since')
+                ? parseInt(url.searchParams.get('since')) || 0
+                : Math.max(0, lastSeq - limit);
+            const page = this.changesSince(parsedData, devices, since, limit);
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
-                records: parsedData,
+                records: page.records,
+                nextSeq: page.nextSeq,
+                hasMore: page.hasMore,
                 devices: Array.from(devices.entries()).map(([id, info]) => ({
                     deviceId: id,
                     lastSeen: info.lastSeen,
@@ -140,13 +658,13 @@ class PeerToPeerSync {
         if (pathname === '/api/data/export' && req.method === 'GET') {
             const exportData = {
                 timestamp: new Date().toISOString(),
-                records: parsedData,
+                records: parsedData.map(toWire),
                 devices: Object.fromEntries(devices),
                 lastIMEI: lastIMEI,
                 totalRecords: parsedData.length,
                 totalDevices: devices.size
             };
-            
+
             res.writeHead(200, {
                 'Content-Type': 'application/json',
                 'Content-Disposition': `attachment; filename="galileosky_data_${new Date().toISOString().replace(/[:.]/g, '-')}.json"`
@@ -155,202 +673,266 @@ class PeerToPeerSync {
             return;
         }
 
-        // Peer sync endpoints
-        if (pathname === '/peer/status') {
-            // Return device status
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                deviceId: this.deviceId,
-                isServerMode: this.isServerMode,
-                totalRecords: parsedData.length,
-                totalDevices: devices.size,
-                lastIMEI: lastIMEI,
-                lastSyncTime: this.lastSyncTime,
-                timestamp: new Date().toISOString()
-            }));
-        } else if (pathname === '/peer/export') {
-            // Export data to peer
-            const exportData = {
-                deviceId: this.deviceId,
-                records: parsedData,
-                devices: Object.fromEntries(devices),
-                lastIMEI: lastIMEI,
-                exportTime: new Date().toISOString()
-            };
-
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(exportData));
-            console.log(`📱 Exported ${parsedData.length} records to peer`);
-
-        } else if (pathname === '/peer/import' && req.method === 'POST') {
-            // Import data from peer
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
+        if (pathname === '/peer/pairing' && req.method === 'POST') {
+            // A pairing code for another phone
+            sendJson(res, 200, this.createPairing());
+        } else if (pathname === '/peer/pair-with' && req.method === 'POST') {
+            // Pair with the phone showing a code ({ code } with a pairing URI, or { code, peerUrl })
+            readJsonBody(req).then(async (body) => {
+                const peer = await this.pairWithPeer(body.code, body.peerUrl);
+                sendJson(res, 200, { success: true, peer: this.auth.listPeers().find(entry => entry.nodeId === peer.nodeId) });
+            }).catch((error) => {
+                sendJson(res, error.status ? 502 : 400, { error: error.message });
             });
-
-            req.on('end', () => {
-                try {
-                    const importData = JSON.parse(body);
-                    const result = this.mergePeerData(parsedData, devices, importData);
-                    
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: true,
-                        newRecords: result.newRecords,
-                        totalRecords: parsedData.length,
-                        message: `Imported ${result.newRecords} new records from peer`
-                    }));
-
-                    console.log(`📱 Imported ${result.newRecords} records from peer`);
-                } catch (error) {
-                    console.error('❌ Import error:', error.message);
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid import data' }));
-                }
-            });
-        } else if (pathname === '/peer/sync' && req.method === 'POST') {
-            // Full sync (export and import in one request)
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
+        } else if (pathname === '/peer/trusted' && req.method === 'GET') {
+            sendJson(res, 200, { nodeId: this.nodeId, fingerprint: this.auth.fingerprint, peers: this.auth.listPeers() });
+        } else if (pathname.startsWith('/peer/trusted/') && req.method === 'DELETE') {
+            if (!this.auth.revoke(decodeURIComponent(pathname.slice('/peer/trusted/'.length)))) {
+                sendJson(res, 404, { error: 'Trusted peer not found' });
+                return;
+            }
+            sendJson(res, 200, { success: true, peers: this.auth.listPeers() });
+        } else if (pathname === '/peer/discovered' && req.method === 'GET') {
+            // Peers heard on the local network
+            sendJson(res, 200, { enabled: this.discoveryEnabled, autoSync: this.discovery.autoSync, peers: this.discovery.list() });
+        } else if (pathname === '/peer/auto-sync' && req.method === 'POST') {
+            // Turn syncing with paired peers as they appear on or off ({ enabled })
+            readJsonBody(req).then((body) => {
+                this.discovery.autoSync = Boolean(body && body.enabled);
+                sendJson(res, 200, { autoSync: this.discovery.autoSync });
+            }).catch(() => {
+                sendJson(res, 400, { error: 'Invalid request' });
             });
-
-            req.on('end', () => {
-                try {
-                    const peerData = JSON.parse(body);
-                    
-                    // Export our data to peer
-                    const exportData = {
-                        deviceId: this.deviceId,
-                        records: parsedData,
-                        devices: Object.fromEntries(devices),
-                        lastIMEI: lastIMEI,
-                        exportTime: new Date().toISOString()
-                    };
-
-                    // Merge peer data into our data
-                    const mergeResult = this.mergePeerData(parsedData, devices, peerData);
-
-                    // Return our data to peer and sync result
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        success: true,
-                        peerData: exportData,
-                        syncResult: {
-                            newRecords: mergeResult.newRecords,
-                            totalRecords: parsedData.length
-                        },
-                        message: `Sync complete: ${mergeResult.newRecords} new records added`
-                    }));
-
-                    this.lastSyncTime = new Date().toISOString();
-                    console.log(`📱 Peer sync completed: ${mergeResult.newRecords} new records`);
-                } catch (error) {
-                    console.error('❌ Sync error:', error.message);
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Sync failed' }));
+        } else if (pathname === '/peer/connect' && req.method === 'POST') {
+            // Sync this node with a paired peer ({ nodeId } or { peerUrl })
+            readJsonBody(req).then(async (body) => {
+                if (!body || !(body.nodeId || body.peerUrl)) {
+                    sendJson(res, 400, { error: 'nodeId or peerUrl is required' });
+                    return;
+                }
+                const result = await this.connectToPeer(body.nodeId || body.peerUrl, parsedData, devices, lastIMEI);
+                if (!result) {
+                    sendJson(res, 409, { error: 'Sync already in progress' });
+                    return;
                 }
+                sendJson(res, 200, {
+                    success: true,
+                    ...result,
+                    totalRecords: parsedData.length,
+                    message: `Sync complete: ${result.syncResult.newRecords} new records received, ${result.pushed.newRecords} sent`
+                });
+            }).catch((error) => {
+                sendJson(res, 502, { error: error.message });
             });
         } else {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Peer endpoint not found' }));
+            sendJson(res, 404, { error: 'Peer endpoint not found' });
         }
     }
 
-    // Merge data from peer device
-    mergePeerData(parsedData, devices, peerData) {
+    /**
+     * Merge data from a peer device. New records are appended in the order
+     * the peer sent them; for a record both sides hold with different
+     * content, preferredVersion decides, so every node ends up with the same
+     * one. Returns what was added and resolved.
+     */
+    mergePeerData(parsedData, devices, peerData, sourceNode = null) {
+        const result = { received: 0, ...emptyReport() };
         if (!peerData || !peerData.records) {
-            return { newRecords: 0 };
+            return result;
         }
 
         console.log(`📱 Merging ${peerData.records.length} records from peer device ${peerData.deviceId}`);
-        console.log(`📱 Current devices before merge:`, Array.from(devices.entries()));
-        console.log(`📱 Peer devices to merge:`, peerData.devices);
-
-        // Create a map of existing records by unique key (timestamp + deviceId)
-        const existingRecords = new Map();
-        parsedData.forEach(record => {
-            const key = `${record.timestamp}_${record.deviceId}`;
-            existingRecords.set(key, record);
+
+        result.localDuplicates = this.refreshIndex(parsedData);
+        result.received = peerData.records.length;
+        const touchedDevices = new Set();
+        const added = [];
+        const replaced = [];
+        peerData.records.forEach((peerRecord) => {
+            const record = identify(toWire(peerRecord));
+            const local = this.findRecord(parsedData, record.recordId);
+            if (local) {
+                result.duplicates++;
+                if (recordContent(local) !== recordContent(record)) {
+                    const kept = preferredVersion(local, record);
+                    if (kept === 'peer') {
+                        const { syncSeq, syncSource } = local;
+                        Object.keys(local).forEach((field) => {
+                            delete local[field];
+                        });
+                        Object.assign(local, record, { syncSeq }, syncSource ? { syncSource } : {});
+                        replaced.push(local);
+                    }
+                    if (result.conflicts.length < MAX_REPORTED_CONFLICTS) {
+                        result.conflicts.push({ recordId: record.recordId, kept });
+                    }
+                    result.conflictCount++;
+                }
+                return;
+            }
+            this.state.sequence++;
+            record.syncSeq = this.state.sequence;
+            if (sourceNode) {
+                record.syncSource = sourceNode;
+            }
+            parsedData.push(record);
+            added.push(record);
+            this.index.set(record.recordId, record.syncSeq);
+            touchedDevices.add(record.deviceId);
+            result.newRecords++;
         });
+        this.indexedSeq = this.state.sequence;
 
-        // Merge devices - use IMEI as key, not generic device ID
         if (peerData.devices) {
-            Object.entries(peerData.devices).forEach(([key, value]) => {
-                // Check if this is a valid IMEI (15 digits) or use the key as is
-                const deviceKey = key;
-                console.log(`📱 Merging device with key: ${deviceKey}`, value);
-                devices.set(deviceKey, value);
+            Object.entries(peerData.devices).forEach(([key, info]) => {
+                if (this.mergeDevice(devices, key, info)) {
+                    touchedDevices.add(key);
+                    result.devicesUpdated++;
+                }
             });
         }
+        this.recountDevices(parsedData, devices, touchedDevices);
+
+        if (result.newRecords > 0) {
+            this.saveState();
+        }
+        if (added.length > 0 || replaced.length > 0) {
+            this.emit('records', added, replaced);
+        }
+        console.log(`📱 Merge complete: ${result.newRecords} new, ${result.duplicates} already held, ${result.conflictCount} conflicts, total: ${parsedData.length}`);
 
-        // Add new records from peer
-        let newRecordsCount = 0;
-        peerData.records.forEach(record => {
-            const key = `${record.timestamp}_${record.deviceId}`;
-            if (!existingRecords.has(key)) {
-                existingRecords.set(key, record);
-                newRecordsCount++;
+        return result;
+    }
+
+    /**
+     * Merge a peer's entry for a device: the entry seen last provides the
+     * fields, firstSeen is the earliest of both, and counters are recounted
+     * afterwards. Returns whether the entry changed.
+     */
+    mergeDevice(devices, key, info) {
+        if (!info || typeof info !== 'object') {
+            return false;
+        }
+        const local = devices.get(key);
+        if (!local) {
+            devices.set(key, { ...info });
+            return true;
+        }
+        const peerNewer = info.lastSeen && (!local.lastSeen || new Date(info.lastSeen) > new Date(local.lastSeen));
+        const merged = peerNewer ? { ...local, ...info } : { ...info, ...local };
+        const firstSeen = [local.firstSeen, info.firstSeen].filter(Boolean).sort((a, b) => new Date(a) - new Date(b))[0];
+        if (firstSeen) {
+            merged.firstSeen = firstSeen;
+        }
+        DEVICE_COUNTERS.forEach((counter) => {
+            if (counter in local) {
+                merged[counter] = local[counter];
             }
         });
+        if (canonicalJson(merged) === canonicalJson(local)) {
+            return false;
+        }
+        devices.set(key, merged);
+        return true;
+    }
 
-        // Convert back to array and sort by timestamp
-        const mergedData = Array.from(existingRecords.values())
-            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    // Set the record counters of devices to the records held for them
+    recountDevices(parsedData, devices, keys) {
+        const counted = Array.from(keys).filter(key => devices.has(key));
+        if (counted.length === 0) {
+            return;
+        }
+        const counts = new Map(counted.map(key => [key, 0]));
+        parsedData.forEach((record) => {
+            if (counts.has(record.deviceId)) {
+                counts.set(record.deviceId, counts.get(record.deviceId) + 1);
+            }
+        });
+        counts.forEach((count, key) => {
+            const device = devices.get(key);
+            DEVICE_COUNTERS.forEach((counter) => {
+                device[counter] = count;
+            });
+        });
+    }
 
-        // Replace the original array with merged data
-        parsedData.length = 0;
-        parsedData.push(...mergedData);
+    // Where other nodes reach this one
+    ownUrl() {
+        return `${this.tls ? 'https' : 'http'}://${this.getDeviceIP()}:${this.port}`;
+    }
 
-        console.log(`📱 Merge complete: ${newRecordsCount} new records added, total: ${parsedData.length}`);
-        console.log(`📱 Devices after merge:`, Array.from(devices.entries()));
+    // A pairing code for another phone to enter, see PeerAuth
+    createPairing() {
+        return this.auth.createPairing(this.ownUrl());
+    }
 
-        return { newRecords: newRecordsCount };
+    /**
+     * Pair with the node showing a pairing code, given as its pairing URI
+     * or as the bare code with the node's URL. Resolves to the trusted peer.
+     */
+    async pairWithPeer(code, peerUrl) {
+        const pairing = this.auth.parsePairing(code, peerUrl);
+        if (!pairing) {
+            throw new Error('A pairing code and the peer URL are required');
+        }
+        const peer = { url: pairing.url };
+        const request = this.auth.pairingRequest(pairing, this.ownUrl());
+        const response = await this.makePeerRequest(peer, 'POST', '/peer/pair', request);
+        return this.auth.completePairing(pairing, request, response, peer.presentedFingerprint);
     }
 
-    // Connect to another peer device and sync
-    async connectToPeer(peerUrl, parsedData, devices, lastIMEI) {
+    /**
+     * Connect to a paired peer (by node ID or URL) and exchange the records
+     * each side is missing: first pull the peer's records after our cursor
+     * for it, then push ours after the cursor it reports for us. Resolves to
+     * the sync report (also kept as lastSyncReport), or undefined when a
+     * sync is already running.
+     */
+    async connectToPeer(peerRef, parsedData, devices, lastIMEI) {
+        const peer = this.auth.findTrusted(peerRef);
+        if (!peer) {
+            throw new Error(`Not paired with ${peerRef}; pair with the peer first`);
+        }
         if (this.syncInProgress) {
             console.log('📱 Sync already in progress, please wait...');
             return;
         }
 
         this.syncInProgress = true;
-        console.log(`📱 Connecting to peer: ${peerUrl}`);
+        console.log(`📱 Connecting to peer: ${peer.url}`);
 
         try {
-            // First, check peer status
-            const status = await this.makePeerRequest(peerUrl, 'GET', '/peer/status');
+            const status = await this.makePeerRequest(peer, 'GET', '/peer/status');
+            if (status.nodeId !== peer.nodeId) {
+                throw new Error('Peer answered with another node ID');
+            }
             console.log(`📱 Peer status: ${status.deviceId}, ${status.totalRecords} records`);
 
-            // Prepare our data for sync
-            const ourData = {
-                deviceId: this.deviceId,
-                records: parsedData,
-                devices: Object.fromEntries(devices),
-                lastIMEI: lastIMEI,
-                exportTime: new Date().toISOString()
-            };
+            const startedAt = new Date().toISOString();
+            const pulled = await this.pullFromPeer(peer, status, parsedData, devices);
+            const pushed = await this.pushToPeer(peer, status, parsedData, devices);
 
-            // Perform full sync
-            const syncResult = await this.makePeerRequest(peerUrl, 'POST', '/peer/sync', ourData);
-            
-            if (syncResult.success) {
-                // Merge peer data into our data
-                const mergeResult = this.mergePeerData(parsedData, devices, syncResult.peerData);
-                
-                console.log(`✅ Peer sync successful:`);
-                console.log(`   📤 Sent: ${parsedData.length} records`);
-                console.log(`   📥 Received: ${syncResult.syncResult.newRecords} new records`);
-                console.log(`   📊 Total after sync: ${parsedData.length} records`);
-                
-                this.lastSyncTime = new Date().toISOString();
-                return syncResult;
-            } else {
-                throw new Error('Sync failed');
-            }
+            console.log(`✅ Peer sync successful:`);
+            console.log(`   📥 Received: ${pulled.received} records, ${pulled.newRecords} new, ${pulled.conflictCount} conflicts`);
+            console.log(`   📤 Sent: ${pushed.sent} records, ${pushed.newRecords} new to the peer, ${pushed.conflictCount} conflicts`);
+            console.log(`   📊 Total after sync: ${parsedData.length} records`);
 
+            this.lastSyncTime = new Date().toISOString();
+            const report = {
+                peer: { nodeId: status.nodeId, deviceId: status.deviceId, url: peer.url },
+                startedAt,
+                finishedAt: this.lastSyncTime,
+                pulled,
+                pushed
+            };
+            this.lastSyncReport = report;
+            this.state.peers[status.nodeId].lastReport = report;
+            this.saveState();
+            return {
+                ...report,
+                syncResult: { newRecords: pulled.newRecords, totalRecords: parsedData.length },
+                lastIMEI
+            };
         } catch (error) {
             console.error('❌ Peer sync failed:', error.message);
             throw error;
@@ -359,13 +941,74 @@ class PeerToPeerSync {
         }
     }
 
-    // Make HTTP request to peer
-    async makePeerRequest(peerUrl, method, endpoint, data = null) {
+    async pullFromPeer(peer, status, parsedData, devices) {
+        const result = { received: 0, pages: 0, ...emptyReport() };
+        let since = this.receivedSeq(status.nodeId, status.lastSeq);
+        for (;;) {
+            const query = new URLSearchParams({ since, limit: this.pageSize });
+            const page = await this.requestWithRetry(peer, 'GET', `/peer/changes?${query}`);
+            const merged = this.applyChanges(parsedData, devices, page);
+            const { cursor } = merged;
+            addToReport(result, merged);
+            result.received += page.records.length;
+            result.pages++;
+            if (!page.hasMore || cursor <= since) {
+                return result;
+            }
+            since = cursor;
+        }
+    }
+
+    async pushToPeer(peer, status, parsedData, devices) {
+        const result = { sent: 0, pages: 0, ...emptyReport() };
+        const lastSeq = this.stampRecords(parsedData);
+        const query = new URLSearchParams({ nodeId: this.nodeId, lastSeq });
+        let { cursor } = await this.requestWithRetry(peer, 'GET', `/peer/cursor?${query}`);
+        for (;;) {
+            const page = this.changesSince(parsedData, devices, cursor, this.pageSize, status.nodeId);
+            if (page.nextSeq <= cursor) {
+                return result;
+            }
+            const response = await this.requestWithRetry(peer, 'POST', '/peer/changes', page);
+            addToReport(result, response);
+            result.sent += page.records.length;
+            result.pages++;
+            cursor = response.cursor;
+            if (!page.hasMore) {
+                return result;
+            }
+        }
+    }
+
+    // A peer request retried on network errors; HTTP errors are not retried
+    async requestWithRetry(peer, method, endpoint, data = null) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.makePeerRequest(peer, method, endpoint, data);
+            } catch (error) {
+                if (error.status || attempt >= PAGE_RETRIES) {
+                    throw error;
+                }
+                console.log(`📱 ${method} ${endpoint.split('?')[0]} failed (${error.message}), retrying...`);
+                await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+            }
+        }
+    }
+
+    /**
+     * Make an HTTP request to a peer. Requests to a paired peer are signed
+     * and its responses must be too; over TLS its certificate must be the
+     * one pinned at pairing. Before pairing (a peer without a secret) any
+     * certificate is accepted and kept as presentedFingerprint, for the
+     * pairing to check.
+     */
+    async makePeerRequest(peer, method, endpoint, data = null) {
         return new Promise((resolve, reject) => {
-            const url = new URL(endpoint, peerUrl);
+            const url = new URL(endpoint, peer.url);
             const isHttps = url.protocol === 'https:';
             const client = isHttps ? https : http;
-            
+            const body = data ? JSON.stringify(data) : '';
+
             const options = {
                 hostname: url.hostname,
                 port: url.port || (isHttps ? 443 : 80),
@@ -378,28 +1021,56 @@ class PeerToPeerSync {
             };
 
             if (data) {
-                const postData = JSON.stringify(data);
-                options.headers['Content-Length'] = Buffer.byteLength(postData);
+                options.headers['Content-Length'] = Buffer.byteLength(body);
+            }
+            if (peer.secret) {
+                Object.assign(options.headers, this.auth.signRequest(peer, method, options.path, body));
+            }
+            if (isHttps && peer.secret) {
+                if (!peer.certificate) {
+                    reject(new Error('Paired without TLS; pair with the peer again over https'));
+                    return;
+                }
+                options.ca = peer.certificate;
+                options.checkServerIdentity = (host, certificate) => (certificate.fingerprint256 === peer.fingerprint
+                    ? undefined
+                    : new Error('Peer certificate does not match the one pinned at pairing'));
+            } else if (isHttps) {
+                options.rejectUnauthorized = false;
             }
 
             const req = client.request(options, (res) => {
                 let responseData = '';
-                
+
+                if (isHttps && !peer.secret) {
+                    peer.presentedFingerprint = res.socket.getPeerCertificate().fingerprint256;
+                }
+
                 res.on('data', (chunk) => {
                     responseData += chunk;
                 });
-                
+
                 res.on('end', () => {
+                    let result;
                     try {
-                        const result = JSON.parse(responseData);
-                        if (res.statusCode >= 200 && res.statusCode < 300) {
-                            resolve(result);
-                        } else {
-                            reject(new Error(`HTTP ${res.statusCode}: ${result.error || 'Request failed'}`));
-                        }
+                        result = JSON.parse(responseData);
                     } catch (error) {
                         reject(new Error(`Invalid JSON response: ${responseData}`));
+                        return;
                     }
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        const error = new Error(`HTTP ${res.statusCode}: ${result.error || 'Request failed'}`);
+                        error.status = res.statusCode;
+                        reject(error);
+                        return;
+                    }
+                    if (peer.secret && !this.auth.verifyResponse(peer, options.headers['X-Peer-Nonce'], res.statusCode, responseData, res.headers['x-peer-signature'])) {
+                        const error = new Error('Peer response is not signed by the paired peer');
+                        error.status = res.statusCode;
+                        reject(error);
+                        return;
+                    }
+                    resolve(result);
                 });
             });
 
@@ -415,9 +1086,9 @@ class PeerToPeerSync {
             req.setTimeout(30000); // 30 second timeout
 
             if (data) {
-                req.write(JSON.stringify(data));
+                req.write(body);
             }
-            
+
             req.end();
         });
     }
@@ -442,13 +1113,25 @@ class PeerToPeerSync {
     getStatus() {
         return {
             deviceId: this.deviceId,
+            nodeId: this.nodeId,
             isServerMode: this.isServerMode,
             port: this.port,
+            tls: this.tls,
+            fingerprint: this.auth.fingerprint,
+            trustedPeers: this.auth.listPeers().filter(peer => peer.trusted).length,
+            discovery: {
+                enabled: this.discoveryEnabled,
+                port: this.discovery.port,
+                autoSync: this.discovery.autoSync,
+                peers: this.discovery.peers.size
+            },
             lastSyncTime: this.lastSyncTime,
+            lastSyncReport: this.lastSyncReport || null,
             syncInProgress: this.syncInProgress,
             deviceIP: this.getDeviceIP()
         };
     }
 }
 
-module.exports = PeerToPeerSync; 
\ No newline at end of file
+module.exports = PeerToPeerSync;
+module.exports.toWire = toWire; 
\ No newline at end of file
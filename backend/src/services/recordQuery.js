@@ -0,0 +1,335 @@
+// backend/src/services/recordQuery.js
+
+const { Op } = require('sequelize');
+const { Record, Device } = require('../models');
+const accessControl = require('./accessControl');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const SORT_FIELDS = ['timestamp', 'datetime', 'id'];
+const INPUTS = ['input0', 'input1', 'input2', 'input3'];
+const HIDDEN_FIELDS = ['rawData']; // Only returned when asked for by name
+
+const OPERATORS = {
+    eq: Op.eq,
+    ne: Op.ne,
+    gt: Op.gt,
+    gte: Op.gte,
+    lt: Op.lt,
+    lte: Op.lte,
+    in: Op.in,
+    like: Op.like,
+    null: null // true or false, handled apart
+};
+
+const columnType = field => Record.rawAttributes[field].type.key;
+
+const isColumn = field => Object.prototype.hasOwnProperty.call(Record.rawAttributes, field);
+
+const list = value => (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Values come from query strings, or from JSON bodies where they may be numbers or booleans
+const text = value => (typeof value === 'number' || typeof value === 'boolean' ? String(value) : value);
+
+function parseBoolean(value) {
+    value = text(value);
+    if (value === 'true' || value === '1') {
+        return true;
+    }
+    return value === 'false' || value === '0' ? false : undefined;
+}
+
+// Convert a query string value to the type of a column; undefined if it does not fit
+function coerce(field, value) {
+    value = text(value);
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+    switch (columnType(field)) {
+        case 'INTEGER':
+        case 'BIGINT':
+        case 'FLOAT':
+        case 'DOUBLE':
+        case 'DECIMAL': {
+            const number = Number(value);
+            return value.trim() !== '' && Number.isFinite(number) ? number : undefined;
+        }
+        case 'BOOLEAN':
+            return parseBoolean(value);
+        case 'DATE': {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? undefined : date;
+        }
+        default:
+            return value;
+    }
+}
+
+function encodeCursor(record, sort) {
+    const value = record.get(sort);
+    return Buffer.from(JSON.stringify([value instanceof Date ? value.toISOString() : value, record.id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!Number.isInteger(id)) {
+            return null;
+        }
+        if (sort === 'id') {
+            return { value: id, id };
+        }
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : { value: date, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Record queries from query string parameters, paged with a cursor on the
+ * sort column and the record ID so pages stay stable while records arrive:
+ *
+ *   devices     IMEIs or UUIDs, comma separated
+ *   timeField   datetime (device time) or timestamp (server time, default),
+ *               used by startDate and endDate
+ *   bbox        minLon,minLat,maxLon,maxLat
+ *   minSpeed, maxSpeed, input0..input3 (true or false)
+ *   filter[column][operator]=value with eq, ne, gt, gte, lt, lte, like,
+ *               in (comma separated) or null (true or false)
+ *   fields      columns to return, comma separated
+ *   sort        timestamp, datetime or id; order asc or desc (default)
+ *   limit       records per page, at most 1000; cursor from the last page
+ */
+class RecordQuery {
+    /**
+     * Validate query parameters for a user; returns { errors, query } with
+     * errors as [{ field, message }]
+     */
+    async parse(params, user) {
+        const errors = [];
+        const conditions = [await accessControl.deviceWhere(user)];
+        const error = (field, message) => errors.push({ field, message });
+
+        if (params.devices !== undefined) {
+            const ids = list(params.devices);
+            const allowed = await accessControl.getDeviceImeis(user);
+            const devices = await Device.findAll({
+                attributes: ['id', 'imei'],
+                where: { [Op.or]: [{ id: ids }, { imei: ids }] },
+                raw: true
+            });
+            const visible = devices.filter(device => !allowed || allowed.has(device.imei));
+            const unknown = ids.filter(id => !visible.some(device => device.id === id || device.imei === id));
+            if (ids.length === 0 || unknown.length > 0) {
+                error('devices', `Unknown devices: ${unknown.join(', ') || 'none given'}`);
+            }
+            conditions.push({ deviceImei: { [Op.in]: visible.map(device => device.imei) } });
+        }
+
+        const timeField = params.timeField || 'timestamp';
+        if (!['timestamp', 'datetime'].includes(timeField)) {
+            error('timeField', 'Must be datetime or timestamp');
+        }
+        ['startDate', 'endDate'].forEach((name) => {
+            if (params[name] === undefined) {
+                return;
+            }
+            const date = coerce('timestamp', params[name]);
+            if (!date) {
+                error(name, 'Must be a date');
+            } else {
+                conditions.push({ [timeField]: { [name === 'startDate' ? Op.gte : Op.lte]: date } });
+            }
+        });
+
+        if (params.bbox !== undefined) {
+            const box = list(params.bbox).map(Number);
+            const [minLon, minLat, maxLon, maxLat] = box;
+            if (box.length !== 4 || box.some(value => !Number.isFinite(value)) || minLat > maxLat) {
+                error('bbox', 'Must be minLon,minLat,maxLon,maxLat');
+            } else {
+                // A box whose west edge lies east of its east edge crosses the antimeridian
+                const longitude = minLon <= maxLon
+                    ? { [Op.between]: [minLon, maxLon] }
+                    : { [Op.or]: [{ [Op.gte]: minLon }, { [Op.lte]: maxLon }] };
+                conditions.push({ latitude: { [Op.between]: [minLat, maxLat] }, longitude });
+            }
+        }
+
+        [['minSpeed', Op.gte], ['maxSpeed', Op.lte]].forEach(([name, operator]) => {
+            if (params[name] === undefined) {
+                return;
+            }
+            const speed = coerce('speed', params[name]);
+            if (speed === undefined) {
+                error(name, 'Must be a number');
+            } else {
+                conditions.push({ speed: { [operator]: speed } });
+            }
+        });
+
+        INPUTS.forEach((input) => {
+            if (params[input] === undefined) {
+                return;
+            }
+            const state = parseBoolean(params[input]);
+            if (state === undefined) {
+                error(input, 'Must be true or false');
+            } else {
+                conditions.push({ [input]: state });
+            }
+        });
+
+        if (params.filter !== undefined) {
+            this.parseFilters(params.filter, conditions, error);
+        }
+
+        let attributes;
+        if (params.fields !== undefined) {
+            const fields = list(params.fields);
+            const unknown = fields.filter(field => !isColumn(field));
+            if (fields.length === 0 || unknown.length > 0) {
+                error('fields', `Unknown fields: ${unknown.join(', ') || 'none given'}`);
+            }
+            attributes = fields;
+        } else {
+            attributes = Object.keys(Record.rawAttributes).filter(field => !HIDDEN_FIELDS.includes(field));
+        }
+
+        const sort = params.sort || 'timestamp';
+        if (!SORT_FIELDS.includes(sort)) {
+            error('sort', `Must be one of: ${SORT_FIELDS.join(', ')}`);
+        }
+        const order = params.order || 'desc';
+        if (!['asc', 'desc'].includes(order)) {
+            error('order', 'Must be asc or desc');
+        }
+        if (sort === 'datetime') {
+            // Records without a device time have no place in datetime order
+            conditions.push({ datetime: { [Op.ne]: null } });
+        }
+
+        let limit = DEFAULT_LIMIT;
+        if (params.limit !== undefined) {
+            limit = Number(params.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+                error('limit', `Must be a whole number between 1 and ${MAX_LIMIT}`);
+            }
+        }
+
+        let cursor = null;
+        if (params.cursor !== undefined && SORT_FIELDS.includes(sort)) {
+            cursor = decodeCursor(String(params.cursor), sort);
+            if (!cursor) {
+                error('cursor', 'Invalid cursor');
+            }
+        }
+
+        // The cursor needs the sort column and ID of every record
+        const fields = attributes;
+        attributes = [...new Set(['id', sort, ...fields])];
+
+        return { errors, query: { conditions, fields, attributes, sort, order, limit, cursor } };
+    }
+
+    // filter[column][operator]=value, or filter[column]=value for eq
+    parseFilters(filters, conditions, error) {
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            error('filter', 'Must be filter[column][operator]=value');
+            return;
+        }
+        Object.entries(filters).forEach(([field, predicate]) => {
+            if (!isColumn(field)) {
+                error(`filter.${field}`, 'Unknown column');
+                return;
+            }
+            const predicates = typeof predicate === 'object' && !Array.isArray(predicate) ? predicate : { eq: predicate };
+            Object.entries(predicates).forEach(([name, value]) => {
+                const label = `filter.${field}.${name}`;
+                if (!Object.prototype.hasOwnProperty.call(OPERATORS, name)) {
+                    error(label, `Unknown operator, use one of: ${Object.keys(OPERATORS).join(', ')}`);
+                    return;
+                }
+                if (name === 'null') {
+                    const isNull = parseBoolean(value);
+                    if (isNull === undefined) {
+                        error(label, 'Must be true or false');
+                    } else {
+                        conditions.push({ [field]: isNull ? { [Op.is]: null } : { [Op.ne]: null } });
+                    }
+                    return;
+                }
+                if (name === 'like' && !['STRING', 'TEXT'].includes(columnType(field))) {
+                    error(label, 'Only text columns can be matched with like');
+                    return;
+                }
+                const values = name === 'in' ? list(value).map(item => coerce(field, item)) : [coerce(field, value)];
+                if (values.length === 0 || values.some(item => item === undefined)) {
+                    error(label, `Value does not fit the ${columnType(field).toLowerCase()} column`);
+                    return;
+                }
+                conditions.push({ [field]: { [OPERATORS[name]]: name === 'in' ? values : values[0] } });
+            });
+        });
+    }
+
+    /**
+     * Sequelize options for one page of a parsed query, after the cursor
+     */
+    findOptions({ conditions, attributes, sort, order, limit, cursor }) {
+        const where = [...conditions];
+        if (cursor) {
+            const after = order === 'asc' ? Op.gt : Op.lt;
+            where.push(sort === 'id'
+                ? { id: { [after]: cursor.id } }
+                : {
+                    [Op.or]: [
+                        { [sort]: { [after]: cursor.value } },
+                        { [sort]: cursor.value, id: { [after]: cursor.id } }
+                    ]
+                });
+        }
+        const direction = order.toUpperCase();
+        return {
+            where: { [Op.and]: where },
+            attributes,
+            order: sort === 'id' ? [['id', direction]] : [[sort, direction], ['id', direction]],
+            limit
+        };
+    }
+
+    /**
+     * Every record of a query from its cursor on, fetched a batch at a time
+     */
+    async *iterate(query, batchSize = MAX_LIMIT) {
+        let cursor = query.cursor;
+        for (;;) {
+            const records = await Record.findAll(this.findOptions({ ...query, cursor, limit: batchSize }));
+            yield* records;
+            if (records.length < batchSize) {
+                return;
+            }
+            const last = records[records.length - 1];
+            cursor = { value: last.get(query.sort), id: last.id };
+        }
+    }
+
+    /**
+     * One page of records and the cursor of the next page (null on the last)
+     */
+    async findPage(query) {
+        const options = this.findOptions(query);
+        const records = await Record.findAll({ ...options, limit: query.limit + 1 });
+        const hasMore = records.length > query.limit;
+        const page = hasMore ? records.slice(0, query.limit) : records;
+        return {
+            records: page,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], query.sort) : null
+        };
+    }
+}
+
+module.exports = new RecordQuery();
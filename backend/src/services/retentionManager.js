@@ -0,0 +1,264 @@
+// backend/src/services/retentionManager.js
+
+const { Op } = require('sequelize');
+const { RetentionPolicy, Device, DeviceGroup, Record } = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 5000;
+const DELETE_CHUNK = 500; // Record IDs per DELETE statement
+const ALARM_BIT = 0x0008; // Alarm bit of the status word, see parser.parseStatus
+const INPUTS = ['input0', 'input1', 'input2', 'input3'];
+
+class RetentionError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RetentionError';
+        this.status = status;
+    }
+}
+
+const isAlarm = record => (Number(record.status) & ALARM_BIT) !== 0;
+
+const inputsChanged = (record, previous) => INPUTS.some(input => Boolean(record[input]) !== Boolean(previous[input]));
+
+// Records without a device time are aged by the time they were received
+function olderThan(cutoff) {
+    return {
+        [Op.or]: [
+            { datetime: { [Op.lt]: cutoff } },
+            { datetime: null, timestamp: { [Op.lt]: cutoff } }
+        ]
+    };
+}
+
+// Which of two policies keeps records longer: later deletion first, then
+// longer raw retention, then finer downsampling
+function keepsLonger(a, b) {
+    const deleteDays = policy => (policy.deleteDays === null ? Infinity : policy.deleteDays);
+    if (deleteDays(a) !== deleteDays(b)) {
+        return deleteDays(a) > deleteDays(b);
+    }
+    if (a.rawDays !== b.rawDays) {
+        return a.rawDays > b.rawDays;
+    }
+    return (a.downsampleInterval || 0) < (b.downsampleInterval || 0);
+}
+
+/**
+ * Retention policies: records are kept as received for rawDays, then thinned
+ * to one point per downsampleInterval, then deleted after deleteDays. Each
+ * device follows its own policy, else the policy of one of its groups (the
+ * one keeping records longest), else the default policy; devices without
+ * any are left alone. Disabled policies are ignored.
+ */
+class RetentionManager {
+    constructor() {
+        this.downsampledUntil = new Map(); // imei -> { interval, until }
+        this.running = false;
+        this.lastRun = null;
+        this.timer = null;
+    }
+
+    /**
+     * The enabled policies with the IMEIs of the devices each one covers
+     */
+    async resolvePolicies() {
+        const policies = await RetentionPolicy.findAll({
+            where: { enabled: true },
+            order: [['name', 'ASC']]
+        });
+        const devices = await Device.findAll({
+            attributes: ['id', 'imei'],
+            include: [{ model: DeviceGroup, as: 'groups', attributes: ['id'], through: { attributes: [] } }]
+        });
+
+        const byDevice = new Map();
+        const byGroup = new Map();
+        let fallback = null;
+        policies.forEach((policy) => {
+            if (policy.deviceId) {
+                byDevice.set(policy.deviceId, policy);
+            } else if (policy.groupId) {
+                byGroup.set(policy.groupId, policy);
+            } else {
+                fallback = policy;
+            }
+        });
+
+        const covered = new Map(policies.map(policy => [policy.id, { policy, imeis: [] }]));
+        devices.forEach((device) => {
+            let policy = byDevice.get(device.id);
+            if (!policy) {
+                policy = device.groups
+                    .map(group => byGroup.get(group.id))
+                    .filter(Boolean)
+                    .reduce((best, candidate) => (!best || keepsLonger(candidate, best) ? candidate : best), null);
+            }
+            policy = policy || fallback;
+            if (policy) {
+                covered.get(policy.id).imeis.push(device.imei);
+            }
+        });
+        return Array.from(covered.values());
+    }
+
+    /**
+     * Apply every policy, or with dryRun only count the records each one
+     * would downsample and delete
+     */
+    async run({ dryRun = false } = {}) {
+        if (dryRun) {
+            return this.applyPolicies(true);
+        }
+        if (this.running) {
+            throw new RetentionError('A retention run is already in progress', 409);
+        }
+        this.running = true;
+        try {
+            this.lastRun = await this.applyPolicies(false);
+            return this.lastRun;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async applyPolicies(dryRun) {
+        const startedAt = new Date();
+        const report = { dryRun, startedAt, finishedAt: null, policies: [], totals: { downsampled: 0, deleted: 0 } };
+
+        for (const { policy, imeis } of await this.resolvePolicies()) {
+            const result = await this.applyPolicy(policy, imeis, startedAt, dryRun);
+            report.policies.push(result);
+            report.totals.downsampled += result.downsampled;
+            report.totals.deleted += result.deleted;
+            if (!dryRun && (result.downsampled > 0 || result.deleted > 0)) {
+                logger.info(`Retention policy ${policy.name}: downsampled ${result.downsampled} and deleted ${result.deleted} records`);
+            }
+        }
+
+        report.finishedAt = new Date();
+        return report;
+    }
+
+    async applyPolicy(policy, imeis, now, dryRun) {
+        const rawCutoff = new Date(now.getTime() - policy.rawDays * DAY);
+        const deleteCutoff = policy.deleteDays !== null ? new Date(now.getTime() - policy.deleteDays * DAY) : null;
+        const result = {
+            policyId: policy.id,
+            name: policy.name,
+            scope: policy.deviceId ? 'device' : policy.groupId ? 'group' : 'default',
+            devices: imeis.length,
+            downsampled: 0,
+            deleted: 0
+        };
+
+        for (const imei of imeis) {
+            if (deleteCutoff) {
+                const where = { deviceImei: imei, ...olderThan(deleteCutoff) };
+                result.deleted += dryRun ? await Record.count({ where }) : await Record.destroy({ where });
+            }
+            if (policy.downsampleInterval && (!deleteCutoff || deleteCutoff < rawCutoff)) {
+                result.downsampled += await this.downsampleDevice(imei, policy.downsampleInterval, deleteCutoff, rawCutoff, dryRun);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Thin a device's records between two times to one per interval
+     * (seconds), keeping the first and last record, alarms and records where
+     * an input changed. Returns the number of records dropped.
+     */
+    async downsampleDevice(imei, interval, from, to, dryRun) {
+        const size = interval * 1000;
+        // Start again at the interval the previous run stopped in
+        const previousRun = this.downsampledUntil.get(imei);
+        if (previousRun && previousRun.interval === interval) {
+            const resume = new Date(Math.floor(previousRun.until.getTime() / size) * size);
+            from = !from || resume > from ? resume : from;
+        }
+
+        let dropped = 0;
+        let toDelete = [];
+        let pending = null; // Dropped unless it turns out to be the last record
+        let previous = null;
+        let bucket = null;
+        let lastTime = null;
+        let lastId = 0;
+
+        const flush = async (force) => {
+            if (toDelete.length >= DELETE_CHUNK || (force && toDelete.length > 0)) {
+                if (!dryRun) {
+                    await Record.destroy({ where: { id: toDelete } });
+                }
+                dropped += toDelete.length;
+                toDelete = [];
+            }
+        };
+
+        // Page by (datetime, id) so records sharing a timestamp are not skipped
+        for (;;) {
+            const where = { deviceImei: imei, datetime: { [Op.lt]: to } };
+            if (lastTime) {
+                where[Op.or] = [
+                    { datetime: { [Op.gt]: lastTime, [Op.lt]: to } },
+                    { datetime: lastTime, id: { [Op.gt]: lastId } }
+                ];
+            } else if (from) {
+                where.datetime[Op.gte] = from;
+            }
+
+            const records = await Record.findAll({
+                where,
+                attributes: ['id', 'datetime', 'status', ...INPUTS],
+                order: [['datetime', 'ASC'], ['id', 'ASC']],
+                limit: PAGE_SIZE,
+                raw: true
+            });
+
+            for (const record of records) {
+                const recordBucket = Math.floor(new Date(record.datetime).getTime() / size);
+                const keep = recordBucket !== bucket
+                    || isAlarm(record)
+                    || (previous && inputsChanged(record, previous));
+                if (pending) {
+                    toDelete.push(pending);
+                }
+                pending = keep ? null : record.id;
+                bucket = recordBucket;
+                previous = record;
+                await flush(false);
+            }
+
+            if (records.length < PAGE_SIZE) {
+                break;
+            }
+            lastTime = records[records.length - 1].datetime;
+            lastId = records[records.length - 1].id;
+        }
+        await flush(true);
+
+        if (!dryRun) {
+            this.downsampledUntil.set(imei, { interval, until: to });
+        }
+        return dropped;
+    }
+
+    startSchedule() {
+        if (this.timer || config.retention.interval <= 0) {
+            return;
+        }
+        this.timer = setInterval(async () => {
+            try {
+                await this.run();
+            } catch (error) {
+                logger.error(`Scheduled retention run failed: ${error.message}`);
+            }
+        }, config.retention.interval);
+    }
+}
+
+module.exports = new RetentionManager();
+module.exports.RetentionError = RetentionError;
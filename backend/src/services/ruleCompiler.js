@@ -0,0 +1,460 @@
+// backend/src/services/ruleCompiler.js
+
+/**
+ * Compiler for alert rule conditions.
+ *
+ * Conditions are parsed into a syntax tree and evaluated by walking it, so a
+ * rule can never run arbitrary code. Supported syntax:
+ *
+ *   speed > 80 and not input0
+ *   supplyVoltage < 11000 || batteryVoltage < 3500
+ *   0x41 between 11000 and 15000          (raw tag values, inclusive range)
+ *   0x33.speed * 1.852 >= 100             (members of object tags, arithmetic)
+ *   Fuel in (1, 2, 3)                     (mapped field names, value lists)
+ *
+ * Identifiers resolve to mapped names first, then to record fields. Any
+ * comparison involving a missing value is false, except == / != null, and
+ * and/or combine the results as usual: the second example fires on a low
+ * supply voltage in a record without a battery voltage.
+ */
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 50;
+
+const KEYWORDS = ['and', 'or', 'not', 'between', 'in', 'true', 'false', 'null'];
+
+// position is the zero-based offset into the condition; the message counts from 1
+class RuleSyntaxError extends Error {
+    constructor(message, position) {
+        super(position !== undefined ? `${message} at position ${position + 1}` : message);
+        this.name = 'RuleSyntaxError';
+        this.position = position;
+    }
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const rest = source.slice(i);
+        let match;
+
+        if ((match = /^0x[0-9a-f]+/i.exec(rest))) {
+            const digits = match[0].slice(2).toLowerCase();
+            if (digits.length > 4) {
+                throw new RuleSyntaxError(`Invalid tag ${match[0]}`, i);
+            }
+            tokens.push({ type: 'tag', value: `0x${digits.padStart(digits.length > 2 ? 4 : 2, '0')}`, position: i });
+        } else if ((match = /^\d+(\.\d+)?/.exec(rest))) {
+            tokens.push({ type: 'number', value: Number(match[0]), position: i });
+        } else if ((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))) {
+            const lower = match[0].toLowerCase();
+            if (KEYWORDS.includes(lower)) {
+                tokens.push({ type: 'keyword', value: lower, position: i });
+            } else {
+                tokens.push({ type: 'identifier', value: match[0], position: i });
+            }
+        } else if (char === '"' || char === '\'') {
+            const end = source.indexOf(char, i + 1);
+            if (end === -1) {
+                throw new RuleSyntaxError('Unterminated string', i);
+            }
+            tokens.push({ type: 'string', value: source.slice(i + 1, end), position: i });
+            match = [source.slice(i, end + 1)];
+        } else if ((match = /^(==|!=|>=|<=|&&|\|\||[<>=!()+\-*/%,.])/.exec(rest))) {
+            tokens.push({ type: 'operator', value: match[0], position: i });
+        } else {
+            throw new RuleSyntaxError(`Unexpected character '${char}'`, i);
+        }
+
+        i += match[0].length;
+    }
+
+    tokens.push({ type: 'end', position: source.length });
+    return tokens;
+}
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.depth = 0;
+        this.fields = new Set();
+        this.tags = new Set();
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    matches(type, ...values) {
+        const token = this.peek();
+        return token.type === type && (values.length === 0 || values.includes(token.value));
+    }
+
+    // "and" / "&&" style pairs are interchangeable
+    matchesAny(pairs) {
+        return pairs.some(([type, value]) => this.matches(type, value));
+    }
+
+    expect(type, value, description) {
+        const found = value === undefined ? this.matches(type) : this.matches(type, value);
+        if (!found) {
+            throw new RuleSyntaxError(`Expected ${description}`, this.peek().position);
+        }
+        return this.next();
+    }
+
+    enter() {
+        this.depth++;
+        if (this.depth > MAX_DEPTH) {
+            throw new RuleSyntaxError('Condition is nested too deeply', this.peek().position);
+        }
+    }
+
+    parse() {
+        if (this.matches('end')) {
+            throw new RuleSyntaxError('Condition is empty', 0);
+        }
+        const ast = this.parseOr();
+        if (!this.matches('end')) {
+            throw new RuleSyntaxError(`Unexpected '${this.peek().value}'`, this.peek().position);
+        }
+        return ast;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.matchesAny([['keyword', 'or'], ['operator', '||']])) {
+            this.next();
+            left = { type: 'logical', op: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.matchesAny([['keyword', 'and'], ['operator', '&&']])) {
+            this.next();
+            left = { type: 'logical', op: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.matchesAny([['keyword', 'not'], ['operator', '!']])) {
+            this.next();
+            this.enter();
+            const operand = this.parseNot();
+            this.depth--;
+            return { type: 'not', operand };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+
+        if (this.matches('operator', '==', '!=', '>', '>=', '<', '<=', '=')) {
+            const op = this.next().value;
+            return { type: 'compare', op: op === '=' ? '==' : op, left, right: this.parseAdditive() };
+        }
+
+        let negate = false;
+        if (this.matches('keyword', 'not')
+            && ['between', 'in'].includes(this.tokens[this.index + 1].value)) {
+            this.next();
+            negate = true;
+        }
+
+        if (this.matches('keyword', 'between')) {
+            this.next();
+            const low = this.parseAdditive();
+            this.expect('keyword', 'and', "'and' in between range");
+            const high = this.parseAdditive();
+            return { type: 'between', value: left, low, high, negate };
+        }
+
+        if (this.matches('keyword', 'in')) {
+            this.next();
+            this.expect('operator', '(', "'(' after 'in'");
+            const list = [this.parseAdditive()];
+            while (this.matches('operator', ',')) {
+                this.next();
+                list.push(this.parseAdditive());
+            }
+            this.expect('operator', ')', "')' to close the value list");
+            return { type: 'in', value: left, list, negate };
+        }
+
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.matches('operator', '+', '-')) {
+            const op = this.next().value;
+            left = { type: 'arithmetic', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.matches('operator', '*', '/', '%')) {
+            const op = this.next().value;
+            left = { type: 'arithmetic', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.matches('operator', '-')) {
+            this.next();
+            this.enter();
+            const operand = this.parseUnary();
+            this.depth--;
+            return { type: 'negate', operand };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                this.next();
+                return { type: 'literal', value: token.value };
+            case 'keyword':
+                if (['true', 'false', 'null'].includes(token.value)) {
+                    this.next();
+                    return { type: 'literal', value: token.value === 'null' ? null : token.value === 'true' };
+                }
+                break;
+            case 'tag':
+                this.next();
+                this.tags.add(token.value);
+                return { type: 'tag', key: token.value, path: this.parsePath() };
+            case 'identifier':
+                this.next();
+                this.fields.add(token.value);
+                return { type: 'field', name: token.value, path: this.parsePath() };
+            case 'operator':
+                if (token.value === '(') {
+                    this.next();
+                    this.enter();
+                    const expression = this.parseOr();
+                    this.depth--;
+                    this.expect('operator', ')', "')'");
+                    return expression;
+                }
+                break;
+            default:
+                break;
+        }
+
+        if (token.type === 'end') {
+            throw new RuleSyntaxError('Unexpected end of condition', token.position);
+        }
+        throw new RuleSyntaxError(`Unexpected '${token.value}'`, token.position);
+    }
+
+    parsePath() {
+        const path = [];
+        while (this.matches('operator', '.')) {
+            this.next();
+            path.push(this.expect('identifier', undefined, 'member name after \'.\'').value);
+        }
+        return path;
+    }
+}
+
+function followPath(value, path) {
+    let current = value;
+    for (const key of path) {
+        if (current === null || current === undefined || typeof current !== 'object') {
+            return undefined;
+        }
+        current = Object.prototype.hasOwnProperty.call(current, key) ? current[key] : undefined;
+    }
+    return current;
+}
+
+function toComparable(value) {
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+function isMissing(value) {
+    return value === null || value === undefined || Number.isNaN(value);
+}
+
+function compare(op, leftValue, rightValue) {
+    if (isMissing(leftValue) || isMissing(rightValue)) {
+        const bothMissing = isMissing(leftValue) && isMissing(rightValue);
+        if (op === '==') return bothMissing;
+        if (op === '!=') return !bothMissing;
+        return false;
+    }
+
+    const left = toComparable(leftValue);
+    const right = toComparable(rightValue);
+    if (typeof left !== typeof right) {
+        return op === '!=';
+    }
+
+    switch (op) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        default: return false;
+    }
+}
+
+/**
+ * Context: { fields, tags, mappings } where fields are record columns, tags
+ * are parsed tags ({ '0x41': { value } }) and mappings map custom names to
+ * the original field or tag they rename.
+ */
+function resolveName(name, context) {
+    const mappings = context.mappings || {};
+    const original = Object.prototype.hasOwnProperty.call(mappings, name) ? mappings[name] : name;
+
+    if (/^0x[0-9a-f]+$/i.test(original)) {
+        const tag = context.tags && context.tags[original.toLowerCase()];
+        return tag ? tag.value : undefined;
+    }
+
+    const fields = context.fields || {};
+    return Object.prototype.hasOwnProperty.call(fields, original) ? fields[original] : undefined;
+}
+
+function evaluateNode(node, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'field':
+            return followPath(resolveName(node.name, context), node.path);
+        case 'tag': {
+            const tag = context.tags && context.tags[node.key];
+            return followPath(tag ? tag.value : undefined, node.path);
+        }
+        case 'not':
+            return !evaluateNode(node.operand, context);
+        case 'negate': {
+            const value = toComparable(evaluateNode(node.operand, context));
+            return typeof value === 'number' ? -value : undefined;
+        }
+        case 'logical':
+            if (node.op === 'and') {
+                return Boolean(evaluateNode(node.left, context)) && Boolean(evaluateNode(node.right, context));
+            }
+            return Boolean(evaluateNode(node.left, context)) || Boolean(evaluateNode(node.right, context));
+        case 'compare':
+            return compare(node.op, evaluateNode(node.left, context), evaluateNode(node.right, context));
+        case 'between': {
+            const value = evaluateNode(node.value, context);
+            const inRange = compare('>=', value, evaluateNode(node.low, context))
+                && compare('<=', value, evaluateNode(node.high, context));
+            return node.negate ? !inRange && !isMissing(value) : inRange;
+        }
+        case 'in': {
+            const value = evaluateNode(node.value, context);
+            const found = node.list.some(item => compare('==', value, evaluateNode(item, context)));
+            return node.negate ? !found && !isMissing(value) : found;
+        }
+        case 'arithmetic': {
+            const left = toComparable(evaluateNode(node.left, context));
+            const right = toComparable(evaluateNode(node.right, context));
+            if (typeof left !== 'number' || typeof right !== 'number') {
+                return undefined;
+            }
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return right === 0 ? undefined : left / right;
+                case '%': return right === 0 ? undefined : left % right;
+                default: return undefined;
+            }
+        }
+        default:
+            return undefined;
+    }
+}
+
+class RuleCompiler {
+    /**
+     * Compile a condition. Throws RuleSyntaxError if it is invalid.
+     */
+    compile(source) {
+        if (typeof source !== 'string') {
+            throw new RuleSyntaxError('Condition must be a string');
+        }
+        if (source.length > MAX_LENGTH) {
+            throw new RuleSyntaxError(`Condition must be at most ${MAX_LENGTH} characters`);
+        }
+
+        const parser = new Parser(tokenize(source));
+        const ast = parser.parse();
+
+        const fields = Array.from(parser.fields);
+        const tags = Array.from(parser.tags);
+
+        return {
+            source,
+            ast,
+            fields,
+            tags,
+            evaluate: context => Boolean(evaluateNode(ast, context)),
+            // True when the context has a value for any field or tag the condition
+            // uses, or the condition uses none
+            hasValues: context => (fields.length === 0 && tags.length === 0)
+                || fields.some(name => !isMissing(resolveName(name, context)))
+                || tags.some(key => Boolean(context.tags && context.tags[key]) && !isMissing(context.tags[key].value))
+        };
+    }
+
+    /**
+     * Returns null for a valid condition, otherwise the error
+     */
+    validate(source) {
+        try {
+            this.compile(source);
+            return null;
+        } catch (error) {
+            if (error instanceof RuleSyntaxError) {
+                return error;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = new RuleCompiler();
+module.exports.RuleSyntaxError = RuleSyntaxError;
@@ -0,0 +1,111 @@
+// backend/src/services/sessionManager.js
+
+const logger = require('../utils/logger');
+const GalileoskyParser = require('./parser');
+
+/**
+ * Per-connection state for the device TCP server.
+ *
+ * Trackers send their IMEI (tag 0x03) only in the head packet of a session;
+ * the archive packets that follow omit it. The session remembers the IMEI so
+ * it can be attached to every packet received on the same socket.
+ */
+class SessionManager {
+    constructor() {
+        this.parser = new GalileoskyParser();
+        this.sessions = new Map(); // socket -> session
+        this.sequence = 0;
+    }
+
+    create(socket) {
+        this.sequence = (this.sequence + 1) % Number.MAX_SAFE_INTEGER;
+        const session = {
+            id: this.sequence,
+            socket,
+            address: `${socket.remoteAddress}:${socket.remotePort}`,
+            imei: null,
+            deviceNumber: null,
+            hardwareVersion: null,
+            firmwareVersion: null,
+            connectedAt: new Date(),
+            lastPacketAt: null,
+            packetsReceived: 0
+        };
+        this.sessions.set(socket, session);
+        return session;
+    }
+
+    get(socket) {
+        return this.sessions.get(socket);
+    }
+
+    close(socket) {
+        const session = this.sessions.get(socket);
+        this.sessions.delete(socket);
+        return session;
+    }
+
+    /**
+     * Count a framed packet and, while the IMEI is still unknown, look for the
+     * head packet tags. Returns true when this packet identified the device.
+     */
+    recordPacket(session, packet) {
+        session.packetsReceived++;
+        session.lastPacketAt = new Date();
+
+        if (session.imei || packet.readUInt8(0) !== 0x01) {
+            return false;
+        }
+
+        let tags;
+        try {
+            // The first record of the packet, without the CRC that follows the data
+            tags = this.parser.readRecord(packet, 3, packet.length - 2).record.tags;
+        } catch (error) {
+            logger.debug('Could not read head packet tags:', { address: session.address, error: error.message });
+            return false;
+        }
+
+        if (!tags['0x03']) {
+            return false;
+        }
+
+        session.imei = tags['0x03'].value;
+        session.deviceNumber = tags['0x04'] ? tags['0x04'].value : null;
+        session.hardwareVersion = tags['0x01'] ? tags['0x01'].value : null;
+        session.firmwareVersion = tags['0x02'] ? tags['0x02'].value : null;
+
+        logger.info('Device identified on connection:', {
+            address: session.address,
+            imei: session.imei,
+            deviceNumber: session.deviceNumber
+        });
+        return true;
+    }
+
+    findByImei(imei) {
+        return this.list().filter(session => session.imei === imei);
+    }
+
+    toJSON(session) {
+        return {
+            id: session.id,
+            address: session.address,
+            imei: session.imei,
+            deviceNumber: session.deviceNumber,
+            hardwareVersion: session.hardwareVersion,
+            firmwareVersion: session.firmwareVersion,
+            connectedAt: session.connectedAt,
+            lastPacketAt: session.lastPacketAt,
+            packetsReceived: session.packetsReceived,
+            bytesReceived: session.socket.bytesRead,
+            bytesSent: session.socket.bytesWritten
+        };
+    }
+
+    list() {
+        return Array.from(this.sessions.values()).map(session => this.toJSON(session));
+    }
+}
+
+module.exports = new SessionManager();
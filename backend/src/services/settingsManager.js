@@ -0,0 +1,154 @@
+// backend/src/services/settingsManager.js
+
+const { Setting, sequelize } = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+const sessionManager = require('./sessionManager');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug'];
+
+/**
+ * Settings that can be changed from the Settings page. Server settings
+ * default to the environment configuration and are written back to config
+ * when they change, so the services reading config pick them up at once;
+ * the others are preferences of the web interface.
+ */
+const DEFINITIONS = {
+    tcpTimeout: { // Milliseconds of silence before a device connection is closed
+        type: 'integer', min: 1000, max: 3600000,
+        default: () => config.tcp.timeout,
+        apply: (value) => {
+            config.tcp.timeout = value;
+            sessionManager.sessions.forEach((session, socket) => socket.setTimeout(value));
+        }
+    },
+    validateChecksum: {
+        type: 'boolean',
+        default: () => config.parser.validateChecksum,
+        apply: (value) => { config.parser.validateChecksum = value; }
+    },
+    deviceOnlineTimeout: { // Seconds since last seen before a device counts as offline
+        type: 'integer', min: 10, max: 86400,
+        default: () => config.devices.onlineTimeout,
+        apply: (value) => { config.devices.onlineTimeout = value; }
+    },
+    logLevel: {
+        type: 'enum', values: LOG_LEVELS,
+        default: () => config.logging.level,
+        apply: (value) => {
+            config.logging.level = value;
+            logger.level = value;
+        }
+    },
+    enableNotifications: { type: 'boolean', default: () => true },
+    enableAutoRefresh: { type: 'boolean', default: () => true },
+    refreshInterval: { type: 'integer', min: 5, max: 3600, default: () => 30 }, // Seconds
+    enableDataExport: { type: 'boolean', default: () => true },
+    exportFormat: { type: 'enum', values: ['csv', 'xlsx', 'json'], default: () => 'csv' }
+};
+
+function validateValue(definition, value) {
+    switch (definition.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return 'Must be a whole number';
+            }
+            if (value < definition.min || value > definition.max) {
+                return `Must be between ${definition.min} and ${definition.max}`;
+            }
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'Must be true or false';
+        case 'enum':
+            return definition.values.includes(value) ? null : `Must be one of: ${definition.values.join(', ')}`;
+        default:
+            return 'Unsupported setting';
+    }
+}
+
+class SettingsManager {
+    constructor() {
+        // Captured before any stored setting is written to config
+        this.defaults = {};
+        Object.entries(DEFINITIONS).forEach(([key, definition]) => {
+            this.defaults[key] = definition.default();
+        });
+        this.values = { ...this.defaults };
+        this.load();
+    }
+
+    /**
+     * Apply the stored settings over the configured defaults
+     */
+    async load() {
+        try {
+            const stored = await Setting.findAll();
+            const values = { ...this.defaults };
+            stored.forEach(({ key, value }) => {
+                const definition = DEFINITIONS[key];
+                if (!definition) {
+                    return;
+                }
+                const error = validateValue(definition, value);
+                if (error) {
+                    logger.warn(`Ignoring stored setting ${key}: ${error}`);
+                    return;
+                }
+                values[key] = value;
+            });
+            Object.entries(values).forEach(([key, value]) => this.set(key, value));
+            logger.info(`Loaded ${stored.length} stored settings`);
+        } catch (error) {
+            logger.error(`Error loading settings: ${error.message}`);
+        }
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    /**
+     * Validate a partial settings object; returns [{ field, message }]
+     */
+    validate(updates) {
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+            return [{ field: 'settings', message: 'Settings must be an object' }];
+        }
+        const errors = [];
+        Object.entries(updates).forEach(([key, value]) => {
+            const definition = DEFINITIONS[key];
+            const message = definition ? validateValue(definition, value) : 'Unknown setting';
+            if (message) {
+                errors.push({ field: key, message });
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Store and apply validated settings; returns all settings
+     */
+    async update(updates) {
+        const changed = Object.keys(updates).filter(key => updates[key] !== this.values[key]);
+        await sequelize.transaction(async (transaction) => {
+            for (const key of changed) {
+                await Setting.upsert({ key, value: updates[key] }, { transaction });
+            }
+        });
+
+        changed.forEach(key => this.set(key, updates[key]));
+        if (changed.length > 0) {
+            logger.info(`Settings updated: ${changed.join(', ')}`);
+        }
+        return this.getAll();
+    }
+
+    set(key, value) {
+        this.values[key] = value;
+        if (DEFINITIONS[key].apply) {
+            DEFINITIONS[key].apply(value);
+        }
+    }
+}
+
+module.exports = new SettingsManager();
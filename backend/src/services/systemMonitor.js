@@ -0,0 +1,185 @@
+// backend/src/services/systemMonitor.js
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { sequelize } = require('../models');
+const sessionManager = require('./sessionManager');
+const packetQueue = require('./packetQueue');
+const websocketHandler = require('./websocketHandler');
+
+const DATA_DIRECTORY = path.join(__dirname, '..', '..', 'data');
+const CPU_SAMPLE_TIME = 200; // Milliseconds measured when there is no earlier sample
+
+// Health check thresholds, in percent
+const WARNING_USAGE = 85;
+const ERROR_USAGE = 95;
+const STATUS_ORDER = ['healthy', 'warning', 'error'];
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+function cpuTimes() {
+    return os.cpus().reduce((totals, cpu) => {
+        const { idle, ...busy } = cpu.times;
+        totals.idle += idle;
+        totals.total += idle + Object.values(busy).reduce((sum, time) => sum + time, 0);
+        return totals;
+    }, { idle: 0, total: 0 });
+}
+
+function usageStatus(usage) {
+    if (usage >= ERROR_USAGE) {
+        return 'error';
+    }
+    return usage >= WARNING_USAGE ? 'warning' : 'healthy';
+}
+
+/**
+ * System figures and health checks for the Settings page
+ */
+class SystemMonitor {
+    constructor() {
+        this.lastCpuTimes = null;
+        this.tcpServer = null;
+    }
+
+    // The device TCP server is created by app.js, which hands it over here
+    watchTcpServer(tcpServer) {
+        this.tcpServer = tcpServer;
+    }
+
+    /**
+     * CPU usage in percent since the previous call
+     */
+    async getCpuUsage() {
+        if (!this.lastCpuTimes) {
+            this.lastCpuTimes = cpuTimes();
+            await new Promise(resolve => setTimeout(resolve, CPU_SAMPLE_TIME));
+        }
+        const current = cpuTimes();
+        const total = current.total - this.lastCpuTimes.total;
+        const idle = current.idle - this.lastCpuTimes.idle;
+        this.lastCpuTimes = current;
+        return percent(total - idle, total);
+    }
+
+    getMemory() {
+        const total = os.totalmem();
+        const used = total - os.freemem();
+        return { total, used, usage: percent(used, total) };
+    }
+
+    /**
+     * Usage of the file system holding the database
+     */
+    async getDisk() {
+        const directory = fs.existsSync(DATA_DIRECTORY) ? DATA_DIRECTORY : __dirname;
+        const stats = await fs.promises.statfs(directory);
+        const total = stats.blocks * stats.bsize;
+        const free = stats.bavail * stats.bsize;
+        return { total, free, usage: percent(total - free, total) };
+    }
+
+    async getStatus() {
+        const [cpu, disk] = await Promise.all([this.getCpuUsage(), this.getDisk()]);
+        const memory = this.getMemory();
+        return {
+            cpu,
+            memory: memory.usage,
+            disk: disk.usage,
+            uptime: Math.floor(process.uptime()),
+            activeConnections: sessionManager.sessions.size,
+            websocketClients: websocketHandler.wss ? websocketHandler.wss.clients.size : 0,
+            memoryBytes: { total: memory.total, used: memory.used },
+            diskBytes: { total: disk.total, free: disk.free },
+            process: {
+                pid: process.pid,
+                nodeVersion: process.version,
+                rss: process.memoryUsage().rss
+            }
+        };
+    }
+
+    async checkDatabase() {
+        const started = Date.now();
+        try {
+            await sequelize.authenticate();
+            return { name: 'Database', status: 'healthy', message: `Responding in ${Date.now() - started} ms` };
+        } catch (error) {
+            return { name: 'Database', status: 'error', message: error.message };
+        }
+    }
+
+    checkTcpServer() {
+        if (this.tcpServer && this.tcpServer.listening) {
+            return {
+                name: 'Device TCP server',
+                status: 'healthy',
+                message: `Listening on port ${this.tcpServer.address().port} with ${sessionManager.sessions.size} connections`
+            };
+        }
+        return { name: 'Device TCP server', status: 'error', message: 'Not listening' };
+    }
+
+    checkPacketQueue() {
+        const stats = packetQueue.getStats();
+        const usage = percent(stats.queueSize, stats.maxSize);
+        let status = usageStatus(usage);
+        if (status === 'healthy' && stats.deadLetters > 0) {
+            status = 'warning';
+        }
+        return {
+            name: 'Packet queue',
+            status,
+            message: `${stats.queueSize} of ${stats.maxSize} queued, ${stats.deadLetters} dead letters`
+        };
+    }
+
+    async checkDisk() {
+        try {
+            const disk = await this.getDisk();
+            return {
+                name: 'Disk space',
+                status: usageStatus(disk.usage),
+                message: `${disk.usage}% used, ${Math.round(disk.free / 1024 / 1024)} MB free`
+            };
+        } catch (error) {
+            return { name: 'Disk space', status: 'warning', message: error.message };
+        }
+    }
+
+    checkMemory() {
+        const memory = this.getMemory();
+        return {
+            name: 'Memory',
+            status: usageStatus(memory.usage),
+            message: `${memory.usage}% used`
+        };
+    }
+
+    checkWebSocket() {
+        return websocketHandler.wss
+            ? { name: 'WebSocket server', status: 'healthy', message: `${websocketHandler.wss.clients.size} clients` }
+            : { name: 'WebSocket server', status: 'error', message: 'Not initialized' };
+    }
+
+    /**
+     * Run all health checks; the overall status is the worst of them
+     */
+    async getHealth() {
+        const checks = [
+            await this.checkDatabase(),
+            this.checkTcpServer(),
+            this.checkPacketQueue(),
+            await this.checkDisk(),
+            this.checkMemory(),
+            this.checkWebSocket()
+        ];
+        const status = checks.reduce((worst, check) => (
+            STATUS_ORDER.indexOf(check.status) > STATUS_ORDER.indexOf(worst) ? check.status : worst
+        ), 'healthy');
+        return { status, checks };
+    }
+}
+
+module.exports = new SystemMonitor();
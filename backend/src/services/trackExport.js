@@ -0,0 +1,206 @@
+// backend/src/services/trackExport.js
+
+const CREATOR = 'Galileosky Parser';
+
+const FORMATS = {
+    gpx: { extension: 'gpx', contentType: 'application/gpx+xml' },
+    kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' },
+    geojson: { extension: 'geojson', contentType: 'application/geo+json' }
+};
+
+// KML line colors by speed in km/h, as aabbggrr; the last band has no upper limit
+const SPEED_BANDS = [
+    { id: 'slow', below: 30, color: 'ff00c800' },
+    { id: 'medium', below: 60, color: 'ff00d7ff' },
+    { id: 'fast', below: 90, color: 'ff008cff' },
+    { id: 'veryFast', below: Infinity, color: 'ff0000e6' }
+];
+
+const STOP_ICON = 'http://maps.google.com/mapfiles/kml/paddle/red-square.png';
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+const escapeXml = value => String(value).replace(/[&<>"']/g, character => XML_ENTITIES[character]);
+
+const speedBand = speed => SPEED_BANDS.find(band => (speed || 0) < band.below);
+
+// Device time, else the time the record was received
+const pointTime = point => new Date(point.datetime || point.timestamp);
+
+const coordinates = point => `${point.longitude},${point.latitude}`;
+
+const formatDuration = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+/**
+ * Device tracks as GPX, KML or GeoJSON documents. A track is a device's
+ * positioned records in time order, with the stops detected between its
+ * trips as { startTime, endTime, duration, latitude, longitude }.
+ */
+class TrackExport {
+    render(format, track) {
+        switch (format) {
+            case 'gpx':
+                return this.gpx(track);
+            case 'kml':
+                return this.kml(track);
+            case 'geojson':
+                return JSON.stringify(this.geojson(track));
+            default:
+                throw new Error(`Unsupported track format ${format}`);
+        }
+    }
+
+    gpx({ name, points, stops }) {
+        const waypoints = stops.map(stop => [
+            `  <wpt lat="${stop.latitude}" lon="${stop.longitude}">`,
+            `    <time>${new Date(stop.startTime).toISOString()}</time>`,
+            `    <name>Stop ${formatDuration(stop.duration)}</name>`,
+            '    <type>stop</type>',
+            '  </wpt>'
+        ].join('\n'));
+        const trackpoints = points.map(point => [
+            `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+            `        <time>${pointTime(point).toISOString()}</time>`,
+            '      </trkpt>'
+        ].join('\n'));
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+            '  <metadata>',
+            `    <name>${escapeXml(name)}</name>`,
+            `    <time>${new Date().toISOString()}</time>`,
+            '  </metadata>',
+            ...waypoints,
+            '  <trk>',
+            `    <name>${escapeXml(name)}</name>`,
+            '    <trkseg>',
+            ...trackpoints,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * One line per run of points in the same speed band, each colored by
+     * its band, and a placemark per stop
+     */
+    kml({ name, points, stops }) {
+        const segments = [];
+        points.forEach((point, index) => {
+            const band = speedBand(point.speed);
+            const segment = segments[segments.length - 1];
+            if (segment && segment.band === band) {
+                segment.points.push(point);
+                return;
+            }
+            // Start the new line where the previous one ended so the track stays joined
+            segments.push({ band, points: index > 0 ? [points[index - 1], point] : [point] });
+        });
+
+        const styles = SPEED_BANDS.map(band => [
+            `    <Style id="${band.id}">`,
+            `      <LineStyle><color>${band.color}</color><width>4</width></LineStyle>`,
+            '    </Style>'
+        ].join('\n'));
+        const lines = segments.filter(segment => segment.points.length > 1).map((segment) => {
+            const { band } = segment;
+            const label = band.below === Infinity
+                ? `${SPEED_BANDS[SPEED_BANDS.length - 2].below} km/h and faster`
+                : `Below ${band.below} km/h`;
+            return [
+                '      <Placemark>',
+                `        <name>${label}</name>`,
+                '        <TimeSpan>',
+                `          <begin>${pointTime(segment.points[0]).toISOString()}</begin>`,
+                `          <end>${pointTime(segment.points[segment.points.length - 1]).toISOString()}</end>`,
+                '        </TimeSpan>',
+                `        <styleUrl>#${band.id}</styleUrl>`,
+                '        <LineString>',
+                '          <tessellate>1</tessellate>',
+                `          <coordinates>${segment.points.map(coordinates).join(' ')}</coordinates>`,
+                '        </LineString>',
+                '      </Placemark>'
+            ].join('\n');
+        });
+        const placemarks = stops.map(stop => [
+            '      <Placemark>',
+            `        <name>Stop ${formatDuration(stop.duration)}</name>`,
+            `        <description>${escapeXml(`${new Date(stop.startTime).toISOString()} to ${new Date(stop.endTime).toISOString()}`)}</description>`,
+            '        <TimeSpan>',
+            `          <begin>${new Date(stop.startTime).toISOString()}</begin>`,
+            `          <end>${new Date(stop.endTime).toISOString()}</end>`,
+            '        </TimeSpan>',
+            '        <styleUrl>#stop</styleUrl>',
+            `        <Point><coordinates>${coordinates(stop)}</coordinates></Point>`,
+            '      </Placemark>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${escapeXml(name)}</name>`,
+            ...styles,
+            '    <Style id="stop">',
+            `      <IconStyle><Icon><href>${STOP_ICON}</href></Icon></IconStyle>`,
+            '    </Style>',
+            '    <Folder>',
+            '      <name>Track</name>',
+            ...lines,
+            '    </Folder>',
+            '    <Folder>',
+            '      <name>Stops</name>',
+            ...placemarks,
+            '    </Folder>',
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * A LineString feature for the track with the time, speed and direction
+     * of each point, and a Point feature per stop
+     */
+    geojson({ name, points, stops }) {
+        const features = [];
+        if (points.length > 0) {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: points.map(point => [point.longitude, point.latitude])
+                },
+                properties: {
+                    type: 'track',
+                    name,
+                    times: points.map(point => pointTime(point).toISOString()),
+                    speeds: points.map(point => point.speed),
+                    directions: points.map(point => point.direction)
+                }
+            });
+        }
+        stops.forEach((stop) => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [stop.longitude, stop.latitude] },
+                properties: {
+                    type: 'stop',
+                    startTime: new Date(stop.startTime).toISOString(),
+                    endTime: new Date(stop.endTime).toISOString(),
+                    duration: stop.duration
+                }
+            });
+        });
+        return { type: 'FeatureCollection', name, features };
+    }
+}
+
+module.exports = new TrackExport();
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,320 @@
+// backend/src/services/tripDetector.js
+
+const { Op } = require('sequelize');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { Record, Trip } = require('../models');
+const { distance } = require('../utils/geo');
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Splits a device's chronological points into trips.
+ *
+ * A trip starts at the first moving point (speed at least minSpeed and the
+ * ignition, when configured, on) and ends when the ignition turns off, when
+ * the device stays stationary for stopDuration, or when no points arrive for
+ * maxGap. Shorter stationary periods inside a trip count as idle time.
+ */
+class TripSegmenter {
+    constructor(options) {
+        this.options = options;
+        this.trip = null;
+        this.last = null;
+        this.trips = [];
+    }
+
+    push(point) {
+        const { minSpeed, stopDuration, maxGap } = this.options;
+
+        if (this.trip && point.time - this.last.time > maxGap * 1000) {
+            this.close(this.trip.stationary || this.last);
+        }
+
+        const moving = point.speed >= minSpeed && point.ignition !== false;
+
+        if (!this.trip) {
+            if (moving) {
+                // The trip starts where the device was last parked, if that was recent
+                const start = this.last && point.time - this.last.time <= maxGap * 1000 ? this.last : point;
+                this.start(start);
+                if (start !== point) {
+                    this.extend(point);
+                }
+            }
+            this.last = point;
+            return;
+        }
+
+        this.extend(point);
+
+        if (moving) {
+            if (this.trip.stationary) {
+                this.trip.idleTime += point.time - this.trip.stationary.time;
+                this.trip.stationary = null;
+            }
+        } else if (point.ignition === false) {
+            this.close(point);
+        } else {
+            if (!this.trip.stationary) {
+                this.trip.stationary = point;
+                this.trip.distanceAtStop = this.trip.distance;
+            }
+            if (point.time - this.trip.stationary.time >= stopDuration * 1000) {
+                this.close(this.trip.stationary);
+            }
+        }
+
+        this.last = point;
+    }
+
+    start(point) {
+        this.trip = {
+            start: point,
+            end: point,
+            position: point.latitude !== null ? point : null,
+            startPosition: point.latitude !== null ? point : null,
+            distance: 0,
+            distanceAtStop: 0,
+            idleTime: 0,
+            maxSpeed: point.speed || 0,
+            recordCount: 1,
+            stationary: null
+        };
+    }
+
+    extend(point) {
+        const trip = this.trip;
+        if (point.latitude !== null) {
+            if (trip.position) {
+                trip.distance += distance(trip.position.latitude, trip.position.longitude, point.latitude, point.longitude);
+            }
+            trip.position = point;
+            trip.startPosition = trip.startPosition || point;
+        }
+        trip.maxSpeed = Math.max(trip.maxSpeed, point.speed || 0);
+        trip.recordCount++;
+        trip.end = point;
+    }
+
+    /**
+     * End the current trip at the given point. Movement recorded after a
+     * stop began is GPS drift and is not counted.
+     */
+    close(endPoint) {
+        const trip = this.trip;
+        this.trip = null;
+
+        const endedAtStop = trip.stationary && endPoint === trip.stationary;
+        const tripDistance = endedAtStop ? trip.distanceAtStop : trip.distance;
+        if (tripDistance < this.options.minDistance) {
+            return;
+        }
+
+        const end = endedAtStop ? endPoint : trip.end;
+        const duration = Math.round((end.time - trip.start.time) / 1000);
+        const idleTime = Math.round(trip.idleTime / 1000);
+        const movingTime = duration - idleTime;
+        const endPosition = endedAtStop && endPoint.latitude !== null ? endPoint : trip.position;
+
+        this.trips.push({
+            startTime: trip.start.time,
+            endTime: end.time,
+            startLatitude: trip.startPosition ? trip.startPosition.latitude : null,
+            startLongitude: trip.startPosition ? trip.startPosition.longitude : null,
+            endLatitude: endPosition ? endPosition.latitude : null,
+            endLongitude: endPosition ? endPosition.longitude : null,
+            distance: Math.round(tripDistance),
+            duration,
+            idleTime,
+            maxSpeed: trip.maxSpeed,
+            avgSpeed: movingTime > 0 ? Math.round(tripDistance / movingTime * 3.6 * 10) / 10 : 0,
+            recordCount: trip.recordCount
+        });
+    }
+
+    /**
+     * Close a trip the device has gone silent on; otherwise it stays open
+     */
+    finish(now) {
+        if (this.trip && now - this.last.time > this.options.maxGap * 1000) {
+            this.close(this.trip.stationary || this.last);
+        }
+    }
+
+    /**
+     * Summary of the trip still in progress, if any
+     */
+    current() {
+        if (!this.trip) {
+            return null;
+        }
+        const trip = this.trip;
+        return {
+            startTime: trip.start.time,
+            lastTime: trip.end.time,
+            startLatitude: trip.startPosition ? trip.startPosition.latitude : null,
+            startLongitude: trip.startPosition ? trip.startPosition.longitude : null,
+            distance: Math.round(trip.distance),
+            maxSpeed: trip.maxSpeed,
+            recordCount: trip.recordCount
+        };
+    }
+}
+
+/**
+ * Builds and stores trips from each device's Record history.
+ *
+ * Only closed trips are stored. The segmenter of each device, with the trip
+ * still open, is kept between updates, so an update only reads the records
+ * after the last one it segmented; after a restart it starts again at the
+ * last stored trip. Records older than that (late archive uploads) are only
+ * included by rebuilding the device's trips.
+ */
+class TripDetector {
+    constructor() {
+        this.updating = new Map(); // imei -> running update
+        this.segmenters = new Map(); // imei -> { segmenter, lastTime, lastId } of the last update
+    }
+
+    toPoint(record) {
+        const hasPosition = record.latitude !== null && record.longitude !== null
+            && !(record.latitude === 0 && record.longitude === 0);
+        const ignitionInput = config.trips.ignitionInput;
+
+        return {
+            time: new Date(record.datetime),
+            latitude: hasPosition ? record.latitude : null,
+            longitude: hasPosition ? record.longitude : null,
+            speed: record.speed || 0,
+            ignition: ignitionInput !== null ? Boolean(record[`input${ignitionInput}`]) : undefined
+        };
+    }
+
+    /**
+     * Segment new records of a device and store the trips that closed.
+     * Concurrent calls for the same device share one run.
+     */
+    updateDevice(imei) {
+        if (!this.updating.has(imei)) {
+            const update = this.runUpdate(imei).finally(() => this.updating.delete(imei));
+            this.updating.set(imei, update);
+        }
+        return this.updating.get(imei);
+    }
+
+    async runUpdate(imei) {
+        let state = this.segmenters.get(imei);
+        if (!state) {
+            const lastTrip = await Trip.findOne({
+                where: { deviceImei: imei },
+                order: [['endTime', 'DESC']]
+            });
+            state = {
+                segmenter: new TripSegmenter(config.trips),
+                lastTime: lastTrip ? lastTrip.endTime : null,
+                lastId: 0
+            };
+        }
+        const { segmenter } = state;
+
+        // Page by (datetime, id) so records sharing a timestamp are not skipped
+        for (;;) {
+            const where = { deviceImei: imei, datetime: { [Op.ne]: null } };
+            if (state.lastTime) {
+                where[Op.or] = [
+                    { datetime: { [Op.gt]: state.lastTime } },
+                    { datetime: state.lastTime, id: { [Op.gt]: state.lastId } }
+                ];
+            }
+
+            const records = await Record.findAll({
+                where,
+                attributes: ['id', 'datetime', 'latitude', 'longitude', 'speed', 'input0', 'input1', 'input2', 'input3'],
+                order: [['datetime', 'ASC'], ['id', 'ASC']],
+                limit: PAGE_SIZE,
+                raw: true
+            });
+
+            for (const record of records) {
+                segmenter.push(this.toPoint(record));
+            }
+            if (records.length > 0) {
+                state.lastTime = records[records.length - 1].datetime;
+                state.lastId = records[records.length - 1].id;
+            }
+
+            if (records.length < PAGE_SIZE) {
+                break;
+            }
+        }
+
+        segmenter.finish(new Date());
+
+        const trips = segmenter.trips.map(trip => ({ ...trip, deviceImei: imei }));
+        segmenter.trips = [];
+        if (trips.length > 0) {
+            try {
+                await Trip.bulkCreate(trips);
+            } catch (error) {
+                // Segment again from the last stored trip next time
+                this.segmenters.delete(imei);
+                throw error;
+            }
+            logger.info(`Detected ${trips.length} trips for device ${imei}`);
+        }
+        this.segmenters.set(imei, state);
+
+        return { trips, current: segmenter.current() };
+    }
+
+    /**
+     * Drop a device's stored trips and segment its whole history again
+     */
+    async rebuildDevice(imei) {
+        if (this.updating.has(imei)) {
+            await this.updating.get(imei);
+        }
+        await Trip.destroy({ where: { deviceImei: imei } });
+        this.segmenters.delete(imei);
+        return this.updateDevice(imei);
+    }
+
+    /**
+     * Stored trips overlapping a time range, the stops between them and the
+     * trip in progress
+     */
+    async getTrips(imei, { startDate, endDate, limit = 500 } = {}) {
+        const { current } = await this.updateDevice(imei);
+
+        const where = { deviceImei: imei };
+        if (startDate) {
+            where.endTime = { [Op.gte]: startDate };
+        }
+        if (endDate) {
+            where.startTime = { [Op.lte]: endDate };
+        }
+
+        const trips = await Trip.findAll({
+            where,
+            order: [['startTime', 'ASC']],
+            limit
+        });
+
+        const stops = [];
+        for (let i = 1; i < trips.length; i++) {
+            const previous = trips[i - 1];
+            stops.push({
+                startTime: previous.endTime,
+                endTime: trips[i].startTime,
+                duration: Math.round((trips[i].startTime - previous.endTime) / 1000),
+                latitude: previous.endLatitude,
+                longitude: previous.endLongitude
+            });
+        }
+
+        return { trips, stops, current };
+    }
+}
+
+module.exports = new TripDetector();
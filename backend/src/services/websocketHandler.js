@@ -1,20 +1,27 @@
 // backend/src/services/websocketHandler.js
 
 const WebSocket = require('ws');
+const { Op } = require('sequelize');
 const config = require('../config');
 const logger = require('../utils/logger');
+const accessControl = require('./accessControl');
+const { identify } = require('../middleware/auth');
+const { Device } = require('../models');
 
 class WebSocketHandler {
     constructor() {
-        this.clients = new Map(); // deviceId -> Set of clients
+        this.clients = new Map(); // device IMEI -> Set of clients
+        this.fleetClients = new Set(); // clients following every device they may see
         this.statistics = new Map(); // deviceId -> statistics
+        this.dashboardClients = new Set();
     }
 
     initialize(server) {
         this.wss = new WebSocket.Server({ 
             server,
             path: '/ws',
-            clientTracking: true
+            clientTracking: true,
+            verifyClient: this.verifyClient.bind(this)
         });
         
         this.wss.on('connection', this.handleConnection.bind(this));
@@ -27,6 +34,26 @@ class WebSocketHandler {
         logger.info('WebSocket server initialized');
     }
 
+    /**
+     * Only logged-in users may connect; browsers send the auth cookie with
+     * the upgrade request, so pages on origins the API does not allow
+     * (see config.http.cors) are refused first
+     */
+    verifyClient(info, callback) {
+        const ownOrigins = [`http://${info.req.headers.host}`, `https://${info.req.headers.host}`];
+        if (info.origin && !ownOrigins.includes(info.origin) && !config.http.cors.origin.includes(info.origin)) {
+            callback(false, 403, 'Origin not allowed');
+            return;
+        }
+        identify(info.req).then((user) => {
+            info.req.user = user;
+            callback(Boolean(user), 401, 'Authentication required');
+        }).catch((error) => {
+            logger.error(`WebSocket authentication error: ${error.message}`);
+            callback(false, 500);
+        });
+    }
+
     checkConnections() {
         this.wss.clients.forEach((ws) => {
             if (ws.isAlive === false) {
@@ -42,6 +69,7 @@ class WebSocketHandler {
     handleConnection(ws, req) {
         ws.isAlive = true;
         ws.ip = req.socket.remoteAddress;
+        ws.user = req.user;
 
         logger.debug(`New WebSocket connection from ${ws.ip}`);
 
@@ -66,61 +94,177 @@ class WebSocketHandler {
     handleMessage(ws, message) {
         switch (message.type) {
             case 'subscribe':
-                this.subscribeToDevice(ws, message.deviceId);
+                this.subscribeToDevice(ws, message.deviceId).catch((error) => {
+                    logger.error(`WebSocket subscribe error: ${error.message}`);
+                });
                 break;
             case 'unsubscribe':
-                this.unsubscribeFromDevice(ws, message.deviceId);
+                this.unsubscribeFromDevice(ws, message.deviceId).catch((error) => {
+                    logger.error(`WebSocket unsubscribe error: ${error.message}`);
+                });
+                break;
+            case 'subscribeAll':
+                this.subscribeToFleet(ws).catch((error) => {
+                    logger.error(`WebSocket subscribe error: ${error.message}`);
+                });
+                break;
+            case 'unsubscribeAll':
+                this.fleetClients.delete(ws);
+                break;
+            case 'subscribeDashboard':
+                this.subscribeToDashboard(ws).catch((error) => {
+                    logger.error(`WebSocket dashboard subscribe error: ${error.message}`);
+                });
+                break;
+            case 'unsubscribeDashboard':
+                this.dashboardClients.delete(ws);
                 break;
             default:
                 logger.warn('Unknown message type:', message.type);
         }
     }
 
-    subscribeToDevice(ws, deviceId) {
-        if (!this.clients.has(deviceId)) {
-            this.clients.set(deviceId, new Set());
+    /**
+     * IMEI of a device given its UUID or IMEI; broadcasts are keyed by IMEI
+     */
+    async resolveImei(deviceId) {
+        if (typeof deviceId !== 'string' || !deviceId) {
+            return null;
+        }
+        const device = await Device.findOne({
+            attributes: ['imei'],
+            where: { [Op.or]: [{ id: deviceId }, { imei: deviceId }] }
+        });
+        return device ? device.imei : null;
+    }
+
+    /**
+     * Subscribe a client to a device's data, if its user may see the device
+     */
+    async subscribeToDevice(ws, deviceId) {
+        const imei = await this.resolveImei(deviceId);
+        const allowed = imei !== null && await accessControl.canAccessDevice(ws.user, imei);
+        // The client may have gone while access was checked
+        if (ws.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        if (!allowed) {
+            ws.send(JSON.stringify({ type: 'error', deviceId, message: 'Device not found' }));
+            return false;
+        }
+
+        if (!this.clients.has(imei)) {
+            this.clients.set(imei, new Set());
         }
-        this.clients.get(deviceId).add(ws);
+        this.clients.get(imei).add(ws);
         ws.subscribedDevices = ws.subscribedDevices || new Set();
-        ws.subscribedDevices.add(deviceId);
+        ws.subscribedDevices.add(imei);
+        return true;
     }
 
-    unsubscribeFromDevice(ws, deviceId) {
-        const deviceClients = this.clients.get(deviceId);
+    async unsubscribeFromDevice(ws, deviceId) {
+        const imei = await this.resolveImei(deviceId);
+        if (!imei) {
+            return;
+        }
+        const deviceClients = this.clients.get(imei);
         if (deviceClients) {
             deviceClients.delete(ws);
+            if (deviceClients.size === 0) {
+                this.clients.delete(imei);
+            }
         }
         if (ws.subscribedDevices) {
-            ws.subscribedDevices.delete(deviceId);
+            ws.subscribedDevices.delete(imei);
+        }
+    }
+
+    /**
+     * Subscribe a client to the data of every device its user may see
+     */
+    async subscribeToFleet(ws) {
+        const scope = await accessControl.getDeviceImeis(ws.user);
+        if (ws.readyState !== WebSocket.OPEN) {
+            return false;
         }
+        ws.fleetScope = scope;
+        this.fleetClients.add(ws);
+        return true;
+    }
+
+    /**
+     * Send a client dashboard statistics for the devices its user may see
+     */
+    async subscribeToDashboard(ws) {
+        const scope = await accessControl.getDeviceImeis(ws.user);
+        if (ws.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        ws.dashboardScope = scope;
+        this.dashboardClients.add(ws);
+        return true;
     }
 
     handleDisconnect(ws) {
+        this.dashboardClients.delete(ws);
+        this.fleetClients.delete(ws);
         if (ws.subscribedDevices) {
-            ws.subscribedDevices.forEach(deviceId => {
-                const deviceClients = this.clients.get(deviceId);
+            ws.subscribedDevices.forEach(imei => {
+                const deviceClients = this.clients.get(imei);
                 if (deviceClients) {
                     deviceClients.delete(ws);
+                    if (deviceClients.size === 0) {
+                        this.clients.delete(imei);
+                    }
                 }
             });
         }
     }
 
+    /**
+     * Send a device's data to its subscribers and to fleet subscribers whose
+     * user may see the device. Each client gets a message once.
+     */
     broadcastDeviceData(deviceId, data) {
-        const clients = this.clients.get(deviceId);
-        if (clients) {
-            const message = JSON.stringify({
-                type: 'deviceData',
-                deviceId,
-                data
-            });
-
-            clients.forEach(client => {
-                if (client.readyState === WebSocket.OPEN) {
-                    client.send(message);
-                }
-            });
+        const recipients = new Set(this.clients.get(deviceId));
+        this.fleetClients.forEach(client => {
+            if (!client.fleetScope || client.fleetScope.has(deviceId)) {
+                recipients.add(client);
+            }
+        });
+        if (recipients.size === 0) {
+            return;
         }
+
+        const message = JSON.stringify({
+            type: 'deviceData',
+            deviceId,
+            data
+        });
+        recipients.forEach(client => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(message);
+            }
+        });
+    }
+
+    hasDashboardClients() {
+        return this.dashboardClients.size > 0;
+    }
+
+    /**
+     * Send each dashboard subscriber the statistics statsFor(scope) returns
+     * for its device scope
+     */
+    broadcastDashboard(statsFor) {
+        this.dashboardClients.forEach(client => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(JSON.stringify({
+                    type: 'dashboardStats',
+                    data: statsFor(client.dashboardScope)
+                }));
+            }
+        });
     }
 
     updateStatistics(deviceId, stats) {
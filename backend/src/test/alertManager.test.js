@@ -0,0 +1,151 @@
+// backend/src/test/alertManager.test.js
+const { sequelize, Alert, AlertRule } = require('../models');
+const alertManager = require('../services/alertManager');
+const deviceManager = require('../services/deviceManager');
+const notificationManager = require('../services/notificationManager');
+
+const IMEI = '861230043907626';
+const START = Date.UTC(2025, 0, 1);
+const at = seconds => new Date(START + seconds * 1000);
+
+const record = (seconds, fields) => ({ fields: { datetime: at(seconds), ...fields }, tags: {} });
+
+// Feed records at the given offsets in seconds and return the alerts each one changed
+async function check(entries) {
+    const changes = [];
+    for (const [seconds, fields] of entries) {
+        const changed = await alertManager.checkAlerts(IMEI, record(seconds, fields));
+        changes.push(changed.map(alert => alert.status));
+    }
+    return changes;
+}
+
+async function addRule(attributes) {
+    const rule = await AlertRule.create({ name: 'Overspeed', condition: 'speed > 80', severity: 'high', ...attributes });
+    await alertManager.loadRules();
+    return rule;
+}
+
+beforeAll(async () => {
+    await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+    clearInterval(deviceManager.timer);
+    await sequelize.close();
+});
+
+beforeEach(async () => {
+    jest.spyOn(notificationManager, 'dispatch').mockImplementation(() => {});
+    await AlertRule.destroy({ where: {} });
+    await Alert.destroy({ where: {} });
+    alertManager.states.clear();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('alertManager.checkAlerts', () => {
+    it('raises an alert once the condition has held for the duration in seconds', async () => {
+        const rule = await addRule({ duration: 30 });
+
+        const changes = await check([[0, { speed: 90 }], [20, { speed: 95 }], [30, { speed: 90 }], [40, { speed: 90 }]]);
+
+        expect(changes).toEqual([[], [], ['active'], []]);
+        const alerts = await Alert.findAll();
+        expect(alerts).toHaveLength(1);
+        expect(alerts[0]).toMatchObject({ deviceId: IMEI, ruleId: rule.id, severity: 'high', message: 'Overspeed: speed > 80' });
+        expect(alerts[0].timestamp).toEqual(at(30));
+        expect(notificationManager.dispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('starts the duration again when the condition stops holding', async () => {
+        await addRule({ duration: 30 });
+
+        const changes = await check([[0, { speed: 90 }], [20, { speed: 50 }], [30, { speed: 90 }], [50, { speed: 90 }], [60, { speed: 90 }]]);
+
+        expect(changes).toEqual([[], [], [], [], ['active']]);
+    });
+
+    it('counts a duration in records and skips records without the values', async () => {
+        await addRule({ duration: 3, durationUnit: 'records' });
+
+        const changes = await check([[0, { speed: 90 }], [1, { speed: 90 }], [2, { supplyVoltage: 12000 }], [3, { speed: 90 }]]);
+
+        expect(changes).toEqual([[], [], [], ['active']]);
+    });
+
+    it('resolves the alert when the condition stops holding without a clear condition', async () => {
+        await addRule({});
+
+        const changes = await check([[0, { speed: 90 }], [10, { speed: 85 }], [20, {}], [30, { speed: 60 }]]);
+
+        expect(changes).toEqual([['active'], [], [], ['resolved']]);
+        expect((await Alert.findOne()).status).toBe('resolved');
+    });
+
+    it('keeps the alert active until the clear condition holds', async () => {
+        await addRule({ clearCondition: 'speed < 60' });
+
+        const changes = await check([[0, { speed: 90 }], [10, { speed: 70 }], [20, { speed: 50 }]]);
+
+        expect(changes).toEqual([['active'], [], ['resolved']]);
+    });
+
+    it('waits for the cool-down after an alert is resolved before raising another', async () => {
+        await addRule({ cooldown: 60 });
+
+        const changes = await check([
+            [0, { speed: 90 }],
+            [10, { speed: 50 }], // Resolved, cool-down until 70
+            [20, { speed: 90 }],
+            [60, { speed: 90 }],
+            [70, { speed: 90 }]
+        ]);
+
+        expect(changes).toEqual([['active'], ['resolved'], [], [], ['active']]);
+        expect(await Alert.count()).toBe(2);
+    });
+
+    it('keeps separate state for each device', async () => {
+        await addRule({ duration: 2, durationUnit: 'records' });
+
+        await alertManager.checkAlerts(IMEI, record(0, { speed: 90 }));
+        const other = await alertManager.checkAlerts('861230043907627', record(1, { speed: 90 }));
+
+        expect(other).toEqual([]);
+    });
+
+    it('lets the rule fire again on the next record when the alert cannot be saved', async () => {
+        await addRule({});
+        jest.spyOn(Alert, 'bulkCreate').mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+
+        await expect(alertManager.checkAlerts(IMEI, record(0, { speed: 90 }))).rejects.toThrow('SQLITE_BUSY');
+        expect(await check([[10, { speed: 90 }]])).toEqual([['active']]);
+    });
+});
+
+describe('alertManager.updateAlertStatus', () => {
+    it('starts the cool-down at the last record when an alert is resolved by hand', async () => {
+        const rule = await addRule({ cooldown: 60 });
+        const [alert] = await alertManager.checkAlerts(IMEI, record(0, { speed: 90 }));
+        await check([[30, { speed: 95 }]]);
+
+        await alertManager.updateAlertStatus(alert, 'resolved');
+
+        expect(alertManager.states.get(`${rule.id}:${IMEI}`).resolvedAt).toEqual(at(30));
+        expect(await check([[80, { speed: 90 }], [90, { speed: 90 }]])).toEqual([[], ['active']]);
+    });
+
+    it('picks up the active alerts of a rule after the rules are reloaded', async () => {
+        await addRule({});
+        await check([[0, { speed: 90 }]]);
+
+        alertManager.states.clear();
+        await alertManager.loadRules();
+
+        expect(await check([[10, { speed: 90 }], [20, { speed: 50 }]])).toEqual([[], ['resolved']]);
+        expect(await Alert.count()).toBe(1);
+    });
+});
@@ -0,0 +1,172 @@
+// backend/src/test/commandManager.test.js
+const config = require('../config');
+const { sequelize, Device, Command } = require('../models');
+const commandManager = require('../services/commandManager');
+
+const IMEI = '861230043907626';
+const DEVICE_NUMBER = 50;
+
+function fakeSocket() {
+    return { destroyed: false, writable: true, remoteAddress: '10.0.0.1', remotePort: 50000, write: jest.fn() };
+}
+
+// Wait for the delivery that bindSocket starts in the background
+async function waitFor(check) {
+    for (let i = 0; i < 50; i++) {
+        if (await check()) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for the command manager');
+}
+
+// A device reply repeats the command layout with the reply text, optionally followed by 0xEB data
+function replyPacket(commandNumber, text, data) {
+    const reply = commandManager.buildCommandPacket(IMEI, DEVICE_NUMBER, commandNumber, text);
+    if (!data) {
+        return reply;
+    }
+
+    const body = Buffer.concat([reply.subarray(0, reply.length - 2), Buffer.from([0xEB, data.length]), data]);
+    body.writeUInt16LE(body.length - 3, 1);
+    const checksum = Buffer.alloc(2);
+    checksum.writeUInt16LE(commandManager.parser.calculateCRC16(body), 0);
+    return Buffer.concat([body, checksum]);
+}
+
+beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    await Device.create({ imei: IMEI, name: 'Truck' });
+});
+
+afterAll(async () => {
+    await sequelize.close();
+});
+
+beforeEach(async () => {
+    await Command.destroy({ where: {} });
+});
+
+afterEach(() => {
+    commandManager.connections.clear();
+    commandManager.replyTimers.forEach(timer => clearTimeout(timer));
+    commandManager.replyTimers.clear();
+});
+
+describe('command delivery', () => {
+    it('keeps a command for an offline device pending and sends it when the device connects', async () => {
+        const command = await commandManager.queueCommand(IMEI, 'status');
+        expect(command.status).toBe('pending');
+
+        const socket = fakeSocket();
+        commandManager.bindSocket(IMEI, socket, DEVICE_NUMBER);
+        await waitFor(async () => (await command.reload()).status === 'sent');
+
+        expect(socket.write).toHaveBeenCalledTimes(1);
+        expect(socket.write).toHaveBeenCalledWith(
+            commandManager.buildCommandPacket(IMEI, DEVICE_NUMBER, Number(command.commandNumber), 'status')
+        );
+        expect(command.attempts).toBe(1);
+        expect(command.sentAt).toBeInstanceOf(Date);
+    });
+
+    it('sends waiting commands in the order they were queued, once per connection', async () => {
+        const first = await commandManager.queueCommand(IMEI, 'first');
+        const second = await commandManager.queueCommand(IMEI, 'second');
+
+        const socket = fakeSocket();
+        commandManager.bindSocket(IMEI, socket, DEVICE_NUMBER);
+        commandManager.bindSocket(IMEI, socket, DEVICE_NUMBER);
+        await waitFor(() => socket.write.mock.calls.length === 2);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const numbers = socket.write.mock.calls.map(([packet]) => packet.readUInt32LE(23));
+        expect(numbers).toEqual([Number(first.commandNumber), Number(second.commandNumber)]);
+    });
+
+    it('sends a command straight away while the device is connected', async () => {
+        const socket = fakeSocket();
+        commandManager.bindSocket(IMEI, socket, DEVICE_NUMBER);
+
+        const command = await commandManager.queueCommand(IMEI, 'ВЕРСИЯ');
+
+        expect(command.status).toBe('sent');
+        const packet = socket.write.mock.calls[0][0];
+        expect(commandManager.isCommandReply(packet)).toBe(true);
+        expect(commandManager.parseReply(packet).text).toBe('ВЕРСИЯ');
+    });
+
+    it('does not write to a socket that has closed', async () => {
+        const socket = fakeSocket();
+        commandManager.bindSocket(IMEI, socket, DEVICE_NUMBER);
+        socket.destroyed = true;
+
+        const command = await commandManager.queueCommand(IMEI, 'status');
+
+        expect(command.status).toBe('pending');
+        expect(socket.write).not.toHaveBeenCalled();
+    });
+});
+
+describe('command replies', () => {
+    async function sentCommand(text) {
+        commandManager.bindSocket(IMEI, fakeSocket(), DEVICE_NUMBER);
+        return commandManager.queueCommand(IMEI, text);
+    }
+
+    it('matches a reply to the command by its number', async () => {
+        const other = await sentCommand('status');
+        const command = await sentCommand('imei');
+
+        const reply = replyPacket(Number(command.commandNumber), `IMEI=${IMEI}`);
+        expect(commandManager.isCommandReply(reply)).toBe(true);
+        const matched = await commandManager.handleReply(reply, fakeSocket());
+
+        expect(matched.id).toBe(command.id);
+        await command.reload();
+        expect(command).toMatchObject({ status: 'replied', response: `IMEI=${IMEI}`, responseData: null });
+        expect(command.repliedAt).toBeInstanceOf(Date);
+        expect((await other.reload()).status).toBe('sent');
+        expect(commandManager.replyTimers.has(command.id)).toBe(false);
+    });
+
+    it('stores the 0xEB data that follows the reply text', async () => {
+        const command = await sentCommand('photo');
+
+        await commandManager.handleReply(replyPacket(Number(command.commandNumber), 'OK', Buffer.from([0xDE, 0xAD, 0xBE, 0xEF])), fakeSocket());
+
+        expect((await command.reload()).responseData).toBe('DEADBEEF');
+    });
+
+    it('ignores a reply that matches no sent command', async () => {
+        const command = await sentCommand('status');
+
+        const matched = await commandManager.handleReply(replyPacket((Number(command.commandNumber) + 1) % 0xFFFFFFFF, 'OK'), fakeSocket());
+
+        expect(matched).toBeNull();
+        expect((await command.reload()).status).toBe('sent');
+    });
+
+    it('times a command out and still accepts a late reply', async () => {
+        const replyTimeout = config.commands.replyTimeout;
+        config.commands.replyTimeout = 10;
+        try {
+            const command = await sentCommand('status');
+            await waitFor(async () => (await command.reload()).status === 'timeout');
+
+            await commandManager.handleReply(replyPacket(Number(command.commandNumber), 'OK'), fakeSocket());
+
+            expect((await command.reload()).status).toBe('replied');
+        } finally {
+            config.commands.replyTimeout = replyTimeout;
+        }
+    });
+
+    it('rejects a reply whose text runs past the end of the packet', () => {
+        const reply = replyPacket(1, 'OK');
+        reply.writeUInt8(40, 28);
+
+        expect(() => commandManager.parseReply(reply)).toThrow('Command reply text exceeds packet length');
+    });
+});
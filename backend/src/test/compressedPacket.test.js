@@ -0,0 +1,134 @@
+// backend/src/test/compressedPacket.test.js
+const GalileoskyParser = require('../services/parser');
+
+const parser = new GalileoskyParser();
+
+const fromHex = hex => Buffer.from(hex.replace(/\s+/g, ''), 'hex');
+
+// Wrap a record body in a 0x08 header, length and CRC
+function buildCompressedPacket(body) {
+    const head = Buffer.alloc(3);
+    head.writeUInt8(0x08, 0);
+    head.writeUInt16LE(body.length, 1);
+    const packet = Buffer.concat([head, body]);
+    const checksum = Buffer.alloc(2);
+    checksum.writeUInt16LE(parser.calculateCRC16(packet), 0);
+    return Buffer.concat([packet, checksum]);
+}
+
+// Pack a minimal data set: 0 | seconds:25 | invalid:1 | lon:22 | lat:21 | alarm:1 | 0, then user tag 0
+function buildMinimalDataSet({ seconds, latitude, longitude, valid = true, alarm = false, userTag = 0 }) {
+    const fields = [
+        [0, 1],
+        [seconds, 25],
+        [valid ? 0 : 1, 1],
+        [Math.round(((longitude + 180) * 2 ** 22) / 360), 22],
+        [Math.round(((latitude + 90) * 2 ** 21) / 180), 21],
+        [alarm ? 1 : 0, 1],
+        [0, 1]
+    ];
+    const bits = fields.map(([value, length]) => value.toString(2).padStart(length, '0')).join('');
+    const bytes = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    bytes.push(userTag);
+    return Buffer.from(bytes);
+}
+
+describe('compressed packets (0x08)', () => {
+    // The year of a minimal data set is not transmitted; it is taken from the clock
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-06-15T12:00:00.000Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    // Examples from documentP/Galileosky-Protocols.html, "Main packet with compression and extended tags"
+    it('decodes the documented tag list example with extended tags', async () => {
+        const packet = fromHex('08 15 00 82 04 FE 02 00 01 00 FA 00 32 00 08 00 00 00 00 00 00 00 00 00 59 93');
+        const result = await parser.parse(packet);
+
+        expect(result.type).toBe('compressed');
+        expect(result.records).toHaveLength(1);
+        expect(result.records[0].tags['0x04'].value).toBe(50);
+        expect(result.records[0].tags['0x0001'].value).toBe(0);
+    });
+
+    it('decodes the documented extended tag bitmask example', async () => {
+        const packet = fromHex('08 12 00 82 04 FE 01 80 06 32 00 08 00 00 00 00 00 00 00 00 00 52 78');
+        const result = await parser.parse(packet);
+
+        expect(result.records).toHaveLength(1);
+        expect(Object.keys(result.records[0].tags).sort()).toEqual(['0x0001', '0x0002', '0x04']);
+        expect(result.records[0].tags['0x04'].value).toBe(50);
+    });
+
+    it('has a valid checksum on the documented examples', () => {
+        const packet = fromHex('08 12 00 82 04 FE 01 80 06 32 00 08 00 00 00 00 00 00 00 00 00 52 78');
+        expect(parser.calculateCRC16(packet.slice(0, -2))).toBe(packet.readUInt16LE(packet.length - 2));
+    });
+
+    it('decodes the minimal data set into main packet tags for every record', async () => {
+        const first = buildMinimalDataSet({ seconds: 31 * 86400 + 3600, latitude: 55.75, longitude: 37.62, userTag: 7 });
+        const second = buildMinimalDataSet({ seconds: 31 * 86400 + 3660, latitude: -33.86, longitude: -151.2, valid: false, alarm: true });
+        const body = Buffer.concat([
+            first, fromHex('82 04 41'), fromHex('32 00 10 27'),
+            second, fromHex('33 00 20 4E')
+        ]);
+        const result = await parser.parse(buildCompressedPacket(body));
+
+        expect(result.records).toHaveLength(2);
+        const [a, b] = result.records;
+
+        expect(a.tags['0x20'].value.toISOString()).toBe('2025-02-01T01:00:00.000Z');
+        expect(a.tags['0x30'].value.latitude).toBeCloseTo(55.75, 4);
+        expect(a.tags['0x30'].value.longitude).toBeCloseTo(37.62, 4);
+        expect(a.tags['0x30'].value.correctness).toBe(0);
+        expect(a.tags['0xe2'].value).toBe(7);
+        expect(a.tags['0x04'].value).toBe(50);
+        expect(a.tags['0x41'].value).toBe(10000);
+        expect(a.minimalData.alarm).toBe(false);
+
+        expect(b.tags['0x20'].value.toISOString()).toBe('2025-02-01T01:01:00.000Z');
+        expect(b.tags['0x30'].value.latitude).toBeCloseTo(-33.86, 4);
+        expect(b.tags['0x30'].value.longitude).toBeCloseTo(-151.2, 4);
+        expect(b.tags['0x30'].value.correctness).toBe(1);
+        expect(b.tags['0x04'].value).toBe(51);
+        expect(b.tags['0x41'].value).toBe(20000);
+        expect(b.minimalData.alarm).toBe(true);
+    });
+
+    it('dates records of late last year received in early January to last year', async () => {
+        jest.setSystemTime(new Date('2026-01-02T00:00:00.000Z'));
+        const body = buildMinimalDataSet({ seconds: 364 * 86400, latitude: 55.75, longitude: 37.62 });
+        const result = await parser.parse(buildCompressedPacket(body));
+
+        expect(result.records[0].tags['0x20'].value.toISOString()).toBe('2025-12-31T00:00:00.000Z');
+    });
+
+    it('decodes the 32-byte tag bitmask form', async () => {
+        const mask = Buffer.alloc(32);
+        mask[0x04 >> 3] |= 1 << (0x04 & 7);
+        mask[0x33 >> 3] |= 1 << (0x33 & 7);
+        const body = Buffer.concat([
+            fromHex('FF'), mask,
+            fromHex('01 00'), fromHex('5C 00 48 08'),
+            fromHex('02 00'), fromHex('C8 00 10 0E')
+        ]);
+        const result = await parser.parse(buildCompressedPacket(body));
+
+        expect(result.records).toHaveLength(2);
+        expect(result.records[0].tags['0x04'].value).toBe(1);
+        expect(result.records[0].tags['0x33'].value).toEqual({ speed: 9.2, direction: 212 });
+        expect(result.records[1].tags['0x04'].value).toBe(2);
+        expect(result.records[1].tags['0x33'].value).toEqual({ speed: 20, direction: 0 });
+    });
+
+    it('rejects packets listing a tag whose length is unknown', async () => {
+        const body = Buffer.concat([fromHex('81 5C'), fromHex('00 00')]);
+        await expect(parser.parse(buildCompressedPacket(body))).rejects.toThrow('Unknown tag 0x5c');
+    });
+});
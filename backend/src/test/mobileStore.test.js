@@ -0,0 +1,104 @@
+// backend/src/test/mobileStore.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { sequelize, Record } = require('../models');
+const mobileStore = require('../services/mobileStore');
+const deviceManager = require('../services/deviceManager');
+
+const IMEI = '861230043907626';
+
+// A record merged from a peer, as peerToPeerSync holds it
+function peerRecord(archiveNumber, latitude) {
+    const datetime = new Date(Date.UTC(2025, 0, 1, 12, 0, archiveNumber)).toISOString();
+    return {
+        timestamp: '2025-01-01T12:30:00.000Z',
+        deviceId: IMEI,
+        imei: IMEI,
+        archiveNumber,
+        datetime,
+        tags: {
+            '0x03': { value: IMEI },
+            '0x10': { value: archiveNumber },
+            '0x20': { value: datetime },
+            '0x30': { value: { latitude, longitude: 37.61, satellites: 7, correctness: 0 } }
+        }
+    };
+}
+
+const stored = async () => (await Record.findAll({ order: [['recordNumber', 'ASC']] }))
+    .map(row => [row.recordNumber, row.latitude]);
+
+beforeAll(async () => {
+    await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+    clearInterval(deviceManager.timer);
+    await sequelize.close();
+});
+
+beforeEach(async () => {
+    await Record.destroy({ where: {} });
+});
+
+describe('mobileStore.persist', () => {
+    it('stores records from peers once, with their device', async () => {
+        await mobileStore.persist([peerRecord(1, 55.75), peerRecord(2, 55.75)]);
+        await mobileStore.persist([peerRecord(2, 55.75), peerRecord(3, 55.75)]);
+
+        expect(await stored()).toEqual([[1, 55.75], [2, 55.75], [3, 55.75]]);
+    });
+
+    it('updates the rows of records replaced by the peer version', async () => {
+        await mobileStore.persist([peerRecord(1, 55.75), peerRecord(2, 55.75)]);
+
+        await mobileStore.persist([peerRecord(3, 55.75)], [peerRecord(2, 55.76)]);
+
+        expect(await stored()).toEqual([[1, 55.75], [2, 55.76], [3, 55.75]]);
+    });
+});
+
+describe('mobileStore snapshot and clear', () => {
+    const OTHER_IMEI = '861230043907627';
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-store-'));
+        config.mobile = { dataDirectory: directory, saveInterval: 0, memoryRecords: 100 };
+        global.parsedData = [
+            { ...peerRecord(1, 55.75), syncSeq: 1, syncSource: 'peer-a' },
+            { ...peerRecord(2, 55.75), syncSeq: 2 },
+            { ...peerRecord(3, 55.75), deviceId: OTHER_IMEI, imei: OTHER_IMEI }
+        ];
+        global.devices = new Map([[IMEI, { recordCount: 2 }], [OTHER_IMEI, { recordCount: 1 }]]);
+        global.lastIMEI = OTHER_IMEI;
+    });
+
+    afterEach(() => {
+        delete config.mobile;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('returns the latest records and devices in scope without the sync bookkeeping', () => {
+        const snapshot = mobileStore.snapshot(new Set([IMEI]), 1);
+
+        expect(snapshot).toMatchObject({ devices: { [IMEI]: { recordCount: 2 } }, lastIMEI: null, totalRecords: 2, totalDevices: 1 });
+        expect(snapshot.records).toEqual([peerRecord(2, 55.75)]);
+        expect(mobileStore.snapshot().totalRecords).toBe(3);
+    });
+
+    it('forgets the records held and their files, but not the stored rows', async () => {
+        await mobileStore.persist(global.parsedData.slice(0, 1));
+        mobileStore.save();
+        expect(mobileStore.getStorageInfo().parsedDataFile.exists).toBe(true);
+
+        mobileStore.clear();
+
+        const info = mobileStore.getStorageInfo();
+        expect(info.memoryData).toEqual({ records: 0, devices: 0, lastIMEI: null });
+        expect([info.parsedDataFile, info.devicesFile, info.lastImeiFile].map(file => file.exists)).toEqual([false, false, false]);
+        expect(await Record.count()).toBe(1);
+    });
+});
@@ -0,0 +1,350 @@
+// backend/src/test/notificationManager.test.js
+const http = require('http');
+const net = require('net');
+const config = require('../config');
+const { sequelize, Alert, AlertRule, Device, NotificationChannel, NotificationLog } = require('../models');
+const notificationManager = require('../services/notificationManager');
+
+const IMEI = '861230043907626';
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+// Webhook receiver answering each request with the next status code; the last one repeats
+async function startWebhook(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ time: Date.now(), method: req.method, headers: req.headers, body: JSON.parse(body) });
+            res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    const port = await listen(server);
+    return { server, requests, url: `http://127.0.0.1:${port}/hook` };
+}
+
+// SMTP server that accepts every message without STARTTLS or authentication
+async function startSmtp() {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let message = null;
+        const reply = line => socket.write(`${line}\r\n`);
+
+        reply('220 stub ESMTP');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (message && message.data !== null) {
+                    if (line === '.') {
+                        messages.push(message);
+                        message = null;
+                        reply('250 2.0.0 Ok: queued as STUB1');
+                    } else {
+                        message.data += `${line}\n`;
+                    }
+                } else if (/^(EHLO|HELO)/i.test(line)) {
+                    reply('250 stub');
+                } else if (/^MAIL FROM:/i.test(line)) {
+                    message = { from: line.slice(10), to: [], data: null };
+                    reply('250 2.1.0 Ok');
+                } else if (/^RCPT TO:/i.test(line)) {
+                    message.to.push(line.slice(8));
+                    reply('250 2.1.5 Ok');
+                } else if (/^DATA/i.test(line)) {
+                    message.data = '';
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (/^QUIT/i.test(line)) {
+                    reply('221 2.0.0 Bye');
+                    socket.end();
+                } else {
+                    reply('250 Ok');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    const port = await listen(server);
+    return { server, messages, port };
+}
+
+// MQTT 3.1.1 broker that acknowledges connections and QoS 1 publishes and records what it receives
+async function startBroker() {
+    const connects = [];
+    const publishes = [];
+    const server = net.createServer((socket) => {
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            for (;;) {
+                // Fixed header: type and flags, then a variable length of up to four bytes
+                let length = 0;
+                let offset = 1;
+                let byte;
+                do {
+                    if (offset >= buffer.length) {
+                        return;
+                    }
+                    byte = buffer[offset];
+                    length += (byte & 0x7F) * 128 ** (offset - 1);
+                    offset++;
+                } while (byte & 0x80);
+                if (buffer.length < offset + length) {
+                    return;
+                }
+
+                const type = buffer[0] >> 4;
+                const flags = buffer[0] & 0x0F;
+                const body = buffer.subarray(offset, offset + length);
+                buffer = buffer.subarray(offset + length);
+
+                if (type === 1) { // CONNECT; the flags follow the protocol name and level
+                    connects.push({ flags: body[7] });
+                    socket.write(Buffer.from([0x20, 0x02, 0x00, 0x00]));
+                } else if (type === 3) { // PUBLISH
+                    const qos = (flags >> 1) & 0x03;
+                    const topicLength = body.readUInt16BE(0);
+                    let position = 2 + topicLength;
+                    const publish = { topic: body.toString('utf8', 2, position), qos, retain: Boolean(flags & 0x01) };
+                    if (qos > 0) {
+                        const packetId = body.readUInt16BE(position);
+                        position += 2;
+                        socket.write(Buffer.from([0x40, 0x02, packetId >> 8, packetId & 0xFF]));
+                    }
+                    publish.payload = body.toString('utf8', position);
+                    publishes.push(publish);
+                } else if (type === 12) { // PINGREQ
+                    socket.write(Buffer.from([0xD0, 0x00]));
+                } else if (type === 14) { // DISCONNECT
+                    socket.end();
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    const port = await listen(server);
+    return { server, connects, publishes, url: `mqtt://127.0.0.1:${port}` };
+}
+
+let notifications;
+
+beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    await Device.create({ imei: IMEI, name: 'Truck' });
+    notifications = { ...config.notifications };
+    Object.assign(config.notifications, { timeout: 2000, maxRetries: 2, retryDelay: 20 });
+});
+
+afterAll(async () => {
+    Object.assign(config.notifications, notifications);
+    await sequelize.close();
+});
+
+beforeEach(async () => {
+    await NotificationLog.destroy({ where: {} });
+});
+
+describe('webhook channels', () => {
+    let webhook;
+
+    afterEach(async () => {
+        await close(webhook.server);
+    });
+
+    async function deliver(statuses, settings = {}) {
+        webhook = await startWebhook(statuses);
+        const channel = await NotificationChannel.create({ name: 'Hook', type: 'webhook', config: { url: webhook.url, ...settings } });
+        return notificationManager.sendTest(channel);
+    }
+
+    it('posts the alert and logs the response', async () => {
+        const log = await deliver([200], { headers: { 'X-Token': 'abc' } });
+
+        expect(log).toMatchObject({ event: 'test', status: 'sent', attempts: 1, response: '200 OK', error: null, alertId: null });
+        expect(webhook.requests).toHaveLength(1);
+        expect(webhook.requests[0].method).toBe('POST');
+        expect(webhook.requests[0].headers['x-token']).toBe('abc');
+        expect(webhook.requests[0].body).toMatchObject({
+            event: 'test',
+            message: log.message,
+            device: { name: 'Test device', imei: '000000000000000' },
+            rule: { name: 'Test rule' }
+        });
+    });
+
+    it('retries server errors with a doubling delay', async () => {
+        const log = await deliver([500, 503, 204]);
+
+        expect(log).toMatchObject({ status: 'sent', attempts: 3, response: '204 No Content' });
+        const [first, second, third] = webhook.requests.map(request => request.time);
+        expect(second - first).toBeGreaterThanOrEqual(18);
+        expect(third - second).toBeGreaterThanOrEqual(38);
+    });
+
+    it('logs a failure once the retries are used up', async () => {
+        const log = await deliver([502]);
+
+        expect(log).toMatchObject({ status: 'failed', attempts: 3, error: 'HTTP 502', response: null });
+        expect(webhook.requests).toHaveLength(3);
+    });
+
+    it('does not retry client errors', async () => {
+        const log = await deliver([404]);
+
+        expect(log).toMatchObject({ status: 'failed', attempts: 1, error: 'HTTP 404' });
+        expect(webhook.requests).toHaveLength(1);
+    });
+
+    it('retries when rate limited', async () => {
+        const log = await deliver([429, 200]);
+
+        expect(log).toMatchObject({ status: 'sent', attempts: 2 });
+        expect(webhook.requests).toHaveLength(2);
+    });
+});
+
+describe('email channels', () => {
+    it('sends the rendered subject and message through the SMTP server', async () => {
+        const smtp = await startSmtp();
+        try {
+            const channel = await NotificationChannel.create({
+                name: 'Mail',
+                type: 'email',
+                config: { host: '127.0.0.1', port: smtp.port, from: 'alerts@example.com', to: 'ops@example.com' },
+                subject: '{{event}}: {{rule.name}} on {{device.name}}',
+                template: 'Check {{device.name}}'
+            });
+
+            const log = await notificationManager.sendTest(channel);
+
+            expect(log).toMatchObject({ status: 'sent', attempts: 1, message: 'Check Test device', response: '250 2.0.0 Ok: queued as STUB1' });
+            expect(smtp.messages).toHaveLength(1);
+            expect(smtp.messages[0].from).toBe('<alerts@example.com>');
+            expect(smtp.messages[0].to).toEqual(['<ops@example.com>']);
+            expect(smtp.messages[0].data).toMatch(/^Subject: test: Test rule on Test device$/m);
+            expect(smtp.messages[0].data).toMatch(/^Check Test device$/m);
+        } finally {
+            await close(smtp.server);
+        }
+    });
+
+    it('logs a failure when the server cannot be reached', async () => {
+        const smtp = await startSmtp();
+        await close(smtp.server);
+        const channel = await NotificationChannel.create({
+            name: 'Mail',
+            type: 'email',
+            config: { host: '127.0.0.1', port: smtp.port, from: 'alerts@example.com', to: 'ops@example.com' }
+        });
+
+        const log = await notificationManager.sendTest(channel);
+
+        expect(log.status).toBe('failed');
+        expect(log.error).toMatch(/ECONNREFUSED/);
+    });
+});
+
+describe('mqtt channels', () => {
+    let broker;
+
+    beforeEach(async () => {
+        broker = await startBroker();
+    });
+
+    afterEach(async () => {
+        await close(broker.server);
+    });
+
+    it('publishes the alert as JSON to the rendered topic', async () => {
+        const channel = await NotificationChannel.create({
+            name: 'Broker',
+            type: 'mqtt',
+            config: { url: broker.url, topic: 'fleet/{{device.imei}}/alerts', qos: 1, retain: true }
+        });
+
+        const log = await notificationManager.sendTest(channel);
+
+        expect(log).toMatchObject({ status: 'sent', attempts: 1, response: 'published to fleet/000000000000000/alerts' });
+        expect(broker.publishes).toHaveLength(1);
+        expect(broker.publishes[0]).toMatchObject({ topic: 'fleet/000000000000000/alerts', qos: 1, retain: true });
+        expect(JSON.parse(broker.publishes[0].payload)).toMatchObject({ event: 'test', message: log.message });
+    });
+
+    it('publishes the plain message in text format', async () => {
+        const channel = await NotificationChannel.create({
+            name: 'Broker',
+            type: 'mqtt',
+            config: { url: broker.url, topic: 'alerts', format: 'text', username: 'fleet', password: 'secret' },
+            template: '{{alert.message}}'
+        });
+
+        await notificationManager.sendTest(channel);
+
+        expect(broker.publishes[0]).toMatchObject({ topic: 'alerts', qos: 0, retain: false, payload: 'Test notification from channel Broker' });
+        // Username and password flags of the CONNECT packet
+        expect(broker.connects[0].flags & 0xC0).toBe(0xC0);
+    });
+});
+
+describe('notificationManager.deliverAlerts', () => {
+    let webhook;
+    let rule;
+
+    beforeAll(async () => {
+        webhook = await startWebhook([200]);
+        rule = await AlertRule.create({ name: 'Overspeed', condition: 'speed > 80', severity: 'high' });
+        const hook = await NotificationChannel.create({ name: 'Hook', type: 'webhook', config: { url: webhook.url }, notifyOnResolve: true });
+        const disabled = await NotificationChannel.create({ name: 'Off', type: 'webhook', config: { url: webhook.url }, enabled: false });
+        const triggeredOnly = await NotificationChannel.create({ name: 'Pager', type: 'webhook', config: { url: webhook.url } });
+        await rule.setChannels([hook, disabled, triggeredOnly]);
+    });
+
+    afterAll(async () => {
+        await close(webhook.server);
+    });
+
+    beforeEach(() => {
+        webhook.requests.length = 0;
+    });
+
+    it('sends a triggered alert to the enabled channels of its rule and logs each delivery', async () => {
+        const alert = await Alert.create({ deviceId: IMEI, ruleId: rule.id, message: 'Overspeed: speed > 80', severity: 'high', status: 'active', timestamp: new Date() });
+
+        await notificationManager.deliverAlerts([alert]);
+
+        const logs = await NotificationLog.findAll({ include: [{ model: NotificationChannel, as: 'channel' }] });
+        expect(logs.map(log => log.channel.name).sort()).toEqual(['Hook', 'Pager']);
+        logs.forEach(log => expect(log).toMatchObject({ alertId: alert.id, event: 'triggered', status: 'sent', attempts: 1 }));
+        expect(logs[0].message).toMatch(/^Alert triggered: Overspeed: speed > 80\nDevice: Truck \(861230043907626\)/);
+        expect(webhook.requests[0].body.device).toEqual({ name: 'Truck', imei: IMEI });
+    });
+
+    it('sends a resolved alert only to the channels that ask for it', async () => {
+        const alert = await Alert.create({ deviceId: IMEI, ruleId: rule.id, message: 'Overspeed: speed > 80', severity: 'high', status: 'resolved', timestamp: new Date() });
+
+        await notificationManager.deliverAlerts([alert]);
+
+        const logs = await NotificationLog.findAll();
+        expect(logs).toHaveLength(1);
+        expect(logs[0]).toMatchObject({ event: 'resolved', status: 'sent' });
+    });
+
+    it('skips alerts that no rule raised', async () => {
+        await notificationManager.deliverAlerts([{ id: 1, deviceId: IMEI, ruleId: null, status: 'active' }]);
+
+        expect(await NotificationLog.count()).toBe(0);
+        expect(webhook.requests).toHaveLength(0);
+    });
+});
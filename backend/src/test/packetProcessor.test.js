@@ -0,0 +1,133 @@
+// backend/src/test/packetProcessor.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The shared queue journals into its own directory, away from backend/data
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-processor-'));
+process.env.QUEUE_DIRECTORY = path.join(directory, 'shared');
+
+const config = require('../config');
+const { sequelize, Record } = require('../models');
+const packetProcessor = require('../services/packetProcessor');
+const deviceManager = require('../services/deviceManager');
+const confirmationManager = require('../services/confirmationManager');
+const { PacketQueue } = require('../services/packetQueue');
+
+const IMEI = '861230043907626';
+
+// A tracker's packet of four archive records, captured in documentP/For more 32bytes.txt.
+// Archive records carry no IMEI; it comes from the head packet of the connection
+function archivePacket() {
+    const capture = fs.readFileSync(path.join(__dirname, '..', '..', '..', 'documentP', 'For more 32bytes.txt'), 'utf8');
+    return Buffer.from(capture.split('\n')[0].split('\t')[1], 'hex');
+}
+
+function fakeSocket() {
+    return { destroyed: false, writable: true, remoteAddress: '10.0.0.1', remotePort: 50000, write: jest.fn() };
+}
+
+// Queue a packet as the TCP server does in durable mode and wait for the outcome
+function receive(queue, socket, packet) {
+    const metadata = { imei: IMEI, address: '10.0.0.1:50000' };
+    metadata.confirmationKey = confirmationManager.track(socket, packet, metadata);
+    const outcome = new Promise((resolve) => {
+        const done = (item) => {
+            if (item.metadata === metadata) {
+                queue.off('processed', done);
+                queue.off('failed', done);
+                resolve();
+            }
+        };
+        queue.on('processed', done);
+        queue.on('failed', done);
+    });
+    return queue.enqueue(packet, socket, metadata).then(() => outcome);
+}
+
+const confirmation = packet => Buffer.from([0x02, packet[packet.length - 2], packet[packet.length - 1]]);
+
+let queue;
+let mode;
+
+beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    mode = config.tcp.confirmationMode;
+    config.tcp.confirmationMode = 'durable';
+    queue = new PacketQueue({ directory: path.join(directory, 'queue'), maxRetries: 0 });
+    confirmationManager.attach(queue);
+});
+
+afterAll(async () => {
+    config.tcp.confirmationMode = mode;
+    await queue.close();
+    clearInterval(deviceManager.timer);
+    await sequelize.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    await Record.destroy({ where: {} });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('durable confirmation', () => {
+    it('confirms a packet only after its records are committed', async () => {
+        const packet = archivePacket();
+        const socket = fakeSocket();
+        let storedWhenConfirmed;
+        socket.write.mockImplementation(() => {
+            storedWhenConfirmed = Record.count();
+        });
+
+        await receive(queue, socket, packet);
+
+        expect(socket.write).toHaveBeenCalledTimes(1);
+        expect(socket.write).toHaveBeenCalledWith(confirmation(packet));
+        expect(await storedWhenConfirmed).toBe(4);
+    });
+
+    it('withholds the confirmation when the records cannot be stored', async () => {
+        const socket = fakeSocket();
+        jest.spyOn(Record, 'bulkCreate').mockRejectedValueOnce(new Error('SQLITE_FULL: database or disk is full'));
+
+        await receive(queue, socket, archivePacket());
+
+        expect(socket.write).not.toHaveBeenCalled();
+        expect(await Record.count()).toBe(0);
+    });
+});
+
+describe('packetProcessor.batchSaveToDatabase', () => {
+    it('stores the records of a resent packet only once and confirms it again', async () => {
+        const packet = archivePacket();
+        const first = fakeSocket();
+        const resent = fakeSocket();
+        const saved = jest.fn();
+        packetProcessor.on('saved', saved);
+
+        await receive(queue, first, packet);
+        // The confirmation got lost, so the device sends the same packet again
+        await receive(queue, resent, packet);
+        packetProcessor.off('saved', saved);
+
+        const records = await Record.findAll({ order: [['recordNumber', 'ASC']] });
+        expect(records.map(record => record.recordNumber)).toEqual([16733, 16734, 16735, 16736]);
+        expect(resent.write).toHaveBeenCalledWith(confirmation(packet));
+        expect(saved.mock.calls.map(([rows]) => rows.length)).toEqual([4, 0]);
+    });
+
+    it('stores only the records a packet adds to those stored before', async () => {
+        const parsed = await packetProcessor.parser.parse(archivePacket());
+        const records = parsed.records.map(record => ({ ...record, imei: IMEI }));
+
+        await packetProcessor.batchSaveToDatabase(records.slice(0, 2));
+        const saved = await packetProcessor.batchSaveToDatabase([...records, records[3]]);
+
+        expect(saved.map(row => row.recordNumber)).toEqual([16734, 16733]);
+        expect(await Record.count()).toBe(4);
+    });
+});
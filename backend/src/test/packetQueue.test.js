@@ -0,0 +1,251 @@
+// backend/src/test/packetQueue.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The shared queue journals into its own directory, away from backend/data
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-queue-'));
+process.env.QUEUE_DIRECTORY = path.join(directory, 'shared');
+
+const config = require('../config');
+const { sequelize } = require('../models');
+const deviceManager = require('../services/deviceManager');
+const { PacketQueue } = require('../services/packetQueue');
+
+let queues = 0;
+
+// A queue with its own journal, processing packets with the given function
+function createQueue(processor, options = {}) {
+    queues++;
+    return new PacketQueue({
+        directory: path.join(directory, `queue-${queues}`),
+        retryDelay: 1,
+        processor,
+        ...options
+    });
+}
+
+// Resolves with the arguments of the next event of a queue
+const next = (queue, event) => new Promise(resolve => queue.once(event, (...args) => resolve(args)));
+
+const packet = n => Buffer.from([0x01, n]);
+
+beforeAll(async () => {
+    await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+    clearInterval(deviceManager.timer);
+    await sequelize.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('PacketQueue journal', () => {
+    it('replays packets that were queued but not processed before a restart', async () => {
+        const stuck = createQueue(() => new Promise(() => {}), { maxConcurrency: 1 });
+        await stuck.enqueue(packet(1), null, { imei: 'A' });
+        await stuck.enqueue(packet(2), null, { imei: 'B' });
+        await stuck.close(0);
+
+        const processed = [];
+        let restarted;
+        await new Promise((resolve) => {
+            restarted = new PacketQueue({
+                directory: stuck.directory,
+                processor: async (item) => { processed.push(item); return {}; }
+            });
+            restarted.on('processed', () => processed.length === 2 && resolve());
+        });
+
+        expect(restarted.stats.restored).toBe(2);
+        expect(processed.map(item => item.packet)).toEqual([packet(1), packet(2)]);
+        expect(processed[0].metadata).toEqual({ imei: 'A', restored: true });
+        expect(restarted.readJournal()).toEqual([]);
+        await restarted.close();
+    });
+
+    it('does not replay packets that were processed', async () => {
+        const queue = createQueue(async () => ({}));
+        await queue.enqueue(packet(1), null, { imei: 'A' });
+        await next(queue, 'processed');
+        await queue.close();
+
+        const restarted = new PacketQueue({ directory: queue.directory, processor: async () => ({}) });
+
+        expect(restarted.stats.restored).toBe(0);
+        await restarted.close();
+    });
+});
+
+describe('PacketQueue retries', () => {
+    it('retries a failing packet and then moves it to the dead letters', async () => {
+        const processor = jest.fn().mockRejectedValue(new Error('database is locked'));
+        const queue = createQueue(processor, { maxRetries: 2 });
+        const retries = [];
+        queue.on('retry', (item, error, delay) => retries.push(delay));
+
+        await queue.enqueue(packet(1), null, { imei: 'A', address: '10.0.0.1:50000' });
+        const [item, error] = await next(queue, 'failed');
+
+        expect(processor).toHaveBeenCalledTimes(3);
+        expect(retries).toEqual([1, 2]);
+        expect(item.retries).toBe(2);
+        expect(error.message).toBe('database is locked');
+        expect(queue.getDeadLetters()).toMatchObject([{ id: item.id, packet: '0101', retries: 2, error: 'database is locked' }]);
+        await queue.close();
+    });
+
+    it('stores a packet once a retry succeeds', async () => {
+        const processor = jest.fn()
+            .mockRejectedValueOnce(new Error('database is locked'))
+            .mockResolvedValueOnce({ id: 1 });
+        const queue = createQueue(processor);
+
+        await queue.enqueue(packet(1), null, { imei: 'A' });
+        const [item, , result] = await next(queue, 'processed');
+
+        expect(item.retries).toBe(1);
+        expect(result).toEqual({ id: 1 });
+        expect(queue.getDeadLetters()).toEqual([]);
+        await queue.close();
+    });
+
+    it('sends non-retryable errors straight to the dead letters', async () => {
+        const processor = jest.fn().mockImplementation(async () => {
+            const error = new Error('Checksum mismatch');
+            error.retryable = false;
+            throw error;
+        });
+        const queue = createQueue(processor, { maxRetries: 3 });
+
+        await queue.enqueue(packet(1), null, { imei: 'A' });
+        const [item] = await next(queue, 'failed');
+
+        expect(processor).toHaveBeenCalledTimes(1);
+        expect(item.retries).toBe(0);
+        expect(queue.getDeadLetters()).toHaveLength(1);
+        await queue.close();
+    });
+
+    it('does not retry at all with QUEUE_MAX_RETRIES=0', async () => {
+        process.env.QUEUE_MAX_RETRIES = '0';
+        let maxRetries;
+        try {
+            jest.isolateModules(() => {
+                maxRetries = require('../config').queue.maxRetries;
+            });
+        } finally {
+            delete process.env.QUEUE_MAX_RETRIES;
+        }
+        expect(maxRetries).toBe(0);
+
+        const configured = config.queue.maxRetries;
+        config.queue.maxRetries = maxRetries;
+        try {
+            const processor = jest.fn().mockRejectedValue(new Error('database is locked'));
+            const queue = new PacketQueue({ directory: path.join(directory, 'no-retries'), processor });
+            await queue.enqueue(packet(1), null, { imei: 'A' });
+            await next(queue, 'failed');
+
+            expect(processor).toHaveBeenCalledTimes(1);
+            await queue.close();
+        } finally {
+            config.queue.maxRetries = configured;
+        }
+    });
+
+    it('puts dead letters back on the queue', async () => {
+        const processor = jest.fn()
+            .mockRejectedValueOnce(new Error('database is locked'))
+            .mockResolvedValueOnce({});
+        const queue = createQueue(processor, { maxRetries: 0 });
+        await queue.enqueue(packet(1), null, { imei: 'A' });
+        const [failed] = await next(queue, 'failed');
+
+        expect(await queue.retryDeadLetters()).toBe(1);
+        const [item] = await next(queue, 'processed');
+
+        expect(item.metadata).toEqual({ imei: 'A', deadLetterId: failed.id });
+        expect(queue.getDeadLetters()).toEqual([]);
+        await queue.close();
+    });
+});
+
+describe('PacketQueue flow control', () => {
+    it('makes producers wait while the queue is full and releases them as packets complete', async () => {
+        const pending = [];
+        const queue = createQueue(() => new Promise(resolve => pending.push(resolve)), { maxSize: 2, maxConcurrency: 2 });
+        await queue.enqueue(packet(1), null, { imei: 'A' });
+        await queue.enqueue(packet(2), null, { imei: 'B' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(queue.isFull()).toBe(true);
+        let third = false;
+        const waiting = queue.enqueue(packet(3), null, { imei: 'C' }).then(() => { third = true; });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(third).toBe(false);
+        expect(queue.getStats().waitingProducers).toBe(1);
+
+        const drained = next(queue, 'drain');
+        pending.shift()({});
+        await drained;
+        await waiting;
+        expect(third).toBe(true);
+
+        await new Promise(resolve => setImmediate(resolve));
+        pending.splice(0).forEach(resolve => resolve({}));
+        await queue.close();
+    });
+
+    it('processes the packets of one device in order and devices in parallel', async () => {
+        const started = [];
+        const pending = new Map();
+        const queue = createQueue(item => new Promise((resolve) => {
+            started.push(item.packet[1]);
+            pending.set(item.packet[1], resolve);
+        }));
+        await queue.enqueue(packet(1), null, { imei: 'A' });
+        await queue.enqueue(packet(2), null, { imei: 'A' });
+        await queue.enqueue(packet(3), null, { imei: 'B' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(started).toEqual([1, 3]);
+        pending.get(1)({});
+        await next(queue, 'processed');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(started).toEqual([1, 3, 2]);
+
+        pending.get(2)({});
+        pending.get(3)({});
+        await queue.close();
+    });
+
+    it('holds queued packets while paused and starts them on resume', async () => {
+        const processor = jest.fn().mockResolvedValue({});
+        const queue = createQueue(processor);
+
+        await queue.pause();
+        await queue.enqueue(packet(1), null, { imei: 'A' });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(processor).not.toHaveBeenCalled();
+        expect(queue.getStats()).toMatchObject({ paused: true, queueSize: 1 });
+
+        queue.resume();
+        await next(queue, 'processed');
+        expect(processor).toHaveBeenCalledTimes(1);
+        await queue.close();
+    });
+
+    it('refuses to pause while a packet does not finish in time', async () => {
+        let finish;
+        const queue = createQueue(() => new Promise((resolve) => { finish = resolve; }));
+        await queue.enqueue(packet(1), null, { imei: 'A' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        await expect(queue.pause(0)).rejects.toThrow('Timed out waiting for 1 packets in processing');
+        expect(queue.paused).toBe(false);
+
+        finish({});
+        await queue.close();
+    });
+});
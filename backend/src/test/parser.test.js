@@ -0,0 +1,101 @@
+// backend/src/test/parser.test.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const GalileoskyParser = require('../services/parser');
+
+const parser = new GalileoskyParser();
+
+const fromHex = hex => Buffer.from(hex.replace(/\s+/g, ''), 'hex');
+
+// Head packet example from documentP/Galileosky-Protocols.html
+const HEAD_PACKET = '01 20 00 01 9A 02 18 03 38 36 31 32 33 30 30 34 33 39 30 37 36 32 36 04 32 00 FE 06 00 01 00 00 00 00 00 8F 29';
+
+// A tracker's packet of four archive records, captured in documentP/For more 32bytes.txt
+function archivePacket() {
+    const capture = fs.readFileSync(path.join(__dirname, '..', '..', '..', 'documentP', 'For more 32bytes.txt'), 'utf8');
+    return fromHex(capture.split('\n')[0].split('\t')[1]);
+}
+
+// Replace the CRC after changing a packet
+function withChecksum(packet) {
+    packet.writeUInt16LE(parser.calculateCRC16(packet.subarray(0, packet.length - 2)), packet.length - 2);
+    return packet;
+}
+
+const values = record => Object.fromEntries(Object.entries(record.tags).map(([tag, { value }]) => [tag, value]));
+
+describe('main packets (0x01)', () => {
+    it('decodes the documented head packet', async () => {
+        const result = await parser.parse(fromHex(HEAD_PACKET));
+
+        expect(result.hasUnsentData).toBe(false);
+        expect(result.records).toHaveLength(1);
+        expect(values(result.records[0])).toEqual({
+            '0x01': 154,
+            '0x02': 24,
+            '0x03': '861230043907626',
+            '0x04': 50,
+            '0x0001': 0
+        });
+    });
+
+    it('splits a packet of archive records where the tag numbers start again', async () => {
+        const result = await parser.parse(archivePacket());
+
+        expect(result.records.map(record => record.tags['0x10'].value)).toEqual([16736, 16735, 16734, 16733]);
+        expect(result.records[0].tags['0x20'].value).toEqual(new Date('2025-06-15T10:34:01.000Z'));
+        expect(result.records[3].tags['0x20'].value).toEqual(new Date('2025-06-15T10:32:31.000Z'));
+        result.records.forEach((record) => {
+            expect(Object.keys(record.tags)).toHaveLength(43);
+        });
+    });
+
+    it('keeps the rest of the packet when a record holds an unknown tag', async () => {
+        const packet = archivePacket();
+        const second = packet.indexOf(fromHex('10 5F 41'));
+        // Tag 0x33 (speed and direction) after 0x10, 0x20, 0x21 and 0x30 of the second record
+        expect(packet.readUInt8(second + 21)).toBe(0x33);
+        packet.writeUInt8(0xFF, second + 21);
+
+        const result = await parser.parse(withChecksum(packet));
+
+        expect(result.records.map(record => record.tags['0x10'].value)).toEqual([16736, 16735, 16734, 16733]);
+        expect(Object.keys(result.records[1].tags)).toEqual(['0x10', '0x20', '0x21', '0x30']);
+        expect(Object.keys(result.records[2].tags)).toHaveLength(43);
+    });
+
+    it('keeps the records before an unknown tag in the last record', async () => {
+        const packet = archivePacket();
+        const last = packet.lastIndexOf(fromHex('10 5D 41'));
+        packet.writeUInt8(0xFF, last + 21);
+
+        const result = await parser.parse(withChecksum(packet));
+
+        expect(result.records.map(record => record.tags['0x10'].value)).toEqual([16736, 16735, 16734, 16733]);
+        expect(Object.keys(result.records[3].tags)).toEqual(['0x10', '0x20', '0x21', '0x30']);
+    });
+
+    it('rejects a packet with a wrong checksum unless checksums are turned off', async () => {
+        const packet = fromHex(HEAD_PACKET);
+        packet.writeUInt8(0x9B, 4); // Hardware version 155 instead of 154
+
+        await expect(parser.parse(packet)).rejects.toThrow('Checksum mismatch');
+
+        config.parser.validateChecksum = false;
+        try {
+            const result = await parser.parse(packet);
+            expect(result.records[0].tags['0x01'].value).toBe(155);
+        } finally {
+            config.parser.validateChecksum = true;
+        }
+    });
+
+    it('rejects a record that runs past the end of the packet', async () => {
+        const packet = fromHex(HEAD_PACKET);
+        // Cut the packet off in the middle of the IMEI
+        const truncated = Buffer.concat([fromHex('01 0C 00'), packet.subarray(3, 15), fromHex('00 00')]);
+
+        await expect(parser.parse(withChecksum(truncated))).rejects.toThrow();
+    });
+});
@@ -0,0 +1,267 @@
+// backend/src/test/peerToPeerSync.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PeerToPeerSync = require('../services/peerToPeerSync');
+
+const IMEI = '861230043907626';
+
+let directory;
+let nodes = 0;
+
+// A node with its own state file and no network
+function createNode() {
+    nodes++;
+    const sync = new PeerToPeerSync(`node-${nodes}`, 3001, {
+        stateFile: path.join(directory, `state-${nodes}.json`),
+        discovery: false
+    });
+    return { sync, parsedData: [], devices: new Map() };
+}
+
+// A record as a node stores it after parsing a tracker packet
+function trackerRecord(archiveNumber, overrides = {}) {
+    const datetime = new Date(Date.UTC(2025, 0, 1, 12, 0, archiveNumber)).toISOString();
+    return {
+        timestamp: new Date().toISOString(),
+        deviceId: IMEI,
+        imei: IMEI,
+        archiveNumber,
+        datetime,
+        latitude: 55.75,
+        longitude: 37.61,
+        tags: {
+            '0x03': { value: IMEI },
+            '0x10': { value: archiveNumber },
+            '0x20': { value: datetime }
+        },
+        ...overrides
+    };
+}
+
+// Pull every page of from's records into to, as connectToPeer does
+function pull(to, from, pageSize = 2) {
+    let since = to.sync.receivedSeq(from.sync.nodeId, from.sync.stampRecords(from.parsedData));
+    let page;
+    do {
+        page = from.sync.changesSince(from.parsedData, from.devices, since, pageSize, to.sync.nodeId);
+        since = to.sync.applyChanges(to.parsedData, to.devices, page).cursor;
+    } while (page.hasMore);
+    return since;
+}
+
+beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'peer-sync-'));
+});
+
+afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('PeerToPeerSync.changesSince', () => {
+    it('pages through the records after a sequence number', () => {
+        const node = createNode();
+        node.parsedData.push(...[1, 2, 3, 4, 5].map(n => trackerRecord(n)));
+
+        const first = node.sync.changesSince(node.parsedData, node.devices, 0, 2);
+        const last = node.sync.changesSince(node.parsedData, node.devices, 4, 2);
+
+        expect(first.records.map(record => record.archiveNumber)).toEqual([1, 2]);
+        expect(first).toMatchObject({ since: 0, nextSeq: 2, lastSeq: 5, hasMore: true });
+        expect(last.records.map(record => record.archiveNumber)).toEqual([5]);
+        expect(last).toMatchObject({ nextSeq: 5, hasMore: false });
+    });
+
+    it('sends no bookkeeping and leaves out records that came from the asking node', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(trackerRecord(1));
+        b.parsedData.push(trackerRecord(2));
+        pull(a, b);
+        a.parsedData.push(trackerRecord(3));
+
+        const page = a.sync.changesSince(a.parsedData, a.devices, 0, 10, b.sync.nodeId);
+
+        expect(page.records.map(record => record.archiveNumber)).toEqual([1, 3]);
+        expect(page.records[0]).not.toHaveProperty('syncSeq');
+        expect(page.nextSeq).toBe(3);
+    });
+});
+
+describe('PeerToPeerSync cursors', () => {
+    it('moves the cursor for a peer with every page applied', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(...[1, 2, 3, 4, 5].map(n => trackerRecord(n)));
+
+        const page = a.sync.changesSince(a.parsedData, a.devices, 0, 2);
+        const result = b.sync.applyChanges(b.parsedData, b.devices, page);
+
+        expect(result).toMatchObject({ newRecords: 2, cursor: 2 });
+        expect(b.sync.receivedSeq(a.sync.nodeId, 5)).toBe(2);
+        expect(b.sync.state.peers[a.sync.nodeId].deviceId).toBe(a.sync.deviceId);
+    });
+
+    it('resumes after the last page applied and never moves the cursor back', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(...[1, 2, 3, 4, 5].map(n => trackerRecord(n)));
+        const first = a.sync.changesSince(a.parsedData, a.devices, 0, 2);
+        b.sync.applyChanges(b.parsedData, b.devices, first);
+
+        expect(pull(b, a)).toBe(5);
+        expect(b.parsedData.map(record => record.archiveNumber)).toEqual([1, 2, 3, 4, 5]);
+
+        // A page delivered twice only counts as duplicates
+        const result = b.sync.applyChanges(b.parsedData, b.devices, first);
+        expect(result).toMatchObject({ newRecords: 0, duplicates: 2, cursor: 5 });
+        expect(b.parsedData).toHaveLength(5);
+    });
+
+    it('starts over for a peer whose sequence numbers went backwards', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(...[1, 2, 3, 4, 5].map(n => trackerRecord(n)));
+        pull(b, a);
+
+        expect(b.sync.receivedSeq(a.sync.nodeId, 7)).toBe(5);
+        expect(b.sync.receivedSeq(a.sync.nodeId)).toBe(5);
+        expect(b.sync.receivedSeq(a.sync.nodeId, 2)).toBe(0);
+        expect(b.sync.receivedSeq('unknown-node', 2)).toBe(0);
+    });
+
+    it('pulls everything again from a peer that lost its records', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(...[1, 2, 3, 4, 5].map(n => trackerRecord(n)));
+        pull(b, a);
+
+        // A comes back with its nodeId but an empty record list and sequence
+        a.parsedData.length = 0;
+        a.sync.state.sequence = 0;
+        a.parsedData.push(trackerRecord(6), trackerRecord(7));
+
+        expect(pull(b, a)).toBe(2);
+        expect(b.parsedData.map(record => record.archiveNumber)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('keeps the cursors and the nodeId across restarts', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(trackerRecord(1), trackerRecord(2));
+        pull(b, a);
+
+        const restarted = new PeerToPeerSync(undefined, 3001, { stateFile: b.sync.stateFile, discovery: false });
+
+        expect(restarted.nodeId).toBe(b.sync.nodeId);
+        expect(restarted.receivedSeq(a.sync.nodeId, 2)).toBe(2);
+    });
+});
+
+describe('PeerToPeerSync record identity', () => {
+    it('gives the same tracker record parsed on two nodes the same recordId', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(trackerRecord(1, { clientAddress: '10.0.0.1:50000' }));
+        // Parsed later, from another connection and without a deviceId
+        b.parsedData.push(trackerRecord(1, { timestamp: '2025-01-02T00:00:00.000Z', clientAddress: '10.0.0.2:50000', deviceId: undefined }));
+        a.sync.stampRecords(a.parsedData);
+        b.sync.stampRecords(b.parsedData);
+
+        expect(b.parsedData[0].recordId).toBe(a.parsedData[0].recordId);
+        expect(a.parsedData[0].recordId).toBe(`${IMEI}:1:2025-01-01T12:00:01.000Z`);
+
+        pull(a, b);
+        const result = b.sync.applyChanges(b.parsedData, b.devices, a.sync.changesSince(a.parsedData, a.devices, 0, 10));
+        expect(a.parsedData).toHaveLength(1);
+        expect(result).toMatchObject({ newRecords: 0, duplicates: 1, conflictCount: 0 });
+    });
+
+    it('takes the identity from the tags and ignores how the device time is written', () => {
+        const a = createNode();
+        const b = createNode();
+        const tagged = trackerRecord(1);
+        a.parsedData.push(tagged);
+        b.parsedData.push({ timestamp: tagged.timestamp, tags: { ...tagged.tags, '0x20': { value: 'Wed, 01 Jan 2025 12:00:01 GMT' } } });
+        a.sync.stampRecords(a.parsedData);
+        b.sync.stampRecords(b.parsedData);
+
+        expect(b.parsedData[0].recordId).toBe(a.parsedData[0].recordId);
+        expect(b.parsedData[0].deviceId).toBe(IMEI);
+    });
+
+    it('identifies records without an IMEI by their content', () => {
+        const a = createNode();
+        const b = createNode();
+        const record = { latitude: 55.75, longitude: 37.61, speed: 42 };
+        a.parsedData.push({ ...record, timestamp: '2025-01-01T00:00:00.000Z' });
+        b.parsedData.push({ ...record, timestamp: '2025-01-01T00:05:00.000Z' }, { ...record, speed: 43 });
+
+        pull(a, b);
+
+        expect(a.parsedData[0].recordId).toMatch(/^sha1:/);
+        expect(a.parsedData.map(entry => entry.speed)).toEqual([42, 43]);
+    });
+
+    it('keeps the same version of a conflicting record on both nodes', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(trackerRecord(1, { timestamp: '2025-01-01T12:00:05.000Z', latitude: 55.75 }));
+        b.parsedData.push(trackerRecord(1, { timestamp: '2025-01-01T12:00:02.000Z', latitude: 55.76 }));
+
+        pull(a, b);
+        pull(b, a);
+
+        // The version received first wins wherever the merge happens
+        expect(a.parsedData).toHaveLength(1);
+        expect(b.parsedData).toHaveLength(1);
+        expect(a.parsedData[0].latitude).toBe(55.76);
+        expect(b.parsedData[0].latitude).toBe(55.76);
+    });
+
+    it('reports the records it added and those the peer version replaced', () => {
+        const a = createNode();
+        const b = createNode();
+        // B's version of record 1 was received first, so it wins on A
+        a.parsedData.push(trackerRecord(1, { timestamp: '2025-01-01T12:00:05.000Z', latitude: 55.75 }));
+        b.parsedData.push(trackerRecord(1, { timestamp: '2025-01-01T12:00:02.000Z', latitude: 55.76 }), trackerRecord(2));
+        const merged = jest.fn();
+        a.sync.on('records', merged);
+
+        pull(a, b);
+
+        const [added, replaced] = merged.mock.calls[0];
+        expect(added.map(record => record.archiveNumber)).toEqual([2]);
+        expect(replaced).toEqual([a.parsedData[0]]);
+        expect(replaced[0].latitude).toBe(55.76);
+    });
+
+    it('merges device entries instead of overwriting them', () => {
+        const a = createNode();
+        const b = createNode();
+        a.parsedData.push(trackerRecord(1));
+        b.parsedData.push(trackerRecord(2), trackerRecord(3));
+        a.devices.set(IMEI, { firstSeen: '2025-01-01T10:00:00.000Z', lastSeen: '2025-01-01T12:00:00.000Z', recordCount: 1, name: 'Truck' });
+        b.devices.set(IMEI, { firstSeen: '2025-01-01T11:00:00.000Z', lastSeen: '2025-01-01T13:00:00.000Z', recordCount: 2, lastLocation: { latitude: 55.75 } });
+
+        pull(a, b);
+
+        expect(a.devices.get(IMEI)).toEqual({
+            firstSeen: '2025-01-01T10:00:00.000Z',
+            lastSeen: '2025-01-01T13:00:00.000Z',
+            lastLocation: { latitude: 55.75 },
+            name: 'Truck',
+            // Counted from the records held after the merge
+            recordCount: 3,
+            totalRecords: 3
+        });
+    });
+});
@@ -0,0 +1,156 @@
+// backend/src/test/retentionManager.test.js
+const { sequelize, Device, DeviceGroup, Record, RetentionPolicy } = require('../models');
+const retentionManager = require('../services/retentionManager');
+
+const IMEI = '861230043907626';
+const START = Date.UTC(2025, 0, 1); // On a minute boundary, so 60 s buckets start at offset 0
+const at = seconds => new Date(START + seconds * 1000);
+
+// Records at the given offsets in seconds, or [offset, columns] pairs
+function addRecords(entries) {
+    return Record.bulkCreate(entries.map((entry) => {
+        const [seconds, columns] = Array.isArray(entry) ? entry : [entry, {}];
+        return { deviceImei: IMEI, timestamp: at(seconds), datetime: at(seconds), ...columns };
+    }));
+}
+
+async function remainingOffsets() {
+    const records = await Record.findAll({ order: [['datetime', 'ASC']] });
+    return records.map(record => (record.datetime.getTime() - START) / 1000);
+}
+
+beforeAll(async () => {
+    await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+    await sequelize.close();
+});
+
+describe('retentionManager.downsampleDevice', () => {
+    beforeAll(async () => {
+        await Device.create({ imei: IMEI, name: 'Tracker' });
+    });
+
+    beforeEach(async () => {
+        await Record.destroy({ where: {} });
+        retentionManager.downsampledUntil.clear();
+        await addRecords([
+            0, 10, 20,
+            60,
+            [70, { status: '8' }], // Alarm bit
+            [80, { input0: true }],
+            [90, { input0: true }],
+            [100, { input0: true }],
+            200
+        ]);
+    });
+
+    it('keeps the first record of each interval, alarms, input changes and the last record', async () => {
+        const dropped = await retentionManager.downsampleDevice(IMEI, 60, null, at(110), false);
+
+        expect(dropped).toBe(3);
+        expect(await remainingOffsets()).toEqual([0, 60, 70, 80, 100, 200]);
+    });
+
+    it('only counts the records it would drop on a dry run', async () => {
+        const dropped = await retentionManager.downsampleDevice(IMEI, 60, null, at(110), true);
+
+        expect(dropped).toBe(3);
+        expect(await Record.count()).toBe(9);
+        expect(retentionManager.downsampledUntil.has(IMEI)).toBe(false);
+    });
+
+    it('only thins the records between the two times', async () => {
+        await retentionManager.downsampleDevice(IMEI, 60, at(60), at(110), false);
+
+        expect(await remainingOffsets()).toEqual([0, 10, 20, 60, 70, 80, 100, 200]);
+    });
+
+    it('resumes at the interval where the previous run stopped', async () => {
+        await retentionManager.downsampleDevice(IMEI, 60, null, at(110), false);
+        // A late record in an interval that is already done, and new ones after it
+        await addRecords([30, 150, 160]);
+
+        const dropped = await retentionManager.downsampleDevice(IMEI, 60, null, at(300), false);
+
+        expect(retentionManager.downsampledUntil.get(IMEI)).toEqual({ interval: 60, until: at(300) });
+        expect(dropped).toBe(2);
+        expect(await remainingOffsets()).toEqual([0, 30, 60, 70, 80, 150, 200]);
+    });
+
+    it('starts over when the interval changed since the previous run', async () => {
+        await retentionManager.downsampleDevice(IMEI, 60, null, at(110), false);
+        await addRecords([30]);
+
+        await retentionManager.downsampleDevice(IMEI, 120, null, at(300), false);
+
+        expect(await remainingOffsets()).toEqual([0, 70, 80, 200]);
+    });
+});
+
+describe('retentionManager.resolvePolicies', () => {
+    let devices;
+    let groups;
+
+    const policy = attributes => RetentionPolicy.create({ rawDays: 7, downsampleInterval: 60, deleteDays: 90, ...attributes });
+    const imeisOf = async (resolved, name) => resolved.find(entry => entry.policy.name === name).imeis.sort();
+
+    beforeEach(async () => {
+        await Record.destroy({ where: {} });
+        await RetentionPolicy.destroy({ where: {} });
+        await DeviceGroup.destroy({ where: {} });
+        await Device.destroy({ where: {} });
+        devices = await Promise.all(['1', '2', '3', '4'].map(n => Device.create({ imei: `10000000000000${n}`, name: `Device ${n}` })));
+        groups = await Promise.all(['A', 'B', 'C', 'D'].map(name => DeviceGroup.create({ name })));
+        await devices[0].setGroups([groups[0], groups[1]]);
+        await devices[1].setGroups([groups[0]]);
+        await devices[2].setGroups([groups[2], groups[3]]);
+    });
+
+    it('prefers a device policy to group policies and group policies to the default one', async () => {
+        await policy({ name: 'default' });
+        await policy({ name: 'group A', groupId: groups[0].id });
+        await policy({ name: 'device 2', deviceId: devices[1].id });
+
+        const resolved = await retentionManager.resolvePolicies();
+
+        expect(await imeisOf(resolved, 'device 2')).toEqual([devices[1].imei]);
+        expect(await imeisOf(resolved, 'group A')).toEqual([devices[0].imei]);
+        expect(await imeisOf(resolved, 'default')).toEqual([devices[2].imei, devices[3].imei]);
+    });
+
+    it('picks the group policy that keeps records longest', async () => {
+        await policy({ name: 'group A', groupId: groups[0].id, deleteDays: 30 });
+        await policy({ name: 'group B', groupId: groups[1].id, deleteDays: null });
+        await policy({ name: 'group C', groupId: groups[2].id, rawDays: 7 });
+        await policy({ name: 'group D', groupId: groups[3].id, rawDays: 14 });
+
+        const resolved = await retentionManager.resolvePolicies();
+
+        // Never deleting beats deleting later, then more raw days win
+        expect(await imeisOf(resolved, 'group B')).toEqual([devices[0].imei]);
+        expect(await imeisOf(resolved, 'group A')).toEqual([devices[1].imei]);
+        expect(await imeisOf(resolved, 'group D')).toEqual([devices[2].imei]);
+        expect(await imeisOf(resolved, 'group C')).toEqual([]);
+    });
+
+    it('breaks ties between group policies by the finer downsampling', async () => {
+        await policy({ name: 'group C', groupId: groups[2].id, downsampleInterval: 300 });
+        await policy({ name: 'group D', groupId: groups[3].id, downsampleInterval: 60 });
+
+        const resolved = await retentionManager.resolvePolicies();
+
+        expect(await imeisOf(resolved, 'group D')).toEqual([devices[2].imei]);
+    });
+
+    it('ignores disabled policies', async () => {
+        await policy({ name: 'group A', groupId: groups[0].id });
+        await policy({ name: 'device 1', deviceId: devices[0].id, enabled: false });
+
+        const resolved = await retentionManager.resolvePolicies();
+
+        expect(resolved.map(entry => entry.policy.name)).toEqual(['group A']);
+        expect(await imeisOf(resolved, 'group A')).toEqual([devices[0].imei, devices[1].imei]);
+    });
+});
@@ -0,0 +1,121 @@
+// backend/src/test/ruleCompiler.test.js
+const ruleCompiler = require('../services/ruleCompiler');
+const { RuleSyntaxError } = require('../services/ruleCompiler');
+
+const evaluate = (condition, fields = {}, tags = {}, mappings = {}) => ruleCompiler.compile(condition).evaluate({ fields, tags, mappings });
+
+describe('ruleCompiler.compile', () => {
+    it('lists the fields and tags a condition uses', () => {
+        const compiled = ruleCompiler.compile('speed > 80 and 0x33.speed * 1.852 >= 100 or Fuel in (1, 2)');
+
+        expect(compiled.fields.sort()).toEqual(['Fuel', 'speed']);
+        expect(compiled.tags).toEqual(['0x33']);
+    });
+
+    it('pads tag numbers to one or two bytes', () => {
+        expect(ruleCompiler.compile('0x3 > 1').tags).toEqual(['0x03']);
+        expect(ruleCompiler.compile('0x1 > 1 or 0x001 > 1').tags).toEqual(['0x01', '0x0001']);
+    });
+
+    it('accepts keywords in any case and symbols for and, or and not', () => {
+        expect(evaluate('speed > 80 AND NOT input0', { speed: 90, input0: false })).toBe(true);
+        expect(evaluate('speed > 80 && !input0', { speed: 90, input0: true })).toBe(false);
+        expect(evaluate('speed > 80 || input0', { speed: 10, input0: true })).toBe(true);
+    });
+});
+
+describe('ruleCompiler.validate', () => {
+    it.each([
+        ['', 'Condition is empty at position 1'],
+        ['speed >', 'Unexpected end of condition at position 8'],
+        ['speed > 80)', "Unexpected ')' at position 11"],
+        ['(speed > 80', "Expected ')' at position 12"],
+        ['speed # 80', "Unexpected character '#' at position 7"],
+        ['name == "truck', 'Unterminated string at position 9'],
+        ['0x12345 > 1', 'Invalid tag 0x12345 at position 1'],
+        ['speed between 10 20', "Expected 'and' in between range at position 18"],
+        ['speed in 1, 2', "Expected '(' after 'in' at position 10"],
+        ['0x33. > 1', "Expected member name after '.' at position 7"]
+    ])('rejects %j', (condition, message) => {
+        const error = ruleCompiler.validate(condition);
+
+        expect(error).toBeInstanceOf(RuleSyntaxError);
+        expect(error.message).toBe(message);
+    });
+
+    it('rejects conditions that are too long or nested too deeply', () => {
+        expect(ruleCompiler.validate(`speed > ${'1'.repeat(1000)}`).message).toBe('Condition must be at most 1000 characters');
+        expect(ruleCompiler.validate(`${'('.repeat(60)}speed${')'.repeat(60)}`).message).toMatch(/^Condition is nested too deeply/);
+        expect(ruleCompiler.validate(42).message).toBe('Condition must be a string');
+    });
+
+    it('returns null for a valid condition', () => {
+        expect(ruleCompiler.validate('supplyVoltage < 11000 || batteryVoltage < 3500')).toBeNull();
+    });
+});
+
+describe('rule evaluation', () => {
+    it('binds and tighter than or, and not tighter than and', () => {
+        // or(a, and(b, c)): true through a alone
+        expect(evaluate('a == 1 or b == 1 and c == 1', { a: 1, b: 0, c: 0 })).toBe(true);
+        expect(evaluate('(a == 1 or b == 1) and c == 1', { a: 1, b: 0, c: 0 })).toBe(false);
+        // and(not(a), b)
+        expect(evaluate('not a == 1 and b == 1', { a: 0, b: 1 })).toBe(true);
+        expect(evaluate('not (a == 1 and b == 1)', { a: 1, b: 0 })).toBe(true);
+    });
+
+    it('applies arithmetic before comparisons, multiplication before addition', () => {
+        expect(evaluate('a + b * 2 == 7', { a: 1, b: 3 })).toBe(true);
+        expect(evaluate('(a + b) * 2 == 8', { a: 1, b: 3 })).toBe(true);
+        expect(evaluate('-a < 0 and a % 2 == 1', { a: 3 })).toBe(true);
+        expect(evaluate('a / 0 > 1', { a: 3 })).toBe(false);
+    });
+
+    it('supports ranges, value lists, tag members and mapped names', () => {
+        const tags = { '0x33': { value: { speed: 60, direction: 90 } }, '0x41': { value: 12000 } };
+
+        expect(evaluate('0x41 between 11000 and 15000', {}, tags)).toBe(true);
+        expect(evaluate('0x41 not between 11000 and 15000', {}, tags)).toBe(false);
+        expect(evaluate('0x33.speed * 1.852 >= 100', {}, tags)).toBe(true);
+        expect(evaluate('Fuel in (1, 2, 3)', { userData0: '2' }, {}, { Fuel: 'userData0' })).toBe(true);
+        expect(evaluate('Voltage > 11000', {}, tags, { Voltage: '0x41' })).toBe(true);
+        expect(evaluate('status not in (1, 2)', { status: 3 })).toBe(true);
+    });
+
+    it('compares dates, booleans and numeric strings as numbers', () => {
+        expect(evaluate('datetime > 0', { datetime: new Date('2025-01-01T00:00:00Z') })).toBe(true);
+        expect(evaluate('input0 == 1', { input0: true })).toBe(true);
+        expect(evaluate('userData0 >= 10', { userData0: '12' })).toBe(true);
+        expect(evaluate('name == "truck"', { name: 'truck' })).toBe(true);
+    });
+});
+
+describe('missing values', () => {
+    const condition = ruleCompiler.compile('supplyVoltage < 11000 || batteryVoltage < 3500');
+
+    it('count as not satisfying their comparison', () => {
+        expect(evaluate('speed > 80', {})).toBe(false);
+        expect(evaluate('speed <= 80', {})).toBe(false);
+        expect(evaluate('speed between 0 and 100', {})).toBe(false);
+        expect(evaluate('speed not between 0 and 100', {})).toBe(false);
+        expect(evaluate('speed not in (1, 2)', {})).toBe(false);
+        expect(evaluate('speed == null', {})).toBe(true);
+        expect(evaluate('speed != null', {})).toBe(false);
+        expect(evaluate('speed * 2 > 1', {})).toBe(false);
+    });
+
+    it('leave the other side of or and and to decide', () => {
+        expect(condition.evaluate({ fields: { supplyVoltage: 10000 } })).toBe(true);
+        expect(condition.evaluate({ fields: { batteryVoltage: 3000 } })).toBe(true);
+        expect(condition.evaluate({ fields: { supplyVoltage: 12000 } })).toBe(false);
+        expect(evaluate('supplyVoltage < 11000 and batteryVoltage < 3500', { supplyVoltage: 10000 })).toBe(false);
+    });
+
+    it('make a record count only when it has any value the condition uses', () => {
+        expect(condition.hasValues({ fields: { supplyVoltage: 10000 } })).toBe(true);
+        expect(condition.hasValues({ fields: { batteryVoltage: null, speed: 10 } })).toBe(false);
+        expect(ruleCompiler.compile('0x41 < 11000').hasValues({ fields: {}, tags: { '0x41': { value: 10000 } } })).toBe(true);
+        expect(ruleCompiler.compile('0x41 < 11000').hasValues({ fields: {}, tags: {} })).toBe(false);
+        expect(ruleCompiler.compile('true').hasValues({ fields: {} })).toBe(true);
+    });
+});
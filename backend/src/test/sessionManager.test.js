@@ -0,0 +1,42 @@
+// backend/src/test/sessionManager.test.js
+const sessionManager = require('../services/sessionManager');
+
+const fromHex = hex => Buffer.from(hex.replace(/\s+/g, ''), 'hex');
+
+// Head packet example from documentP/Galileosky-Protocols.html
+const HEAD_PACKET = '01 20 00 01 9A 02 18 03 38 36 31 32 33 30 30 34 33 39 30 37 36 32 36 04 32 00 FE 06 00 01 00 00 00 00 00 8F 29';
+
+const socket = () => ({ remoteAddress: '10.0.0.1', remotePort: 50000 });
+
+describe('sessionManager.recordPacket', () => {
+    it('takes the IMEI and device number from the head packet', () => {
+        const session = sessionManager.create(socket());
+
+        expect(sessionManager.recordPacket(session, fromHex(HEAD_PACKET))).toBe(true);
+        expect(session).toMatchObject({
+            imei: '861230043907626',
+            deviceNumber: 50,
+            hardwareVersion: 154,
+            firmwareVersion: 24,
+            packetsReceived: 1
+        });
+    });
+
+    it('reads only the first record of the packet', () => {
+        const session = sessionManager.create(socket());
+        // Head record without the extended tags, then a record with other versions
+        const packet = fromHex('01 1B 00 01 9A 02 18 03 38 36 31 32 33 30 30 34 33 39 30 37 36 32 36 04 32 00 01 9B 02 19 00 00');
+
+        expect(sessionManager.recordPacket(session, packet)).toBe(true);
+        expect(session).toMatchObject({ deviceNumber: 50, hardwareVersion: 154, firmwareVersion: 24 });
+    });
+
+    it('keeps the IMEI of the session for the packets that follow', () => {
+        const session = sessionManager.create(socket());
+        sessionManager.recordPacket(session, fromHex(HEAD_PACKET));
+
+        expect(sessionManager.recordPacket(session, fromHex('01 05 00 10 5F 41 00 00 00 00'))).toBe(false);
+        expect(session.imei).toBe('861230043907626');
+        expect(session.packetsReceived).toBe(2);
+    });
+});
@@ -0,0 +1,89 @@
+// backend/src/test/tripDetector.test.js
+const { sequelize, Device, Record, Trip } = require('../models');
+const tripDetector = require('../services/tripDetector');
+
+const IMEI = '861230043907626';
+// Recent enough that trips in progress have not gone silent for the maximum gap
+const START = Date.now() - 6 * 60 * 1000;
+const at = seconds => new Date(START + seconds * 1000);
+
+// Records at [offset in seconds, speed] heading north about 110 m per moving record
+function addRecords(entries) {
+    return Record.bulkCreate(entries.map(([seconds, speed]) => ({
+        deviceImei: IMEI,
+        timestamp: at(seconds),
+        datetime: at(seconds),
+        latitude: 55.75 + (speed > 0 ? seconds : 0) / 10000,
+        longitude: 37.61,
+        speed
+    })));
+}
+
+// Rows each Record.findAll of an update returned
+async function readDuring(update) {
+    const findAll = jest.spyOn(Record, 'findAll');
+    const result = await update();
+    const rows = await Promise.all(findAll.mock.results.map(call => call.value));
+    findAll.mockRestore();
+    return { result, rows: rows.reduce((sum, page) => sum + page.length, 0) };
+}
+
+beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    await Device.create({ imei: IMEI, name: 'Tracker' });
+});
+
+afterAll(async () => {
+    await sequelize.close();
+});
+
+beforeEach(async () => {
+    await Record.destroy({ where: {} });
+    await Trip.destroy({ where: {} });
+    tripDetector.segmenters.clear();
+});
+
+describe('tripDetector.updateDevice', () => {
+    it('keeps the open trip between updates and only reads new records', async () => {
+        await addRecords([[0, 30], [10, 30], [20, 30], [30, 30]]);
+
+        const first = await readDuring(() => tripDetector.updateDevice(IMEI));
+        expect(first.result.trips).toEqual([]);
+        expect(first.result.current).toMatchObject({ startTime: at(0), recordCount: 4 });
+
+        // Moving on, then parked for the stop duration
+        await addRecords([[40, 30], [50, 30], [60, 0], [120, 0], [180, 0], [240, 0]]);
+        const second = await readDuring(() => tripDetector.updateDevice(IMEI));
+
+        expect(second.rows).toBe(6);
+        expect(second.result.current).toBeNull();
+        expect(second.result.trips).toHaveLength(1);
+        expect(second.result.trips[0]).toMatchObject({ startTime: at(0), endTime: at(60), maxSpeed: 30 });
+        expect(await Trip.count()).toBe(1);
+    });
+
+    it('starts after the last stored trip when it has no segmenter for the device', async () => {
+        await addRecords([[0, 30], [10, 30], [20, 30], [30, 0], [90, 0], [150, 0], [210, 0]]);
+        await tripDetector.updateDevice(IMEI);
+        tripDetector.segmenters.clear();
+
+        await addRecords([[300, 30], [310, 30]]);
+        const { result, rows } = await readDuring(() => tripDetector.updateDevice(IMEI));
+
+        // From the record the trip ended at: the stationary ones and the two new ones
+        expect(rows).toBe(6);
+        expect(result.trips).toEqual([]);
+        expect(result.current).toMatchObject({ startTime: at(210), recordCount: 3 });
+        expect(await Trip.count()).toBe(1);
+    });
+
+    it('segments the whole history again on a rebuild', async () => {
+        await addRecords([[0, 30], [10, 30], [20, 30], [30, 0], [90, 0], [150, 0], [210, 0]]);
+        const { trips } = await tripDetector.updateDevice(IMEI);
+
+        const rebuilt = await tripDetector.rebuildDevice(IMEI);
+
+        expect(rebuilt.trips.map(trip => trip.startTime)).toEqual(trips.map(trip => trip.startTime));
+        expect(await Trip.count()).toBe(1);
+    });
+});
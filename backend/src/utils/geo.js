@@ -0,0 +1,18 @@
+// backend/src/utils/geo.js
+
+const EARTH_RADIUS = 6371000; // meters
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters
+function distance(latitude1, longitude1, latitude2, longitude2) {
+    const dLatitude = toRadians(latitude2 - latitude1);
+    const dLongitude = toRadians(longitude2 - longitude1);
+    const a = Math.sin(dLatitude / 2) ** 2
+        + Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(dLongitude / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = { distance };
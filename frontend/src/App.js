@@ -5,6 +5,9 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import Layout from './components/Layout';
+import ProtectedRoute from './components/ProtectedRoute';
+import { AuthProvider } from './contexts/AuthContext';
+import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import DeviceList from './pages/DeviceList';
 import DeviceDetail from './pages/DeviceDetail';
@@ -33,18 +36,21 @@ function App() {
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<Layout><Dashboard /></Layout>} />
-          <Route path="/devices" element={<Layout><DeviceList /></Layout>} />
-          <Route path="/devices/:id" element={<Layout><DeviceDetail /></Layout>} />
-          <Route path="/mapping" element={<Layout><Mapping /></Layout>} />
-          <Route path="/tracking" element={<Layout><Tracking /></Layout>} />
-          <Route path="/settings" element={<Layout><Settings /></Layout>} />
-          <Route path="/alerts" element={<Layout><Alerts /></Layout>} />
-          <Route path="/data" element={<Layout><DataTablePage /></Layout>} />
-          <Route path="/export" element={<Layout><DataExport /></Layout>} />
-          <Route path="/demo" element={<Layout><OfflineGridDemo /></Layout>} />
-        </Routes>
+        <AuthProvider>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route path="/" element={<ProtectedRoute><Layout><Dashboard /></Layout></ProtectedRoute>} />
+            <Route path="/devices" element={<ProtectedRoute><Layout><DeviceList /></Layout></ProtectedRoute>} />
+            <Route path="/devices/:id" element={<ProtectedRoute><Layout><DeviceDetail /></Layout></ProtectedRoute>} />
+            <Route path="/mapping" element={<ProtectedRoute><Layout><Mapping /></Layout></ProtectedRoute>} />
+            <Route path="/tracking" element={<ProtectedRoute><Layout><Tracking /></Layout></ProtectedRoute>} />
+            <Route path="/settings" element={<ProtectedRoute><Layout><Settings /></Layout></ProtectedRoute>} />
+            <Route path="/alerts" element={<ProtectedRoute><Layout><Alerts /></Layout></ProtectedRoute>} />
+            <Route path="/data" element={<ProtectedRoute><Layout><DataTablePage /></Layout></ProtectedRoute>} />
+            <Route path="/export" element={<ProtectedRoute><Layout><DataExport /></Layout></ProtectedRoute>} />
+            <Route path="/demo" element={<ProtectedRoute><Layout><OfflineGridDemo /></Layout></ProtectedRoute>} />
+          </Routes>
+        </AuthProvider>
       </BrowserRouter>
     </ThemeProvider>
   );
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
     Table,
     TableBody,
@@ -11,51 +11,99 @@ import {
     Box,
     CircularProgress,
     TextField,
-    InputAdornment,
+    MenuItem,
     Alert,
     Button
 } from '@mui/material';
-import SearchIcon from '@mui/icons-material/Search';
+import RefreshIcon from '@mui/icons-material/Refresh';
 import FileDownloadIcon from '@mui/icons-material/FileDownload';
 
+const PAGE_SIZE = 100;
+
+const apiUrl = process.env.REACT_APP_API_URL || 'http://192.168.1.114:3001';
+
+// Query parameters of GET /api/records for the filter form
+const buildQuery = (filters, cursor) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, timeField: filters.timeField, sort: filters.timeField });
+    if (filters.device) {
+        params.set('devices', filters.device);
+    }
+    if (filters.startDate) {
+        params.set('startDate', new Date(filters.startDate).toISOString());
+    }
+    if (filters.endDate) {
+        params.set('endDate', new Date(filters.endDate).toISOString());
+    }
+    if (filters.minSpeed !== '') {
+        params.set('minSpeed', filters.minSpeed);
+    }
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+    return params;
+};
+
 const DataTable = () => {
     const [records, setRecords] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [devices, setDevices] = useState([]);
+    const [filters, setFilters] = useState({ device: '', timeField: 'timestamp', startDate: '', endDate: '', minSpeed: '' });
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [error, setError] = useState(null);
-    const [searchTerm, setSearchTerm] = useState('');
 
-    useEffect(() => {
-        fetchRecords();
-        // Set up polling every 30 seconds
-        const interval = setInterval(fetchRecords, 30000);
-        return () => clearInterval(interval);
-    }, []);
+    const fetchPage = useCallback(async (cursor) => {
+        const response = await fetch(`${apiUrl}/api/records?${buildQuery(filters, cursor)}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok) {
+            const details = Array.isArray(data.errors) ? data.errors.map(e => `${e.field}: ${e.message}`).join('; ') : null;
+            throw new Error(details || data.message || 'Failed to fetch records');
+        }
+        return data;
+    }, [filters]);
 
-    const fetchRecords = async () => {
+    // Start again from the first page whenever the filters change
+    const fetchRecords = useCallback(async () => {
+        setLoading(true);
         try {
-            const apiUrl = process.env.REACT_APP_API_URL || 'http://192.168.1.114:3001';
-            const response = await fetch(`${apiUrl}/api/records`);
-            if (!response.ok) {
-                throw new Error('Failed to fetch records');
-            }
-            const data = await response.json();
-            setRecords(data);
-            setLoading(false);
+            const data = await fetchPage(null);
+            setRecords(data.records);
+            setNextCursor(data.nextCursor);
             setError(null);
         } catch (err) {
             console.error('Error fetching records:', err);
             setError(err.message);
+        } finally {
             setLoading(false);
         }
+    }, [fetchPage]);
+
+    const loadMore = async () => {
+        setLoadingMore(true);
+        try {
+            const data = await fetchPage(nextCursor);
+            setRecords(previous => [...previous, ...data.records]);
+            setNextCursor(data.nextCursor);
+        } catch (err) {
+            console.error('Error fetching records:', err);
+            setError(err.message);
+        } finally {
+            setLoadingMore(false);
+        }
     };
 
-    const filteredRecords = records.filter(record => {
-        const searchString = searchTerm.toLowerCase();
-        return (
-            record.deviceImei?.toLowerCase().includes(searchString) ||
-            record.timestamp?.toLowerCase().includes(searchString)
-        );
-    });
+    useEffect(() => {
+        fetchRecords();
+    }, [fetchRecords]);
+
+    useEffect(() => {
+        fetch(`${apiUrl}/api/devices`, { credentials: 'include' })
+            .then(response => (response.ok ? response.json() : []))
+            .then(setDevices)
+            .catch(() => setDevices([]));
+    }, []);
+
+    const updateFilter = (name) => (event) => setFilters({ ...filters, [name]: event.target.value });
 
     const getInputVoltage = (record, index) => {
         const voltageFields = [
@@ -117,65 +165,35 @@ const DataTable = () => {
         return modbusFields[index] || 0;
     };
 
-    const handleExport = async () => {
-        try {
-            const fields = [
-                'timestamp',
-                'deviceImei',
-                'recordNumber',
-                'latitude',
-                'longitude',
-                'speed',
-                'direction',
-                'status',
-                'supplyVoltage',
-                'batteryVoltage',
-                'inputVoltage0', 'inputVoltage1', 'inputVoltage2', 'inputVoltage3', 'inputVoltage4', 'inputVoltage5', 'inputVoltage6',
-                'input0', 'input1', 'input2', 'input3',
-                'userData0', 'userData1', 'userData2', 'userData3', 'userData4', 'userData5', 'userData6', 'userData7',
-                'modbus0', 'modbus1', 'modbus2', 'modbus3', 'modbus4', 'modbus5', 'modbus6', 'modbus7', 'modbus8', 'modbus9', 'modbus10', 'modbus11', 'modbus12', 'modbus13', 'modbus14', 'modbus15'
-            ];
-            const apiUrl = process.env.REACT_APP_API_URL || 'http://192.168.1.114:3001';
-            const response = await fetch(`${apiUrl}/api/records/export`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    format: 'csv',
-                    fields,
-                })
-            });
-            if (!response.ok) throw new Error('Failed to export data');
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.setAttribute('download', 'data-export.csv');
-            document.body.appendChild(link);
-            link.click();
-            link.remove();
-        } catch (err) {
-            alert('Error exporting data: ' + err.message);
-        }
+    // Export what the filters select; the browser saves the file as the server streams it
+    const handleExport = () => {
+        const fields = [
+            'timestamp',
+            'deviceImei',
+            'recordNumber',
+            'latitude',
+            'longitude',
+            'speed',
+            'direction',
+            'status',
+            'supplyVoltage',
+            'batteryVoltage',
+            'inputVoltage0', 'inputVoltage1', 'inputVoltage2', 'inputVoltage3', 'inputVoltage4', 'inputVoltage5', 'inputVoltage6',
+            'input0', 'input1', 'input2', 'input3',
+            'userData0', 'userData1', 'userData2', 'userData3', 'userData4', 'userData5', 'userData6', 'userData7',
+            'modbus0', 'modbus1', 'modbus2', 'modbus3', 'modbus4', 'modbus5', 'modbus6', 'modbus7', 'modbus8', 'modbus9', 'modbus10', 'modbus11', 'modbus12', 'modbus13', 'modbus14', 'modbus15'
+        ];
+        const params = buildQuery(filters, null);
+        params.delete('limit');
+        params.set('format', 'csv');
+        params.set('fields', fields.join(','));
+        const link = document.createElement('a');
+        link.href = `${apiUrl}/api/records/export?${params}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
     };
 
-    if (loading) {
-        return (
-            <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
-                <CircularProgress />
-            </Box>
-        );
-    }
-
-    if (error) {
-        return (
-            <Box p={3}>
-                <Alert severity="error">
-                    Error loading data: {error}
-                </Alert>
-            </Box>
-        );
-    }
-
     return (
         <Box p={3}>
             <Typography variant="h4" gutterBottom>
@@ -192,23 +210,70 @@ const DataTable = () => {
                 Export to CSV
             </Button>
 
-            <TextField
-                fullWidth
-                variant="outlined"
-                placeholder="Search by IMEI or timestamp..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                margin="normal"
-                InputProps={{
-                    startAdornment: (
-                        <InputAdornment position="start">
-                            <SearchIcon />
-                        </InputAdornment>
-                    ),
-                }}
-            />
+            <Box display="flex" flexWrap="wrap" gap={2} alignItems="center">
+                <TextField
+                    select
+                    label="Device"
+                    value={filters.device}
+                    onChange={updateFilter('device')}
+                    sx={{ minWidth: 200 }}
+                >
+                    <MenuItem value="">All devices</MenuItem>
+                    {devices.map((device) => (
+                        <MenuItem key={device.imei} value={device.imei}>
+                            {device.name || device.imei}
+                        </MenuItem>
+                    ))}
+                </TextField>
+                <TextField
+                    select
+                    label="Time"
+                    value={filters.timeField}
+                    onChange={updateFilter('timeField')}
+                    sx={{ minWidth: 160 }}
+                >
+                    <MenuItem value="timestamp">Server time</MenuItem>
+                    <MenuItem value="datetime">Device time</MenuItem>
+                </TextField>
+                <TextField
+                    label="From"
+                    type="datetime-local"
+                    value={filters.startDate}
+                    onChange={updateFilter('startDate')}
+                    InputLabelProps={{ shrink: true }}
+                />
+                <TextField
+                    label="To"
+                    type="datetime-local"
+                    value={filters.endDate}
+                    onChange={updateFilter('endDate')}
+                    InputLabelProps={{ shrink: true }}
+                />
+                <TextField
+                    label="Min Speed (km/h)"
+                    type="number"
+                    value={filters.minSpeed}
+                    onChange={updateFilter('minSpeed')}
+                    sx={{ width: 160 }}
+                />
+                <Button startIcon={<RefreshIcon />} onClick={fetchRecords} disabled={loading}>
+                    Refresh
+                </Button>
+            </Box>
+
+            {error && (
+                <Box mt={2}>
+                    <Alert severity="error">
+                        Error loading data: {error}
+                    </Alert>
+                </Box>
+            )}
 
-            {filteredRecords.length === 0 ? (
+            {loading ? (
+                <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+                    <CircularProgress />
+                </Box>
+            ) : records.length === 0 ? (
                 <Box mt={2}>
                     <Alert severity="info">No records found</Alert>
                 </Box>
@@ -231,7 +296,7 @@ const DataTable = () => {
                             </TableRow>
                         </TableHead>
                         <TableBody>
-                            {filteredRecords.map((record) => (
+                            {records.map((record) => (
                                 <TableRow key={record.id}>
                                     <TableCell>{new Date(record.timestamp).toLocaleString()}</TableCell>
                                     <TableCell>{record.deviceImei}</TableCell>
@@ -296,6 +361,13 @@ const DataTable = () => {
                             ))}
                         </TableBody>
                     </Table>
+                    {nextCursor && (
+                        <Box display="flex" justifyContent="center" p={2}>
+                            <Button onClick={loadMore} disabled={loadingMore}>
+                                {loadingMore ? 'Loading...' : `Load ${PAGE_SIZE} More`}
+                            </Button>
+                        </Box>
+                    )}
                 </TableContainer>
             )}
         </Box>
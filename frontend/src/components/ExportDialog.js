@@ -16,9 +16,13 @@ import {
   Box,
   CircularProgress,
 } from '@mui/material';
-import { ExportService } from '../services/exportService';
+import { ExportService, TRACK_FORMATS } from '../services/exportService';
 
-function ExportDialog({ open, onClose, data, defaultFilename }) {
+/**
+ * Export the given rows as CSV or Excel; with a track ({ deviceId, params }
+ * for the tracking endpoint) GPX, KML and GeoJSON are offered as well
+ */
+function ExportDialog({ open, onClose, data, defaultFilename, track }) {
   const [format, setFormat] = useState('csv');
   const [filename, setFilename] = useState(defaultFilename);
   const [loading, setLoading] = useState(false);
@@ -26,7 +30,9 @@ function ExportDialog({ open, onClose, data, defaultFilename }) {
   const handleExport = async () => {
     setLoading(true);
     try {
-      if (format === 'csv') {
+      if (TRACK_FORMATS[format]) {
+        await ExportService.exportTrack(track.deviceId, track.params, format, filename);
+      } else if (format === 'csv') {
         await ExportService.exportToCSV(data, filename);
       } else {
         await ExportService.exportToExcel(data, filename);
@@ -52,6 +58,9 @@ function ExportDialog({ open, onClose, data, defaultFilename }) {
             >
               <FormControlLabel value="csv" control={<Radio />} label="CSV" />
               <FormControlLabel value="excel" control={<Radio />} label="Excel" />
+              {track && Object.entries(TRACK_FORMATS).map(([value, { label }]) => (
+                <FormControlLabel key={value} value={value} control={<Radio />} label={label} />
+              ))}
             </RadioGroup>
           </FormControl>
           
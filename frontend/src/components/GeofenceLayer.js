@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { Circle, Polygon, Tooltip } from 'react-leaflet';
+import { fetchGeofences } from '../services/api';
+
+// Draws geofence zones; limited to the zones assigned to deviceId when it is given
+const GeofenceLayer = ({ deviceId }) => {
+  const [geofences, setGeofences] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadGeofences = async () => {
+      try {
+        const data = await fetchGeofences(deviceId);
+        if (!cancelled && Array.isArray(data)) {
+          setGeofences(data.filter(geofence => geofence.enabled));
+        }
+      } catch (error) {
+        console.error('Error loading geofences:', error);
+      }
+    };
+
+    loadGeofences();
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId]);
+
+  return geofences.map((geofence) => {
+    const pathOptions = { color: geofence.color || '#1976d2', weight: 2, fillOpacity: 0.1 };
+    const label = (
+      <Tooltip sticky>
+        <strong>{geofence.name}</strong>
+        {geofence.dwellTime > 0 && <><br />Dwell alert after {geofence.dwellTime}s</>}
+      </Tooltip>
+    );
+
+    if (geofence.type === 'circle') {
+      return (
+        <Circle
+          key={geofence.id}
+          center={[geofence.latitude, geofence.longitude]}
+          radius={geofence.radius}
+          pathOptions={pathOptions}
+        >
+          {label}
+        </Circle>
+      );
+    }
+
+    return (
+      <Polygon
+        key={geofence.id}
+        positions={(geofence.points || []).map(point => [point.latitude, point.longitude])}
+        pathOptions={pathOptions}
+      >
+        {label}
+      </Polygon>
+    );
+  });
+};
+
+export default GeofenceLayer;
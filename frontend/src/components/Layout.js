@@ -28,8 +28,10 @@ import {
   Notifications as NotificationsIcon,
   TableChart as TableChartIcon,
   LocationOn as LocationIcon,
-  Science as ScienceIcon
+  Science as ScienceIcon,
+  Logout as LogoutIcon
 } from '@mui/icons-material';
+import { useAuth } from '../contexts/AuthContext';
 
 const drawerWidth = 240;
 
@@ -39,6 +41,7 @@ const Layout = ({ children }) => {
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const navigate = useNavigate();
   const location = useLocation();
+  const { user, logout } = useAuth();
 
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
@@ -107,9 +110,17 @@ const Layout = ({ children }) => {
           >
             <MenuIcon />
           </IconButton>
-          <Typography variant="h6" noWrap component="div">
+          <Typography variant="h6" noWrap component="div" sx={{ flexGrow: 1 }}>
             {menuItems.find(item => item.path === location.pathname)?.text || 'Dashboard'}
           </Typography>
+          {user && (
+            <Typography variant="body2" noWrap sx={{ mr: 1 }}>
+              {user.username}
+            </Typography>
+          )}
+          <IconButton color="inherit" aria-label="log out" onClick={logout}>
+            <LogoutIcon />
+          </IconButton>
         </Toolbar>
       </AppBar>
       <Box
@@ -0,0 +1,376 @@
+// frontend/src/components/RetentionPolicies.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Chip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  PlayArrow as RunIcon,
+  Visibility as DryRunIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { BASE_URL } from '../services/api';
+
+const POLICIES_URL = `${BASE_URL}/api/settings/retention/policies`;
+
+const DOWNSAMPLE_OPTIONS = [
+  { value: '', label: 'Keep every record' },
+  { value: 60, label: 'One point per minute' },
+  { value: 300, label: 'One point per 5 minutes' }
+];
+
+const EMPTY_POLICY = {
+  name: '',
+  scope: 'default',
+  deviceId: '',
+  groupId: '',
+  rawDays: 30,
+  downsampleInterval: 60,
+  deleteDays: 365,
+  enabled: true
+};
+
+const describePolicy = (policy) => {
+  const steps = [`raw for ${policy.rawDays} days`];
+  if (policy.downsampleInterval) {
+    steps.push(`then ${policy.downsampleInterval === 60 ? '1 point/min' : '1 point/5 min'}`);
+  }
+  steps.push(policy.deleteDays ? `deleted after ${policy.deleteDays} days` : 'kept forever');
+  return steps.join(', ');
+};
+
+const policyTarget = (policy) => {
+  if (policy.device) {
+    return `Device ${policy.device.name || policy.device.imei}`;
+  }
+  if (policy.group) {
+    return `Group ${policy.group.name}`;
+  }
+  return 'All other devices';
+};
+
+/**
+ * Retention policies: how long records are kept raw, how they are thinned
+ * afterwards and when they are deleted, with a dry run of the next pass
+ */
+const RetentionPolicies = ({ onSuccess, onError }) => {
+  const [policies, setPolicies] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [editing, setEditing] = useState(null); // Policy form, with id when editing
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchPolicies = useCallback(async () => {
+    try {
+      const response = await axios.get(POLICIES_URL);
+      setPolicies(response.data);
+    } catch (error) {
+      onError(error, 'Error loading retention policies');
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    fetchPolicies();
+    axios.get(`${BASE_URL}/api/devices`).then(response => setDevices(response.data)).catch(() => setDevices([]));
+    axios.get(`${BASE_URL}/api/device-groups`).then(response => setGroups(response.data)).catch(() => setGroups([]));
+  }, [fetchPolicies]);
+
+  const openEditor = (policy) => {
+    if (!policy) {
+      setEditing({ ...EMPTY_POLICY });
+      return;
+    }
+    setEditing({
+      id: policy.id,
+      name: policy.name,
+      scope: policy.deviceId ? 'device' : policy.groupId ? 'group' : 'default',
+      deviceId: policy.deviceId || '',
+      groupId: policy.groupId || '',
+      rawDays: policy.rawDays,
+      downsampleInterval: policy.downsampleInterval || '',
+      deleteDays: policy.deleteDays || '',
+      enabled: policy.enabled
+    });
+  };
+
+  const handleSave = async () => {
+    const body = {
+      name: editing.name,
+      deviceId: editing.scope === 'device' ? editing.deviceId : null,
+      groupId: editing.scope === 'group' ? editing.groupId : null,
+      rawDays: parseInt(editing.rawDays),
+      downsampleInterval: editing.downsampleInterval || null,
+      deleteDays: editing.deleteDays === '' ? null : parseInt(editing.deleteDays),
+      enabled: editing.enabled
+    };
+    try {
+      if (editing.id) {
+        await axios.put(`${POLICIES_URL}/${editing.id}`, body);
+      } else {
+        await axios.post(POLICIES_URL, body);
+      }
+      setEditing(null);
+      setReport(null);
+      fetchPolicies();
+      onSuccess('Retention policy saved');
+    } catch (error) {
+      onError(error, 'Error saving retention policy');
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    try {
+      await axios.delete(`${POLICIES_URL}/${policy.id}`);
+      setReport(null);
+      fetchPolicies();
+      onSuccess('Retention policy deleted');
+    } catch (error) {
+      onError(error, 'Error deleting retention policy');
+    }
+  };
+
+  const handleDryRun = async () => {
+    setBusy(true);
+    try {
+      const response = await axios.get(`${BASE_URL}/api/settings/retention/dry-run`);
+      setReport(response.data);
+    } catch (error) {
+      onError(error, 'Error running the retention dry run');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRun = async () => {
+    if (!window.confirm('Downsample and delete records now according to the enabled policies?')) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await axios.post(`${BASE_URL}/api/settings/retention/run`);
+      setReport(response.data);
+      const { downsampled, deleted } = response.data.totals;
+      onSuccess(`Retention applied: ${downsampled} records downsampled, ${deleted} deleted`);
+    } catch (error) {
+      onError(error, 'Error applying retention policies');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateEditing = (changes) => setEditing({ ...editing, ...changes });
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">Retention Policies</Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button startIcon={<DryRunIcon />} onClick={handleDryRun} disabled={busy}>
+            Dry Run
+          </Button>
+          <Button startIcon={<RunIcon />} onClick={handleRun} disabled={busy}>
+            Run Now
+          </Button>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => openEditor(null)}>
+            Add Policy
+          </Button>
+        </Box>
+      </Box>
+      <Typography variant="body2" color="text.secondary">
+        Devices follow their own policy, else their group&apos;s, else the policy for all other devices.
+        Downsampling keeps the first and last records, alarms and input changes.
+      </Typography>
+
+      <List>
+        {policies.map((policy) => (
+          <ListItem key={policy.id}>
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {policy.name}
+                  <Chip size="small" label={policyTarget(policy)} />
+                  {!policy.enabled && <Chip size="small" label="Disabled" variant="outlined" />}
+                </Box>
+              }
+              secondary={describePolicy(policy)}
+            />
+            <ListItemSecondaryAction>
+              <IconButton edge="end" aria-label="edit" onClick={() => openEditor(policy)} sx={{ mr: 1 }}>
+                <EditIcon />
+              </IconButton>
+              <IconButton edge="end" aria-label="delete" onClick={() => handleDelete(policy)}>
+                <DeleteIcon />
+              </IconButton>
+            </ListItemSecondaryAction>
+          </ListItem>
+        ))}
+        {policies.length === 0 && (
+          <ListItem>
+            <ListItemText secondary="No policies; all records are kept" />
+          </ListItem>
+        )}
+      </List>
+
+      {report && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2">
+            {report.dryRun ? 'Dry run' : 'Run'} at {new Date(report.startedAt).toLocaleString()}
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Policy</TableCell>
+                <TableCell align="right">Devices</TableCell>
+                <TableCell align="right">{report.dryRun ? 'Would downsample' : 'Downsampled'}</TableCell>
+                <TableCell align="right">{report.dryRun ? 'Would delete' : 'Deleted'}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.policies.map((row) => (
+                <TableRow key={row.policyId}>
+                  <TableCell>{row.name}</TableCell>
+                  <TableCell align="right">{row.devices}</TableCell>
+                  <TableCell align="right">{row.downsampled}</TableCell>
+                  <TableCell align="right">{row.deleted}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+      )}
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing && editing.id ? 'Edit Retention Policy' : 'Add Retention Policy'}</DialogTitle>
+        {editing && (
+          <DialogContent>
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Name"
+              value={editing.name}
+              onChange={(e) => updateEditing({ name: e.target.value })}
+            />
+            <TextField
+              select
+              fullWidth
+              margin="normal"
+              label="Applies To"
+              value={editing.scope}
+              onChange={(e) => updateEditing({ scope: e.target.value })}
+            >
+              <MenuItem value="default">All other devices</MenuItem>
+              <MenuItem value="device">A device</MenuItem>
+              <MenuItem value="group">A device group</MenuItem>
+            </TextField>
+            {editing.scope === 'device' && (
+              <TextField
+                select
+                fullWidth
+                margin="normal"
+                label="Device"
+                value={editing.deviceId}
+                onChange={(e) => updateEditing({ deviceId: e.target.value })}
+              >
+                {devices.map((device) => (
+                  <MenuItem key={device.id} value={device.id}>
+                    {device.name || device.imei}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+            {editing.scope === 'group' && (
+              <TextField
+                select
+                fullWidth
+                margin="normal"
+                label="Device Group"
+                value={editing.groupId}
+                onChange={(e) => updateEditing({ groupId: e.target.value })}
+              >
+                {groups.map((group) => (
+                  <MenuItem key={group.id} value={group.id}>
+                    {group.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+            <TextField
+              fullWidth
+              type="number"
+              margin="normal"
+              label="Keep Raw Records (days)"
+              value={editing.rawDays}
+              onChange={(e) => updateEditing({ rawDays: e.target.value })}
+            />
+            <TextField
+              select
+              fullWidth
+              margin="normal"
+              label="Then"
+              value={editing.downsampleInterval}
+              onChange={(e) => updateEditing({ downsampleInterval: e.target.value })}
+            >
+              {DOWNSAMPLE_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              fullWidth
+              type="number"
+              margin="normal"
+              label="Delete After (days)"
+              value={editing.deleteDays}
+              onChange={(e) => updateEditing({ deleteDays: e.target.value })}
+              helperText="Leave empty to keep records"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={editing.enabled}
+                  onChange={(e) => updateEditing({ enabled: e.target.checked })}
+                />
+              }
+              label="Enabled"
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" color="primary">
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default RetentionPolicies;
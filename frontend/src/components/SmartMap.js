@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { MapContainer, TileLayer } from 'react-leaflet';
 import OfflineMapLayer from './OfflineMapLayer';
+import GeofenceLayer from './GeofenceLayer';
 
 const SmartMap = ({ 
   center = [0, 0], 
@@ -8,7 +9,9 @@ const SmartMap = ({
   children, 
   height = '400px',
   width = '100%',
-  style = {}
+  style = {},
+  showGeofences = false,
+  geofenceDeviceId
 }) => {
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [mapTilesLoaded, setMapTilesLoaded] = useState(false);
@@ -78,6 +81,8 @@ const SmartMap = ({
           />
         )}
         
+        {showGeofences && <GeofenceLayer deviceId={geofenceDeviceId} />}
+
         {/* Render children (markers, polylines, etc.) with higher z-index */}
         <div style={{ position: 'relative', zIndex: 1000 }}>
           {children}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Paper,
   Typography,
@@ -12,6 +12,7 @@ import { Marker, Popup } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import SmartMap from './SmartMap';
+import useWebSocket from '../hooks/useWebSocket';
 
 // Fix for default markers in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -21,6 +22,20 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
+const FLEET_SUBSCRIPTIONS = [{ type: 'subscribeAll' }];
+
+// Location of the last positioned record of a batch, if any
+const latestLocation = (records) => {
+  const record = [...records].reverse().find(r => r.latitude != null && r.longitude != null);
+  return record ? {
+    latitude: record.latitude,
+    longitude: record.longitude,
+    timestamp: record.timestamp,
+    speed: record.speed,
+    direction: record.direction
+  } : null;
+};
+
 const TrackingMap = ({ height = 400, showInfo = true }) => {
   const [devices, setDevices] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -30,7 +45,7 @@ const TrackingMap = ({ height = 400, showInfo = true }) => {
   useEffect(() => {
     const loadDevicesWithLocations = async () => {
       try {
-        const response = await fetch(`${process.env.REACT_APP_API_URL}/api/devices/locations`);
+        const response = await fetch(`${process.env.REACT_APP_API_URL}/api/devices/locations`, { credentials: 'include' });
         const devicesData = await response.json();
         setDevices(devicesData);
         
@@ -50,6 +65,30 @@ const TrackingMap = ({ height = 400, showInfo = true }) => {
     loadDevicesWithLocations();
   }, []);
 
+  // Move markers as devices report in
+  const handleMessage = useCallback((message) => {
+    if (message.type !== 'deviceData') {
+      return;
+    }
+    const imei = message.deviceId;
+    const update = message.data;
+    if (update.type === 'records') {
+      const location = latestLocation(update.records);
+      if (!location) {
+        return;
+      }
+      setDevices(prev => (prev.some(device => device.imei === imei)
+        ? prev.map(device => (device.imei === imei ? { ...device, location } : device))
+        : [...prev, { imei, location }]));
+    } else if (update.type === 'status') {
+      setDevices(prev => prev.map(device => (device.imei === imei
+        ? { ...device, status: update.status, lastSeen: update.lastSeen }
+        : device)));
+    }
+  }, []);
+
+  useWebSocket(null, handleMessage, FLEET_SUBSCRIPTIONS);
+
   if (loading) {
     return (
       <Paper sx={{ p: 2, height }}>
@@ -71,6 +110,7 @@ const TrackingMap = ({ height = 400, showInfo = true }) => {
             center={mapCenter}
             zoom={mapZoom}
             height="100%"
+            showGeofences
           >
             {devicesWithLocation.map((device) => (
               <Marker 
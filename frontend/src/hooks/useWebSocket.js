@@ -1,49 +1,116 @@
 // frontend/src/hooks/useWebSocket.js
 
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState, useCallback } from 'react';
 
-const useWebSocket = (url, onMessage) => {
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// Every subscribeX message is undone by the matching unsubscribeX message
+const toUnsubscribe = (message) => ({
+  ...message,
+  type: message.type.replace(/^subscribe/, 'unsubscribe')
+});
+
+/**
+ * Keeps a WebSocket connection open, reconnecting with backoff when it drops.
+ * subscriptions lists subscribe messages (e.g. { type: 'subscribe', deviceId })
+ * that are sent again on every reconnect and undone once removed from the list.
+ */
+const useWebSocket = (url, onMessage, subscriptions = []) => {
   const ws = useRef(null);
+  const onMessageRef = useRef(onMessage);
+  const wanted = useRef(subscriptions);
+  const active = useRef(new Map()); // key -> subscription sent on the open socket
+  const [connected, setConnected] = useState(false);
+  const subscriptionKey = JSON.stringify(subscriptions);
 
   useEffect(() => {
-    const wsUrl = process.env.REACT_APP_WS_URL || 'ws://localhost:3000/ws';
-    ws.current = new WebSocket(wsUrl);
+    onMessageRef.current = onMessage;
+  }, [onMessage]);
 
-    ws.current.onopen = () => {
-      console.log('WebSocket connected');
-    };
+  const send = useCallback((message) => {
+    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+      ws.current.send(JSON.stringify(message));
+      return true;
+    }
+    return false;
+  }, []);
 
-    ws.current.onmessage = (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        onMessage(message);
-      } catch (error) {
-        console.error('WebSocket message error:', error);
+  const syncSubscriptions = useCallback(() => {
+    const wantedByKey = new Map(wanted.current.map(message => [JSON.stringify(message), message]));
+    active.current.forEach((message, key) => {
+      if (!wantedByKey.has(key) && send(toUnsubscribe(message))) {
+        active.current.delete(key);
       }
-    };
+    });
+    wantedByKey.forEach((message, key) => {
+      if (!active.current.has(key) && send(message)) {
+        active.current.set(key, message);
+      }
+    });
+  }, [send]);
 
-    ws.current.onerror = (error) => {
-      console.error('WebSocket error:', error);
-    };
+  useEffect(() => {
+    const wsUrl = url || process.env.REACT_APP_WS_URL || 'ws://localhost:3000/ws';
+    let delay = RECONNECT_DELAY;
+    let timer = null;
+    let closed = false;
+
+    const connect = () => {
+      const socket = new WebSocket(wsUrl);
+      ws.current = socket;
 
-    ws.current.onclose = () => {
-      console.log('WebSocket disconnected');
-      // Attempt to reconnect after 5 seconds
-      setTimeout(() => {
-        if (ws.current) {
-          ws.current.close();
+      socket.onopen = () => {
+        console.log('WebSocket connected');
+        delay = RECONNECT_DELAY;
+        // A new connection starts without subscriptions
+        active.current = new Map();
+        setConnected(true);
+        syncSubscriptions();
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          onMessageRef.current(message);
+        } catch (error) {
+          console.error('WebSocket message error:', error);
+        }
+      };
+
+      socket.onerror = (error) => {
+        console.error('WebSocket error:', error);
+      };
+
+      socket.onclose = () => {
+        if (closed) {
+          return;
         }
-      }, 5000);
+        setConnected(false);
+        console.log(`WebSocket disconnected, reconnecting in ${delay / 1000}s`);
+        timer = setTimeout(connect, delay);
+        delay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+      };
     };
 
+    connect();
+
     return () => {
+      closed = true;
+      clearTimeout(timer);
       if (ws.current) {
         ws.current.close();
+        ws.current = null;
       }
     };
-  }, [url, onMessage]);
+  }, [url, syncSubscriptions]);
+
+  useEffect(() => {
+    wanted.current = JSON.parse(subscriptionKey);
+    syncSubscriptions();
+  }, [subscriptionKey, syncSubscriptions]);
 
-  return ws.current;
+  return { connected, send };
 };
 
 export default useWebSocket;
@@ -1,65 +1,172 @@
 // frontend/src/pages/Dashboard.js
 
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Container,
   Grid,
   Paper,
   Typography,
-  Box
+  Box,
+  Chip,
+  Alert,
+  List,
+  ListItem,
+  ListItemText
 } from '@mui/material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as RechartsTooltip,
+  ResponsiveContainer
+} from 'recharts';
 import TrackingMap from '../components/TrackingMap';
+import useWebSocket from '../hooks/useWebSocket';
+import { fetchDashboardData } from '../services/api';
+
+const SEVERITY_COLORS = {
+  low: 'info',
+  medium: 'warning',
+  high: 'error',
+  critical: 'error'
+};
+
+const DASHBOARD_SUBSCRIPTIONS = [{ type: 'subscribeDashboard' }];
+
+const formatHour = (hour) => new Date(hour).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const formatDistance = (meters) => `${(meters / 1000).toFixed(1)} km`;
+
+const StatCard = ({ title, value, children }) => (
+  <Paper sx={{ p: 2, display: 'flex', flexDirection: 'column', height: '100%' }}>
+    <Typography component="h2" variant="h6" color="primary" gutterBottom>
+      {title}
+    </Typography>
+    <Typography component="p" variant="h4">
+      {value}
+    </Typography>
+    {children}
+  </Paper>
+);
 
 const Dashboard = () => {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchDashboardData()
+      .then(setStats)
+      .catch((err) => {
+        console.error('Error fetching dashboard statistics:', err);
+        setError('Failed to load dashboard statistics');
+      });
+  }, []);
+
+  const handleMessage = useCallback((message) => {
+    if (message.type === 'dashboardStats') {
+      setStats(message.data);
+      setError(null);
+    }
+  }, []);
+
+  useWebSocket(null, handleMessage, DASHBOARD_SUBSCRIPTIONS);
+
+  const throughput = stats
+    ? stats.records.perHour.map(({ hour, records }) => ({ hour: formatHour(hour), records }))
+    : [];
+
   return (
     <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
       <Grid container spacing={3}>
-        <Grid item xs={12} md={4}>
-          <Paper sx={{ p: 2, display: 'flex', flexDirection: 'column' }}>
-            <Typography component="h2" variant="h6" color="primary" gutterBottom>
-              Total Devices
-            </Typography>
-            <Typography component="p" variant="h4">
-              0
-            </Typography>
-          </Paper>
+        <Grid item xs={12} sm={6} md={3}>
+          <StatCard title="Total Devices" value={stats ? stats.devices.total : '–'} />
         </Grid>
-        <Grid item xs={12} md={4}>
-          <Paper sx={{ p: 2, display: 'flex', flexDirection: 'column' }}>
+        <Grid item xs={12} sm={6} md={3}>
+          <StatCard title="Online Devices" value={stats ? stats.devices.online : '–'}>
+            {stats && (
+              <Typography variant="body2" color="text.secondary">
+                {stats.devices.offline} offline
+              </Typography>
+            )}
+          </StatCard>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <StatCard title="Active Alerts" value={stats ? stats.alerts.active : '–'}>
+            {stats && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                {Object.entries(stats.alerts.bySeverity)
+                  .filter(([, count]) => count > 0)
+                  .map(([severity, count]) => (
+                    <Chip
+                      key={severity}
+                      size="small"
+                      label={`${severity}: ${count}`}
+                      color={SEVERITY_COLORS[severity] || 'default'}
+                      variant={severity === 'critical' ? 'filled' : 'outlined'}
+                    />
+                  ))}
+              </Box>
+            )}
+          </StatCard>
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <StatCard title="Records (24h)" value={stats ? stats.records.last24h : '–'} />
+        </Grid>
+
+        {/* Records ingested per hour */}
+        <Grid item xs={12} md={8}>
+          <Paper sx={{ p: 2 }}>
             <Typography component="h2" variant="h6" color="primary" gutterBottom>
-              Active Devices
-            </Typography>
-            <Typography component="p" variant="h4">
-              0
+              Throughput
             </Typography>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={throughput}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="hour" />
+                <YAxis allowDecimals={false} />
+                <RechartsTooltip />
+                <Bar dataKey="records" name="Records" fill="#1976d2" isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
           </Paper>
         </Grid>
+
         <Grid item xs={12} md={4}>
-          <Paper sx={{ p: 2, display: 'flex', flexDirection: 'column' }}>
+          <Paper sx={{ p: 2, height: '100%' }}>
             <Typography component="h2" variant="h6" color="primary" gutterBottom>
-              Total Alerts
-            </Typography>
-            <Typography component="p" variant="h4">
-              0
+              Top Distance (24h)
             </Typography>
+            {stats && stats.topDistance.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No vehicles have moved in the last 24 hours
+              </Typography>
+            ) : (
+              <List dense>
+                {(stats ? stats.topDistance : []).map((vehicle, index) => (
+                  <ListItem key={vehicle.imei} disableGutters>
+                    <ListItemText
+                      primary={`${index + 1}. ${vehicle.name}`}
+                      secondary={vehicle.imei}
+                    />
+                    <Typography variant="body2">{formatDistance(vehicle.distance)}</Typography>
+                  </ListItem>
+                ))}
+              </List>
+            )}
           </Paper>
         </Grid>
-        
+
         {/* Device Tracking Map */}
         <Grid item xs={12}>
           <TrackingMap height={500} showInfo={true} />
         </Grid>
-        
-        <Grid item xs={12}>
-          <Paper sx={{ p: 2, display: 'flex', flexDirection: 'column' }}>
-            <Typography component="h2" variant="h6" color="primary" gutterBottom>
-              Welcome to Galileo Sky Parser
-            </Typography>
-            <Typography component="p" variant="body1">
-              This is the dashboard of your Galileo Sky Parser application. Here you can monitor your devices, view data, and manage your settings.
-            </Typography>
-          </Paper>
-        </Grid>
       </Grid>
     </Container>
   );
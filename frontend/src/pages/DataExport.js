@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Container,
   Paper,
@@ -21,13 +21,35 @@ import {
   FormControlLabel,
   Tabs,
   Tab,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Chip,
 } from '@mui/material';
 import FileDownloadIcon from '@mui/icons-material/FileDownload';
 import RefreshIcon from '@mui/icons-material/Refresh';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import DeleteIcon from '@mui/icons-material/Delete';
 import axios from 'axios';
 
+const PREVIEW_PAGE_SIZE = 100;
+const JOB_POLL_INTERVAL = 2000;
+
+const JOB_STATUS_COLORS = {
+  queued: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error'
+};
+
+const formatSize = (bytes) => (bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
 const DataExport = () => {
   const [records, setRecords] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [jobs, setJobs] = useState([]);
   const [loading, setLoading] = useState(false);
   const [startDate, setStartDate] = useState(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]);
   const [endDate, setEndDate] = useState(new Date().toISOString().split('T')[0]);
@@ -90,16 +112,20 @@ const DataExport = () => {
     'Modbus Data': ['modbus0', 'modbus1', 'modbus2', 'modbus3', 'modbus4', 'modbus5', 'modbus6', 'modbus7', 'modbus8', 'modbus9', 'modbus10', 'modbus11', 'modbus12', 'modbus13', 'modbus14', 'modbus15']
   };
 
-  const fetchData = async () => {
+  // One page of the preview; without a cursor the preview starts over
+  const fetchData = async (cursor = null) => {
     setLoading(true);
     try {
       const response = await axios.get(`${process.env.REACT_APP_API_URL}/api/records`, {
         params: {
           startDate: new Date(startDate).toISOString(),
           endDate: new Date(endDate).toISOString(),
+          limit: PREVIEW_PAGE_SIZE,
+          cursor: cursor || undefined,
         },
       });
-      setRecords(response.data);
+      setRecords((previous) => (cursor ? [...previous, ...response.data.records] : response.data.records));
+      setNextCursor(response.data.nextCursor);
     } catch (error) {
       console.error('Error fetching data:', error);
     }
@@ -110,32 +136,62 @@ const DataExport = () => {
     fetchData();
   }, [startDate, endDate]);
 
-  const handleExport = async () => {
+  const exportParams = () => ({
+    startDate: new Date(startDate).toISOString(),
+    endDate: new Date(endDate).toISOString(),
+    format: exportFormat,
+    fields: Object.entries(selectedFields)
+      .filter(([_, selected]) => selected)
+      .map(([field]) => field)
+      .join(','),
+  });
+
+  // The browser saves the file as the server streams it
+  const handleExport = () => {
+    const link = document.createElement('a');
+    link.href = `${process.env.REACT_APP_API_URL}/api/records/export?${new URLSearchParams(exportParams())}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
+  const fetchJobs = useCallback(async () => {
     try {
-      const response = await axios.post(
-        `${process.env.REACT_APP_API_URL}/api/records/export`,
-        {
-          startDate: new Date(startDate).toISOString(),
-          endDate: new Date(endDate).toISOString(),
-          format: exportFormat,
-          fields: Object.entries(selectedFields)
-            .filter(([_, selected]) => selected)
-            .map(([field]) => field),
-        },
-        {
-          responseType: 'blob',
-        }
-      );
+      const response = await axios.get(`${process.env.REACT_APP_API_URL}/api/records/export/jobs`);
+      setJobs(response.data);
+    } catch (error) {
+      console.error('Error fetching export jobs:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
 
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', `data-export.${exportFormat}`);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+  // Follow jobs until they finish
+  useEffect(() => {
+    if (!jobs.some((job) => job.status === 'queued' || job.status === 'running')) {
+      return undefined;
+    }
+    const timer = setTimeout(fetchJobs, JOB_POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [jobs, fetchJobs]);
+
+  const handleCreateJob = async () => {
+    try {
+      await axios.post(`${process.env.REACT_APP_API_URL}/api/records/export/jobs`, exportParams());
+      fetchJobs();
     } catch (error) {
-      console.error('Error exporting data:', error);
+      console.error('Error starting export job:', error);
+    }
+  };
+
+  const handleDeleteJob = async (job) => {
+    try {
+      await axios.delete(`${process.env.REACT_APP_API_URL}/api/records/export/jobs/${job.id}`);
+      fetchJobs();
+    } catch (error) {
+      console.error('Error deleting export job:', error);
     }
   };
 
@@ -191,6 +247,7 @@ const DataExport = () => {
               >
                 <MenuItem value="csv">CSV</MenuItem>
                 <MenuItem value="json">JSON</MenuItem>
+                <MenuItem value="ndjson">NDJSON</MenuItem>
                 <MenuItem value="xlsx">Excel</MenuItem>
               </Select>
             </FormControl>
@@ -204,10 +261,58 @@ const DataExport = () => {
             >
               Export Data
             </Button>
+            <Button
+              startIcon={<ScheduleIcon />}
+              onClick={handleCreateJob}
+              fullWidth
+              sx={{ mt: 1 }}
+            >
+              Export in Background
+            </Button>
           </Grid>
         </Grid>
       </Paper>
 
+      {jobs.length > 0 && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Export Jobs
+          </Typography>
+          <List dense>
+            {jobs.map((job) => (
+              <ListItem key={job.id}>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1}>
+                      {`${job.format.toUpperCase()} export of ${new Date(job.createdAt).toLocaleString()}`}
+                      <Chip size="small" label={job.status} color={JOB_STATUS_COLORS[job.status]} />
+                    </Box>
+                  }
+                  secondary={job.status === 'failed'
+                    ? job.error
+                    : `${job.rows} records${job.size !== null ? ` · ${formatSize(job.size)}` : ''}`}
+                />
+                <ListItemSecondaryAction>
+                  {job.status === 'completed' && (
+                    <IconButton
+                      edge="end"
+                      aria-label="download"
+                      href={`${process.env.REACT_APP_API_URL}/api/records/export/jobs/${job.id}/download`}
+                      sx={{ mr: 1 }}
+                    >
+                      <FileDownloadIcon />
+                    </IconButton>
+                  )}
+                  <IconButton edge="end" aria-label="delete" onClick={() => handleDeleteJob(job)}>
+                    <DeleteIcon />
+                  </IconButton>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
       <Paper sx={{ p: 3, mb: 3 }}>
         <Typography variant="h6" gutterBottom>
           Select Fields to Export
@@ -239,7 +344,7 @@ const DataExport = () => {
           <Typography variant="h6">Data Preview</Typography>
           <Button
             startIcon={<RefreshIcon />}
-            onClick={fetchData}
+            onClick={() => fetchData()}
             disabled={loading}
           >
             Refresh
@@ -277,6 +382,13 @@ const DataExport = () => {
             </TableBody>
           </Table>
         </TableContainer>
+        {nextCursor && (
+          <Box display="flex" justifyContent="center" mt={2}>
+            <Button onClick={() => fetchData(nextCursor)} disabled={loading}>
+              Load More
+            </Button>
+          </Box>
+        )}
       </Paper>
     </Container>
   );
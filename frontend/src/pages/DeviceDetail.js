@@ -19,44 +19,63 @@ import 'leaflet/dist/leaflet.css';
 import useWebSocket from '../hooks/useWebSocket';
 import SmartMap from '../components/SmartMap';
 
+const MAX_ROWS = 50;
+
+const hasPosition = (record) => record.latitude != null && record.longitude != null;
+
 const DeviceDetail = () => {
-  const { deviceId } = useParams();
+  const { id } = useParams();
   const [device, setDevice] = useState(null);
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
 
   const loadDeviceData = useCallback(async () => {
     try {
-      const [deviceResponse, dataResponse] = await Promise.all([
-        fetch(`${process.env.REACT_APP_API_URL}/api/devices/${deviceId}`),
-        fetch(`${process.env.REACT_APP_API_URL}/api/data/${deviceId}`)
-      ]);
-
+      const deviceResponse = await fetch(`${process.env.REACT_APP_API_URL}/api/devices/${id}`, { credentials: 'include' });
+      if (!deviceResponse.ok) {
+        setDevice(null);
+        return;
+      }
       const deviceData = await deviceResponse.json();
+      // Records are stored by IMEI
+      const dataResponse = await fetch(
+        `${process.env.REACT_APP_API_URL}/api/data/${deviceData.imei}?limit=${MAX_ROWS}`,
+        { credentials: 'include' }
+      );
       const deviceHistory = await dataResponse.json();
 
       setDevice(deviceData);
       setData(deviceHistory);
-      setLoading(false);
     } catch (error) {
       console.error('Error loading device data:', error);
+    } finally {
       setLoading(false);
     }
-  }, [deviceId]);
+  }, [id]);
+
+  useEffect(() => {
+    loadDeviceData();
+  }, [loadDeviceData]);
 
-  const handleWebSocketMessage = (message) => {
-    if (message.type === 'deviceUpdate' && message.data.deviceId === deviceId) {
-      setDevice(prev => ({ ...prev, ...message.data }));
-    } else if (message.type === 'dataUpdate' && message.data.deviceId === deviceId) {
-      setData(prev => [...prev, message.data]);
+  const imei = device ? device.imei : null;
+
+  const handleWebSocketMessage = useCallback((message) => {
+    if (message.type !== 'deviceData' || message.deviceId !== imei) {
+      return;
+    }
+    const update = message.data;
+    if (update.type === 'records') {
+      // Newest first, like the initial load
+      setData(prev => [...update.records].reverse().concat(prev).slice(0, MAX_ROWS));
+      setDevice(prev => ({ ...prev, status: 'active', lastSeen: new Date().toISOString() }));
+    } else if (update.type === 'status') {
+      setDevice(prev => ({ ...prev, status: update.status, lastSeen: update.lastSeen }));
     }
-  };
+  }, [imei]);
 
-  const ws = useWebSocket('ws://localhost:3000', handleWebSocketMessage);
+  useWebSocket(null, handleWebSocketMessage, imei ? [{ type: 'subscribe', deviceId: imei }] : []);
 
-  useEffect(() => {
-    loadDeviceData();
-  }, [loadDeviceData, ws]);
+  const position = data.find(hasPosition);
 
   if (loading) {
     return (
@@ -94,18 +113,18 @@ const DeviceDetail = () => {
           </Paper>
         </Grid>
 
-        {device.latitude && device.longitude && (
+        {position && (
           <Grid item xs={12} md={6}>
             <Paper sx={{ p: 2, height: 400 }}>
               <Typography variant="h6" gutterBottom>
                 Location
               </Typography>
               <SmartMap
-                center={[device.latitude, device.longitude]}
+                center={[position.latitude, position.longitude]}
                 zoom={13}
                 height="100%"
               >
-                <Marker position={[device.latitude, device.longitude]}>
+                <Marker position={[position.latitude, position.longitude]}>
                   <Popup>
                     {device.name}
                   </Popup>
@@ -115,7 +134,7 @@ const DeviceDetail = () => {
           </Grid>
         )}
 
-        <Grid item xs={12} md={device.latitude && device.longitude ? 6 : 12}>
+        <Grid item xs={12} md={position ? 6 : 12}>
           <Paper sx={{ p: 2 }}>
             <Typography variant="h6" gutterBottom>
               Recent Data
@@ -125,18 +144,22 @@ const DeviceDetail = () => {
                 <TableHead>
                   <TableRow>
                     <TableCell>Timestamp</TableCell>
-                    <TableCell>Type</TableCell>
-                    <TableCell>Value</TableCell>
+                    <TableCell>Position</TableCell>
+                    <TableCell>Speed</TableCell>
+                    <TableCell>Supply Voltage</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {data.map((item, index) => (
-                    <TableRow key={index}>
+                  {data.map((item) => (
+                    <TableRow key={item.id}>
+                      <TableCell>
+                        {new Date(item.datetime || item.timestamp).toLocaleString()}
+                      </TableCell>
                       <TableCell>
-                        {new Date(item.timestamp).toLocaleString()}
+                        {hasPosition(item) ? `${item.latitude.toFixed(6)}, ${item.longitude.toFixed(6)}` : '–'}
                       </TableCell>
-                      <TableCell>{item.type}</TableCell>
-                      <TableCell>{item.value}</TableCell>
+                      <TableCell>{item.speed != null ? `${item.speed} km/h` : '–'}</TableCell>
+                      <TableCell>{item.supplyVoltage != null ? item.supplyVoltage : '–'}</TableCell>
                     </TableRow>
                   ))}
                 </TableBody>
@@ -23,7 +23,8 @@ import {
   ListItemSecondaryAction,
   IconButton,
   LinearProgress,
-  Chip
+  Chip,
+  MenuItem
 } from '@mui/material';
 import {
   Save as SaveIcon,
@@ -42,18 +43,30 @@ import {
 } from '@mui/icons-material';
 import axios from 'axios';
 import { BASE_URL } from '../services/api';
+import RetentionPolicies from '../components/RetentionPolicies';
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug'];
+
+// The server answers invalid settings with the offending fields
+const errorMessage = (error, fallback) => {
+  const data = error.response && error.response.data;
+  if (data && Array.isArray(data.errors) && data.errors.length > 0) {
+    return data.errors.map(({ field, message }) => `${field}: ${message}`).join('; ');
+  }
+  return (data && data.message) || fallback;
+};
 
 const Settings = () => {
   const [settings, setSettings] = useState({
-    serverUrl: BASE_URL || '',
-    wsUrl: BASE_URL.replace('http', 'ws') || '',
-    dataRetentionDays: 30,
+    tcpTimeout: 30000,
+    validateChecksum: true,
+    deviceOnlineTimeout: 300,
+    logLevel: 'info',
     enableNotifications: true,
     enableAutoRefresh: true,
     refreshInterval: 30,
     enableDataExport: true,
-    exportFormat: 'csv',
-    enableDebugLogging: false
+    exportFormat: 'csv'
   });
 
   const [snackbar, setSnackbar] = useState({
@@ -91,6 +104,15 @@ const Settings = () => {
     });
   };
 
+  const handleRetentionSuccess = useCallback((message) => {
+    setSnackbar({ open: true, message, severity: 'success' });
+  }, []);
+
+  const handleRetentionError = useCallback((error, fallback) => {
+    console.error(`${fallback}:`, error);
+    setSnackbar({ open: true, message: errorMessage(error, fallback), severity: 'error' });
+  }, []);
+
   const handleCloseSnackbar = () => {
     setSnackbar({ ...snackbar, open: false });
   };
@@ -160,11 +182,12 @@ const Settings = () => {
 
   const handleSave = async () => {
     try {
-      await axios.put(`${BASE_URL}/api/settings`, settings);
+      const response = await axios.put(`${BASE_URL}/api/settings`, settings);
+      setSettings(response.data);
       showSnackbar('Settings saved successfully', 'success');
     } catch (error) {
       console.error('Error saving settings:', error);
-      showSnackbar('Error saving settings', 'error');
+      showSnackbar(errorMessage(error, 'Error saving settings'), 'error');
     }
   };
 
@@ -179,18 +202,41 @@ const Settings = () => {
       setSnackbar({ open: true, message: 'Backup created successfully', severity: 'success' });
     } catch (error) {
       console.error('Error creating backup:', error);
-      setSnackbar({ open: true, message: 'Error creating backup', severity: 'error' });
+      setSnackbar({ open: true, message: errorMessage(error, 'Error creating backup'), severity: 'error' });
     }
   };
 
-  const handleRestoreBackup = async (backupId) => {
+  const handleRestoreBackup = async (backup) => {
+    if (!window.confirm(`Replace all data with the backup "${backup.name}"? The current database is backed up first.`)) {
+      return;
+    }
     try {
-      await axios.post(`${BASE_URL}/api/settings/backups/${backupId}/restore`);
+      await axios.post(`${BASE_URL}/api/settings/backups/${backup.id}/restore`);
       fetchSettings();
-      setSnackbar({ open: true, message: 'Settings restored successfully', severity: 'success' });
+      fetchBackups();
+      setSnackbar({ open: true, message: 'Database restored successfully', severity: 'success' });
     } catch (error) {
       console.error('Error restoring backup:', error);
-      setSnackbar({ open: true, message: 'Error restoring backup', severity: 'error' });
+      setSnackbar({ open: true, message: errorMessage(error, 'Error restoring backup'), severity: 'error' });
+    }
+  };
+
+  const handleDownloadBackup = async (backup) => {
+    try {
+      const response = await axios.get(`${BASE_URL}/api/settings/backups/${backup.id}/download`, {
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${backup.id}.sqlite.gz`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (error) {
+      console.error('Error downloading backup:', error);
+      setSnackbar({ open: true, message: 'Error downloading backup', severity: 'error' });
     }
   };
 
@@ -227,25 +273,22 @@ const Settings = () => {
   const handleImportSettings = async () => {
     if (!selectedFile) return;
 
-    const formData = new FormData();
-    formData.append('file', selectedFile);
-
     try {
-      await axios.post(`${BASE_URL}/api/settings/import`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data'
-        }
-      });
+      const exported = JSON.parse(await selectedFile.text());
+      const response = await axios.post(`${BASE_URL}/api/settings/import`, exported);
       setImportDialogOpen(false);
       setSelectedFile(null);
-      fetchSettings();
+      setSettings(response.data);
       setSnackbar({ open: true, message: 'Settings imported successfully', severity: 'success' });
     } catch (error) {
       console.error('Error importing settings:', error);
-      setSnackbar({ open: true, message: 'Error importing settings', severity: 'error' });
+      const message = error instanceof SyntaxError ? 'The file is not valid JSON' : errorMessage(error, 'Error importing settings');
+      setSnackbar({ open: true, message, severity: 'error' });
     }
   };
 
+  const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
   const formatUptime = (seconds) => {
     const days = Math.floor(seconds / 86400);
     const hours = Math.floor((seconds % 86400) / 3600);
@@ -458,22 +501,35 @@ const Settings = () => {
         <Grid item xs={12} md={6}>
           <Paper sx={{ p: 3 }}>
             <Typography variant="h6" gutterBottom>
-              Server Configuration
+              Device Connections
             </Typography>
             <TextField
               fullWidth
-              label="Server URL"
-              value={settings.serverUrl}
-              onChange={(e) => setSettings({ ...settings, serverUrl: e.target.value })}
+              type="number"
+              label="Connection Timeout (seconds)"
+              value={settings.tcpTimeout / 1000}
+              onChange={(e) => setSettings({ ...settings, tcpTimeout: Math.round(parseFloat(e.target.value) * 1000) || 0 })}
+              helperText="Idle device connections are closed after this time"
               margin="normal"
             />
             <TextField
               fullWidth
-              label="WebSocket URL"
-              value={settings.wsUrl}
-              onChange={(e) => setSettings({ ...settings, wsUrl: e.target.value })}
+              type="number"
+              label="Offline After (seconds)"
+              value={settings.deviceOnlineTimeout}
+              onChange={(e) => setSettings({ ...settings, deviceOnlineTimeout: parseInt(e.target.value) || 0 })}
+              helperText="Devices not heard from for this long are shown as offline"
               margin="normal"
             />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={settings.validateChecksum}
+                  onChange={(e) => setSettings({ ...settings, validateChecksum: e.target.checked })}
+                />
+              }
+              label="Validate Packet Checksums"
+            />
           </Paper>
         </Grid>
 
@@ -482,14 +538,6 @@ const Settings = () => {
             <Typography variant="h6" gutterBottom>
               Data Management
             </Typography>
-            <TextField
-              fullWidth
-              type="number"
-              label="Data Retention (days)"
-              value={settings.dataRetentionDays}
-              onChange={(e) => setSettings({ ...settings, dataRetentionDays: parseInt(e.target.value) || 30 })}
-              margin="normal"
-            />
             <FormControlLabel
               control={
                 <Switch
@@ -550,15 +598,20 @@ const Settings = () => {
             <Typography variant="h6" gutterBottom>
               Advanced Settings
             </Typography>
-            <FormControlLabel
-              control={
-                <Switch
-                  checked={settings.enableDebugLogging}
-                  onChange={(e) => setSettings({ ...settings, enableDebugLogging: e.target.checked })}
-                />
-              }
-              label="Enable Debug Logging"
-            />
+            <TextField
+              select
+              label="Log Level"
+              value={settings.logLevel}
+              onChange={(e) => setSettings({ ...settings, logLevel: e.target.value })}
+              sx={{ minWidth: 200 }}
+              margin="normal"
+            >
+              {LOG_LEVELS.map((level) => (
+                <MenuItem key={level} value={level}>
+                  {level}
+                </MenuItem>
+              ))}
+            </TextField>
           </Paper>
         </Grid>
       </Grid>
@@ -573,13 +626,21 @@ const Settings = () => {
               <ListItem key={backup.id}>
                 <ListItemText
                   primary={backup.name}
-                  secondary={new Date(backup.createdAt).toLocaleString()}
+                  secondary={`${new Date(backup.createdAt).toLocaleString()} · ${formatSize(backup.size)} · ${backup.type}`}
                 />
                 <ListItemSecondaryAction>
+                  <IconButton
+                    edge="end"
+                    aria-label="download"
+                    onClick={() => handleDownloadBackup(backup)}
+                    sx={{ mr: 1 }}
+                  >
+                    <ExportIcon />
+                  </IconButton>
                   <IconButton
                     edge="end"
                     aria-label="restore"
-                    onClick={() => handleRestoreBackup(backup.id)}
+                    onClick={() => handleRestoreBackup(backup)}
                     sx={{ mr: 1 }}
                   >
                     <RestoreIcon />
@@ -598,6 +659,10 @@ const Settings = () => {
         </Paper>
       </Grid>
 
+      <Grid item xs={12} sx={{ mt: 3 }}>
+        <RetentionPolicies onSuccess={handleRetentionSuccess} onError={handleRetentionError} />
+      </Grid>
+
       <Dialog open={backupDialogOpen} onClose={() => setBackupDialogOpen(false)}>
         <DialogTitle>Create Backup</DialogTitle>
         <DialogContent>
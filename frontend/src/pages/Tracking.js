@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Container,
   Grid,
@@ -16,13 +16,16 @@ import {
   Chip,
   Alert
 } from '@mui/material';
-import { Marker, Popup, Polyline } from 'react-leaflet';
+import { Marker, Popup, Polyline, CircleMarker } from 'react-leaflet';
 import { DateTimePicker } from '@mui/x-date-pickers/DateTimePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
 import SmartMap from '../components/SmartMap';
+import ExportDialog from '../components/ExportDialog';
+import useWebSocket from '../hooks/useWebSocket';
 
 // Fix for default markers in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -43,6 +46,13 @@ const Tracking = () => {
   const [mapCenter, setMapCenter] = useState([0, 0]);
   const [mapZoom, setMapZoom] = useState(2);
   const [debugInfo, setDebugInfo] = useState('');
+  const [trips, setTrips] = useState([]);
+  const [stops, setStops] = useState([]);
+  // Device and period of the loaded track, for exporting it
+  const [loadedTrack, setLoadedTrack] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  // Device whose loaded track is extended as new positions arrive
+  const [followedDevice, setFollowedDevice] = useState(null);
 
   // Load devices
   useEffect(() => {
@@ -50,7 +60,7 @@ const Tracking = () => {
       try {
         console.log('Loading devices...');
         const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-        const response = await fetch(`${apiUrl}/api/devices`);
+        const response = await fetch(`${apiUrl}/api/devices`, { credentials: 'include' });
         
         if (!response.ok) {
           throw new Error(`HTTP error! status: ${response.status}`);
@@ -69,8 +79,36 @@ const Tracking = () => {
     loadDevices();
   }, []);
 
-  // Load tracking data
-  const loadTrackingData = async () => {
+  // Load trips and stops detected for the selected device in the period
+  const loadTrips = async (from, to) => {
+    const device = devices.find(d => d.imei === selectedDevice);
+    if (!device) {
+      return;
+    }
+
+    try {
+      const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+      const params = new URLSearchParams({
+        startDate: from.toISOString(),
+        endDate: to.toISOString()
+      });
+      const response = await fetch(`${apiUrl}/api/devices/${device.id}/trips?${params}`, { credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      setTrips(data.trips);
+      setStops(data.stops);
+    } catch (error) {
+      console.error('Error loading trips:', error);
+      setTrips([]);
+      setStops([]);
+    }
+  };
+
+  // Load tracking data, for the selected period unless a trip's period is given
+  const loadTrackingData = async (from = startDate, to = endDate) => {
     if (!selectedDevice) {
       setError('Please select a device');
       return;
@@ -83,14 +121,14 @@ const Tracking = () => {
     try {
       const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
       const params = new URLSearchParams({
-        startDate: startDate.toISOString(),
-        endDate: endDate.toISOString()
+        startDate: from.toISOString(),
+        endDate: to.toISOString()
       });
 
       const url = `${apiUrl}/api/data/${selectedDevice}/tracking?${params}`;
       console.log('Fetching tracking data from:', url);
 
-      const response = await fetch(url);
+      const response = await fetch(url, { credentials: 'include' });
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -99,13 +137,21 @@ const Tracking = () => {
       const data = await response.json();
       console.log('Tracking data received:', data);
       setTrackingData(data);
+      setLoadedTrack({ deviceId: selectedDevice, params: Object.fromEntries(params) });
       setDebugInfo(`Loaded ${data.length} tracking points`);
+      // A single trip is history; the selected period keeps growing
+      setFollowedDevice(from === startDate && to === endDate ? selectedDevice : null);
 
       // Set map center to first point or default
       if (data.length > 0) {
         setMapCenter([data[0].latitude, data[0].longitude]);
         setMapZoom(13);
       }
+
+      // Keep the trip list for the whole period when zooming into one trip
+      if (from === startDate && to === endDate) {
+        await loadTrips(from, to);
+      }
     } catch (error) {
       console.error('Error loading tracking data:', error);
       setError(`Failed to load tracking data: ${error.message}`);
@@ -115,6 +161,28 @@ const Tracking = () => {
     }
   };
 
+  const handleMessage = useCallback((message) => {
+    if (message.type !== 'deviceData' || message.deviceId !== followedDevice || message.data.type !== 'records') {
+      return;
+    }
+    const points = message.data.records.filter(record => record.latitude != null && record.longitude != null);
+    if (points.length > 0) {
+      setTrackingData(prev => [...prev, ...points]);
+    }
+  }, [followedDevice]);
+
+  useWebSocket(null, handleMessage, followedDevice ? [{ type: 'subscribe', deviceId: followedDevice }] : []);
+
+  const showTrip = (trip) => {
+    loadTrackingData(new Date(trip.startTime), new Date(trip.endTime));
+  };
+
+  const formatDuration = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  };
+
   // Create polyline coordinates for the track
   const trackCoordinates = trackingData.map(point => [point.latitude, point.longitude]);
 
@@ -178,7 +246,7 @@ const Tracking = () => {
               <Grid item xs={12} md={3}>
                 <Button
                   variant="contained"
-                  onClick={loadTrackingData}
+                  onClick={() => loadTrackingData()}
                   disabled={loading || !selectedDevice}
                   fullWidth
                 >
@@ -205,6 +273,8 @@ const Tracking = () => {
               center={mapCenter}
               zoom={mapZoom}
               height="100%"
+              showGeofences
+              geofenceDeviceId={selectedDevice || undefined}
             >
               {/* Track line */}
               {trackCoordinates.length > 1 && (
@@ -216,6 +286,25 @@ const Tracking = () => {
                 />
               )}
               
+              {/* Stops between trips */}
+              {stops.filter(stop => stop.latitude !== null && stop.longitude !== null).map((stop) => (
+                <CircleMarker
+                  key={`stop-${stop.startTime}`}
+                  center={[stop.latitude, stop.longitude]}
+                  radius={6}
+                  pathOptions={{ color: 'red' }}
+                >
+                  <Popup>
+                    <div>
+                      <strong>Stop</strong><br />
+                      From: {new Date(stop.startTime).toLocaleString()}<br />
+                      To: {new Date(stop.endTime).toLocaleString()}<br />
+                      Duration: {formatDuration(stop.duration)}
+                    </div>
+                  </Popup>
+                </CircleMarker>
+              ))}
+
               {/* Start marker */}
               {trackingData.length > 0 && (
                 <Marker position={[trackingData[0].latitude, trackingData[0].longitude]}>
@@ -250,9 +339,16 @@ const Tracking = () => {
         {/* Track Info */}
         <Grid item xs={12} md={4}>
           <Paper sx={{ p: 2, height: 600, overflow: 'auto' }}>
-            <Typography variant="h6" gutterBottom>
-              Track Information
-            </Typography>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="h6">
+                Track Information
+              </Typography>
+              {trackingData.length > 0 && loadedTrack && (
+                <Button size="small" startIcon={<FileDownloadIcon />} onClick={() => setExportOpen(true)}>
+                  Export
+                </Button>
+              )}
+            </Box>
             
             {trackingData.length > 0 ? (
               <Box>
@@ -272,6 +368,52 @@ const Tracking = () => {
                   </CardContent>
                 </Card>
 
+                {trips.length > 0 && (
+                  <>
+                    <Typography variant="subtitle1" gutterBottom>
+                      Trips ({trips.length})
+                    </Typography>
+
+                    {trips.map((trip) => (
+                      <Card
+                        key={trip.id}
+                        sx={{ mb: 1, cursor: 'pointer' }}
+                        onClick={() => showTrip(trip)}
+                      >
+                        <CardContent sx={{ py: 1 }}>
+                          <Typography variant="body2">
+                            <strong>{new Date(trip.startTime).toLocaleString()}</strong> – {new Date(trip.endTime).toLocaleTimeString()}<br />
+                            <Chip
+                              label={`${(trip.distance / 1000).toFixed(1)} km`}
+                              size="small"
+                              sx={{ mr: 1, mb: 1 }}
+                            />
+                            <Chip
+                              label={formatDuration(trip.duration)}
+                              size="small"
+                              sx={{ mr: 1, mb: 1 }}
+                            />
+                            <Chip
+                              label={`avg ${trip.avgSpeed} / max ${trip.maxSpeed} km/h`}
+                              size="small"
+                              color="primary"
+                              sx={{ mr: 1, mb: 1 }}
+                            />
+                            {trip.idleTime > 0 && (
+                              <Chip
+                                label={`idle ${formatDuration(trip.idleTime)}`}
+                                size="small"
+                                color="warning"
+                                sx={{ mb: 1 }}
+                              />
+                            )}
+                          </Typography>
+                        </CardContent>
+                      </Card>
+                    ))}
+                  </>
+                )}
+
                 <Typography variant="subtitle1" gutterBottom>
                   Recent Points
                 </Typography>
@@ -315,6 +457,17 @@ const Tracking = () => {
           </Paper>
         </Grid>
       </Grid>
+
+      {loadedTrack && (
+        <ExportDialog
+          key={`${loadedTrack.deviceId}-${loadedTrack.params.startDate}-${loadedTrack.params.endDate}`}
+          open={exportOpen}
+          onClose={() => setExportOpen(false)}
+          data={trackingData}
+          defaultFilename={`track-${loadedTrack.deviceId}`}
+          track={loadedTrack}
+        />
+      )}
     </Container>
   );
 };
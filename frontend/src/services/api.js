@@ -5,17 +5,21 @@ const API_BASE_URL = "http://192.168.1.114:3001"; // Use your server's LAN IP an
 export const BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
 export async function fetchDashboardData() {
-  const response = await fetch(`${BASE_URL}/api/dashboard`);
+  const response = await fetch(`${BASE_URL}/api/data/dashboard`, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
   return await response.json();
 }
 
 export async function fetchDeviceData(deviceId) {
-  const response = await fetch(`${BASE_URL}/api/devices/${deviceId}`);
+  const response = await fetch(`${BASE_URL}/api/devices/${deviceId}`, { credentials: 'include' });
   return await response.json();
 }
 
 export async function updateDeviceMapping(deviceId, mapping) {
   const response = await fetch(`${BASE_URL}/api/devices/${deviceId}/mapping`, {
+    credentials: 'include',
     method: 'PUT',
     headers: {
       'Content-Type': 'application/json',
@@ -26,12 +30,13 @@ export async function updateDeviceMapping(deviceId, mapping) {
 }
 
 export async function fetchAlerts() {
-  const response = await fetch(`${BASE_URL}/api/alerts`);
+  const response = await fetch(`${BASE_URL}/api/alerts`, { credentials: 'include' });
   return await response.json();
 }
 
 export async function createAlert(alert) {
   const response = await fetch(`${BASE_URL}/api/alerts`, {
+    credentials: 'include',
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -43,6 +48,7 @@ export async function createAlert(alert) {
 
 export async function updateAlert(alertId, alert) {
   const response = await fetch(`${BASE_URL}/api/alerts/${alertId}`, {
+    credentials: 'include',
     method: 'PUT',
     headers: {
       'Content-Type': 'application/json',
@@ -54,18 +60,20 @@ export async function updateAlert(alertId, alert) {
 
 export async function deleteAlert(alertId) {
   const response = await fetch(`${BASE_URL}/api/alerts/${alertId}`, {
+    credentials: 'include',
     method: 'DELETE',
   });
   return await response.json();
 }
 
 export async function fetchMappings() {
-  const response = await fetch(`${BASE_URL}/api/mappings`);
+  const response = await fetch(`${BASE_URL}/api/mappings`, { credentials: 'include' });
   return await response.json();
 }
 
 export async function createMapping(mapping) {
   const response = await fetch(`${BASE_URL}/api/mappings`, {
+    credentials: 'include',
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -77,6 +85,7 @@ export async function createMapping(mapping) {
 
 export async function updateMapping(mappingId, mapping) {
   const response = await fetch(`${BASE_URL}/api/mappings/${mappingId}`, {
+    credentials: 'include',
     method: 'PUT',
     headers: {
       'Content-Type': 'application/json',
@@ -88,18 +97,20 @@ export async function updateMapping(mappingId, mapping) {
 
 export async function deleteMapping(mappingId) {
   const response = await fetch(`${BASE_URL}/api/mappings/${mappingId}`, {
+    credentials: 'include',
     method: 'DELETE',
   });
   return await response.json();
 }
 
 export async function fetchSettings() {
-  const response = await fetch(`${BASE_URL}/api/settings`);
+  const response = await fetch(`${BASE_URL}/api/settings`, { credentials: 'include' });
   return await response.json();
 }
 
 export async function updateSettings(settings) {
   const response = await fetch(`${BASE_URL}/api/settings`, {
+    credentials: 'include',
     method: 'PUT',
     headers: {
       'Content-Type': 'application/json',
@@ -109,4 +120,10 @@ export async function updateSettings(settings) {
   return await response.json();
 }
 
+export async function fetchGeofences(deviceId) {
+  const query = deviceId ? `?deviceId=${encodeURIComponent(deviceId)}` : '';
+  const response = await fetch(`${BASE_URL}/api/geofences${query}`, { credentials: 'include' });
+  return await response.json();
+}
+
 // Add more API functions as needed
@@ -2,6 +2,13 @@
 
 import { saveAs } from 'file-saver';
 import * as XLSX from 'xlsx';
+import { BASE_URL } from './api';
+
+export const TRACK_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx' },
+  kml: { label: 'KML (Google Earth)', extension: 'kml' },
+  geojson: { label: 'GeoJSON', extension: 'geojson' },
+};
 
 export class ExportService {
   static async exportToCSV(data, filename) {
@@ -19,6 +26,16 @@ export class ExportService {
     saveAs(blob, `${filename}.xlsx`);
   }
 
+  // Tracks are rendered by the server, with the stops between trips
+  static async exportTrack(deviceId, params, format, filename) {
+    const query = new URLSearchParams({ ...params, format });
+    const response = await fetch(`${BASE_URL}/api/data/${deviceId}/tracking?${query}`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    saveAs(await response.blob(), `${filename}.${TRACK_FORMATS[format].extension}`);
+  }
+
   static convertToCSV(data) {
     if (data.length === 0) return '';
 
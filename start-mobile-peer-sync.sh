@@ -46,54 +46,40 @@ if ! command -v npm &> /dev/null; then
 fi
 
 # Check if required files exist
-if [ ! -f "termux-peer-sync-backend.js" ]; then
-    echo "❌ termux-peer-sync-backend.js not found. Please ensure you're in the correct directory."
+if [ ! -f "backend/src/mobile.js" ]; then
+    echo "❌ backend/src/mobile.js not found. Please ensure you're in the correct directory."
     exit 1
 fi
 
-if [ ! -f "mobile-peer-sync.js" ]; then
-    echo "❌ mobile-peer-sync.js not found. Please ensure you're in the correct directory."
-    exit 1
-fi
-
-# Install dependencies if package.json exists
-if [ -f "package.json" ]; then
-    echo "📦 Installing dependencies..."
-    npm install
-fi
+# Install the backend dependencies (parser, database and API)
+echo "📦 Installing dependencies..."
+(cd backend && npm install)
 
 # Create necessary directories
 echo "📁 Creating directories..."
 mkdir -p logs
 mkdir -p data
-mkdir -p backend/src/services
-
-# Check if peer sync service exists, if not copy from root
-if [ ! -f "backend/src/services/peerToPeerSync.js" ]; then
-    echo "📋 Setting up peer sync service..."
-    cp mobile-peer-sync.js backend/src/services/peerToPeerSync.js 2>/dev/null || echo "⚠️  Could not copy peer sync service"
-fi
 
-# Set environment variables
+# Set environment variables; backend/src/mobile.js selects the mobile profile itself
 export TCP_PORT=3003
 export HTTP_PORT=3001
-export NODE_ENV=production
+export PEER_SYNC_PORT=3002
 
 echo "🔧 Configuration:"
 echo "   IP Address: $IP_ADDRESS"
 echo "   TCP Port: $TCP_PORT"
 echo "   HTTP Port: $HTTP_PORT"
-echo "   Environment: $NODE_ENV"
+echo "   Peer Sync Port: $PEER_SYNC_PORT"
 echo ""
 
 # Start the mobile peer sync backend
 echo "🚀 Starting mobile peer sync backend..."
-echo "📱 Peer sync will be available on port 3001"
-echo "🌐 Web interface: http://$IP_ADDRESS:3001/mobile-peer-sync-ui.html"
+echo "🌐 Web interface: http://$IP_ADDRESS:$HTTP_PORT"
+echo "📱 Peer sync UI (on this phone): http://localhost:$PEER_SYNC_PORT/mobile-peer-sync-ui.html"
 echo "📡 TCP server: $IP_ADDRESS:$TCP_PORT"
 echo ""
 echo "Press Ctrl+C to stop the server"
 echo ""
 
 # Start the server
-node termux-peer-sync-backend.js 
\ No newline at end of file
+node backend/src/mobile.js 
\ No newline at end of file
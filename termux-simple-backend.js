@@ -1,341 +1,4 @@
-// ========================================
-// GALILEOSKY SIMPLE BACKEND (BASIC VERSION)
-// ========================================
-// This is the SIMPLE backend with basic parsing
-// Does NOT have the enhanced parsing fixes
-// ========================================
-
-const net = require('net');
-const fs = require('fs');
-const path = require('path');
-
-// Clear startup identification
-console.log('📱 ========================================');
-console.log('📱 GALILEOSKY SIMPLE BACKEND (BASIC)');
-console.log('📱 ========================================');
-console.log('📱 This is the SIMPLE backend - NO parsing fixes');
-console.log('📱 ========================================');
-console.log('');
-
-// Ensure logs directory exists
-const logsDir = path.join(__dirname, 'logs');
-if (!fs.existsSync(logsDir)) {
-    fs.mkdirSync(logsDir);
-}
-
-// Simple logger
-const logger = {
-    info: (message, data = {}) => {
-        const timestamp = new Date().toISOString();
-        const logMessage = `[INFO] ${timestamp} - ${message}`;
-        console.log(logMessage);
-        if (data.address) {
-            console.log(`  Address: ${data.address}`);
-        }
-        if (data.hex) {
-            console.log(`  Data: ${data.hex}`);
-        }
-    },
-    error: (message, data = {}) => {
-        const timestamp = new Date().toISOString();
-        const logMessage = `[ERROR] ${timestamp} - ${message}`;
-        console.error(logMessage);
-        if (data.address) {
-            console.error(`  Address: ${data.address}`);
-        }
-        if (data.error) {
-            console.error(`  Error: ${data.error}`);
-        }
-    },
-    warn: (message, data = {}) => {
-        const timestamp = new Date().toISOString();
-        const logMessage = `[WARN] ${timestamp} - ${message}`;
-        console.warn(logMessage);
-        if (data.address) {
-            console.warn(`  Address: ${data.address}`);
-        }
-    }
-};
-
-// Configuration
-const config = {
-    tcpPort: process.env.TCP_PORT || 3003,
-    httpPort: process.env.HTTP_PORT || 3001,
-    host: '0.0.0.0',
-    maxConnections: 100,
-    connectionTimeout: 30000,
-    keepAliveTime: 60000
-};
-
-// Track active connections
-const activeConnections = new Map();
-let tcpServer = null;
-
-// Calculate CRC16 for packet validation
-function calculateCRC16(buffer) {
-    let crc = 0xFFFF;
-    for (let i = 0; i < buffer.length; i++) {
-        crc ^= buffer[i];
-        for (let j = 0; j < 8; j++) {
-            if (crc & 0x0001) {
-                crc = (crc >> 1) ^ 0xA001;
-            } else {
-                crc = crc >> 1;
-            }
-        }
-    }
-    return crc;
-}
-
-// Validate packet structure
-function validatePacket(buffer) {
-    if (buffer.length < 3) {
-        throw new Error('Packet too short');
-    }
-
-    const header = buffer.readUInt8(0);
-    const rawLength = buffer.readUInt16LE(1);
-    
-    // Extract high-order bit for archive data indicator
-    const hasUnsentData = (rawLength & 0x8000) !== 0;
-    
-    // Extract 15 low-order bits for packet length
-    const actualLength = rawLength & 0x7FFF;
-
-    // Check if we have the complete packet (HEAD + LENGTH + DATA + CRC)
-    const expectedLength = actualLength + 3;  // Header (1) + Length (2) + Data
-    if (buffer.length < expectedLength + 2) {  // +2 for CRC
-        throw new Error('Incomplete packet');
-    }
-
-    // Verify checksum
-    const calculatedChecksum = calculateCRC16(buffer.slice(0, expectedLength));
-    const receivedChecksum = buffer.readUInt16LE(expectedLength);
-
-    if (calculatedChecksum !== receivedChecksum) {
-        throw new Error('Checksum mismatch');
-    }
-
-    return {
-        header,
-        hasUnsentData,
-        actualLength,
-        rawLength,
-        expectedLength
-    };
-}
-
-// Parse packet data
-function parsePacket(buffer) {
-    const packetInfo = validatePacket(buffer);
-    
-    // Extract the data portion (skip header and length)
-    const dataStart = 3;
-    const dataEnd = packetInfo.expectedLength;
-    const data = buffer.slice(dataStart, dataEnd);
-    
-    return {
-        ...packetInfo,
-        data: data,
-        raw: buffer.slice(0, packetInfo.expectedLength + 2)
-    };
-}
-
-// Handle TCP connection
-function handleConnection(socket) {
-    const clientAddress = `${socket.remoteAddress}:${socket.remotePort}`;
-    logger.info('New device connected:', { address: clientAddress });
-
-    let buffer = Buffer.alloc(0);
-    let unsentData = Buffer.alloc(0);
-
-    // Set socket options
-    socket.setKeepAlive(true, config.keepAliveTime);
-    socket.setTimeout(config.connectionTimeout);
-
-    socket.on('data', async (data) => {
-        try {
-            // Log raw data received
-            logger.info('Raw data received:', {
-                address: clientAddress,
-                hex: data.toString('hex').toUpperCase(),
-                length: data.length
-            });
-
-            // Combine any unsent data with new data
-            if (unsentData.length > 0) {
-                buffer = Buffer.concat([unsentData, data]);
-                unsentData = Buffer.alloc(0);
-            } else {
-                buffer = data;
-            }
-
-            while (buffer.length >= 3) {  // Minimum packet size (HEAD + LENGTH)
-                const packetType = buffer.readUInt8(0);
-                const rawLength = buffer.readUInt16LE(1);
-                const actualLength = rawLength & 0x7FFF;  // Mask with 0x7FFF
-                const totalLength = actualLength + 3;  // HEAD + LENGTH + DATA + CRC
-
-                // Log packet details
-                logger.info('Processing packet:', {
-                    address: clientAddress,
-                    type: `0x${packetType.toString(16).padStart(2, '0')}`,
-                    length: actualLength,
-                    totalLength,
-                    bufferLength: buffer.length
-                });
-
-                // Check if we have a complete packet
-                if (buffer.length < totalLength + 2) {  // +2 for CRC
-                    unsentData = Buffer.from(buffer);
-                    break;
-                }
-
-                // Extract the complete packet
-                const packet = buffer.slice(0, totalLength + 2);
-                buffer = buffer.slice(totalLength + 2);
-
-                try {
-                    // Parse the packet
-                    const parsedPacket = parsePacket(packet);
-                    
-                    // Get the checksum from the received packet
-                    const packetChecksum = packet.readUInt16LE(packet.length - 2);
-                    const confirmation = Buffer.from([0x02, packetChecksum & 0xFF, (packetChecksum >> 8) & 0xFF]);
-                    
-                    // Send confirmation
-                    socket.write(confirmation);
-                    logger.info('Confirmation sent:', {
-                        address: clientAddress,
-                        hex: confirmation.toString('hex').toUpperCase(),
-                        checksum: `0x${confirmation.slice(1).toString('hex').toUpperCase()}`
-                    });
-
-                    // Log parsed data
-                    logger.info('Packet parsed successfully:', {
-                        address: clientAddress,
-                        header: `0x${parsedPacket.header.toString(16).padStart(2, '0')}`,
-                        length: parsedPacket.actualLength,
-                        hasUnsentData: parsedPacket.hasUnsentData
-                    });
-
-                } catch (error) {
-                    logger.error('Error processing packet:', {
-                        address: clientAddress,
-                        error: error.message
-                    });
-                    
-                    // Send error confirmation
-                    const errorConfirmation = Buffer.from([0x02, 0x3F, 0x00]);
-                    socket.write(errorConfirmation);
-                    logger.info('Error confirmation sent:', {
-                        address: clientAddress,
-                        hex: errorConfirmation.toString('hex').toUpperCase()
-                    });
-                }
-            }
-        } catch (error) {
-            logger.error('Error processing data:', {
-                address: clientAddress,
-                error: error.message
-            });
-        }
-    });
-
-    socket.on('error', (error) => {
-        logger.error('Socket error:', {
-            address: clientAddress,
-            error: error.message
-        });
-        cleanupConnection(clientAddress);
-    });
-
-    socket.on('timeout', () => {
-        logger.warn('Socket timeout, closing connection:', { address: clientAddress });
-        cleanupConnection(clientAddress);
-    });
-
-    socket.on('close', (hadError) => {
-        logger.info('Device disconnected:', { address: clientAddress, hadError });
-        cleanupConnection(clientAddress);
-    });
-
-    socket.on('end', () => {
-        logger.info('Device ended connection:', { address: clientAddress });
-        cleanupConnection(clientAddress);
-    });
-}
-
-// Cleanup connection
-function cleanupConnection(clientAddress) {
-    const socket = activeConnections.get(clientAddress);
-    if (socket) {
-        try {
-            socket.destroy();
-        } catch (error) {
-            logger.error('Error destroying socket:', { address: clientAddress, error: error.message });
-        }
-        activeConnections.delete(clientAddress);
-    }
-}
-
-// Start TCP server
-function startTCPServer() {
-    tcpServer = net.createServer((socket) => {
-        if (activeConnections.size >= config.maxConnections) {
-            logger.warn('Max connections reached, rejecting connection:', { address: socket.remoteAddress });
-            socket.destroy();
-            return;
-        }
-        
-        const clientAddress = `${socket.remoteAddress}:${socket.remotePort}`;
-        activeConnections.set(clientAddress, socket);
-        handleConnection(socket);
-    });
-
-    tcpServer.listen(config.tcpPort, config.host, () => {
-        logger.info(`TCP server listening on port ${config.tcpPort} (all interfaces)`);
-    });
-
-    tcpServer.on('error', (error) => {
-        logger.error('TCP server error:', { error: error.message });
-        if (error.code === 'EADDRINUSE') {
-            logger.error(`Port ${config.tcpPort} is already in use`);
-            process.exit(1);
-        }
-    });
-}
-
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    logger.info('Shutting down server...');
-    
-    // Close all active connections
-    for (const [clientAddress, socket] of activeConnections) {
-        try {
-            socket.destroy();
-        } catch (error) {
-            logger.error('Error closing connection:', { address: clientAddress, error: error.message });
-        }
-    }
-    
-    // Close TCP server
-    if (tcpServer) {
-        tcpServer.close(() => {
-            logger.info('Server stopped');
-            process.exit(0);
-        });
-    } else {
-        process.exit(0);
-    }
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-    logger.error('Uncaught exception:', { error: error.message });
-    process.exit(1);
-});
-
-// Start the server
-logger.info('Starting Galileosky Parser (Simplified Backend)');
-startTCPServer(); 
\ No newline at end of file
+// The Termux backends are now backend/src/mobile.js, which runs the server's
+// parser and services with the mobile profile; this name is kept for the
+// scripts and shortcuts that start it
+require('./backend/src/mobile');